@@ -0,0 +1,164 @@
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('../db', () => ({
+  createRecord: jest.fn(),
+  updateRecord: jest.fn(),
+  updateRecords: jest.fn(),
+  executeQuery: jest.fn()
+}));
+
+const bcrypt = require('bcrypt');
+const db = require('../db');
+const adminSecurity = require('../adminSecurity');
+
+// Segredo do apêndice B da RFC 6238 ("12345678901234567890") em base32
+const RFC_SECRET = adminSecurity.encodeBase32(Buffer.from('12345678901234567890'));
+
+describe('adminSecurity limite de tentativas', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.executeQuery.mockReset();
+  });
+
+  it('bloqueia a conta a partir do limite de falhas até o fim da janela', async () => {
+    const now = new Date('2026-03-10T12:00:00Z');
+    const lastFailure = new Date('2026-03-10T11:58:00Z');
+    db.executeQuery
+      .mockResolvedValueOnce([{ total: adminSecurity.MAX_ACCOUNT_FAILURES, last_failure_at: lastFailure }])
+      .mockResolvedValueOnce([{ total: 1, last_failure_at: lastFailure }]);
+
+    const throttle = await adminSecurity.checkLoginThrottle({ email: ' Dono@QRLove.com.br ', ip: '10.0.0.1' }, now);
+
+    expect(throttle.lockedUntil).toEqual(new Date('2026-03-10T12:13:00Z'));
+    expect(db.executeQuery.mock.calls[0][1]).toEqual(['dono@qrlove.com.br', new Date('2026-03-10T11:45:00Z')]);
+    expect(db.executeQuery.mock.calls[1][1][0]).toBe('10.0.0.1');
+  });
+
+  it('bloqueia o IP com muitas falhas mesmo em contas diferentes', async () => {
+    const now = new Date('2026-03-10T12:00:00Z');
+    db.executeQuery
+      .mockResolvedValueOnce([{ total: 0, last_failure_at: null }])
+      .mockResolvedValueOnce([{ total: adminSecurity.MAX_IP_FAILURES, last_failure_at: now }]);
+
+    expect(await adminSecurity.checkLoginThrottle({ email: 'outro@qrlove.com.br', ip: '10.0.0.1' }, now)).not.toBeNull();
+
+    db.executeQuery
+      .mockResolvedValueOnce([{ total: 4, last_failure_at: now }])
+      .mockResolvedValueOnce([{ total: 4, last_failure_at: now }]);
+    expect(await adminSecurity.checkLoginThrottle({ email: 'outro@qrlove.com.br', ip: '10.0.0.1' }, now)).toBeNull();
+  });
+
+  it('registra a falha e descarta as antigas', async () => {
+    db.executeQuery.mockResolvedValue({ affectedRows: 0 });
+
+    await adminSecurity.recordLoginFailure({ email: 'Dono@qrlove.com.br', ip: '10.0.0.1', stage: 'two_factor' }, new Date('2026-03-10T12:00:00Z'));
+
+    expect(db.createRecord).toHaveBeenCalledWith('admin_login_failures', { email: 'dono@qrlove.com.br', ip_address: '10.0.0.1', stage: 'two_factor' });
+    expect(db.executeQuery).toHaveBeenCalledWith('DELETE FROM admin_login_failures WHERE created_at < ?', [new Date('2026-03-09T12:00:00Z')]);
+  });
+
+  it('guarda as falhas do portal de parceiros separadas das do dashboard', async () => {
+    const now = new Date('2026-03-10T12:00:00Z');
+    db.executeQuery.mockResolvedValue([{ total: 0, last_failure_at: null }]);
+
+    await adminSecurity.checkLoginThrottle({ email: 'parceiro@qrlove.com.br', ip: '10.0.0.1', area: 'partners' }, now);
+    await adminSecurity.recordLoginFailure({ email: 'Parceiro@qrlove.com.br', ip: '10.0.0.1', area: 'partners' }, now);
+    await adminSecurity.clearLoginFailures('parceiro@qrlove.com.br', 'partners');
+
+    expect(db.executeQuery.mock.calls[0][0]).toContain('FROM partner_login_failures WHERE email = ?');
+    expect(db.executeQuery.mock.calls[1][0]).toContain('FROM partner_login_failures WHERE ip_address = ?');
+    expect(db.createRecord).toHaveBeenCalledWith('partner_login_failures', { email: 'parceiro@qrlove.com.br', ip_address: '10.0.0.1' });
+    expect(db.executeQuery).toHaveBeenCalledWith('DELETE FROM partner_login_failures WHERE email = ?', ['parceiro@qrlove.com.br']);
+  });
+});
+
+describe('adminSecurity verificação em duas etapas', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.executeQuery.mockReset();
+    db.updateRecords.mockReset();
+  });
+
+  it('gera os códigos do vetor de teste da RFC 6238', () => {
+    expect(adminSecurity.generateTotpCode(RFC_SECRET, Math.floor(59 / 30))).toBe('287082');
+    expect(adminSecurity.generateTotpCode(RFC_SECRET, Math.floor(1111111109 / 30))).toBe('081804');
+  });
+
+  it('aceita um passo de diferença no relógio', () => {
+    const now = new Date(1111111109 * 1000);
+    const step = Math.floor(1111111109 / 30);
+
+    expect(adminSecurity.findTotpStep(RFC_SECRET, adminSecurity.generateTotpCode(RFC_SECRET, step - 1), now)).toBe(step - 1);
+    expect(adminSecurity.findTotpStep(RFC_SECRET, adminSecurity.generateTotpCode(RFC_SECRET, step - 2), now)).toBeNull();
+    expect(adminSecurity.findTotpStep(RFC_SECRET, 'abc123', now)).toBeNull();
+  });
+
+  it('ativa apenas com um código válido e devolve os códigos de recuperação', async () => {
+    const secret = adminSecurity.generateTotpSecret();
+    const admin = { id: 1 };
+
+    expect((await adminSecurity.enableTwoFactor(admin, secret, '000000')).error).toContain('Código inválido');
+
+    const step = Math.floor(Date.now() / 1000 / 30);
+    const result = await adminSecurity.enableTwoFactor(admin, secret, adminSecurity.generateTotpCode(secret, step));
+
+    expect(result.data.recoveryCodes).toHaveLength(adminSecurity.RECOVERY_CODES_COUNT);
+    const [, data] = db.updateRecord.mock.calls[0];
+    expect(data).toEqual(expect.objectContaining({ totp_secret: secret, totp_last_step: step, totp_enabled_at: expect.any(Date) }));
+    expect(JSON.parse(data.recovery_codes)).toEqual(result.data.recoveryCodes.map(adminSecurity.hashRecoveryCode));
+  });
+
+  it('não aceita o mesmo código do aplicativo duas vezes', async () => {
+    const now = new Date(1111111109 * 1000);
+    const admin = { id: 1, totp_secret: RFC_SECRET, totp_enabled_at: new Date() };
+
+    db.executeQuery.mockResolvedValueOnce({ affectedRows: 1 });
+    expect(await adminSecurity.verifyTwoFactorCode(admin, '081804', now)).toEqual({ method: 'totp' });
+    expect(db.executeQuery.mock.calls[0][1]).toEqual([37037036, 1, 37037036]);
+
+    db.executeQuery.mockResolvedValueOnce({ affectedRows: 0 });
+    expect(await adminSecurity.verifyTwoFactorCode(admin, '081804', now)).toBeNull();
+  });
+
+  it('consome cada código de recuperação uma única vez', async () => {
+    const recoveryCodes = JSON.stringify(['abcde-12345', 'fffff-00000'].map(adminSecurity.hashRecoveryCode));
+    const admin = { id: 1, totp_secret: RFC_SECRET, totp_enabled_at: new Date(), recovery_codes: recoveryCodes };
+
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 1 });
+    expect(await adminSecurity.verifyTwoFactorCode(admin, ' ABCDE12345 ')).toEqual({ method: 'recovery', remaining: 1 });
+    expect(db.updateRecords).toHaveBeenCalledWith('admins', {
+      recovery_codes: JSON.stringify([adminSecurity.hashRecoveryCode('fffff-00000')])
+    }, { id: 1, recovery_codes: recoveryCodes });
+
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 0 });
+    expect(await adminSecurity.verifyTwoFactorCode(admin, 'abcde-12345')).toBeNull();
+    expect(await adminSecurity.verifyTwoFactorCode(admin, 'nao-existe')).toBeNull();
+  });
+
+  it('desativa somente com a senha atual e um código válido', async () => {
+    const admin = {
+      id: 1,
+      password_hash: await bcrypt.hash('senha-segura', 4),
+      totp_secret: RFC_SECRET,
+      totp_enabled_at: new Date(),
+      recovery_codes: JSON.stringify([adminSecurity.hashRecoveryCode('abcde-12345')])
+    };
+
+    expect((await adminSecurity.disableTwoFactor(admin, { password: 'errada', code: 'abcde-12345' })).error).toBe('Senha atual incorreta.');
+    expect((await adminSecurity.disableTwoFactor(admin, { password: 'senha-segura', code: '99999-99999' })).error).toContain('inválido');
+    expect(db.updateRecord).not.toHaveBeenCalled();
+
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 1 });
+    expect((await adminSecurity.disableTwoFactor(admin, { password: 'senha-segura', code: 'abcde-12345' })).data).toBe(true);
+    expect(db.updateRecord).toHaveBeenCalledWith('admins', {
+      totp_secret: null,
+      totp_enabled_at: null,
+      totp_last_step: null,
+      recovery_codes: null
+    }, 1);
+  });
+});
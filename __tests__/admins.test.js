@@ -0,0 +1,181 @@
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('../db', () => ({
+  createRecord: jest.fn(),
+  getRecord: jest.fn(),
+  updateRecord: jest.fn(),
+  updateRecords: jest.fn(),
+  executeQuery: jest.fn()
+}));
+
+process.env.BCRYPT_SALT_ROUNDS = '4';
+
+const bcrypt = require('bcrypt');
+const db = require('../db');
+const admins = require('../admins');
+
+const owner = { id: 1, email: 'dono@qrlove.com.br', role: 'owner', active: 1, password_hash: 'hash' };
+
+describe('admins papéis e configuração inicial', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.getRecord.mockReset();
+    db.executeQuery.mockReset();
+    db.createRecord.mockReset();
+    delete process.env.SETUP_TOKEN;
+  });
+
+  it('libera cada área apenas para os papéis previstos', () => {
+    expect(admins.can(owner, 'admins')).toBe(true);
+    expect(admins.can({ role: 'finance' }, 'finance')).toBe(true);
+    expect(admins.can({ role: 'finance' }, 'catalog')).toBe(false);
+    expect(admins.can({ role: 'support' }, 'purchases')).toBe(true);
+    expect(admins.can({ role: 'support' }, 'finance')).toBe(false);
+    expect(admins.can({ role: 'desconhecido' }, 'purchases')).toBe(false);
+    expect(admins.can(null, 'purchases')).toBe(false);
+  });
+
+  it('só permite criar o primeiro dono com o SETUP_TOKEN e enquanto não há admin ativo com senha', async () => {
+    const valid = { email: 'novo@qrlove.com.br', password: 'senha-segura', passwordConfirmation: 'senha-segura', setupToken: 'token-de-configuracao' };
+
+    expect((await admins.setupFirstOwner(valid)).error).toContain('SETUP_TOKEN');
+    expect(db.executeQuery).not.toHaveBeenCalled();
+
+    process.env.SETUP_TOKEN = 'token-de-configuracao';
+    expect((await admins.setupFirstOwner({ ...valid, setupToken: 'outro' })).error).toBe('Código de configuração inválido.');
+    expect(db.executeQuery).not.toHaveBeenCalled();
+
+    db.executeQuery.mockResolvedValueOnce([{ total: 1 }]);
+    expect((await admins.setupFirstOwner(valid)).error).toContain('já foi concluída');
+
+    db.executeQuery.mockResolvedValueOnce([{ total: 0 }]);
+    expect((await admins.setupFirstOwner({ ...valid, password: 'curta', passwordConfirmation: 'curta' })).error).toContain('pelo menos 10');
+
+    db.executeQuery.mockResolvedValueOnce([{ total: 0 }]);
+    db.getRecord.mockResolvedValueOnce({ ...owner, password_hash: null });
+    expect((await admins.setupFirstOwner(valid)).error).toContain('Já existe um admin com este e-mail');
+    expect(db.updateRecord).not.toHaveBeenCalled();
+    expect(db.executeQuery).toHaveBeenCalledTimes(3);
+  });
+
+  it('cria o dono com a senha informada numa inserção condicional', async () => {
+    process.env.SETUP_TOKEN = 'token-de-configuracao';
+    db.executeQuery
+      .mockResolvedValueOnce([{ total: 0 }])
+      .mockResolvedValueOnce({ affectedRows: 1, insertId: 4 });
+    db.getRecord.mockResolvedValueOnce(null);
+
+    const result = await admins.setupFirstOwner({
+      email: ' Novo@QRLove.com.br ',
+      name: 'Ana',
+      password: 'senha-segura',
+      passwordConfirmation: 'senha-segura',
+      setupToken: 'token-de-configuracao'
+    });
+
+    expect(result.data).toEqual(expect.objectContaining({ id: 4, email: 'novo@qrlove.com.br', role: 'owner', active: 1 }));
+    const [sql, params] = db.executeQuery.mock.calls[1];
+    expect(sql).toContain('WHERE NOT EXISTS (SELECT 1 FROM admins WHERE active = 1 AND password_hash IS NOT NULL)');
+    expect(await bcrypt.compare('senha-segura', params[1])).toBe(true);
+
+    db.executeQuery
+      .mockResolvedValueOnce([{ total: 0 }])
+      .mockResolvedValueOnce({ affectedRows: 0 });
+    db.getRecord.mockResolvedValueOnce(null);
+
+    expect((await admins.setupFirstOwner({ ...result.data, password: 'senha-segura', passwordConfirmation: 'senha-segura', setupToken: 'token-de-configuracao' })).error)
+      .toContain('já foi concluída');
+  });
+
+  it('não autentica admins desativados ou sem senha', async () => {
+    const passwordHash = await bcrypt.hash('senha-segura', 4);
+
+    db.getRecord.mockResolvedValueOnce({ ...owner, password_hash: null });
+    expect(await admins.authenticateAdmin(owner.email, 'senha-segura')).toBeNull();
+
+    db.getRecord.mockResolvedValueOnce({ ...owner, active: 0, password_hash: passwordHash });
+    expect(await admins.authenticateAdmin(owner.email, 'senha-segura')).toBeNull();
+
+    db.getRecord.mockResolvedValueOnce({ ...owner, password_hash: passwordHash });
+    expect((await admins.authenticateAdmin(' DONO@qrlove.com.br', 'senha-segura')).id).toBe(1);
+    expect(db.getRecord).toHaveBeenLastCalledWith('admins', { email: 'dono@qrlove.com.br' });
+    expect(db.updateRecord).toHaveBeenCalledWith('admins', { last_login_at: expect.any(Date) }, 1);
+  });
+});
+
+describe('admins convites e gestão da equipe', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.getRecord.mockReset();
+    db.executeQuery.mockReset();
+    db.createRecord.mockReset();
+    db.updateRecords.mockReset();
+  });
+
+  it('gera convite guardando apenas o hash do link', async () => {
+    db.getRecord.mockResolvedValueOnce(null);
+    db.createRecord.mockImplementationOnce(async (table, data) => ({ id: 6, ...data }));
+
+    const result = await admins.inviteAdmin({ email: 'suporte@qrlove.com.br', role: 'support' }, owner);
+
+    const { admin, token } = result.data;
+    expect(token).toMatch(/^[a-f0-9]{64}$/);
+    expect(admin).toEqual(expect.objectContaining({
+      email: 'suporte@qrlove.com.br',
+      role: 'support',
+      password_hash: null,
+      invited_by: 1,
+      invite_token_hash: admins.hashInviteToken(token)
+    }));
+    expect(admin.invite_expires_at.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('recusa convites com papel inválido ou para admins que já têm senha', async () => {
+    expect((await admins.inviteAdmin({ email: 'x@qrlove.com.br', role: 'root' }, owner)).error).toBe('Papel inválido.');
+
+    db.getRecord.mockResolvedValueOnce({ id: 2, email: 'x@qrlove.com.br', password_hash: 'hash' });
+    expect((await admins.inviteAdmin({ email: 'x@qrlove.com.br', role: 'finance' }, owner)).error).toContain('Já existe');
+  });
+
+  it('aceita o convite consumindo o link uma única vez', async () => {
+    const invited = { id: 6, invite_token_hash: 'hash-atual' };
+
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 1 });
+    expect((await admins.acceptInvite(invited, 'senha-segura', 'senha-segura')).error).toBeUndefined();
+    const [, data, conditions] = db.updateRecords.mock.calls[0];
+    expect(conditions).toEqual({ id: 6, invite_token_hash: 'hash-atual' });
+    expect(data).toEqual(expect.objectContaining({ invite_token_hash: null, invite_expires_at: null }));
+
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 0 });
+    expect((await admins.acceptInvite(invited, 'senha-segura', 'senha-segura')).error).toContain('já foi utilizado');
+  });
+
+  it('exige a senha atual para trocar a senha', async () => {
+    const admin = { ...owner, password_hash: await bcrypt.hash('senha-antiga', 4) };
+
+    expect((await admins.changePassword(admin, { currentPassword: 'errada', password: 'senha-segura', passwordConfirmation: 'senha-segura' })).error).toBe('Senha atual incorreta.');
+    expect(db.updateRecord).not.toHaveBeenCalled();
+
+    expect((await admins.changePassword(admin, { currentPassword: 'senha-antiga', password: 'senha-segura', passwordConfirmation: 'senha-segura' })).data).toBe(true);
+    expect(await bcrypt.compare('senha-segura', db.updateRecord.mock.calls[0][1].password_hash)).toBe(true);
+  });
+
+  it('impede alterar o próprio acesso e remover o último dono', async () => {
+    db.getRecord.mockResolvedValueOnce(owner);
+    expect((await admins.updateAdminStatus(owner, 1, false)).error).toContain('próprio');
+
+    db.getRecord.mockResolvedValueOnce({ ...owner, id: 2 });
+    db.executeQuery.mockResolvedValueOnce([{ total: 0 }]);
+    expect((await admins.updateAdminRole(owner, 2, 'support')).error).toContain('ao menos um dono');
+    expect(db.updateRecord).not.toHaveBeenCalled();
+
+    db.getRecord.mockResolvedValueOnce({ ...owner, id: 2 });
+    db.executeQuery.mockResolvedValueOnce([{ total: 1 }]);
+    expect((await admins.updateAdminStatus(owner, 2, false)).data.active).toBe(0);
+    expect(db.updateRecord).toHaveBeenCalledWith('admins', { active: 0, invite_token_hash: null, invite_expires_at: null }, 2);
+  });
+});
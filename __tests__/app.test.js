@@ -1,24 +1,47 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
 
 jest.mock('../db', () => ({
   createRecord: jest.fn(),
+  createRecords: jest.fn(),
   getRecord: jest.fn(),
   updateRecord: jest.fn(),
+  updateRecords: jest.fn(),
   deleteRecord: jest.fn(),
+  executeQuery: jest.fn().mockResolvedValue([]),
   queryRecords: jest.fn(),
+  withTransaction: jest.fn(callback => callback()),
   pool: {}
 }));
 
 const mockStripeSessionCreate = jest.fn();
 const mockStripeConstructEvent = jest.fn();
+const mockStripePaymentIntentRetrieve = jest.fn();
+const mockStripePromotionCodesList = jest.fn();
+const mockStripeBalanceTransactionsList = jest.fn();
 
 jest.mock('stripe', () => {
   return jest.fn().mockImplementation(() => ({
     checkout: {
       sessions: {
-        create: mockStripeSessionCreate
+        create: mockStripeSessionCreate,
+        list: jest.fn().mockResolvedValue({ data: [], has_more: false })
       }
     },
+    balanceTransactions: {
+      list: mockStripeBalanceTransactionsList
+    },
+    payouts: {
+      list: jest.fn().mockResolvedValue({ data: [], has_more: false })
+    },
+    paymentIntents: {
+      retrieve: mockStripePaymentIntentRetrieve
+    },
+    promotionCodes: {
+      list: mockStripePromotionCodesList
+    },
     webhooks: {
       constructEvent: mockStripeConstructEvent
     }
@@ -28,6 +51,8 @@ jest.mock('stripe', () => {
 jest.mock('sharp', () => {
   const rotateMock = jest.fn().mockReturnThis();
   const compositeMock = jest.fn().mockReturnThis();
+  const pngMock = jest.fn().mockReturnThis();
+  const toBufferMock = jest.fn().mockResolvedValue(Buffer.from('styled'));
   const toFileMock = jest.fn().mockResolvedValue();
   const metadataMock = jest.fn().mockResolvedValue({ width: 1000, height: 500 });
 
@@ -35,6 +60,8 @@ jest.mock('sharp', () => {
     metadata: metadataMock,
     rotate: rotateMock,
     composite: compositeMock,
+    png: pngMock,
+    toBuffer: toBufferMock,
     toFile: toFileMock
   }));
 
@@ -50,8 +77,14 @@ jest.mock('qrcode', () => ({
 process.env.STRIPE_SECRET_KEY = 'sk_test';
 process.env.STRIPE_PUBLISHABLE_KEY = 'pk_test';
 process.env.BASE_URL = 'http://localhost:7500';
+process.env.STORAGE_PRIVATE_DIR = path.join(os.tmpdir(), `qrlove-print-test-${process.pid}`);
 
 const app = require('../app');
+const db = require('../db');
+const imageProcessing = require('../imageProcessing');
+const qrStyles = require('../qrStyles');
+const printAssets = require('../printAssets');
+const storage = require('../storage');
 
 describe('App rotas públicas', () => {
   it('retorna a chave pública do Stripe em /config', async () => {
@@ -70,4 +103,1141 @@ describe('App rotas públicas', () => {
     expect(response.status).toBe(404);
     expect(response.body).toEqual({ error: 'Plano não encontrado' });
   });
+
+  it('renderiza os planos ativos cadastrados na página inicial', async () => {
+    db.queryRecords.mockResolvedValueOnce([
+      { id: 1, name: 'Anual', description: 'momentos digitais', price_cents: 2490, currency: 'brl', duration_months: 12, features: { printKit: true } }
+    ]);
+
+    const response = await request(app).get('/');
+
+    expect(response.status).toBe(200);
+    expect(db.queryRecords).toHaveBeenCalledWith('plans', expect.stringContaining('WHERE active = 1'));
+    expect(response.text).toContain('Anual — momentos digitais por R$');
+    expect(response.text).toContain('24,90');
+  });
+
+  it('cria a sessão com o preço do catálogo e guarda as condições do plano na compra', async () => {
+    db.getRecord.mockResolvedValueOnce({ id: 2, name: 'Lifetime', price_cents: 4990, currency: 'brl', duration_months: null, features: '{}' });
+    mockStripeSessionCreate.mockResolvedValueOnce({ id: 'cs_plan', metadata: {} });
+    db.createRecord.mockResolvedValueOnce({ id: 99 });
+
+    const response = await request(app)
+      .post('/create-checkout-session')
+      .field('coupleName', 'Ana & Beto')
+      .field('planId', '2')
+      .field('startDate', '2024-01-01');
+
+    expect(response.status).toBe(200);
+    expect(mockStripeSessionCreate).toHaveBeenCalledWith(expect.objectContaining({
+      line_items: [expect.objectContaining({
+        price_data: { currency: 'brl', product_data: { name: 'Lifetime' }, unit_amount: 4990 }
+      })]
+    }));
+    expect(db.createRecord).toHaveBeenCalledWith('purchases', expect.objectContaining({
+      plan_id: 2,
+      plan_name: 'Lifetime',
+      plan_price_cents: 4990,
+      payment_status: 'pending',
+      slug: 'ana-e-beto',
+      purchase_link: expect.stringMatching(/^http:\/\/localhost:7500\/success\/ana-e-beto-[a-f0-9]{32}$/),
+      qr_style: JSON.stringify(qrStyles.DEFAULT_QR_STYLE)
+    }));
+  });
+
+  it('aplica o cupom interno e reserva o uso antes de criar a sessão', async () => {
+    db.getRecord
+      .mockResolvedValueOnce({ id: 1, name: 'Anual', price_cents: 1990, currency: 'brl', duration_months: 12, features: '{}' })
+      .mockResolvedValueOnce({ id: 7, code: 'AMOR10', discount_type: 'percentual', discount_value: '10.00', active: 1, used_count: 0, stackable: 0 });
+    db.executeQuery.mockResolvedValueOnce({ affectedRows: 1 });
+    db.createRecord
+      .mockResolvedValueOnce({ id: 50, coupon_id: 7, status: 'reserved' })
+      .mockResolvedValueOnce({ id: 100 });
+    mockStripeSessionCreate.mockResolvedValueOnce({ id: 'cs_coupon', metadata: {} });
+
+    const response = await request(app)
+      .post('/create-checkout-session')
+      .field('coupleName', 'Ana & Beto')
+      .field('planId', '1')
+      .field('startDate', '2024-01-01')
+      .field('promoCode', 'amor10')
+      .field('customerEmail', 'Ana@Exemplo.com');
+
+    expect(response.status).toBe(200);
+    expect(db.executeQuery).toHaveBeenCalledWith(expect.stringContaining('used_count < usage_limit'), [7]);
+    expect(mockStripeSessionCreate).toHaveBeenLastCalledWith(expect.objectContaining({
+      allow_promotion_codes: false,
+      customer_email: 'ana@exemplo.com',
+      line_items: [expect.objectContaining({ price_data: expect.objectContaining({ unit_amount: 1791 }) })],
+      metadata: expect.objectContaining({ couponIds: '7', discountAppliedInCents: '199' })
+    }));
+    expect(db.executeQuery).toHaveBeenCalledWith('UPDATE coupon_redemptions SET session_id = ? WHERE id IN (?)', ['cs_coupon', [50]]);
+    expect(db.createRecord).toHaveBeenLastCalledWith('purchases', expect.objectContaining({ customer_email: 'ana@exemplo.com' }));
+  });
+
+  it('devolve a reserva do cupom quando o checkout falha antes de ligá-la à sessão', async () => {
+    const uploads = require('../uploads');
+    const reserveCheckout = () => {
+      db.getRecord
+        .mockResolvedValueOnce({ id: 1, name: 'Anual', price_cents: 1990, currency: 'brl', duration_months: 12, features: '{}' })
+        .mockResolvedValueOnce({ id: 7, code: 'AMOR10', discount_type: 'percentual', discount_value: '10.00', active: 1, used_count: 0, stackable: 0 });
+      db.executeQuery.mockResolvedValueOnce({ affectedRows: 1 });
+      db.createRecord.mockResolvedValueOnce({ id: 50, coupon_id: 7, status: 'reserved' });
+    };
+    const postCheckout = () => request(app)
+      .post('/create-checkout-session')
+      .field('coupleName', 'Ana & Beto')
+      .field('planId', '1')
+      .field('startDate', '2024-01-01')
+      .field('promoCode', 'amor10');
+
+    db.updateRecords.mockClear();
+    db.updateRecords.mockResolvedValue({ affectedRows: 1 });
+    reserveCheckout();
+    const processSpy = jest.spyOn(uploads, 'processUploads').mockRejectedValueOnce(new Error('sharp indisponível'));
+
+    const failed = await postCheckout();
+
+    expect(failed.status).toBe(500);
+    expect(db.updateRecords).toHaveBeenCalledWith('coupon_redemptions', { status: 'released', customer_key: null }, { id: 50, status: 'reserved' });
+    expect(db.executeQuery).toHaveBeenCalledWith(expect.stringContaining('used_count = GREATEST(used_count - 1, 0)'), [7]);
+    processSpy.mockRestore();
+
+    // Depois de ligada à sessão, a reserva segue o pagamento ou a expiração da sessão no Stripe
+    db.updateRecords.mockClear();
+    reserveCheckout();
+    mockStripeSessionCreate.mockResolvedValueOnce({ id: 'cs_attached', metadata: {} });
+    db.createRecord.mockRejectedValueOnce(new Error('banco indisponível'));
+
+    const afterAttach = await postCheckout();
+
+    expect(afterAttach.status).toBe(500);
+    expect(db.updateRecords).not.toHaveBeenCalled();
+    db.updateRecords.mockReset();
+  });
+
+  it('apaga as fotos já gravadas quando a sessão do Stripe ou a compra falham', async () => {
+    const uploads = require('../uploads');
+    const gallery = require('../gallery');
+    const storedPhotos = [{ image_url: '/media/a.jpg', variants: JSON.stringify([{ format: 'webp', width: 480, url: '/media/variants/a-480.webp' }]) }];
+    const processSpy = jest.spyOn(uploads, 'processUploads').mockResolvedValue({ data: storedPhotos });
+    const removeSpy = jest.spyOn(gallery, 'removeMediaFiles').mockResolvedValue();
+    const postCheckout = () => request(app)
+      .post('/create-checkout-session')
+      .field('coupleName', 'Ana & Beto')
+      .field('planId', '1')
+      .field('startDate', '2024-01-01');
+
+    db.getRecord.mockResolvedValueOnce({ id: 1, name: 'Anual', price_cents: 1990, currency: 'brl', duration_months: 12, features: '{}' });
+    mockStripeSessionCreate.mockRejectedValueOnce(new Error('Stripe indisponível'));
+    expect((await postCheckout()).status).toBe(500);
+    expect(removeSpy).toHaveBeenCalledWith(storedPhotos);
+
+    removeSpy.mockClear();
+    db.getRecord.mockResolvedValueOnce({ id: 1, name: 'Anual', price_cents: 1990, currency: 'brl', duration_months: 12, features: '{}' });
+    mockStripeSessionCreate.mockResolvedValueOnce({ id: 'cs_photos', metadata: {} });
+    db.createRecord.mockRejectedValueOnce(new Error('banco indisponível'));
+    expect((await postCheckout()).status).toBe(500);
+    expect(removeSpy).toHaveBeenCalledWith(storedPhotos);
+
+    processSpy.mockRestore();
+    removeSpy.mockRestore();
+  });
+
+  it('recusa mais fotos do que o plano permite e descarta os uploads', async () => {
+    mockStripeSessionCreate.mockClear();
+    db.getRecord.mockResolvedValueOnce({ id: 1, name: 'Anual', price_cents: 1990, currency: 'brl', duration_months: 12, max_photos: 1, features: '{}' });
+
+    const response = await request(app)
+      .post('/create-checkout-session')
+      .field('coupleName', 'Ana & Beto')
+      .field('planId', '1')
+      .field('startDate', '2024-01-01')
+      .attach('photos', Buffer.from('foto-1'), 'foto-1.jpg')
+      .attach('photos', Buffer.from('foto-2'), 'foto-2.jpg');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toContain('até 1 foto');
+    expect(mockStripeSessionCreate).not.toHaveBeenCalled();
+  });
+
+  it('recusa arquivos que não são imagens, mesmo com extensão de foto', async () => {
+    mockStripeSessionCreate.mockClear();
+    db.createRecord.mockClear();
+    db.getRecord.mockResolvedValueOnce({ id: 1, name: 'Anual', price_cents: 1990, currency: 'brl', duration_months: 12, max_photos: 3, features: '{}' });
+
+    const response = await request(app)
+      .post('/create-checkout-session')
+      .field('coupleName', 'Ana & Beto')
+      .field('planId', '1')
+      .field('startDate', '2024-01-01')
+      .attach('photos', Buffer.from('<?php echo "oi"; ?>'), 'foto.jpg');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toContain('Envie apenas fotos');
+    expect(mockStripeSessionCreate).not.toHaveBeenCalled();
+    expect(db.createRecord).not.toHaveBeenCalledWith('purchases', expect.anything());
+  });
+
+  it('gera a prévia da capa com o QR Code no estilo escolhido', async () => {
+    const previewSpy = jest.spyOn(imageProcessing, 'renderQrPreview').mockResolvedValueOnce(Buffer.from('jpeg'));
+
+    const response = await request(app)
+      .post('/qr-preview')
+      .field('coupleName', 'Ana & Beto')
+      .field('qrPosition', 'top-right')
+      .field('qrPalette', 'noite')
+      .field('qrCaption', 'Escaneie-me')
+      .attach('photos', Buffer.from('ffd8ffe000104a4649460001', 'hex'), 'capa.jpg');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('image/jpeg');
+    expect(previewSpy).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.stringMatching(/^http:\/\/localhost:7500\/pages\/ana-e-beto-0{32}$/),
+      expect.objectContaining({ position: 'top-right', palette: 'noite', caption: 'Escaneie-me' })
+    );
+    previewSpy.mockRestore();
+  });
+
+  it('recusa a prévia com estilo inválido', async () => {
+    const response = await request(app)
+      .post('/qr-preview')
+      .field('qrSize', '90')
+      .attach('photos', Buffer.from('ffd8ffe000104a4649460001', 'hex'), 'capa.jpg');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toContain('tamanho do QR Code');
+  });
+});
+
+describe('Validação de código promocional', () => {
+  const plan = { id: 1, name: 'Anual', price_cents: 1990, currency: 'brl', duration_months: 12, features: '{}' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('calcula o total com os cupons internos sem reservar o uso', async () => {
+    db.getRecord
+      .mockResolvedValueOnce(plan)
+      .mockResolvedValueOnce({ id: 7, code: 'AMOR10', discount_type: 'percentual', discount_value: '10.00', active: 1, used_count: 0, stackable: 0 });
+
+    const response = await request(app)
+      .post('/promo-codes/validate')
+      .send({ promoCode: 'amor10', planId: '1' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      valid: true,
+      reason: null,
+      source: 'internal',
+      currency: 'brl',
+      originalAmountCents: 1990,
+      discountCents: 199,
+      amountCents: 1791
+    });
+    expect(db.executeQuery).not.toHaveBeenCalled();
+    expect(db.createRecord).not.toHaveBeenCalled();
+  });
+
+  it('informa o motivo quando o cupom interno é recusado', async () => {
+    db.getRecord
+      .mockResolvedValueOnce(plan)
+      .mockResolvedValueOnce({ id: 7, code: 'AMOR10', discount_type: 'percentual', discount_value: '10.00', active: 1, used_count: 0, min_order_cents: 5000 });
+
+    const response = await request(app)
+      .post('/promo-codes/validate')
+      .send({ promoCode: 'AMOR10', planId: '1' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.valid).toBe(false);
+    expect(response.body.reason).toContain('pedido mínimo');
+    expect(response.body.amountCents).toBe(1990);
+  });
+
+  it('consulta as promoções do Stripe para códigos desconhecidos', async () => {
+    db.getRecord.mockResolvedValueOnce(plan).mockResolvedValueOnce(null);
+    mockStripePromotionCodesList.mockResolvedValueOnce({ data: [{ id: 'promo_1', coupon: { percent_off: 20 } }] });
+
+    const response = await request(app)
+      .post('/promo-codes/validate')
+      .send({ promoCode: 'verao', planId: '1' });
+
+    expect(mockStripePromotionCodesList).toHaveBeenCalledWith({ code: 'VERAO', active: true, limit: 1 });
+    expect(response.body).toEqual(expect.objectContaining({ valid: true, source: 'stripe', discountCents: 398, amountCents: 1592 }));
+  });
+
+  it('recusa códigos que não existem em lugar nenhum', async () => {
+    db.getRecord.mockResolvedValueOnce(plan).mockResolvedValueOnce(null);
+    mockStripePromotionCodesList.mockResolvedValueOnce({ data: [] });
+
+    const response = await request(app)
+      .post('/promo-codes/validate')
+      .send({ promoCode: 'NADA', planId: '1' });
+
+    expect(response.body).toEqual(expect.objectContaining({ valid: false, reason: 'Código promocional inválido ou expirado.' }));
+  });
+
+  it('responde 404 para plano inexistente', async () => {
+    db.getRecord.mockResolvedValueOnce(null);
+
+    const response = await request(app)
+      .post('/promo-codes/validate')
+      .send({ promoCode: 'AMOR10', planId: '99' });
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('Webhook e liberação de páginas', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('confirma a compra quando a sessão é concluída com pagamento aprovado', async () => {
+    mockStripeConstructEvent.mockReturnValueOnce({
+      id: 'evt_1',
+      type: 'checkout.session.completed',
+      data: { object: { id: 'cs_1', payment_status: 'paid', amount_total: 1990, metadata: {} } }
+    });
+    db.getRecord.mockResolvedValueOnce({ id: 10, plan_id: 1, couple_name: 'Ana', payment_status: 'pending' });
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 1 });
+
+    const response = await request(app)
+      .post('/webhook')
+      .set('stripe-signature', 'sig')
+      .set('Content-Type', 'application/json')
+      .send('{}');
+
+    expect(response.status).toBe(200);
+    expect(db.updateRecords).toHaveBeenCalledWith('purchases', expect.objectContaining({ payment_status: 'paid' }), expect.any(Object));
+    expect(db.createRecord).toHaveBeenCalledWith('financial_transactions', expect.objectContaining({ transaction_type: 'entrada', category: 'venda', amount: 19.9 }));
+  });
+
+  it('registra o boleto quando o checkout é concluído sem pagamento imediato', async () => {
+    mockStripeConstructEvent.mockReturnValueOnce({
+      id: 'evt_2',
+      type: 'checkout.session.completed',
+      data: { object: { id: 'cs_2', payment_status: 'unpaid', payment_intent: 'pi_2', metadata: {} } }
+    });
+    mockStripePaymentIntentRetrieve.mockResolvedValueOnce({
+      next_action: { boleto_display_details: { hosted_voucher_url: 'https://boleto.test/2', expires_at: 1700000000 } }
+    });
+    db.getRecord.mockResolvedValueOnce({ id: 11, payment_status: 'pending' });
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 1 });
+
+    const response = await request(app)
+      .post('/webhook')
+      .set('stripe-signature', 'sig')
+      .set('Content-Type', 'application/json')
+      .send('{}');
+
+    expect(response.status).toBe(200);
+    expect(db.updateRecords).toHaveBeenCalledWith('purchases', expect.objectContaining({
+      payment_status: 'awaiting_payment',
+      boleto_url: 'https://boleto.test/2'
+    }), { id: 11, payment_status: 'pending' });
+    expect(db.createRecord).not.toHaveBeenCalled();
+  });
+
+  it('marca o boleto como não aprovado quando o pagamento assíncrono falha', async () => {
+    mockStripeConstructEvent.mockReturnValueOnce({
+      id: 'evt_3',
+      type: 'checkout.session.async_payment_failed',
+      data: { object: { id: 'cs_3' } }
+    });
+    db.getRecord.mockResolvedValueOnce({ id: 12, payment_status: 'awaiting_payment' });
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 1 });
+
+    const response = await request(app)
+      .post('/webhook')
+      .set('stripe-signature', 'sig')
+      .set('Content-Type', 'application/json')
+      .send('{}');
+
+    expect(response.status).toBe(200);
+    expect(db.updateRecords).toHaveBeenCalledWith('purchases', { payment_status: 'failed' }, { id: 12, payment_status: 'awaiting_payment' });
+  });
+
+  it('mantém a página personalizada bloqueada enquanto o pagamento está pendente', async () => {
+    db.getRecord.mockResolvedValueOnce({ id: 10, plan_id: 1, couple_name: 'Ana', slug: 'ana', unique_hash: 'abc', payment_status: 'pending' });
+
+    const response = await request(app).get('/pages/ana-abc');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('liberada assim que o pagamento for confirmado');
+    expect(db.getRecord).toHaveBeenCalledTimes(1);
+  });
+
+  it('desfaz a compra quando o Stripe confirma o reembolso total', async () => {
+    mockStripeConstructEvent.mockReturnValueOnce({
+      id: 'evt_4',
+      type: 'charge.refunded',
+      data: { object: { id: 'ch_4', payment_intent: 'pi_4', amount: 1990, amount_refunded: 1990, refunded: true } }
+    });
+    db.getRecord.mockResolvedValueOnce({ id: 13, plan_id: 1, couple_name: 'Ana', payment_status: 'paid', refunded_amount_cents: 0, coupon_id: 5 });
+    db.updateRecords.mockResolvedValue({ affectedRows: 1 });
+
+    const response = await request(app)
+      .post('/webhook')
+      .set('stripe-signature', 'sig')
+      .set('Content-Type', 'application/json')
+      .send('{}');
+
+    expect(response.status).toBe(200);
+    expect(db.getRecord).toHaveBeenCalledWith('purchases', { payment_intent_id: 'pi_4' });
+    expect(db.createRecord).toHaveBeenCalledWith('financial_transactions', expect.objectContaining({ transaction_type: 'saida', amount: 19.9 }));
+    expect(db.updateRecords).toHaveBeenCalledWith('purchases', { payment_status: 'refunded' }, { id: 13, payment_status: 'paid' });
+    expect(db.executeQuery).toHaveBeenCalledWith(expect.stringContaining('used_count - 1'), [5]);
+    db.updateRecords.mockReset();
+  });
+
+  it('tira do ar a página de uma compra reembolsada', async () => {
+    db.getRecord.mockResolvedValueOnce({ id: 13, plan_id: 1, couple_name: 'Ana', slug: 'ana', unique_hash: 'abc', payment_status: 'refunded' });
+
+    const response = await request(app).get('/pages/ana-abc');
+
+    expect(response.status).toBe(410);
+    expect(response.text).toContain('Esta página foi desativada');
+  });
+
+  it('tira do ar a página desativada pelo dashboard mesmo com o pagamento em dia', async () => {
+    db.getRecord.mockResolvedValueOnce({ id: 14, plan_id: 1, couple_name: 'Ana', slug: 'ana', unique_hash: 'abc', payment_status: 'paid', unpublished_at: new Date() });
+
+    const response = await request(app).get('/pages/ana-abc');
+
+    expect(response.status).toBe(410);
+    expect(response.text).toContain('Esta página foi desativada');
+  });
+});
+
+describe('Imagem com QR Code em segundo plano', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const paidPurchase = { id: 40, couple_name: 'Ana', slug: 'ana', unique_hash: 'abc', payment_status: 'paid', plan_name: 'Anual' };
+
+  it('atualiza a página de sucesso até a imagem ficar pronta', async () => {
+    db.getRecord
+      .mockResolvedValueOnce({ ...paidPurchase, image_status: 'processing' })
+      .mockResolvedValueOnce(null);
+
+    const response = await request(app).get('/success/ana-abc');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('<meta http-equiv="refresh" content="5">');
+    expect(response.text).toContain('Preparando sua imagem');
+  });
+
+  it('exibe a imagem sem atualização automática quando o processamento terminou', async () => {
+    db.getRecord
+      .mockResolvedValueOnce({ ...paidPurchase, image_status: 'done' })
+      .mockResolvedValueOnce({ id: 1, image_url: '/media/edit/processed-a.jpg' });
+
+    const response = await request(app).get('/success/ana-abc');
+
+    expect(response.status).toBe(200);
+    expect(response.text).not.toContain('http-equiv="refresh"');
+    expect(response.text).toContain('/media/edit/processed-a.jpg');
+  });
+});
+
+describe('Arquivos para impressão', () => {
+  const paidPurchase = {
+    id: 41,
+    couple_name: 'Ana',
+    slug: 'ana',
+    unique_hash: 'abc',
+    owner_token: 'b'.repeat(64),
+    payment_status: 'paid',
+    image_status: 'done',
+    plan_name: 'Anual'
+  };
+
+  beforeAll(async () => {
+    await storage.privateFiles.put(printAssets.getAssetKey(paidPurchase, 'qrcode.svg'), '<svg xmlns="http://www.w3.org/2000/svg"></svg>');
+  });
+
+  afterAll(async () => {
+    await fs.promises.rm(process.env.STORAGE_PRIVATE_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('lista na página de sucesso apenas os arquivos já gerados, com links assinados', async () => {
+    db.getRecord
+      .mockResolvedValueOnce(paidPurchase)
+      .mockResolvedValueOnce({ id: 1, image_url: '/media/edit/processed-a.jpg' });
+
+    const response = await request(app).get('/success/ana-abc');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toMatch(/\/success\/ana-abc\/downloads\/qrcode\.svg\?expires=\d+&amp;signature=[a-f0-9]{64}/);
+    expect(response.text).not.toContain('cartao-a5.pdf');
+  });
+
+  it('mostra o link de gerenciamento apenas no retorno do Stripe com a sessão da compra', async () => {
+    const purchase = { ...paidPurchase, session_id: 'cs_test_41' };
+    db.getRecord.mockImplementation(async table => (table === 'purchases' ? purchase : null));
+
+    const returned = await request(app).get('/success/ana-abc?session_id=cs_test_41');
+    const fromQrCode = await request(app).get('/success/ana-abc');
+    const guessed = await request(app).get('/success/ana-abc?session_id=cs_test_99');
+
+    expect(returned.text).toContain(`/manage/${paidPurchase.owner_token}`);
+    expect(fromQrCode.text).not.toContain('/manage/');
+    expect(guessed.text).not.toContain('/manage/');
+    db.getRecord.mockReset();
+  });
+
+  it('entrega o arquivo com um link válido e recusa links adulterados', async () => {
+    const query = printAssets.buildDownloadQuery(paidPurchase, 'qrcode.svg');
+    db.getRecord.mockResolvedValue(paidPurchase);
+
+    const response = await request(app).get(`/success/ana-abc/downloads/qrcode.svg?${query}`);
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('image/svg+xml');
+    expect(response.headers['content-disposition']).toContain('qrlove-ana-qrcode.svg');
+
+    const tampered = await request(app).get(`/success/ana-abc/downloads/cartao-a5.pdf?${query}`);
+    expect(tampered.status).toBe(403);
+
+    db.getRecord.mockReset();
+  });
+
+  it('não entrega arquivos de compras não pagas', async () => {
+    const unpaid = { ...paidPurchase, payment_status: 'pending' };
+    db.getRecord.mockResolvedValueOnce(unpaid);
+
+    const response = await request(app).get(`/success/ana-abc/downloads/qrcode.svg?${printAssets.buildDownloadQuery(unpaid, 'qrcode.svg')}`);
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('Expiração e renovação de planos', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const expiredPurchase = {
+    id: 20,
+    couple_name: 'Ana',
+    slug: 'ana',
+    unique_hash: 'abc',
+    payment_status: 'paid',
+    plan_id: 1,
+    plan_name: 'Anual',
+    plan_price_cents: 1990,
+    plan_currency: 'brl',
+    plan_duration_months: 12,
+    expires_at: '2020-01-01T00:00:00Z'
+  };
+
+  it('encontra a página pela hash e redireciona URLs antigas para o slug canônico', async () => {
+    db.getRecord.mockResolvedValueOnce({ ...expiredPurchase, couple_name: 'Ana-Maria & João', slug: 'ana-maria-e-joao' });
+
+    const response = await request(app).get('/pages/Ana-Maria%20%26%20Jo%C3%A3o-abc?renovacao=sucesso');
+
+    expect(response.status).toBe(301);
+    expect(response.headers.location).toBe('/pages/ana-maria-e-joao-abc?renovacao=sucesso');
+    expect(db.getRecord).toHaveBeenCalledWith('purchases', { unique_hash: 'abc' });
+  });
+
+  it('redireciona a página de sucesso antiga para a forma canônica', async () => {
+    db.getRecord.mockResolvedValueOnce({ ...expiredPurchase, slug: 'ana' });
+
+    const response = await request(app).get('/success/Ana-abc');
+
+    expect(response.status).toBe(301);
+    expect(response.headers.location).toBe('/success/ana-abc');
+  });
+
+  it('exibe a tela de renovação após o fim da carência', async () => {
+    db.getRecord.mockResolvedValueOnce(expiredPurchase);
+
+    const response = await request(app).get('/pages/ana-abc');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('Renovar e reativar a página');
+    expect(response.text).toContain('action="/pages/ana-abc/renew"');
+  });
+
+  it('inicia o checkout de renovação vinculado à compra existente', async () => {
+    db.getRecord.mockResolvedValueOnce(expiredPurchase);
+    mockStripeSessionCreate.mockResolvedValueOnce({ id: 'cs_renew', url: 'https://checkout.stripe.test/cs_renew' });
+    db.createRecord.mockResolvedValueOnce({ id: 1 });
+
+    const response = await request(app).post('/pages/ana-abc/renew');
+
+    expect(response.status).toBe(303);
+    expect(response.headers.location).toBe('https://checkout.stripe.test/cs_renew');
+    expect(mockStripeSessionCreate).toHaveBeenCalledWith(expect.objectContaining({
+      success_url: 'http://localhost:7500/pages/ana-abc?renovacao=sucesso',
+      metadata: expect.objectContaining({ type: 'renewal', purchaseId: '20' })
+    }));
+    expect(db.createRecord).toHaveBeenCalledWith('purchase_renewals', expect.objectContaining({
+      purchase_id: 20,
+      session_id: 'cs_renew',
+      amount_cents: 1990,
+      duration_months: 12
+    }));
+  });
+
+  it('recusa renovação de planos vitalícios', async () => {
+    db.getRecord.mockResolvedValueOnce({ ...expiredPurchase, plan_duration_months: null, expires_at: null });
+
+    const response = await request(app).post('/pages/ana-abc/renew');
+
+    expect(response.status).toBe(400);
+    expect(mockStripeSessionCreate).not.toHaveBeenCalled();
+  });
+});
+
+describe('Gerenciamento da página pelo dono', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const ownerToken = 'a'.repeat(64);
+  const ownedPurchase = {
+    id: 30,
+    couple_name: 'Ana & Beto',
+    display_name: null,
+    slug: 'ana-e-beto',
+    unique_hash: 'abc',
+    owner_token: ownerToken,
+    start_date: '2021-06-12',
+    payment_status: 'paid'
+  };
+
+  it('exibe o formulário de edição para o link secreto', async () => {
+    db.getRecord
+      .mockResolvedValueOnce(ownedPurchase)
+      .mockResolvedValueOnce({ id: 4, image_url: '/media/edit/processed-foto.jpg' });
+    db.queryRecords.mockResolvedValueOnce([{ id: 7, image_url: '/media/foto.jpg', position: 0, caption: 'Praia' }]);
+
+    const response = await request(app).get(`/manage/${ownerToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('value="2021-06-12"');
+    expect(response.text).toContain('name="caption_7" value="Praia"');
+    expect(response.text).toContain('href="/pages/ana-e-beto-abc"');
+    expect(db.getRecord).toHaveBeenCalledWith('purchases', { owner_token: ownerToken });
+  });
+
+  it('recusa tokens em formato inválido sem consultar o banco', async () => {
+    const response = await request(app).get('/manage/abc');
+
+    expect(response.status).toBe(404);
+    expect(db.getRecord).not.toHaveBeenCalled();
+  });
+
+  it('salva o nome exibido e a data sem alterar o endereço público', async () => {
+    db.getRecord.mockResolvedValueOnce(ownedPurchase);
+    db.queryRecords.mockResolvedValueOnce([]);
+
+    const response = await request(app)
+      .post(`/manage/${ownerToken}`)
+      .field('displayName', 'Ana e Beto')
+      .field('startDate', '2020-02-29');
+
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe(`/manage/${ownerToken}`);
+    expect(db.updateRecord).toHaveBeenCalledWith('purchases', {
+      display_name: 'Ana e Beto',
+      start_date: '2020-02-29'
+    }, 30);
+  });
+
+  it('rejeita datas inválidas', async () => {
+    db.getRecord.mockResolvedValueOnce(ownedPurchase);
+    db.queryRecords.mockResolvedValueOnce([]);
+
+    const response = await request(app)
+      .post(`/manage/${ownerToken}`)
+      .field('displayName', 'Ana e Beto')
+      .field('startDate', '2021-02-30');
+
+    expect(response.status).toBe(302);
+    expect(db.updateRecord).not.toHaveBeenCalled();
+  });
+
+  it('usa o nome exibido na página pública mantendo a URL canônica', async () => {
+    db.getRecord.mockResolvedValueOnce({ ...ownedPurchase, display_name: 'Ana e Beto', plan_duration_months: null });
+    db.queryRecords.mockResolvedValueOnce([]);
+
+    const response = await request(app).get('/pages/ana-e-beto-abc');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('Ana e Beto');
+  });
+
+  it('reordena e remove fotos da galeria, agendando de novo a capa com QR Code', async () => {
+    db.getRecord.mockResolvedValueOnce({ ...ownedPurchase, plan_max_photos: 5 });
+    db.createRecord.mockResolvedValueOnce({ id: 50 });
+    db.queryRecords.mockResolvedValueOnce([
+      { id: 1, image_url: '/media/a.jpg', position: 0, caption: null },
+      { id: 2, image_url: '/media/b.jpg', position: 1, caption: null },
+      { id: 3, image_url: '/media/c.jpg', position: 2, caption: null }
+    ]);
+
+    const response = await request(app)
+      .post(`/manage/${ownerToken}`)
+      .type('form')
+      .send('displayName=Ana&position_1=2&position_2=3&position_3=1&caption_3=Casamento&remove_2=on');
+
+    expect(response.status).toBe(302);
+    expect(db.deleteRecord).toHaveBeenCalledWith('images', 2);
+    expect(db.updateRecord).toHaveBeenCalledWith('images', { position: 0, caption: 'Casamento' }, 3);
+    expect(db.updateRecord).toHaveBeenCalledWith('images', { position: 1, caption: null }, 1);
+    expect(db.updateRecord).toHaveBeenCalledWith('purchases', { image_status: 'queued' }, 30);
+    expect(db.createRecord).toHaveBeenCalledWith('jobs', expect.objectContaining({
+      type: 'render_qr_image',
+      payload: JSON.stringify({ purchaseId: 30 }),
+      status: 'queued'
+    }));
+  });
+
+  it('exibe a galeria em slideshow na página pública', async () => {
+    db.getRecord.mockResolvedValueOnce({ ...ownedPurchase, plan_duration_months: null });
+    db.queryRecords.mockResolvedValueOnce([
+      { id: 1, image_url: '/media/a.jpg', position: 0, caption: 'Primeiro encontro' },
+      { id: 2, image_url: '/media/b.jpg', position: 1, caption: null }
+    ]);
+
+    const response = await request(app).get('/pages/ana-e-beto-abc');
+
+    expect(response.status).toBe(200);
+    expect(db.queryRecords).toHaveBeenCalledWith('images', 'WHERE purchase_id = 30 ORDER BY position ASC, id ASC');
+    expect(response.text).toContain('Primeiro encontro');
+    expect(response.text).toContain('data-gallery="next"');
+  });
+});
+
+describe('Portal de parceiros', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('exige login do parceiro, separado do login dos admins', async () => {
+    const response = await request(app).get('/parceiros');
+
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe('/parceiros/login');
+  });
+
+  it('responde 404 para links de acesso inválidos', async () => {
+    db.getRecord.mockResolvedValueOnce(null);
+
+    const response = await request(app).get(`/parceiros/acesso/${'b'.repeat(64)}`);
+
+    expect(response.status).toBe(404);
+    expect(response.text).toContain('link de acesso é inválido');
+  });
+
+  it('troca a sessão no login do parceiro e a encerra no logout', async () => {
+    const bcrypt = require('bcrypt');
+    const partner = { id: 2, email: 'parceiro@qrlove.com.br', status: 'ativo', password_hash: await bcrypt.hash('senha-segura', 4) };
+    const sessionCookie = response => (response.headers['set-cookie'] || []).find(cookie => cookie.startsWith('connect.sid='));
+    const agent = request.agent(app);
+    const loginPage = await agent.get('/parceiros/login');
+
+    db.executeQuery
+      .mockResolvedValueOnce([{ total: 0, last_failure_at: null }])
+      .mockResolvedValueOnce([{ total: 0, last_failure_at: null }])
+      .mockResolvedValueOnce([partner]);
+
+    const login = await agent.post('/parceiros/login').type('form').send({
+      _csrf: extractCsrfToken(loginPage.text),
+      email: partner.email,
+      password: 'senha-segura'
+    });
+
+    expect(login.headers.location).toBe('/parceiros');
+    expect(sessionCookie(login).split(';')[0]).not.toBe(sessionCookie(loginPage).split(';')[0]);
+    expect(db.executeQuery).toHaveBeenCalledWith('DELETE FROM partner_login_failures WHERE email = ?', [partner.email]);
+
+    db.executeQuery.mockResolvedValueOnce([{ total: 1 }]);
+    const dashboardLogin = await agent.get('/dashboard/login');
+    const logout = await agent.post('/parceiros/logout').type('form').send({ _csrf: extractCsrfToken(dashboardLogin.text) });
+
+    expect(logout.headers.location).toBe('/parceiros/login');
+    expect((await agent.get('/parceiros')).headers.location).toBe('/parceiros/login');
+  });
+
+  it('bloqueia o login do parceiro após muitas falhas sem verificar a senha', async () => {
+    const agent = request.agent(app);
+    const loginPage = await agent.get('/parceiros/login');
+
+    db.executeQuery
+      .mockResolvedValueOnce([{ total: 5, last_failure_at: new Date() }])
+      .mockResolvedValueOnce([{ total: 5, last_failure_at: new Date() }]);
+
+    const response = await agent.post('/parceiros/login').type('form').send({
+      _csrf: extractCsrfToken(loginPage.text),
+      email: 'parceiro@qrlove.com.br',
+      password: 'chute'
+    });
+
+    expect(response.headers.location).toBe('/parceiros/login');
+    expect(db.executeQuery).toHaveBeenCalledWith(expect.stringContaining('FROM partner_login_failures WHERE email = ?'), ['parceiro@qrlove.com.br', expect.any(Date)]);
+    expect(db.executeQuery).not.toHaveBeenCalledWith(expect.stringContaining('FROM partners'), expect.anything());
+    expect((await agent.get('/parceiros/login')).text).toContain('Muitas tentativas de acesso');
+  });
+});
+
+const extractCsrfToken = html => (html.match(/name="_csrf" value="([a-f0-9]+)"/) || [])[1];
+
+// Após o login a sessão é regenerada; a página de login do portal devolve o token CSRF da nova sessão
+const loginAsAdmin = async (admin, password) => {
+  const agent = request.agent(app);
+  db.executeQuery.mockResolvedValueOnce([{ total: 1 }]);
+  const loginPage = await agent.get('/dashboard/login');
+
+  const response = await agent.post('/dashboard/login').type('form').send({
+    _csrf: extractCsrfToken(loginPage.text),
+    email: admin.email,
+    password
+  });
+  const portalPage = await agent.get('/parceiros/login');
+
+  return { agent, response, csrfToken: extractCsrfToken(portalPage.text) };
+};
+
+describe('Dashboard com papéis de admin', () => {
+  const bcrypt = require('bcrypt');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.getRecord.mockReset();
+  });
+
+  it('leva ao cadastro do primeiro dono quando ainda não há admin com senha', async () => {
+    db.executeQuery.mockResolvedValueOnce([{ total: 0 }]);
+
+    const response = await request(app).get('/dashboard/login');
+
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe('/dashboard/setup');
+  });
+
+  it('só mostra o formulário de configuração inicial com o SETUP_TOKEN definido', async () => {
+    db.executeQuery.mockResolvedValueOnce([{ total: 0 }]);
+    const disabled = await request(app).get('/dashboard/setup');
+
+    expect(disabled.status).toBe(200);
+    expect(disabled.text).toContain('Defina SETUP_TOKEN no servidor');
+    expect(disabled.text).not.toContain('name="setupToken"');
+
+    process.env.SETUP_TOKEN = 'token-de-configuracao';
+    try {
+      db.executeQuery.mockResolvedValueOnce([{ total: 0 }]);
+      const enabled = await request(app).get('/dashboard/setup');
+
+      expect(enabled.text).toContain('name="setupToken"');
+    } finally {
+      delete process.env.SETUP_TOKEN;
+    }
+  });
+
+  it('recusa formulários do dashboard sem o token CSRF da sessão', async () => {
+    const response = await request(app).post('/dashboard/login').type('form').send({ email: 'dono@qrlove.com.br', password: 'senha-segura' });
+
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe('/dashboard');
+    expect(db.getRecord).not.toHaveBeenCalled();
+  });
+
+  it('bloqueia ações fora das permissões do papel', async () => {
+    const support = {
+      id: 3,
+      email: 'suporte@qrlove.com.br',
+      role: 'support',
+      active: 1,
+      password_hash: await bcrypt.hash('senha-segura', 4)
+    };
+    db.getRecord.mockResolvedValue(support);
+
+    const { agent, response: login, csrfToken } = await loginAsAdmin(support, 'senha-segura');
+    const response = await agent.post('/dashboard/partners/2/status').type('form').send({ _csrf: csrfToken, status: 'inativo' });
+
+    expect(login.headers.location).toBe('/dashboard');
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe('/dashboard');
+    expect(db.updateRecord).not.toHaveBeenCalledWith('partners', expect.anything(), 2);
+  });
+
+  it('bloqueia temporariamente o login após tentativas demais para a conta', async () => {
+    db.executeQuery
+      .mockResolvedValueOnce([{ total: 5, last_failure_at: new Date() }])
+      .mockResolvedValueOnce([{ total: 5, last_failure_at: new Date() }]);
+
+    const { response } = await loginAsAdmin({ email: 'dono@qrlove.com.br' }, 'qualquer-senha');
+
+    expect(response.headers.location).toBe('/dashboard/login');
+    expect(db.getRecord).not.toHaveBeenCalled();
+    expect(db.createRecord).not.toHaveBeenCalled();
+  });
+
+  it('pede o código de verificação quando o admin ativou as duas etapas', async () => {
+    const owner = {
+      id: 1,
+      email: 'dono@qrlove.com.br',
+      role: 'owner',
+      active: 1,
+      password_hash: await bcrypt.hash('senha-segura', 4),
+      totp_secret: 'JBSWY3DPEHPK3PXP',
+      totp_enabled_at: new Date()
+    };
+    db.getRecord.mockResolvedValue(owner);
+
+    const { agent, response } = await loginAsAdmin(owner, 'senha-segura');
+    const dashboard = await agent.get('/dashboard');
+
+    expect(response.headers.location).toBe('/dashboard/login/2fa');
+    expect(dashboard.headers.location).toBe('/dashboard/login');
+  });
+
+  it('remove cupons de forma lógica e audita quem removeu', async () => {
+    const owner = {
+      id: 1,
+      email: 'dono@qrlove.com.br',
+      role: 'owner',
+      active: 1,
+      password_hash: await bcrypt.hash('senha-segura', 4)
+    };
+    db.getRecord.mockImplementation(async table => (table === 'admins' ? owner : { id: 7, code: 'FLOR10', deleted_at: null }));
+
+    const { agent, csrfToken } = await loginAsAdmin(owner, 'senha-segura');
+    db.executeQuery.mockResolvedValueOnce({ affectedRows: 1 });
+    const response = await agent.post('/dashboard/coupons/7/delete').type('form').send({ _csrf: csrfToken });
+
+    expect(response.headers.location).toBe('/dashboard');
+    expect(db.deleteRecord).not.toHaveBeenCalled();
+    expect(db.executeQuery).toHaveBeenCalledWith(expect.stringContaining('UPDATE coupons SET deleted_at = ?'), [expect.any(Date), 1, 7]);
+    expect(db.createRecord).toHaveBeenCalledWith('audit_logs', expect.objectContaining({
+      admin_id: 1,
+      admin_email: 'dono@qrlove.com.br',
+      action: 'delete',
+      entity_type: 'coupon',
+      entity_id: 7
+    }));
+  });
+
+  it('deixa o suporte tirar páginas do ar e o financeiro apenas consultar compras', async () => {
+    const support = {
+      id: 3,
+      email: 'suporte@qrlove.com.br',
+      role: 'support',
+      active: 1,
+      password_hash: await bcrypt.hash('senha-segura', 4)
+    };
+    db.getRecord.mockImplementation(async table => (table === 'admins' ? support : { id: 14, payment_status: 'paid', unpublished_at: null }));
+
+    const { agent, csrfToken } = await loginAsAdmin(support, 'senha-segura');
+    db.executeQuery.mockResolvedValueOnce({ affectedRows: 1 });
+    const response = await agent.post('/dashboard/purchases/14/publication').type('form').send({ _csrf: csrfToken, published: '0' });
+
+    expect(response.headers.location).toBe('/dashboard/purchases/14');
+    expect(db.executeQuery).toHaveBeenCalledWith(expect.stringContaining('SET unpublished_at = ?'), [expect.any(Date), 3, 14]);
+    expect(db.createRecord).toHaveBeenCalledWith('audit_logs', expect.objectContaining({ action: 'unpublish', admin_id: 3, entity_id: 14 }));
+
+    const finance = { ...support, id: 4, email: 'financeiro@qrlove.com.br', role: 'finance' };
+    db.getRecord.mockImplementation(async table => (table === 'admins' ? finance : { id: 14, payment_status: 'paid', unpublished_at: null }));
+    db.executeQuery.mockClear();
+
+    const financeSession = await loginAsAdmin(finance, 'senha-segura');
+    db.executeQuery
+      .mockResolvedValueOnce([{ total: 1 }])
+      .mockResolvedValueOnce([{ id: 14, couple_name: 'Ana', payment_status: 'paid', plan_id: 1 }]);
+    const list = await financeSession.agent.get('/dashboard/purchases?busca=Ana');
+    const blocked = await financeSession.agent.post('/dashboard/purchases/14/publication').type('form').send({ _csrf: financeSession.csrfToken, published: '0' });
+
+    expect(list.status).toBe(200);
+    expect(list.text).toContain('href="/dashboard/purchases/14"');
+    expect(blocked.headers.location).toBe('/dashboard');
+    expect(db.executeQuery).not.toHaveBeenCalledWith(expect.stringContaining('SET unpublished_at'), expect.anything());
+  });
+
+  it('não mostra valores pagos nem reembolsados ao suporte', async () => {
+    const support = {
+      id: 3,
+      email: 'suporte@qrlove.com.br',
+      role: 'support',
+      active: 1,
+      password_hash: await bcrypt.hash('senha-segura', 4)
+    };
+    const paidPurchase = {
+      id: 14,
+      couple_name: 'Ana',
+      plan_id: 1,
+      plan_name: 'Anual',
+      plan_price_cents: 4990,
+      payment_status: 'paid',
+      session_id: 'cs_14',
+      payment_intent_id: 'pi_14',
+      paid_at: new Date('2026-03-10T12:00:00Z'),
+      amount_paid_cents: 4990,
+      refunded_amount_cents: 1000,
+      created_at: new Date('2026-03-10T12:00:00Z')
+    };
+    db.getRecord.mockImplementation(async table => {
+      if (table === 'admins') {
+        return support;
+      }
+      return table === 'purchases' ? paidPurchase : null;
+    });
+    db.queryRecords.mockImplementation(async table => (table === 'purchases' ? [paidPurchase] : []));
+
+    const { agent } = await loginAsAdmin(support, 'senha-segura');
+    db.executeQuery.mockResolvedValue([]);
+    const dashboard = await agent.get('/dashboard');
+    db.executeQuery
+      .mockResolvedValueOnce([{ total: 1 }])
+      .mockResolvedValueOnce([paidPurchase]);
+    const list = await agent.get('/dashboard/purchases');
+    db.executeQuery.mockResolvedValue([{ id: 50, code: 'AMOR10', discount_cents: 499, status: 'redeemed' }]);
+    const detail = await agent.get('/dashboard/purchases/14');
+    db.queryRecords.mockReset();
+    db.executeQuery.mockReset();
+    db.executeQuery.mockResolvedValue([]);
+
+    [dashboard, list, detail].forEach(page => {
+      expect(page.status).toBe(200);
+      expect(page.text).not.toMatch(/R\$\s?\d/);
+    });
+    expect(dashboard.text).not.toContain('id="reembolsos"');
+    expect(detail.text).toContain('AMOR10');
+  });
+
+  it('restringe a auditoria aos papéis com acesso', async () => {
+    const support = {
+      id: 3,
+      email: 'suporte@qrlove.com.br',
+      role: 'support',
+      active: 1,
+      password_hash: await bcrypt.hash('senha-segura', 4)
+    };
+    db.getRecord.mockResolvedValue(support);
+
+    const { agent } = await loginAsAdmin(support, 'senha-segura');
+    const response = await agent.get('/dashboard/auditoria');
+
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe('/dashboard');
+  });
+
+  it('exporta os lançamentos do período em CSV apenas para o financeiro', async () => {
+    const finance = {
+      id: 4,
+      email: 'financeiro@qrlove.com.br',
+      role: 'finance',
+      active: 1,
+      password_hash: await bcrypt.hash('senha-segura', 4)
+    };
+    db.getRecord.mockResolvedValue(finance);
+
+    const { agent } = await loginAsAdmin(finance, 'senha-segura');
+    db.executeQuery.mockResolvedValueOnce([
+      { id: 1, occurred_at: '2026-02-03', transaction_type: 'entrada', category: 'venda', amount: '49.90', description: 'Venda; plano anual', reference: 'cs_1', purchase_id: 14 }
+    ]);
+    const response = await agent.get('/dashboard/reports/ledger.csv?inicio=2026-02-01&fim=2026-02-28&categoria=venda');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/csv');
+    expect(response.headers['content-disposition']).toContain('lancamentos-2026-02-01-a-2026-02-28.csv');
+    expect(response.text).toContain('2026-02-03;entrada;Vendas;49,90;"Venda; plano anual";cs_1;14;1');
+    expect(db.executeQuery).toHaveBeenCalledWith(
+      expect.stringContaining('deleted_at IS NULL AND occurred_at BETWEEN ? AND ? AND category = ?'),
+      ['2026-02-01', '2026-02-28', 'venda']
+    );
+
+    const support = { ...finance, id: 3, email: 'suporte@qrlove.com.br', role: 'support' };
+    db.getRecord.mockResolvedValue(support);
+    const supportSession = await loginAsAdmin(support, 'senha-segura');
+    const blocked = await supportSession.agent.get('/dashboard/reports/ledger.csv');
+
+    expect(blocked.status).toBe(302);
+    expect(blocked.headers.location).toBe('/dashboard');
+  });
+
+  it('registra só as taxas do Stripe escolhidas, recalculadas a partir da API', async () => {
+    const finance = {
+      id: 4,
+      email: 'financeiro@qrlove.com.br',
+      role: 'finance',
+      active: 1,
+      password_hash: await bcrypt.hash('senha-segura', 4)
+    };
+    db.getRecord.mockResolvedValue(finance);
+    mockStripeBalanceTransactionsList.mockResolvedValue({
+      data: [{ id: 'txn_1', reporting_category: 'fee', amount: -1990, fee: 0, net: -1990, created: Date.UTC(2026, 9, 5) / 1000, description: 'Mensalidade' }],
+      has_more: false
+    });
+
+    const { agent, csrfToken } = await loginAsAdmin(finance, 'senha-segura');
+    const page = await agent.get('/dashboard/reconciliation?inicio=2026-10-01&fim=2026-10-15');
+    db.createRecord.mockResolvedValueOnce({ id: 41 });
+    const response = await agent.post('/dashboard/reconciliation').type('form').send({
+      _csrf: csrfToken,
+      inicio: '2026-10-01',
+      fim: '2026-10-15',
+      keys: ['saida|stripe_fee:txn_1', 'entrada|forjado']
+    });
+
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('value="saida|stripe_fee:txn_1"');
+    expect(response.headers.location).toBe('/dashboard/reconciliation?inicio=2026-10-01&fim=2026-10-15');
+    expect(db.createRecord).toHaveBeenCalledWith('financial_transactions', expect.objectContaining({
+      transaction_type: 'saida',
+      category: 'taxa_stripe',
+      amount: 19.9,
+      reference: 'stripe_fee:txn_1'
+    }));
+    expect(db.createRecord.mock.calls.filter(([table]) => table === 'financial_transactions')).toHaveLength(1);
+    expect(db.createRecord).toHaveBeenCalledWith('audit_logs', expect.objectContaining({ action: 'reconcile', entity_id: 41 }));
+  });
+
+  it('importa lançamentos de uma planilha enviada com o token do formulário', async () => {
+    const finance = {
+      id: 4,
+      email: 'financeiro@qrlove.com.br',
+      role: 'finance',
+      active: 1,
+      password_hash: await bcrypt.hash('senha-segura', 4)
+    };
+    db.getRecord.mockResolvedValue(finance);
+    const csv = Buffer.from('Data;Tipo;Valor;Descrição\r\n01/10/2026;saída;1.250,00;Aluguel de estúdio\r\n', 'latin1');
+
+    const { agent, csrfToken } = await loginAsAdmin(finance, 'senha-segura');
+    const forged = await agent.post('/dashboard/transactions/import').attach('file', csv, 'lancamentos.csv');
+    const response = await agent.post('/dashboard/transactions/import')
+      .field('_csrf', csrfToken)
+      .attach('file', csv, 'lancamentos.csv');
+
+    expect(forged.headers.location).toBe('/dashboard');
+    expect(response.status).toBe(302);
+    expect(db.createRecords).toHaveBeenCalledTimes(1);
+    expect(db.createRecords).toHaveBeenCalledWith('financial_transactions', [expect.objectContaining({
+      transaction_type: 'saida',
+      amount: 1250,
+      description: 'Aluguel de estúdio',
+      occurred_at: '2026-10-01'
+    })]);
+  });
+
+  it('recusa planilhas enviadas sem login antes de receber o arquivo', async () => {
+    const csv = Buffer.from('Data;Tipo;Valor;Descrição\r\n01/10/2026;saída;1.250,00;Aluguel de estúdio\r\n', 'latin1');
+
+    const response = await request(app).post('/dashboard/coupons/import').attach('file', csv, 'cupons.csv');
+
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe('/dashboard/login');
+    expect(db.createRecords).not.toHaveBeenCalled();
+  });
 });
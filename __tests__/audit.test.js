@@ -0,0 +1,139 @@
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('../db', () => ({
+  createRecord: jest.fn(),
+  getRecord: jest.fn(),
+  updateRecord: jest.fn(),
+  executeQuery: jest.fn()
+}));
+
+const db = require('../db');
+const logger = require('../logger');
+const audit = require('../audit');
+
+const context = { adminId: 1, adminEmail: 'dono@qrlove.com.br', requestId: 'req-1', ip: '10.0.0.1' };
+
+describe('audit registro', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.createRecord.mockReset();
+    db.getRecord.mockReset();
+    db.executeQuery.mockReset();
+  });
+
+  it('grava quem, o quê, antes e depois sem credenciais', async () => {
+    db.createRecord.mockResolvedValueOnce({ id: 9 });
+
+    await audit.recordAudit(context, {
+      action: 'update',
+      entityType: 'admin',
+      entityId: 2,
+      before: { role: 'support', password_hash: 'hash' },
+      after: { role: 'finance', password_hash: 'hash', totp_secret: 'SEGREDO' }
+    });
+
+    expect(db.createRecord).toHaveBeenCalledWith('audit_logs', {
+      admin_id: 1,
+      admin_email: 'dono@qrlove.com.br',
+      action: 'update',
+      entity_type: 'admin',
+      entity_id: 2,
+      before_data: JSON.stringify({ role: 'support' }),
+      after_data: JSON.stringify({ role: 'finance' }),
+      request_id: 'req-1',
+      ip_address: '10.0.0.1'
+    });
+  });
+
+  it('não desfaz a ação quando a auditoria falha', async () => {
+    db.createRecord.mockRejectedValueOnce(new Error('falha'));
+
+    expect(await audit.recordAudit(context, { action: 'create', entityType: 'coupon', entityId: 3 })).toBeNull();
+    expect(logger.error).toHaveBeenCalledWith('Erro ao gravar auditoria.', expect.objectContaining({ entityType: 'coupon' }));
+  });
+
+  it('atualiza o registro e audita o antes e o depois', async () => {
+    const partner = { id: 2, name: 'Floricultura', status: 'ativo' };
+
+    const after = await audit.updateWithAudit(context, 'partner', partner, { status: 'inativo' });
+
+    expect(db.updateRecord).toHaveBeenCalledWith('partners', { status: 'inativo' }, 2);
+    expect(after.status).toBe('inativo');
+    const [, entry] = db.createRecord.mock.calls[0];
+    expect(audit.describeChanges(JSON.parse(entry.before_data), JSON.parse(entry.after_data))).toEqual([
+      { field: 'status', before: 'ativo', after: 'inativo' }
+    ]);
+  });
+});
+
+describe('audit remoção lógica', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.createRecord.mockReset();
+    db.getRecord.mockReset();
+    db.executeQuery.mockReset();
+  });
+
+  it('marca a remoção em vez de apagar e audita o registro removido', async () => {
+    db.getRecord.mockResolvedValueOnce({ id: 5, amount: '120.00', deleted_at: null });
+    db.executeQuery.mockResolvedValueOnce({ affectedRows: 1 });
+
+    const result = await audit.softDelete(context, 'financial_transaction', 5);
+
+    expect(result.data.deleted_at).toEqual(expect.any(Date));
+    expect(db.executeQuery).toHaveBeenCalledWith(
+      'UPDATE financial_transactions SET deleted_at = ?, deleted_by = ? WHERE id = ? AND deleted_at IS NULL',
+      [expect.any(Date), 1, 5]
+    );
+    expect(db.createRecord).toHaveBeenCalledWith('audit_logs', expect.objectContaining({ action: 'delete', entity_type: 'financial_transaction', entity_id: 5 }));
+  });
+
+  it('não remove registros inexistentes ou já removidos', async () => {
+    db.getRecord.mockResolvedValueOnce({ id: 5, deleted_at: new Date() });
+    expect((await audit.softDelete(context, 'coupon', 5)).error).toBe('Cupom não encontrado.');
+
+    db.getRecord.mockResolvedValueOnce({ id: 5, deleted_at: null });
+    db.executeQuery.mockResolvedValueOnce({ affectedRows: 0 });
+    expect((await audit.softDelete(context, 'coupon', 5)).error).toBe('Cupom já foi removido.');
+    expect(db.createRecord).not.toHaveBeenCalled();
+  });
+
+  it('restaura apenas a partir de remoções e uma única vez', async () => {
+    const entry = { id: 30, action: 'delete', entity_type: 'partner', entity_id: 2 };
+
+    expect((await audit.restoreDeleted(context, { ...entry, action: 'update' })).error).toContain('não pode ser restaurada');
+    expect(audit.getRestorePermission(entry)).toBe('catalog');
+    expect(audit.getRestorePermission({ entity_type: 'financial_transaction' })).toBe('finance');
+
+    db.executeQuery.mockResolvedValueOnce({ affectedRows: 1 });
+    db.getRecord.mockResolvedValueOnce({ id: 2, name: 'Floricultura', deleted_at: null });
+    expect((await audit.restoreDeleted(context, entry)).data.id).toBe(2);
+    expect(db.executeQuery.mock.calls[0][0]).toContain('SET deleted_at = NULL');
+    expect(db.createRecord).toHaveBeenCalledWith('audit_logs', expect.objectContaining({ action: 'restore', entity_type: 'partner', entity_id: 2 }));
+
+    db.executeQuery.mockResolvedValueOnce({ affectedRows: 0 });
+    expect((await audit.restoreDeleted(context, entry)).error).toContain('já foi restaurado');
+  });
+
+  it('filtra a trilha e indica as remoções que ainda podem ser restauradas', async () => {
+    db.executeQuery
+      .mockResolvedValueOnce([
+        { id: 2, action: 'delete', entity_type: 'coupon', entity_id: 7, before_data: '{"code":"FLOR10"}', after_data: null },
+        { id: 1, action: 'delete', entity_type: 'coupon', entity_id: 8, before_data: { code: 'FLOR20' }, after_data: null }
+      ])
+      .mockResolvedValueOnce([{ id: 7 }]);
+
+    const entries = await audit.loadAuditLog({ entityType: 'coupon', action: 'delete', adminId: '1', start: '2026-03-01', end: 'ontem' });
+
+    const [sql, params] = db.executeQuery.mock.calls[0];
+    expect(sql).toContain('WHERE entity_type = ? AND action = ? AND admin_id = ? AND created_at >= ?');
+    expect(sql).not.toContain('DATE_ADD');
+    expect(params).toEqual(['coupon', 'delete', 1, '2026-03-01']);
+    expect(db.executeQuery.mock.calls[1][1]).toEqual([[7, 8]]);
+    expect(entries.map(entry => [entry.entity_id, entry.restorable, entry.changes[0].before])).toEqual([[7, true, 'FLOR10'], [8, false, 'FLOR20']]);
+  });
+});
@@ -0,0 +1,196 @@
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('../db', () => ({
+  createRecord: jest.fn(),
+  updateRecord: jest.fn(),
+  updateRecords: jest.fn(),
+  deleteRecord: jest.fn(),
+  executeQuery: jest.fn(),
+  withTransaction: jest.fn(callback => callback())
+}));
+
+const db = require('../db');
+const commissions = require('../commissions');
+
+const purchase = { id: 3, couple_name: 'Ana & Beto' };
+
+describe('commissions lançamentos', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.executeQuery.mockReset();
+    db.createRecord.mockReset();
+    db.updateRecords.mockReset();
+  });
+
+  it('calcula comissão percentual ou fixa sem passar do valor da venda', () => {
+    expect(commissions.computeCommission({ commission_type: 'percentual', commission_value: '12.50' }, 1791)).toBe(224);
+    expect(commissions.computeCommission({ commission_type: 'valor_fixo', commission_value: '5.00' }, 1791)).toBe(500);
+    expect(commissions.computeCommission({ commission_type: 'valor_fixo', commission_value: '30.00' }, 1791)).toBe(1791);
+    expect(commissions.computeCommission({ commission_type: null, commission_value: null }, 1791)).toBe(0);
+  });
+
+  it('lança uma comissão por parceiro dos cupons usados na compra', async () => {
+    db.executeQuery.mockResolvedValueOnce([
+      { coupon_id: 7, partner_id: 2, commission_type: 'percentual', commission_value: '10.00' },
+      { coupon_id: 8, partner_id: 2, commission_type: 'percentual', commission_value: '10.00' },
+      { coupon_id: 9, partner_id: 4, commission_type: null, commission_value: null }
+    ]);
+    db.createRecord.mockResolvedValue({ id: 1 });
+
+    const recorded = await commissions.recordPurchaseCommissions({ metadata: { couponIds: '7,8,9' } }, purchase, 1791);
+
+    expect(recorded).toBe(1);
+    expect(db.executeQuery).toHaveBeenCalledWith(expect.stringContaining('WHERE c.id IN (?)'), [[7, 8, 9]]);
+    expect(db.createRecord).toHaveBeenCalledWith('partner_commissions', expect.objectContaining({
+      partner_id: 2,
+      purchase_id: 3,
+      coupon_id: 7,
+      entry_type: 'commission',
+      sale_amount_cents: 1791,
+      commission_cents: 179,
+      status: 'pending'
+    }));
+  });
+
+  it('ignora compras sem cupom e lançamentos repetidos', async () => {
+    expect(await commissions.recordPurchaseCommissions({ metadata: {} }, purchase, 1791)).toBe(0);
+    expect(db.executeQuery).not.toHaveBeenCalled();
+
+    db.executeQuery.mockResolvedValueOnce([{ coupon_id: 7, partner_id: 2, commission_type: 'valor_fixo', commission_value: '5.00' }]);
+    db.createRecord.mockRejectedValueOnce(Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }));
+
+    expect(await commissions.recordPurchaseCommissions({ metadata: { couponId: '7' } }, purchase, 1791)).toBe(0);
+  });
+
+  it('cancela comissões pendentes e estorna as já repassadas no reembolso total', async () => {
+    db.executeQuery.mockResolvedValueOnce([
+      { id: 10, partner_id: 2, purchase_id: 3, coupon_id: 7, sale_amount_cents: 1791, commission_cents: 179, status: 'pending' },
+      { id: 11, partner_id: 4, purchase_id: 3, coupon_id: 8, sale_amount_cents: 1791, commission_cents: 500, status: 'paid' }
+    ]);
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 1 });
+    db.createRecord.mockResolvedValueOnce({ id: 12 });
+
+    const reversed = await commissions.reversePurchaseCommissions(purchase);
+
+    expect(reversed).toBe(2);
+    expect(db.updateRecords).toHaveBeenCalledWith('partner_commissions', { status: 'reversed' }, { id: 10, status: 'pending' });
+    expect(db.createRecord).toHaveBeenCalledWith('partner_commissions', expect.objectContaining({
+      partner_id: 4,
+      entry_type: 'reversal',
+      sale_amount_cents: -1791,
+      commission_cents: -500,
+      status: 'pending'
+    }));
+  });
+});
+
+describe('commissions repasses', () => {
+  const partner = { id: 2, name: 'Floricultura Encantos' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.executeQuery.mockReset();
+    db.createRecord.mockReset();
+  });
+
+  it('quita o saldo pendente e lança a saída com referência ao repasse', async () => {
+    db.createRecord
+      .mockResolvedValueOnce({ id: 20, partner_id: 2, amount_cents: 0, period_end: '2024-06-30' })
+      .mockResolvedValueOnce({ id: 90 });
+    db.executeQuery
+      .mockResolvedValueOnce({ affectedRows: 3 })
+      .mockResolvedValueOnce([{ amount_cents: '1250' }]);
+
+    const result = await commissions.payOutPartner(partner, { periodEnd: '2024-06-30' });
+
+    expect(db.executeQuery.mock.calls[0][0]).toContain('earned_at < DATE_ADD(?, INTERVAL 1 DAY)');
+    expect(db.executeQuery.mock.calls[0][1]).toEqual(['paid', 20, 2, 'pending', '2024-06-30']);
+    expect(db.createRecord).toHaveBeenLastCalledWith('financial_transactions', expect.objectContaining({
+      transaction_type: 'saida',
+      amount: 12.5,
+      reference: 'partner_payout:20'
+    }));
+    expect(db.updateRecord).toHaveBeenCalledWith('partner_payouts', expect.objectContaining({
+      amount_cents: 1250,
+      financial_transaction_id: 90
+    }), 20);
+    expect(result.data.amount_cents).toBe(1250);
+  });
+
+  it('grava o repasse inteiro numa única transação e propaga a falha para desfazê-la', async () => {
+    let inTransaction = false;
+    const calledOutside = jest.fn();
+    db.withTransaction.mockImplementationOnce(async callback => {
+      inTransaction = true;
+      try {
+        return await callback();
+      } finally {
+        inTransaction = false;
+      }
+    });
+    db.createRecord
+      .mockImplementationOnce(async () => (inTransaction ? { id: 22, partner_id: 2 } : calledOutside()))
+      .mockRejectedValueOnce(new Error('falha no financeiro'));
+    db.executeQuery.mockImplementation(async sql => {
+      if (!inTransaction) {
+        calledOutside(sql);
+      }
+      return sql.startsWith('SELECT') ? [{ amount_cents: '800' }] : { affectedRows: 2 };
+    });
+
+    await expect(commissions.payOutPartner(partner)).rejects.toThrow('falha no financeiro');
+
+    expect(db.withTransaction).toHaveBeenCalledTimes(1);
+    expect(calledOutside).not.toHaveBeenCalled();
+    expect(db.updateRecord).not.toHaveBeenCalled();
+  });
+
+  it('desfaz o repasse quando não há saldo positivo', async () => {
+    db.createRecord.mockResolvedValueOnce({ id: 21, partner_id: 2 });
+    db.executeQuery
+      .mockResolvedValueOnce({ affectedRows: 1 })
+      .mockResolvedValueOnce([{ amount_cents: '-500' }])
+      .mockResolvedValueOnce({ affectedRows: 1 });
+
+    const result = await commissions.payOutPartner(partner);
+
+    expect(result.error).toContain('Não há saldo');
+    expect(db.executeQuery).toHaveBeenLastCalledWith(expect.stringContaining('payout_id = NULL'), ['pending', 21]);
+    expect(db.deleteRecord).toHaveBeenCalledWith('partner_payouts', 21);
+    expect(db.createRecord).toHaveBeenCalledTimes(1);
+  });
+
+  it('resume o extrato do período', async () => {
+    db.executeQuery
+      .mockResolvedValueOnce([
+        { entry_type: 'commission', status: 'paid', sale_amount_cents: 2000, commission_cents: 200 },
+        { entry_type: 'commission', status: 'reversed', sale_amount_cents: 1000, commission_cents: 100 },
+        { entry_type: 'reversal', status: 'pending', sale_amount_cents: -2000, commission_cents: -200 }
+      ])
+      .mockResolvedValueOnce([{ id: 20, amount_cents: 200 }])
+      .mockResolvedValueOnce([{ partner_id: 2, balance_cents: '-200' }]);
+
+    const statement = await commissions.loadPartnerStatement(2, { start: '2024-06-01', end: '2024-06-30' });
+
+    expect(db.executeQuery.mock.calls[0][1]).toEqual([2, '2024-06-01', '2024-06-30']);
+    expect(statement.summary).toEqual({
+      sales: 1,
+      salesCents: 2000,
+      earnedCents: 200,
+      reversedCents: 300,
+      paidOutCents: 200,
+      balanceCents: -200
+    });
+  });
+
+  it('valida a comissão informada no cadastro do parceiro', () => {
+    expect(commissions.parseCommissionForm({ commissionType: 'percentual', commissionValue: '' }).data).toEqual({ commission_type: null, commission_value: null });
+    expect(commissions.parseCommissionForm({ commissionType: 'percentual', commissionValue: '120' }).error).toContain('até 100%');
+    expect(commissions.parseCommissionForm({ commissionType: 'outro', commissionValue: '5' }).error).toBe('Tipo de comissão inválido.');
+    expect(commissions.parseCommissionForm({ commissionType: 'valor_fixo', commissionValue: '7,5' }).data).toEqual({ commission_type: 'valor_fixo', commission_value: 7.5 });
+  });
+});
@@ -0,0 +1,348 @@
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('../db', () => ({
+  createRecord: jest.fn(),
+  createRecords: jest.fn(),
+  deleteRecord: jest.fn(),
+  getRecord: jest.fn(),
+  updateRecords: jest.fn(),
+  executeQuery: jest.fn(),
+  withTransaction: jest.fn(callback => callback())
+}));
+
+const db = require('../db');
+const coupons = require('../coupons');
+
+const plan = { id: 1, name: 'Anual', price_cents: 2000, currency: 'brl' };
+const now = new Date('2024-06-15T12:00:00Z');
+
+const buildCoupon = overrides => ({
+  id: 7,
+  code: 'AMOR10',
+  discount_type: 'percentual',
+  discount_value: '10.00',
+  usage_limit: null,
+  used_count: 0,
+  start_date: null,
+  end_date: null,
+  active: 1,
+  allowed_plan_ids: null,
+  min_order_cents: null,
+  one_per_customer: 0,
+  first_purchase_only: 0,
+  stackable: 0,
+  ...overrides
+});
+
+describe('coupons regras', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('normaliza os códigos digitados no checkout', () => {
+    expect(coupons.normalizeCodes(' amor10, frete ;amor10 ')).toEqual(['AMOR10', 'FRETE']);
+    expect(coupons.normalizeCodes(undefined)).toEqual([]);
+  });
+
+  it('valida validade, limite, planos aceitos, pedido mínimo e e-mail', () => {
+    expect(coupons.checkCouponRules(buildCoupon({ active: 0 }), { plan, now })).toBe(coupons.INVALID_COUPON_MESSAGE);
+    expect(coupons.checkCouponRules(buildCoupon({ end_date: '2024-06-14' }), { plan, now })).toBe(coupons.INVALID_COUPON_MESSAGE);
+    expect(coupons.checkCouponRules(buildCoupon({ end_date: '2024-06-15' }), { plan, now })).toBeNull();
+    expect(coupons.checkCouponRules(buildCoupon({ usage_limit: 3, used_count: 3 }), { plan, now })).toBe(coupons.INVALID_COUPON_MESSAGE);
+    expect(coupons.checkCouponRules(buildCoupon({ allowed_plan_ids: '[2]' }), { plan, now })).toContain('não vale para o plano Anual');
+    expect(coupons.checkCouponRules(buildCoupon({ min_order_cents: 3000 }), { plan, now })).toContain('pedido mínimo de R$');
+    expect(coupons.checkCouponRules(buildCoupon({ one_per_customer: 1 }), { plan, now })).toContain('Informe seu e-mail');
+    expect(coupons.checkCouponRules(buildCoupon({ one_per_customer: 1 }), { plan, customerEmail: 'ana@exemplo.com', now })).toBeNull();
+  });
+
+  it('combina cupons combináveis aplicando cada desconto sobre o valor restante', async () => {
+    const result = await coupons.evaluateCoupons([
+      buildCoupon({ stackable: 1 }),
+      buildCoupon({ id: 8, code: 'MENOS5', discount_type: 'valor_fixo', discount_value: '5.00', stackable: 1 })
+    ], { plan, now });
+
+    expect(result.data.discounts.map(discount => discount.discountCents)).toEqual([200, 500]);
+    expect(result.data.amountCents).toBe(1300);
+    expect(result.data.discountCents).toBe(700);
+    expect(result.data.allowPromotionCodes).toBe(true);
+  });
+
+  it('recusa combinar cupons não combináveis e descontos maiores que o plano', async () => {
+    const stacked = await coupons.evaluateCoupons([buildCoupon(), buildCoupon({ id: 8, code: 'OUTRO', stackable: 1 })], { plan, now });
+    expect(stacked.error).toContain('não podem ser combinados');
+
+    const excessive = await coupons.evaluateCoupons([buildCoupon({ discount_type: 'valor_fixo', discount_value: '20.00' })], { plan, now });
+    expect(excessive.error).toContain('excede o valor do plano');
+  });
+
+  it('consulta o histórico do cliente para uso único e primeira compra', async () => {
+    db.executeQuery.mockResolvedValueOnce([{ id: 1 }]);
+    const used = await coupons.evaluateCoupons([buildCoupon({ one_per_customer: 1 })], { plan, customerEmail: 'Ana@Exemplo.com', now });
+
+    expect(used.error).toContain('já foi usado com este e-mail');
+    expect(db.executeQuery).toHaveBeenCalledWith(expect.stringContaining('customer_key = ?'), [7, 'ana@exemplo.com']);
+
+    db.executeQuery.mockResolvedValueOnce([{ id: 3 }]);
+    const repeatCustomer = await coupons.evaluateCoupons([buildCoupon({ first_purchase_only: 1 })], { plan, customerEmail: 'ana@exemplo.com', now });
+
+    expect(repeatCustomer.error).toContain('primeira compra');
+  });
+
+  it('estima o desconto das promoções do Stripe quando o cupom vem expandido', () => {
+    expect(coupons.estimatePromotionCodeDiscount({ coupon: { percent_off: 25 } }, plan)).toBe(500);
+    expect(coupons.estimatePromotionCodeDiscount({ coupon: { amount_off: 300, currency: 'brl' } }, plan)).toBe(300);
+    expect(coupons.estimatePromotionCodeDiscount({ coupon: { amount_off: 300, currency: 'usd' } }, plan)).toBeNull();
+    expect(coupons.estimatePromotionCodeDiscount({ coupon: 'co_123' }, plan)).toBeNull();
+  });
+
+  it('valida o formulário do dashboard', () => {
+    expect(coupons.parseCouponForm({ code: 'x', discountType: 'percentual', discountValue: '10' }, [1]).error).toContain('letras, números');
+    expect(coupons.parseCouponForm({ code: 'AMOR', discountType: 'percentual', discountValue: '100' }, [1]).error).toContain('menor que 100%');
+    expect(coupons.parseCouponForm({ code: 'AMOR', discountType: 'percentual', discountValue: '10', allowedPlans: '9' }, [1]).error).toBe('Plano inválido para o cupom.');
+
+    expect(coupons.parseCouponForm({
+      code: ' amor ',
+      discountType: 'valor_fixo',
+      discountValue: '5',
+      minOrder: '19.90',
+      allowedPlans: ['1', '2'],
+      onePerCustomer: 'on',
+      stackable: 'on',
+      active: 'on'
+    }, [1, 2]).data).toEqual(expect.objectContaining({
+      code: 'AMOR',
+      discount_type: 'valor_fixo',
+      allowed_plan_ids: '[1,2]',
+      min_order_cents: 1990,
+      one_per_customer: 1,
+      first_purchase_only: 0,
+      stackable: 1,
+      active: 1
+    }));
+  });
+});
+
+describe('coupons reservas', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.executeQuery.mockReset();
+    db.createRecord.mockReset();
+    db.updateRecords.mockReset();
+  });
+
+  it('reserva o uso com incremento condicional e grava a reserva', async () => {
+    db.executeQuery.mockResolvedValueOnce({ affectedRows: 1 });
+    db.createRecord.mockImplementationOnce(async (table, data) => ({ id: 50, ...data }));
+
+    const result = await coupons.reserveCoupons([{ coupon: buildCoupon({ one_per_customer: 1 }), discountCents: 200 }], { customerEmail: 'Ana@Exemplo.com' });
+
+    expect(db.executeQuery).toHaveBeenCalledWith(expect.stringContaining('used_count < usage_limit'), [7]);
+    expect(db.createRecord).toHaveBeenCalledWith('coupon_redemptions', {
+      coupon_id: 7,
+      customer_email: 'ana@exemplo.com',
+      customer_key: 'ana@exemplo.com',
+      discount_cents: 200,
+      status: 'reserved'
+    });
+    expect(result.data).toHaveLength(1);
+  });
+
+  it('desfaz as reservas anteriores quando um cupom esgota no meio do pedido', async () => {
+    db.executeQuery
+      .mockResolvedValueOnce({ affectedRows: 1 })
+      .mockResolvedValueOnce({ affectedRows: 0 })
+      .mockResolvedValueOnce({ affectedRows: 1 });
+    db.createRecord.mockResolvedValueOnce({ id: 50, coupon_id: 7, status: 'reserved' });
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 1 });
+
+    const result = await coupons.reserveCoupons([
+      { coupon: buildCoupon(), discountCents: 200 },
+      { coupon: buildCoupon({ id: 8, code: 'ESGOTADO' }), discountCents: 100 }
+    ]);
+
+    expect(result.error).toBe(coupons.INVALID_COUPON_MESSAGE);
+    expect(db.updateRecords).toHaveBeenCalledWith('coupon_redemptions', { status: 'released', customer_key: null }, { id: 50, status: 'reserved' });
+    expect(db.executeQuery).toHaveBeenLastCalledWith('UPDATE coupons SET used_count = GREATEST(used_count - 1, 0) WHERE id = ?', [7]);
+  });
+
+  it('devolve o uso quando o mesmo e-mail tenta reservar um cupom de uso único', async () => {
+    const duplicate = Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+    db.executeQuery.mockResolvedValue({ affectedRows: 1 });
+    db.createRecord.mockRejectedValueOnce(duplicate);
+
+    const result = await coupons.reserveCoupons([{ coupon: buildCoupon({ one_per_customer: 1 }), discountCents: 200 }], { customerEmail: 'ana@exemplo.com' });
+
+    expect(result.error).toContain('já foi usado com este e-mail');
+    expect(db.executeQuery).toHaveBeenLastCalledWith('UPDATE coupons SET used_count = GREATEST(used_count - 1, 0) WHERE id = ?', [7]);
+  });
+
+  it('confirma reservas no pagamento e volta a contar as já devolvidas', async () => {
+    db.executeQuery
+      .mockResolvedValueOnce([{ id: 50, coupon_id: 7, status: 'reserved' }, { id: 51, coupon_id: 8, status: 'released' }])
+      .mockResolvedValueOnce({ affectedRows: 1 });
+    db.updateRecords.mockResolvedValue({ affectedRows: 1 });
+
+    const confirmed = await coupons.confirmSessionRedemptions({ id: 'cs_1', metadata: {} });
+
+    expect(confirmed).toBe(2);
+    expect(db.updateRecords).toHaveBeenCalledWith('coupon_redemptions', { status: 'redeemed' }, { id: 50, status: 'reserved' });
+    expect(db.executeQuery).toHaveBeenLastCalledWith('UPDATE coupons SET used_count = used_count + 1 WHERE id = ?', [8]);
+  });
+
+  it('contabiliza pelos metadados as sessões criadas antes das reservas', async () => {
+    db.executeQuery.mockResolvedValueOnce([]).mockResolvedValueOnce({ affectedRows: 1 });
+
+    await coupons.confirmSessionRedemptions({ id: 'cs_antiga', metadata: { couponId: '7' } });
+
+    expect(db.executeQuery).toHaveBeenLastCalledWith('UPDATE coupons SET used_count = used_count + 1 WHERE id = ?', [7]);
+  });
+
+  it('devolve apenas as reservas pendentes de uma sessão expirada', async () => {
+    db.executeQuery
+      .mockResolvedValueOnce([{ id: 50, coupon_id: 7, status: 'reserved' }, { id: 51, coupon_id: 8, status: 'redeemed' }])
+      .mockResolvedValueOnce({ affectedRows: 1 });
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 1 });
+
+    const released = await coupons.releaseSessionReservations('cs_1');
+
+    expect(released).toBe(1);
+    expect(db.updateRecords).toHaveBeenCalledTimes(1);
+  });
+
+  it('devolve o uso confirmado no reembolso total', async () => {
+    db.executeQuery
+      .mockResolvedValueOnce([{ id: 50, coupon_id: 7, status: 'redeemed' }])
+      .mockResolvedValueOnce({ affectedRows: 1 });
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 1 });
+
+    await coupons.releasePurchaseRedemptions({ id: 3, session_id: 'cs_1', coupon_id: 7 });
+
+    expect(db.updateRecords).toHaveBeenCalledWith('coupon_redemptions', { status: 'released', customer_key: null }, { id: 50, status: 'redeemed' });
+    expect(db.executeQuery).toHaveBeenLastCalledWith('UPDATE coupons SET used_count = GREATEST(used_count - 1, 0) WHERE id = ?', [7]);
+  });
+});
+
+describe('coupons lotes e importação', () => {
+  const context = { adminId: 2, adminEmail: 'catalogo@qrlove.com.br', requestId: 'req-1', ip: '10.0.0.1' };
+  const batchBody = { prefix: ' natal ', quantity: '3', suffixLength: '6', discountType: 'percentual', discountValue: '15', usageLimit: '1', partnerId: '5', active: 'on' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.executeQuery.mockReset();
+    db.createRecords.mockReset();
+  });
+
+  it('valida o lote com as mesmas regras do cadastro individual', () => {
+    expect(coupons.parseCouponBatchForm({ ...batchBody, prefix: 'N' }).error).toBe('Use apenas letras, números, hífen e sublinhado no prefixo (2 a 60 caracteres).');
+    expect(coupons.parseCouponBatchForm({ ...batchBody, quantity: '1001' }).error).toBe('Informe de 1 a 1000 cupons por lote.');
+    expect(coupons.parseCouponBatchForm({ ...batchBody, suffixLength: '3' }).error).toBe('O sufixo aleatório deve ter de 4 a 16 caracteres.');
+    expect(coupons.parseCouponBatchForm({ ...batchBody, discountValue: '100' }).error).toBe('O desconto percentual deve ser menor que 100%.');
+    expect(coupons.parseCouponBatchForm({ ...batchBody, allowedPlans: '9' }, [1]).error).toBe('Plano inválido para o cupom.');
+
+    const { data } = coupons.parseCouponBatchForm(batchBody, [1]);
+    expect(data).toEqual(expect.objectContaining({ prefix: 'NATAL', quantity: 3, suffixLength: 6 }));
+    expect(data.settings).toEqual(expect.objectContaining({ discount_type: 'percentual', discount_value: 15, usage_limit: 1, partner_id: 5, active: 1 }));
+    expect(data.settings.code).toBeUndefined();
+  });
+
+  it('gera códigos únicos, descarta os que já existem e audita o lote', async () => {
+    const { data } = coupons.parseCouponBatchForm(batchBody, [1]);
+    db.createRecord.mockImplementation(async (table, record) => ({ id: table === 'coupon_batches' ? 12 : 90, ...record }));
+    db.executeQuery
+      .mockImplementationOnce(async (sql, [codes]) => [{ code: codes[0] }])
+      .mockResolvedValueOnce([]);
+    db.createRecords.mockResolvedValueOnce({ affectedRows: 3 });
+
+    const result = await coupons.createCouponBatch(context, data);
+
+    expect(db.createRecord).toHaveBeenCalledWith('coupon_batches', { prefix: 'NATAL', quantity: 3, suffix_length: 6, description: null, partner_id: 5, created_by: 2 });
+    expect(db.executeQuery).toHaveBeenCalledTimes(2);
+    const [[table, records]] = db.createRecords.mock.calls;
+    expect(table).toBe('coupons');
+    expect(records).toHaveLength(3);
+    expect(new Set(records.map(record => record.code)).size).toBe(3);
+    records.forEach(record => {
+      expect(record.code).toMatch(/^NATAL-[A-HJ-NP-Z2-9]{6}$/);
+      expect(record).toEqual(expect.objectContaining({ batch_id: 12, used_count: 0, usage_limit: 1, partner_id: 5 }));
+    });
+    expect(result.data.codes).toEqual(records.map(record => record.code));
+    expect(db.createRecord).toHaveBeenCalledWith('audit_logs', expect.objectContaining({ action: 'create', entity_type: 'coupon_batch', entity_id: 12 }));
+  });
+
+  it('sorteia de novo quando um código é cadastrado no meio da geração e propaga outros erros para desfazer a transação', async () => {
+    const { data } = coupons.parseCouponBatchForm({ ...batchBody, quantity: '1' }, [1]);
+    db.createRecord.mockResolvedValue({ id: 12 });
+    db.executeQuery.mockResolvedValue([]);
+    db.createRecords
+      .mockRejectedValueOnce(Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }))
+      .mockResolvedValueOnce({ affectedRows: 1 });
+
+    await expect(coupons.createCouponBatch(context, data)).resolves.toEqual({ data: expect.objectContaining({ id: 12 }) });
+    expect(db.createRecords).toHaveBeenCalledTimes(2);
+    // Cada tentativa grava o lote, os cupons e a auditoria numa transação própria
+    expect(db.withTransaction).toHaveBeenCalledTimes(2);
+
+    db.createRecords.mockRejectedValueOnce(new Error('Connection lost'));
+
+    await expect(coupons.createCouponBatch(context, data)).rejects.toThrow('Connection lost');
+    expect(db.withTransaction).toHaveBeenCalledTimes(3);
+    expect(db.deleteRecord).not.toHaveBeenCalled();
+  });
+
+  it('importa a exportação de um lote como cupons avulsos', async () => {
+    const csv = coupons.buildCouponsCsv([
+      buildCoupon({ code: 'NATAL-AB12', discount_type: 'valor_fixo', discount_value: '5.00', usage_limit: 1, used_count: 1, min_order_cents: 3000, end_date: new Date(2026, 11, 31), partner_id: 5, allowed_plan_ids: '[1]', stackable: 1 })
+    ]).replace('NATAL-AB12', 'REVEILLON-AB12');
+    db.executeQuery
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([{ id: 5 }]);
+    db.createRecords.mockResolvedValueOnce({ affectedRows: 1 });
+
+    expect(csv).toContain('REVEILLON-AB12;;valor_fixo;5,00;1;1;30,00;;2026-12-31;sim;5;1;não;não;sim\r\n');
+
+    const result = await coupons.importCouponsCsv(context, csv, [1]);
+
+    expect(result).toEqual({ data: { count: 1 } });
+    expect(db.createRecords).toHaveBeenCalledWith('coupons', [expect.objectContaining({
+      code: 'REVEILLON-AB12',
+      discount_type: 'valor_fixo',
+      discount_value: 5,
+      usage_limit: 1,
+      used_count: 0,
+      min_order_cents: 3000,
+      end_date: '2026-12-31',
+      partner_id: 5,
+      allowed_plan_ids: '[1]',
+      stackable: 1,
+      active: 1
+    })]);
+    expect(db.createRecord).toHaveBeenCalledWith('audit_logs', expect.objectContaining({ action: 'import', entity_type: 'coupon' }));
+  });
+
+  it('aponta os erros por linha e não importa nada', async () => {
+    db.executeQuery
+      .mockResolvedValueOnce([{ code: 'AMOR10' }])
+      .mockResolvedValueOnce([]);
+
+    const result = await coupons.importCouponsCsv(context, [
+      'codigo,tipo,valor,parceiro,combinavel',
+      'AMOR10,percentual,10,,',
+      'PROMO20,desconto,20,,',
+      'PROMO30,percentual,30,8,',
+      'PROMO40,percentual,40,,talvez',
+      'PROMO50,percentual,50,,',
+      'promo50,percentual,50,,'
+    ].join('\n'), [1]);
+
+    expect(result.error).toBe(
+      'Nenhum cupom importado. Corrija linha 2: Já existe um cupom com este código. linha 3: Tipo de desconto inválido (use percentual ou valor_fixo). ' +
+      'linha 4: Parceiro não encontrado. linha 5: Valor inválido na coluna combinavel (use sim ou não). linha 7: Código repetido na planilha.'
+    );
+    expect(db.executeQuery).toHaveBeenCalledWith('SELECT code FROM coupons WHERE code IN (?)', [['AMOR10', 'PROMO30', 'PROMO50']]);
+    expect(db.createRecords).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,38 @@
+const csvImport = require('../csvImport');
+
+describe('csvImport', () => {
+  it('lê planilhas do Excel em português com BOM, aspas e linhas em branco', () => {
+    const text = '\uFEFFCódigo;Descrição;Valor\r\nNATAL-1;"Campanha ""Natal""; loja";10,50\r\n;;\r\nNATAL-2;"Linha\nquebrada";\'-5\r\n';
+
+    expect(csvImport.readCsv(text, { required: ['codigo', 'valor'] })).toEqual({
+      data: [
+        { line: 2, values: { codigo: 'NATAL-1', descricao: 'Campanha "Natal"; loja', valor: '10,50' } },
+        { line: 4, values: { codigo: 'NATAL-2', descricao: 'Linha\nquebrada', valor: '-5' } }
+      ]
+    });
+  });
+
+  it('detecta o separador vírgula e recusa cabeçalhos incompletos ou arquivos grandes demais', () => {
+    expect(csvImport.readCsv('data,tipo,valor\n2026-10-01,entrada,19.90').data[0].values).toEqual({ data: '2026-10-01', tipo: 'entrada', valor: '19.90' });
+    expect(csvImport.readCsv('data;valor\n2026-10-01;1', { required: ['data', 'tipo'] })).toEqual({ error: 'Coluna obrigatória ausente no cabeçalho: tipo.' });
+    expect(csvImport.readCsv('data;valor\n', { required: ['data'] })).toEqual({ error: 'O arquivo não tem linhas para importar.' });
+    expect(csvImport.readCsv('valor\n1\n2\n3', { maxRows: 2 })).toEqual({ error: 'O arquivo pode ter no máximo 2 linhas por importação.' });
+  });
+
+  it('converte decimais, datas e sim/não e recorre ao latin1 quando o arquivo não é UTF-8', () => {
+    expect(csvImport.parseDecimal('1.234,50')).toBe('1234.50');
+    expect(csvImport.parseDecimal('19.90')).toBe('19.90');
+    expect(csvImport.parseDate('05/10/2026')).toBe('2026-10-05');
+    expect(csvImport.parseDate('2026-10-05')).toBe('2026-10-05');
+    expect([csvImport.parseBoolean('Não', true), csvImport.parseBoolean('', true), csvImport.parseBoolean('talvez')]).toEqual([false, true, null]);
+    expect(csvImport.decodeCsvBuffer(Buffer.from('Descrição', 'latin1'))).toBe('Descrição');
+  });
+
+  it('resume os erros das primeiras linhas', () => {
+    const errors = Array.from({ length: 7 }, (value, index) => ({ line: index + 2, message: 'Valor inválido.' }));
+
+    expect(csvImport.describeRowErrors(errors)).toBe(
+      'linha 2: Valor inválido. linha 3: Valor inválido. linha 4: Valor inválido. linha 5: Valor inválido. linha 6: Valor inválido. (e mais 2 linha(s) com erro)'
+    );
+  });
+});
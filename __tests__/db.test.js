@@ -45,6 +45,18 @@ describe('db helpers', () => {
     expect(logger.info).toHaveBeenCalledWith('Registro inserido com sucesso na tabela purchases.', { id: 42 });
   });
 
+  it('insere vários registros em uma única instrução', async () => {
+    mockQuery.mockResolvedValueOnce([{ affectedRows: 2 }]);
+
+    const result = await db.createRecords('coupons', [
+      { code: 'NATAL-AB12', batch_id: 3 },
+      { code: 'NATAL-CD34', batch_id: 3 }
+    ]);
+
+    expect(mockQuery).toHaveBeenCalledWith('INSERT INTO coupons (code, batch_id) VALUES ?', [[['NATAL-AB12', 3], ['NATAL-CD34', 3]]]);
+    expect(result.affectedRows).toBe(2);
+  });
+
   it('retorna null e gera log de aviso quando nenhum registro é encontrado', async () => {
     mockQuery.mockResolvedValueOnce([[]]);
 
@@ -62,4 +74,34 @@ describe('db helpers', () => {
     await expect(db.queryRecords('purchases')).rejects.toThrow('falha');
     expect(logger.error).toHaveBeenCalledWith('Erro ao consultar registros na tabela purchases.', { error: error.message });
   });
+
+  it('executa as funções do módulo na conexão da transação e desfaz tudo em caso de erro', async () => {
+    const connection = {
+      query: jest.fn().mockResolvedValue([{ affectedRows: 1 }]),
+      beginTransaction: jest.fn().mockResolvedValue(),
+      commit: jest.fn().mockResolvedValue(),
+      rollback: jest.fn().mockResolvedValue(),
+      release: jest.fn()
+    };
+    mockGetConnection.mockResolvedValue(connection);
+
+    const result = await db.withTransaction(async () => {
+      await db.updateRecords('purchases', { payment_status: 'paid' }, { id: 1 });
+      return db.withTransaction(() => db.executeQuery('SELECT 1'));
+    });
+
+    expect(result).toEqual({ affectedRows: 1 });
+    expect(connection.query).toHaveBeenCalledTimes(2);
+    expect(mockQuery).not.toHaveBeenCalled();
+    expect(connection.commit).toHaveBeenCalledTimes(1);
+    expect(connection.release).toHaveBeenCalledTimes(1);
+
+    connection.query.mockRejectedValueOnce(new Error('falha'));
+
+    await expect(db.withTransaction(() => db.createRecord('financial_transactions', { amount: 1 }))).rejects.toThrow('falha');
+    expect(connection.rollback).toHaveBeenCalledTimes(1);
+    expect(connection.commit).toHaveBeenCalledTimes(1);
+    expect(connection.release).toHaveBeenCalledTimes(2);
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
 });
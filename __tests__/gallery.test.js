@@ -0,0 +1,103 @@
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('../db', () => ({
+  createRecord: jest.fn(),
+  updateRecord: jest.fn(),
+  deleteRecord: jest.fn(),
+  queryRecords: jest.fn()
+}));
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../db');
+const gallery = require('../gallery');
+
+const images = [
+  { id: 1, image_url: '/media/a.jpg', position: 0, caption: 'Praia' },
+  { id: 2, image_url: '/media/b.jpg', position: 1, caption: null },
+  { id: 3, image_url: '/media/c.jpg', position: 2, caption: null }
+];
+
+describe('gallery', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('salva as fotos na ordem de envio com as legendas correspondentes', async () => {
+    db.createRecord.mockImplementation(async (table, data) => ({ id: 10, ...data }));
+
+    const variants = [{ format: 'webp', width: 480, url: '/media/variants/a-480.webp' }];
+    await gallery.addPurchaseImages(5, [
+      { image_url: '/media/a.jpg', width: 800, height: 600, variants },
+      { image_url: '/media/b.jpg', width: 600, height: 800, variants: [] }
+    ], ['  Primeiro beijo ', '']);
+
+    expect(db.createRecord).toHaveBeenNthCalledWith(1, 'images', {
+      purchase_id: 5,
+      image_url: '/media/a.jpg',
+      width: 800,
+      height: 600,
+      variants: JSON.stringify(variants),
+      position: 0,
+      caption: 'Primeiro beijo'
+    });
+    expect(db.createRecord).toHaveBeenNthCalledWith(2, 'images', expect.objectContaining({ position: 1, caption: null }));
+  });
+
+  it('aceita uma única legenda enviada como texto', () => {
+    expect(gallery.toList('Praia')).toEqual(['Praia']);
+    expect(gallery.toList(undefined)).toEqual([]);
+  });
+
+  it('planeja a nova ordem, legendas e remoções sem tocar no banco', () => {
+    const plan = gallery.planGalleryChanges(images, {
+      position_1: '3',
+      position_2: '1',
+      position_3: '2',
+      caption_2: 'Casamento',
+      remove_3: 'on'
+    });
+
+    expect(plan.removed.map(image => image.id)).toEqual([3]);
+    expect(plan.kept.map(image => [image.id, image.position, image.caption])).toEqual([
+      [2, 0, 'Casamento'],
+      [1, 1, 'Praia']
+    ]);
+  });
+
+  it('mantém a ordem atual quando nenhuma posição é informada', () => {
+    const plan = gallery.planGalleryChanges(images, {});
+
+    expect(plan.kept.map(image => image.id)).toEqual([1, 2, 3]);
+    expect(plan.removed).toEqual([]);
+  });
+
+  it('atualiza apenas as fotos alteradas e acrescenta os novos uploads ao final', async () => {
+    db.createRecord.mockImplementation(async (table, data) => ({ id: 11, ...data }));
+    const plan = gallery.planGalleryChanges(images.slice(0, 2), { caption_2: 'Viagem' });
+
+    const result = await gallery.applyGalleryChanges(5, images.slice(0, 2), plan, [{ image_url: '/media/d.jpg', variants: [] }]);
+
+    expect(db.updateRecord).toHaveBeenCalledTimes(1);
+    expect(db.updateRecord).toHaveBeenCalledWith('images', { position: 1, caption: 'Viagem' }, 2);
+    expect(result.map(image => image.image_url)).toEqual(['/media/a.jpg', '/media/b.jpg', '/media/d.jpg']);
+    expect(result[2].position).toBe(2);
+  });
+
+  it('apaga do armazenamento a foto removida junto com as variantes', async () => {
+    const unlinkSpy = jest.spyOn(fs.promises, 'unlink').mockResolvedValue();
+    const removedImage = { ...images[2], variants: [{ format: 'avif', width: 480, url: '/media/variants/c-480.avif' }] };
+    const plan = gallery.planGalleryChanges([removedImage], { remove_3: 'on' });
+
+    await gallery.applyGalleryChanges(5, [removedImage], plan);
+
+    expect(db.deleteRecord).toHaveBeenCalledWith('images', 3);
+    expect(unlinkSpy).toHaveBeenCalledWith(path.resolve('public', 'media/c.jpg'));
+    expect(unlinkSpy).toHaveBeenCalledWith(path.resolve('public', 'media/variants/c-480.avif'));
+    unlinkSpy.mockRestore();
+  });
+});
@@ -0,0 +1,102 @@
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('../db', () => ({
+  createRecord: jest.fn(),
+  getRecord: jest.fn(),
+  updateRecord: jest.fn(),
+  queryRecords: jest.fn()
+}));
+
+jest.mock('../imageProcessing', () => ({
+  renderQrComposite: jest.fn().mockResolvedValue('/media/edit/processed-capa.jpg')
+}));
+
+jest.mock('../printAssets', () => ({
+  generatePrintAssets: jest.fn().mockResolvedValue(['qrcode.svg'])
+}));
+
+const db = require('../db');
+const imageProcessing = require('../imageProcessing');
+const printAssets = require('../printAssets');
+const jobs = require('../jobs');
+const imageJobs = require('../imageJobs');
+
+describe('imageJobs.renderQrImage', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.BASE_URL = 'http://localhost:7500';
+  });
+
+  it('gera a imagem a partir da capa atual com a URL canônica da página', async () => {
+    db.getRecord
+      .mockResolvedValueOnce({
+        id: 3,
+        couple_name: 'Ana & Beto',
+        slug: 'ana-e-beto',
+        unique_hash: 'abc',
+        qr_style: '{"position":"top-right","size":25,"palette":"vinho","center":"heart","caption":"Escaneie-me"}'
+      })
+      .mockResolvedValueOnce(null);
+    db.queryRecords.mockResolvedValueOnce([{ id: 1, image_url: '/media/capa.jpg', position: 0 }]);
+
+    await imageJobs.renderQrImage({ purchaseId: 3 });
+
+    expect(imageProcessing.renderQrComposite).toHaveBeenCalledWith(
+      'media/capa.jpg',
+      'http://localhost:7500/pages/ana-e-beto-abc',
+      expect.objectContaining({ position: 'top-right', size: 25, palette: 'vinho', center: 'heart', caption: 'Escaneie-me' })
+    );
+    expect(db.createRecord).toHaveBeenCalledWith('imagesEdit', { purchase_id: 3, image_url: '/media/edit/processed-capa.jpg' });
+    expect(printAssets.generatePrintAssets).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 3 }),
+      'media/capa.jpg',
+      'http://localhost:7500/pages/ana-e-beto-abc',
+      expect.objectContaining({ palette: 'vinho' })
+    );
+    expect(db.updateRecord).toHaveBeenNthCalledWith(1, 'purchases', { image_status: 'processing' }, 3);
+    expect(db.updateRecord).toHaveBeenLastCalledWith('purchases', { image_status: 'done' }, 3);
+  });
+
+  it('apaga a imagem com QR Code anterior depois de apontar a compra para a nova', async () => {
+    const storage = require('../storage');
+    const deleteSpy = jest.spyOn(storage.media, 'delete').mockResolvedValue();
+    const purchase = { id: 3, slug: 'ana-e-beto', unique_hash: 'abc', qr_style: null };
+    db.getRecord
+      .mockResolvedValueOnce(purchase)
+      .mockResolvedValueOnce({ id: 8, purchase_id: 3, image_url: '/media/edit/processed-capa-antiga.jpg' });
+    db.queryRecords.mockResolvedValueOnce([{ id: 1, image_url: '/media/capa.jpg', position: 0 }]);
+
+    await imageJobs.renderQrImage({ purchaseId: 3 });
+
+    expect(db.updateRecord).toHaveBeenCalledWith('imagesEdit', { image_url: '/media/edit/processed-capa.jpg' }, 8);
+    expect(deleteSpy).toHaveBeenCalledWith('media/edit/processed-capa-antiga.jpg');
+    expect(deleteSpy.mock.invocationCallOrder[0]).toBeGreaterThan(db.updateRecord.mock.invocationCallOrder[1]);
+
+    // Regerar com a mesma capa sobrescreve o mesmo arquivo, que não pode ser apagado
+    deleteSpy.mockClear();
+    db.getRecord
+      .mockResolvedValueOnce(purchase)
+      .mockResolvedValueOnce({ id: 8, purchase_id: 3, image_url: '/media/edit/processed-capa.jpg' });
+    db.queryRecords.mockResolvedValueOnce([{ id: 1, image_url: '/media/capa.jpg', position: 0 }]);
+
+    await imageJobs.renderQrImage({ purchaseId: 3 });
+
+    expect(deleteSpy).not.toHaveBeenCalled();
+    deleteSpy.mockRestore();
+  });
+
+  it('marca a imagem como falha apenas quando não haverá nova tentativa', async () => {
+    imageJobs.registerImageJobs();
+    db.getRecord.mockResolvedValue(null);
+
+    await jobs.runJob({ id: 1, type: imageJobs.RENDER_QR_IMAGE_JOB, payload: '{"purchaseId":3}', attempts: 1, max_attempts: 2 });
+    expect(db.updateRecord).toHaveBeenLastCalledWith('purchases', { image_status: 'queued' }, 3);
+
+    await jobs.runJob({ id: 1, type: imageJobs.RENDER_QR_IMAGE_JOB, payload: '{"purchaseId":3}', attempts: 2, max_attempts: 2 });
+    expect(db.updateRecord).toHaveBeenLastCalledWith('purchases', { image_status: 'failed' }, 3);
+  });
+});
@@ -0,0 +1,75 @@
+jest.mock('sharp', () => {
+  const pipeline = {
+    metadata: jest.fn().mockResolvedValue({ width: 1000, height: 500 }),
+    rotate: jest.fn().mockReturnThis(),
+    composite: jest.fn().mockReturnThis(),
+    png: jest.fn().mockReturnThis(),
+    toBuffer: jest.fn().mockResolvedValue(Buffer.from('styled'))
+  };
+
+  const sharpMock = jest.fn(() => pipeline);
+  sharpMock.__pipeline = pipeline;
+  return sharpMock;
+});
+
+jest.mock('qrcode', () => ({
+  toBuffer: jest.fn().mockResolvedValue(Buffer.from('qr'))
+}));
+
+jest.mock('../storage', () => ({
+  media: {
+    get: jest.fn().mockResolvedValue(Buffer.from('foto')),
+    put: jest.fn().mockResolvedValue(),
+    getUrl: key => `/${key}`
+  }
+}));
+
+const sharp = require('sharp');
+const QRCode = require('qrcode');
+const imageProcessing = require('../imageProcessing');
+const qrStyles = require('../qrStyles');
+const storage = require('../storage');
+
+describe('imageProcessing.renderQrComposite', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('gera o QR Code proporcional à foto e salva a imagem processada', async () => {
+    const imageUrl = await imageProcessing.renderQrComposite('media/foto.jpg', 'http://localhost/pages/Ana-abc');
+
+    expect(imageUrl).toBe('/media/edit/processed-foto.jpg');
+    expect(QRCode.toBuffer).toHaveBeenCalledWith('http://localhost/pages/Ana-abc', expect.objectContaining({
+      width: 100,
+      color: { dark: '#ff3366', light: '#00000000' }
+    }));
+    expect(sharp.__pipeline.composite).toHaveBeenLastCalledWith([
+      expect.objectContaining({ input: Buffer.from('styled'), top: expect.any(Number), left: expect.any(Number) })
+    ]);
+    expect(storage.media.get).toHaveBeenCalledWith('media/foto.jpg');
+    expect(storage.media.put).toHaveBeenCalledWith('media/edit/processed-foto.jpg', Buffer.from('styled'), { contentType: 'image/jpeg' });
+  });
+
+  it('aplica o tamanho, a paleta e o ícone central do estilo escolhido', async () => {
+    await imageProcessing.renderQrComposite('media/foto.jpg', 'http://localhost/pages/Ana-abc', {
+      ...qrStyles.DEFAULT_QR_STYLE,
+      size: 30,
+      palette: 'noite',
+      center: 'heart',
+      caption: 'Escaneie-me'
+    });
+
+    expect(QRCode.toBuffer).toHaveBeenCalledWith('http://localhost/pages/Ana-abc', expect.objectContaining({
+      width: 150,
+      errorCorrectionLevel: 'H',
+      color: { dark: '#1f2a44', light: '#00000000' }
+    }));
+    // Cartão do QR Code recebe o QR e o ícone central por cima
+    expect(sharp.__pipeline.composite).toHaveBeenCalledWith([
+      expect.objectContaining({ input: Buffer.from('qr') }),
+      expect.objectContaining({ input: expect.any(Buffer) })
+    ]);
+    const cardSvg = sharp.mock.calls[1][0].toString();
+    expect(cardSvg).toContain('Escaneie-me');
+  });
+});
@@ -0,0 +1,95 @@
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('../db', () => ({
+  createRecord: jest.fn(),
+  updateRecord: jest.fn(),
+  updateRecords: jest.fn(),
+  executeQuery: jest.fn()
+}));
+
+const db = require('../db');
+const jobs = require('../jobs');
+
+const queuedJob = {
+  id: 8,
+  type: 'test_job',
+  payload: '{"purchaseId":3}',
+  status: 'queued',
+  attempts: 0,
+  max_attempts: 3
+};
+
+describe('jobs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('grava o job na fila com o payload serializado', async () => {
+    db.createRecord.mockResolvedValueOnce({ id: 8 });
+
+    await jobs.enqueue('test_job', { purchaseId: 3 });
+
+    expect(db.createRecord).toHaveBeenCalledWith('jobs', expect.objectContaining({
+      type: 'test_job',
+      payload: '{"purchaseId":3}',
+      status: 'queued',
+      attempts: 0
+    }));
+  });
+
+  it('reserva o job com atualização condicional e conta a tentativa', async () => {
+    db.executeQuery.mockResolvedValueOnce([queuedJob]);
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 1 });
+
+    const job = await jobs.claimNextJob(new Date('2024-05-10T12:00:00Z'));
+
+    expect(job).toEqual(expect.objectContaining({ id: 8, status: 'processing', attempts: 1 }));
+    expect(db.updateRecords).toHaveBeenCalledWith('jobs', expect.objectContaining({ status: 'processing', attempts: 1 }), {
+      id: 8,
+      status: 'queued'
+    });
+  });
+
+  it('não processa o job reservado por outro worker', async () => {
+    db.executeQuery.mockResolvedValueOnce([queuedJob]);
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 0 });
+
+    expect(await jobs.claimNextJob()).toBeNull();
+  });
+
+  it('conclui o job quando o handler termina', async () => {
+    const process = jest.fn().mockResolvedValue();
+    jobs.registerHandler('test_job', { process });
+
+    const status = await jobs.runJob({ ...queuedJob, attempts: 1 });
+
+    expect(status).toBe('done');
+    expect(process).toHaveBeenCalledWith({ purchaseId: 3 }, expect.objectContaining({ id: 8 }));
+    expect(db.updateRecord).toHaveBeenCalledWith('jobs', expect.objectContaining({ status: 'done' }), 8);
+  });
+
+  it('reagenda com espera exponencial e marca como falho na última tentativa', async () => {
+    const onFailure = jest.fn();
+    jobs.registerHandler('test_job', { process: jest.fn().mockRejectedValue(new Error('sharp falhou')), onFailure });
+
+    expect(await jobs.runJob({ ...queuedJob, attempts: 2 })).toBe('queued');
+    expect(db.updateRecord).toHaveBeenLastCalledWith('jobs', expect.objectContaining({
+      status: 'queued',
+      last_error: 'sharp falhou',
+      run_at: expect.any(Date)
+    }), 8);
+    expect(onFailure).toHaveBeenLastCalledWith({ purchaseId: 3 }, expect.any(Error), { willRetry: true });
+
+    expect(await jobs.runJob({ ...queuedJob, attempts: 3 })).toBe('failed');
+    expect(onFailure).toHaveBeenLastCalledWith({ purchaseId: 3 }, expect.any(Error), { willRetry: false });
+  });
+
+  it('dobra a espera a cada tentativa', () => {
+    expect(jobs.computeBackoff(2)).toBe(jobs.computeBackoff(1) * 2);
+    expect(jobs.computeBackoff(3)).toBe(jobs.computeBackoff(1) * 4);
+  });
+});
@@ -0,0 +1,132 @@
+jest.mock('mysql2/promise', () => ({
+  createConnection: jest.fn()
+}));
+
+const { loadMigrations, getStatus, migrate, rollback, ensureAdmin } = require('../migrations');
+
+// Conexão falsa que mantém a tabela schema_migrations em memória
+const createFakeConnection = (appliedVersions = []) => {
+  const applied = [...appliedVersions];
+  const query = jest.fn(async (sql, params = []) => {
+    if (sql.startsWith('SELECT version FROM schema_migrations')) {
+      return [applied.map(version => ({ version }))];
+    }
+
+    if (sql.startsWith('INSERT INTO schema_migrations')) {
+      applied.push(params[0]);
+    }
+
+    if (sql.startsWith('DELETE FROM schema_migrations')) {
+      applied.splice(applied.indexOf(params[0]), 1);
+    }
+
+    return [[]];
+  });
+
+  return { query, applied };
+};
+
+const createMigration = (version, name) => ({
+  version,
+  name,
+  up: jest.fn().mockResolvedValue(),
+  down: jest.fn().mockResolvedValue()
+});
+
+describe('migrations versionadas', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.info.mockRestore();
+  });
+
+  it('carrega os arquivos do diretório em ordem com up e down', () => {
+    const migrations = loadMigrations();
+
+    expect(migrations.map(migration => migration.version)).toEqual(
+      [...migrations.map(migration => migration.version)].sort()
+    );
+    expect(migrations[0]).toEqual(expect.objectContaining({ version: '001', name: 'initial_schema' }));
+    migrations.forEach(migration => {
+      expect(typeof migration.up).toBe('function');
+      expect(typeof migration.down).toBe('function');
+    });
+  });
+
+  it('aplica apenas as migrations pendentes e registra a versão', async () => {
+    const connection = createFakeConnection(['001']);
+    const migrations = [createMigration('001', 'a'), createMigration('002', 'b'), createMigration('003', 'c')];
+
+    const applied = await migrate(connection, migrations);
+
+    expect(applied).toEqual(['002', '003']);
+    expect(migrations[0].up).not.toHaveBeenCalled();
+    expect(migrations[1].up).toHaveBeenCalledWith(connection);
+    expect(connection.applied).toEqual(['001', '002', '003']);
+  });
+
+  it('reverte a quantidade de passos informada a partir da mais recente', async () => {
+    const connection = createFakeConnection(['001', '002', '003']);
+    const migrations = [createMigration('001', 'a'), createMigration('002', 'b'), createMigration('003', 'c')];
+
+    const reverted = await rollback(connection, migrations, 2);
+
+    expect(reverted).toEqual(['003', '002']);
+    expect(migrations[2].down).toHaveBeenCalled();
+    expect(migrations[1].down).toHaveBeenCalled();
+    expect(migrations[0].down).not.toHaveBeenCalled();
+    expect(connection.applied).toEqual(['001']);
+  });
+
+  it('informa a situação de cada migration', async () => {
+    const connection = createFakeConnection(['001']);
+    const migrations = [createMigration('001', 'a'), createMigration('002', 'b')];
+
+    const status = await getStatus(connection, migrations);
+
+    expect(status).toEqual([
+      { version: '001', name: 'a', applied: true },
+      { version: '002', name: 'b', applied: false }
+    ]);
+  });
+
+  it('não cria admin com senha padrão quando as variáveis não foram definidas', async () => {
+    const connection = createFakeConnection();
+
+    await ensureAdmin(connection, undefined, undefined);
+    await ensureAdmin(connection, 'dono@qrlove.com.br', '');
+
+    expect(connection.query).not.toHaveBeenCalled();
+  });
+
+  it('cria o admin informado como dono', async () => {
+    const connection = createFakeConnection();
+
+    await ensureAdmin(connection, 'dono@qrlove.com.br', 'senha-segura');
+
+    const [sql, params] = connection.query.mock.calls[1];
+    expect(sql).toContain("'owner'");
+    expect(params[0]).toBe('dono@qrlove.com.br');
+    expect(params[1]).not.toBe('senha-segura');
+  });
+
+  it('define a senha apenas de um admin existente que está sem senha', async () => {
+    const connection = createFakeConnection();
+    connection.query.mockResolvedValueOnce([[{ id: 3, password_hash: null }]]);
+
+    await ensureAdmin(connection, 'dono@qrlove.com.br', 'senha-segura');
+
+    const [sql, params] = connection.query.mock.calls[1];
+    expect(sql).toContain('UPDATE admins SET password_hash = ?');
+    expect(params[1]).toBe(3);
+
+    const withPassword = createFakeConnection();
+    withPassword.query.mockResolvedValueOnce([[{ id: 3, password_hash: 'hash' }]]);
+
+    await ensureAdmin(withPassword, 'dono@qrlove.com.br', 'senha-segura');
+
+    expect(withPassword.query).toHaveBeenCalledTimes(1);
+  });
+});
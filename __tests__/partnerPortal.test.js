@@ -0,0 +1,183 @@
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('../db', () => ({
+  createRecord: jest.fn(),
+  getRecord: jest.fn(),
+  updateRecord: jest.fn(),
+  updateRecords: jest.fn(),
+  executeQuery: jest.fn()
+}));
+
+process.env.BCRYPT_SALT_ROUNDS = '4';
+
+const bcrypt = require('bcrypt');
+const db = require('../db');
+const partnerPortal = require('../partnerPortal');
+
+const partner = { id: 2, name: 'Floricultura Encantos', email: 'flor@exemplo.com', status: 'ativo' };
+
+describe('partnerPortal acesso', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.getRecord.mockReset();
+    db.executeQuery.mockReset();
+    db.updateRecords.mockReset();
+  });
+
+  it('grava apenas o hash do link de acesso com validade', async () => {
+    const token = await partnerPortal.issueAccessToken(partner);
+
+    expect(token).toMatch(/^[a-f0-9]{64}$/);
+    const [, data, id] = db.updateRecord.mock.calls[0];
+    expect(id).toBe(2);
+    expect(data.access_token_hash).toBe(partnerPortal.hashAccessToken(token));
+    expect(data.access_token_hash).not.toBe(token);
+    expect(data.access_token_expires_at.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('recusa links expirados, malformados ou de parceiros inativos', async () => {
+    const token = 'a'.repeat(64);
+
+    expect(await partnerPortal.findPartnerByAccessToken('../etc')).toBeNull();
+    expect(db.getRecord).not.toHaveBeenCalled();
+
+    db.getRecord.mockResolvedValueOnce({ ...partner, access_token_expires_at: new Date(Date.now() - 1000) });
+    expect(await partnerPortal.findPartnerByAccessToken(token)).toBeNull();
+
+    db.getRecord.mockResolvedValueOnce({ ...partner, status: 'inativo', access_token_expires_at: new Date(Date.now() + 1000) });
+    expect(await partnerPortal.findPartnerByAccessToken(token)).toBeNull();
+
+    db.getRecord.mockResolvedValueOnce({ ...partner, access_token_expires_at: new Date(Date.now() + 1000) });
+    expect(await partnerPortal.findPartnerByAccessToken(token)).toEqual(expect.objectContaining({ id: 2 }));
+    expect(db.getRecord).toHaveBeenLastCalledWith('partners', { access_token_hash: partnerPortal.hashAccessToken(token) });
+  });
+
+  it('define a senha consumindo o link uma única vez', async () => {
+    const withToken = { ...partner, access_token_hash: 'hash-atual' };
+
+    expect((await partnerPortal.setPartnerPassword(withToken, 'curta', 'curta')).error).toContain('pelo menos 8');
+    expect((await partnerPortal.setPartnerPassword(withToken, 'senha-segura', 'outra-senha')).error).toBe('As senhas não conferem.');
+
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 1 });
+    const result = await partnerPortal.setPartnerPassword(withToken, 'senha-segura', 'senha-segura');
+
+    expect(result.error).toBeUndefined();
+    const [table, data, conditions] = db.updateRecords.mock.calls[0];
+    expect(table).toBe('partners');
+    expect(conditions).toEqual({ id: 2, access_token_hash: 'hash-atual' });
+    expect(data).toEqual(expect.objectContaining({ access_token_hash: null, access_token_expires_at: null }));
+    expect(await bcrypt.compare('senha-segura', data.password_hash)).toBe(true);
+
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 0 });
+    expect((await partnerPortal.setPartnerPassword(withToken, 'senha-segura', 'senha-segura')).error).toContain('já foi utilizado');
+  });
+
+  it('autentica pelo cadastro ativo cuja senha confere', async () => {
+    const passwordHash = await bcrypt.hash('senha-segura', 4);
+    db.executeQuery.mockResolvedValueOnce([
+      { ...partner, id: 5, password_hash: await bcrypt.hash('outra-senha', 4) },
+      { ...partner, password_hash: passwordHash }
+    ]);
+
+    const authenticated = await partnerPortal.authenticatePartner(' flor@exemplo.com ', 'senha-segura');
+
+    expect(authenticated.id).toBe(2);
+    expect(db.executeQuery.mock.calls[0][0]).toContain("status <> 'inativo'");
+    expect(db.executeQuery.mock.calls[0][1]).toEqual(['flor@exemplo.com']);
+    expect(db.updateRecord).toHaveBeenCalledWith('partners', { last_login_at: expect.any(Date) }, 2);
+
+    db.executeQuery.mockResolvedValueOnce([{ ...partner, password_hash: passwordHash }]);
+    expect(await partnerPortal.authenticatePartner('flor@exemplo.com', 'errada')).toBeNull();
+  });
+});
+
+describe('partnerPortal visão e pedidos', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.getRecord.mockReset();
+    db.executeQuery.mockReset();
+    db.createRecord.mockReset();
+    db.updateRecords.mockReset();
+  });
+
+  it('monta a visão apenas com os cupons e comissões do parceiro', async () => {
+    db.executeQuery
+      .mockResolvedValueOnce([{ id: 7, code: 'FLOR10' }, { id: 8, code: 'FLOR20' }])
+      .mockResolvedValueOnce([{ coupon_id: 7, sales: 2, revenue_cents: '3580' }])
+      .mockResolvedValueOnce([{ status: 'pending', total_cents: '179' }, { status: 'paid', total_cents: '500' }])
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([]);
+
+    const overview = await partnerPortal.loadPartnerOverview(2);
+
+    expect(db.executeQuery.mock.calls[0][1]).toEqual([2]);
+    expect(db.executeQuery.mock.calls[1][1]).toEqual([[7, 8], 'redeemed']);
+    db.executeQuery.mock.calls.slice(2).forEach(([, params]) => expect(params).toEqual([2]));
+    expect(overview.coupons.map(coupon => [coupon.code, coupon.sales, coupon.revenueCents])).toEqual([['FLOR10', 2, 3580], ['FLOR20', 0, 0]]);
+    expect(overview.summary).toEqual({ sales: 2, revenueCents: 3580, pendingCents: 179, paidCents: 500 });
+  });
+
+  it('valida o pedido com as regras de código e desconto dos cupons', () => {
+    expect(partnerPortal.parseCouponRequestForm({ code: 'x', discountType: 'percentual', discountValue: '10' }).error).toContain('letras, números');
+    expect(partnerPortal.parseCouponRequestForm({ code: 'flores10', discountType: 'percentual', discountValue: '10', notes: ' Dia dos Namorados ' }).data).toEqual({
+      code: 'FLORES10',
+      discount_type: 'percentual',
+      discount_value: 10,
+      notes: 'Dia dos Namorados'
+    });
+  });
+
+  it('recusa pedidos com código existente ou acima do limite de pendentes', async () => {
+    const data = { code: 'FLORES10', discount_type: 'percentual', discount_value: 10, notes: null };
+
+    db.executeQuery.mockResolvedValueOnce([{ total: 3 }]);
+    expect((await partnerPortal.createCouponRequest(partner, data)).error).toContain('aguardando análise');
+
+    db.executeQuery.mockResolvedValueOnce([{ total: 0 }]);
+    db.getRecord.mockResolvedValueOnce({ id: 7, code: 'FLORES10' });
+    expect((await partnerPortal.createCouponRequest(partner, data)).error).toContain('Já existe um cupom');
+
+    db.executeQuery.mockResolvedValueOnce([{ total: 0 }]);
+    db.getRecord.mockResolvedValueOnce(null);
+    db.createRecord.mockResolvedValueOnce({ id: 30 });
+    expect((await partnerPortal.createCouponRequest(partner, data)).data.id).toBe(30);
+    expect(db.createRecord).toHaveBeenCalledWith('coupon_requests', { ...data, partner_id: 2, status: 'pending' });
+  });
+
+  it('aprova o pedido criando o cupom ativo do parceiro', async () => {
+    db.getRecord.mockResolvedValueOnce({ id: 30, partner_id: 2, code: 'FLORES10', discount_type: 'percentual', discount_value: '10.00', status: 'pending' });
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 1 });
+    db.createRecord.mockResolvedValueOnce({ id: 9, code: 'FLORES10' });
+
+    const result = await partnerPortal.approveCouponRequest(30, 1);
+
+    expect(db.updateRecords).toHaveBeenCalledWith('coupon_requests', expect.objectContaining({ status: 'approved', reviewed_by: 1 }), { id: 30, status: 'pending' });
+    expect(db.createRecord).toHaveBeenCalledWith('coupons', expect.objectContaining({ code: 'FLORES10', partner_id: 2, active: 1, used_count: 0 }));
+    expect(db.updateRecord).toHaveBeenCalledWith('coupon_requests', { coupon_id: 9 }, 30);
+    expect(result.data.id).toBe(9);
+  });
+
+  it('devolve o pedido para análise quando o código já foi usado por outro cupom', async () => {
+    db.getRecord.mockResolvedValueOnce({ id: 30, partner_id: 2, code: 'FLORES10', status: 'pending' });
+    db.updateRecords.mockResolvedValue({ affectedRows: 1 });
+    db.createRecord.mockRejectedValueOnce(Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }));
+
+    const result = await partnerPortal.approveCouponRequest(30, 1);
+
+    expect(result.error).toContain('Já existe um cupom');
+    expect(db.updateRecords).toHaveBeenLastCalledWith('coupon_requests', { status: 'pending', reviewed_by: null, reviewed_at: null }, { id: 30 });
+  });
+
+  it('não analisa o mesmo pedido duas vezes', async () => {
+    db.getRecord.mockResolvedValueOnce({ id: 30, status: 'approved' });
+    expect((await partnerPortal.approveCouponRequest(30, 1)).error).toContain('já analisado');
+
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 0 });
+    expect((await partnerPortal.rejectCouponRequest(30, 1, 'Código fora do padrão')).error).toContain('já analisado');
+  });
+});
@@ -0,0 +1,263 @@
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('../db', () => ({
+  createRecord: jest.fn(),
+  getRecord: jest.fn(),
+  updateRecords: jest.fn(),
+  executeQuery: jest.fn(),
+  withTransaction: jest.fn(callback => callback())
+}));
+
+jest.mock('../commissions', () => ({
+  recordPurchaseCommissions: jest.fn(),
+  reversePurchaseCommissions: jest.fn()
+}));
+
+jest.mock('../coupons', () => ({
+  confirmSessionRedemptions: jest.fn(),
+  releaseSessionReservations: jest.fn(),
+  releaseAbandonedReservations: jest.fn(),
+  releasePurchaseRedemptions: jest.fn()
+}));
+
+const commissions = require('../commissions');
+const coupons = require('../coupons');
+const db = require('../db');
+const payments = require('../payments');
+
+const paidSession = {
+  id: 'cs_test_1',
+  amount_total: 1791,
+  payment_intent: 'pi_test_1',
+  payment_status: 'paid',
+  metadata: { couponId: '7' }
+};
+
+describe('payments.fulfillCheckoutSession', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('marca a compra como paga, registra a entrada e confirma os cupons', async () => {
+    db.getRecord.mockResolvedValueOnce({ id: 3, plan_id: 1, couple_name: 'Ana & Beto', payment_status: 'pending' });
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 1 });
+
+    const result = await payments.fulfillCheckoutSession(paidSession);
+
+    expect(result.fulfilled).toBe(true);
+    expect(db.updateRecords).toHaveBeenCalledWith(
+      'purchases',
+      expect.objectContaining({ payment_status: 'paid', amount_paid_cents: 1791, payment_intent_id: 'pi_test_1' }),
+      { id: 3, payment_status: 'pending' }
+    );
+    expect(db.createRecord).toHaveBeenCalledWith('financial_transactions', expect.objectContaining({
+      transaction_type: 'entrada',
+      amount: 17.91,
+      reference: 'cs_test_1'
+    }));
+    expect(db.updateRecords.mock.calls[0][1].coupon_id).toBe(7);
+    expect(coupons.confirmSessionRedemptions).toHaveBeenCalledWith(paidSession, { purchaseId: 3 });
+    expect(commissions.recordPurchaseCommissions).toHaveBeenCalledWith(paidSession, expect.objectContaining({ id: 3 }), paidSession.amount_total, {});
+  });
+
+  it('ignora eventos repetidos de compras já pagas', async () => {
+    db.getRecord.mockResolvedValueOnce({ id: 3, plan_id: 1, couple_name: 'Ana & Beto', payment_status: 'paid' });
+
+    const result = await payments.fulfillCheckoutSession(paidSession);
+
+    expect(result).toEqual(expect.objectContaining({ fulfilled: false, reason: 'already_paid' }));
+    expect(db.updateRecords).not.toHaveBeenCalled();
+    expect(db.createRecord).not.toHaveBeenCalled();
+  });
+
+  it('não duplica lançamentos quando outro processamento confirmou antes', async () => {
+    db.getRecord.mockResolvedValueOnce({ id: 3, plan_id: 2, couple_name: 'Ana & Beto', payment_status: 'pending' });
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 0 });
+
+    const result = await payments.fulfillCheckoutSession(paidSession);
+
+    expect(result.fulfilled).toBe(false);
+    expect(db.createRecord).not.toHaveBeenCalled();
+    expect(db.executeQuery).not.toHaveBeenCalled();
+  });
+
+  it('confirma a compra e os efeitos numa única transação e propaga a falha para o Stripe tentar de novo', async () => {
+    const steps = [];
+    db.withTransaction.mockImplementationOnce(async callback => {
+      steps.push('begin');
+      try {
+        return await callback();
+      } finally {
+        steps.push('end');
+      }
+    });
+    db.getRecord.mockResolvedValueOnce({ id: 3, plan_id: 1, couple_name: 'Ana & Beto', payment_status: 'pending' });
+    db.updateRecords.mockImplementationOnce(async () => {
+      steps.push('paid');
+      return { affectedRows: 1 };
+    });
+    commissions.recordPurchaseCommissions.mockRejectedValueOnce(new Error('Lock wait timeout'));
+
+    await expect(payments.fulfillCheckoutSession(paidSession)).rejects.toThrow('Lock wait timeout');
+    expect(steps).toEqual(['begin', 'paid', 'end']);
+    expect(db.createRecord).toHaveBeenCalledWith('financial_transactions', expect.objectContaining({ reference: 'cs_test_1' }));
+  });
+});
+
+describe('payments ciclo de boleto', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('registra o boleto emitido como aguardando pagamento', async () => {
+    db.getRecord.mockResolvedValueOnce({ id: 5, payment_status: 'pending' });
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 1 });
+
+    const updated = await payments.registerDelayedPayment(
+      { id: 'cs_boleto', payment_intent: 'pi_boleto' },
+      { hosted_voucher_url: 'https://boleto.test/1', expires_at: 1700000000 }
+    );
+
+    expect(updated).toBe(true);
+    expect(db.updateRecords).toHaveBeenCalledWith('purchases', {
+      payment_status: 'awaiting_payment',
+      payment_method: 'boleto',
+      payment_intent_id: 'pi_boleto',
+      boleto_url: 'https://boleto.test/1',
+      boleto_expires_at: new Date(1700000000 * 1000)
+    }, { id: 5, payment_status: 'pending' });
+  });
+
+  it('não volta uma compra paga para falha', async () => {
+    db.getRecord.mockResolvedValueOnce({ id: 5, payment_status: 'paid' });
+
+    const updated = await payments.markCheckoutSessionFailed({ id: 'cs_boleto' });
+
+    expect(updated).toBe(false);
+    expect(db.updateRecords).not.toHaveBeenCalled();
+    expect(coupons.releaseSessionReservations).not.toHaveBeenCalled();
+  });
+
+  it('devolve os cupons reservados quando a sessão expira', async () => {
+    db.getRecord.mockResolvedValueOnce({ id: 5, payment_status: 'pending' });
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 1 });
+
+    const updated = await payments.markCheckoutSessionExpired({ id: 'cs_expirada' });
+
+    expect(updated).toBe(true);
+    expect(coupons.releaseSessionReservations).toHaveBeenCalledWith('cs_expirada', { sessionId: 'cs_expirada' });
+  });
+
+  it('aceita a compensação de um boleto já expirado', () => {
+    expect(payments.canTransition('expired', 'paid')).toBe(true);
+    expect(payments.canTransition('paid', 'expired')).toBe(false);
+  });
+
+  it('expira boletos vencidos considerando o prazo de compensação', async () => {
+    db.executeQuery.mockResolvedValueOnce({ affectedRows: 2 });
+    const now = new Date('2024-05-10T12:00:00Z');
+
+    const expired = await payments.expireOverdueBoletos(now);
+
+    expect(expired).toBe(2);
+    expect(coupons.releaseAbandonedReservations).toHaveBeenCalled();
+    expect(db.executeQuery).toHaveBeenCalledWith(
+      expect.stringContaining('UPDATE purchases SET payment_status = ?'),
+      ['expired', 'awaiting_payment', new Date('2024-05-07T12:00:00Z')]
+    );
+  });
+});
+
+describe('payments reembolsos e contestações', () => {
+  const paidPurchase = {
+    id: 3,
+    plan_name: 'Anual',
+    couple_name: 'Ana & Beto',
+    payment_status: 'paid',
+    amount_paid_cents: 1990,
+    refunded_amount_cents: 0,
+    coupon_id: 7
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.updateRecords.mockReset();
+  });
+
+  it('lança a saída, desativa a compra e devolve o cupom no reembolso total', async () => {
+    db.getRecord.mockResolvedValueOnce(paidPurchase);
+    db.updateRecords.mockResolvedValue({ affectedRows: 1 });
+
+    const result = await payments.handleChargeRefunded({
+      id: 'ch_1',
+      payment_intent: 'pi_test_1',
+      amount: 1990,
+      amount_refunded: 1990,
+      refunded: true,
+      refunds: { data: [{ id: 're_1' }] }
+    });
+
+    expect(result).toEqual(expect.objectContaining({ handled: true, fullRefund: true }));
+    expect(db.updateRecords).toHaveBeenCalledWith('purchases', expect.objectContaining({ refunded_amount_cents: 1990 }), {
+      id: 3,
+      refunded_amount_cents: 0
+    });
+    expect(db.createRecord).toHaveBeenCalledWith('financial_transactions', expect.objectContaining({
+      transaction_type: 'saida',
+      amount: 19.9,
+      reference: 're_1'
+    }));
+    expect(db.updateRecords).toHaveBeenCalledWith('purchases', { payment_status: 'refunded' }, { id: 3, payment_status: 'paid' });
+    expect(coupons.releasePurchaseRedemptions).toHaveBeenCalledWith(expect.objectContaining({ id: 3 }), {});
+    expect(commissions.reversePurchaseCommissions).toHaveBeenCalledWith(expect.objectContaining({ id: 3 }), {});
+  });
+
+  it('mantém a página no ar e o cupom contado no reembolso parcial', async () => {
+    db.getRecord.mockResolvedValueOnce({ ...paidPurchase, refunded_amount_cents: 500 });
+    db.updateRecords.mockResolvedValue({ affectedRows: 1 });
+
+    const result = await payments.handleChargeRefunded({ id: 'ch_1', payment_intent: 'pi_test_1', amount: 1990, amount_refunded: 1000, refunded: false });
+
+    expect(result.fullRefund).toBe(false);
+    expect(db.createRecord).toHaveBeenCalledWith('financial_transactions', expect.objectContaining({ amount: 5, reference: 'ch_1' }));
+    expect(db.updateRecords).toHaveBeenCalledTimes(1);
+    expect(coupons.releasePurchaseRedemptions).not.toHaveBeenCalled();
+    expect(commissions.reversePurchaseCommissions).not.toHaveBeenCalled();
+  });
+
+  it('ignora eventos de reembolso repetidos', async () => {
+    db.getRecord.mockResolvedValueOnce({ ...paidPurchase, payment_status: 'refunded', refunded_amount_cents: 1990 });
+
+    const result = await payments.handleChargeRefunded({ id: 'ch_1', payment_intent: 'pi_test_1', amount: 1990, amount_refunded: 1990, refunded: true });
+
+    expect(result.reason).toBe('already_refunded');
+    expect(db.createRecord).not.toHaveBeenCalled();
+  });
+
+  it('marca a compra como contestada e reverte quando a contestação é vencida', async () => {
+    db.getRecord.mockResolvedValueOnce(paidPurchase);
+    db.updateRecords.mockResolvedValue({ affectedRows: 1 });
+
+    await payments.handleDisputeCreated({ id: 'dp_1', payment_intent: 'pi_test_1', amount: 1990, reason: 'fraudulent' });
+
+    expect(db.updateRecords).toHaveBeenCalledWith('purchases', expect.objectContaining({ payment_status: 'disputed' }), { id: 3, payment_status: 'paid' });
+    expect(db.createRecord).toHaveBeenCalledWith('financial_transactions', expect.objectContaining({ transaction_type: 'saida', reference: 'dp_1' }));
+
+    db.getRecord.mockResolvedValueOnce({ ...paidPurchase, payment_status: 'disputed' });
+    const closed = await payments.handleDisputeClosed({ id: 'dp_1', payment_intent: 'pi_test_1', amount: 1990, status: 'won' });
+
+    expect(closed.handled).toBe(true);
+    expect(db.createRecord).toHaveBeenLastCalledWith('financial_transactions', expect.objectContaining({ transaction_type: 'entrada', amount: 19.9 }));
+  });
+
+  it('valida o valor do reembolso pedido no dashboard', () => {
+    expect(payments.parseRefundAmount('', paidPurchase)).toEqual({ data: 1990 });
+    expect(payments.parseRefundAmount('5,50', paidPurchase)).toEqual({ data: 550 });
+    expect(payments.parseRefundAmount('25', paidPurchase).error).toContain('19,90');
+    expect(payments.parseRefundAmount('', { ...paidPurchase, refunded_amount_cents: 1990 }).error).toContain('saldo');
+  });
+});
@@ -0,0 +1,87 @@
+jest.mock('../db', () => ({
+  getRecord: jest.fn(),
+  queryRecords: jest.fn()
+}));
+
+const db = require('../db');
+const plans = require('../plans');
+
+describe('plans', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('busca apenas planos ativos e interpreta os recursos em JSON', async () => {
+    db.getRecord.mockResolvedValueOnce({ id: 1, name: 'Anual', price_cents: 1990, features: '{"printKit":true}' });
+
+    const plan = await plans.getActivePlan('1');
+
+    expect(db.getRecord).toHaveBeenCalledWith('plans', { id: 1, active: 1 });
+    expect(plan.features).toEqual({ printKit: true });
+  });
+
+  it('copia as condições do plano para a compra', () => {
+    const snapshot = plans.buildPurchaseSnapshot({
+      id: 2,
+      name: 'Lifetime',
+      price_cents: 4990,
+      currency: 'brl',
+      duration_months: null,
+      max_photos: 10,
+      features: { celebrationPage: true }
+    });
+
+    expect(snapshot).toEqual({
+      plan_id: 2,
+      plan_name: 'Lifetime',
+      plan_price_cents: 4990,
+      plan_currency: 'brl',
+      plan_duration_months: null,
+      plan_features: '{"celebrationPage":true}',
+      plan_max_photos: 10
+    });
+  });
+
+  it('valida e normaliza o formulário do dashboard', () => {
+    const { data } = plans.parsePlanForm({
+      name: ' Anual ',
+      price: '19.90',
+      currency: 'BRL',
+      durationMonths: '12',
+      feature_printKit: 'on',
+      active: 'on'
+    });
+
+    expect(data).toEqual(expect.objectContaining({
+      name: 'Anual',
+      price_cents: 1990,
+      currency: 'brl',
+      duration_months: 12,
+      active: 1
+    }));
+    expect(JSON.parse(data.features)).toEqual({ printKit: true, celebrationPage: false, premiumLayout: false });
+  });
+
+  it('rejeita preço inválido', () => {
+    expect(plans.parsePlanForm({ name: 'Anual', price: '0' })).toEqual({ error: 'Informe um preço válido para o plano.' });
+  });
+
+  it('limita a quantidade de fotos por plano', () => {
+    expect(plans.parsePlanForm({ name: 'Anual', price: '19.90', maxPhotos: '21' })).toEqual({ error: 'Informe um limite de fotos entre 1 e 20.' });
+    expect(plans.parsePlanForm({ name: 'Anual', price: '19.90', maxPhotos: '5' }).data.max_photos).toBe(5);
+    expect(plans.getMaxPhotos({ plan_max_photos: 3, max_photos: 8 })).toBe(3);
+    expect(plans.getMaxPhotos({})).toBe(1);
+  });
+
+  it('calcula a expiração preservando o fim do mês', () => {
+    expect(plans.computeExpiration(new Date('2024-01-31T10:00:00Z'), 1)).toEqual(new Date('2024-02-29T10:00:00Z'));
+    expect(plans.computeExpiration(new Date('2024-02-29T10:00:00Z'), 12)).toEqual(new Date('2025-02-28T10:00:00Z'));
+    expect(plans.computeExpiration(new Date(), null)).toBeNull();
+  });
+
+  it('descreve a duração do plano', () => {
+    expect(plans.formatDuration(null)).toBe('Vitalício');
+    expect(plans.formatDuration(12)).toBe('1 ano');
+    expect(plans.formatDuration(6)).toBe('6 meses');
+  });
+});
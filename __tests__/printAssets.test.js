@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const workDir = path.join(os.tmpdir(), `qrlove-print-assets-${process.pid}`);
+process.env.STORAGE_PUBLIC_DIR = path.join(workDir, 'public');
+process.env.STORAGE_PRIVATE_DIR = path.join(workDir, 'private');
+
+const printAssets = require('../printAssets');
+const qrStyles = require('../qrStyles');
+const storage = require('../storage');
+
+const purchase = { id: 7, couple_name: 'Ana & Beto', start_date: '2019-03-12', owner_token: 'c'.repeat(64) };
+
+describe('printAssets', () => {
+  afterAll(async () => {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  });
+
+  it('monta um PDF de uma página com a arte em JPEG e tabela xref consistente', () => {
+    const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xd9]);
+    const pdf = printAssets.buildImagePdf(jpeg, { widthPx: 1240, heightPx: 1748, widthPt: 297.64, heightPt: 419.53 });
+    const text = pdf.toString('latin1');
+
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text).toContain('/MediaBox [0 0 297.64 419.53]');
+    expect(text).toContain('/Width 1240 /Height 1748');
+
+    const startXref = Number(text.split('startxref\n')[1].split('\n')[0]);
+    expect(text.slice(startXref, startXref + 4)).toBe('xref');
+    const offsets = text.slice(startXref).split('\n').slice(3, 8).map(line => Number(line.slice(0, 10)));
+    offsets.forEach((offset, index) => {
+      expect(text.slice(offset, offset + 8)).toBe(`${index + 1} 0 obj\n`);
+    });
+  });
+
+  it('gera SVG, cartões A5/A6 a 300 DPI e o recorte quadrado', async () => {
+    const cover = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#cc8899' } }).jpeg().toBuffer();
+    await storage.media.put('media/capa.jpg', cover);
+
+    const assets = await printAssets.generatePrintAssets(purchase, 'media/capa.jpg', 'http://localhost:7500/pages/ana-e-beto-abc', qrStyles.DEFAULT_QR_STYLE);
+
+    expect(assets).toEqual(Object.keys(printAssets.PRINT_ASSETS));
+
+    const svg = (await printAssets.readAsset(purchase, 'qrcode.svg')).toString('utf8');
+    expect(svg).toContain('<svg');
+
+    const pdf = (await printAssets.readAsset(purchase, 'cartao-a6.pdf')).toString('latin1');
+    expect(pdf).toContain(`/Width ${printAssets.mmToPixels(105)} /Height ${printAssets.mmToPixels(148)}`);
+
+    const social = await sharp(await printAssets.readAsset(purchase, 'quadrado.jpg')).metadata();
+    expect(await fs.promises.readdir(path.join(workDir, 'private', 'print', '7'))).toHaveLength(4);
+    expect([social.width, social.height]).toEqual([1080, 1080]);
+
+    expect(await printAssets.listAvailableAssets(purchase)).toEqual(assets);
+  }, 20000);
+
+  it('aceita apenas links assinados com o token do dono e dentro da validade', () => {
+    const now = Date.now();
+    const query = Object.fromEntries(new URLSearchParams(printAssets.buildDownloadQuery(purchase, 'qrcode.svg', now)));
+
+    expect(printAssets.verifyDownload(purchase, 'qrcode.svg', query, now)).toBe(true);
+    expect(printAssets.verifyDownload(purchase, 'cartao-a5.pdf', query, now)).toBe(false);
+    expect(printAssets.verifyDownload({ ...purchase, owner_token: 'd'.repeat(64) }, 'qrcode.svg', query, now)).toBe(false);
+    expect(printAssets.verifyDownload(purchase, 'qrcode.svg', query, Number(query.expires) + 1)).toBe(false);
+  });
+});
@@ -0,0 +1,143 @@
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('../db', () => ({
+  createRecord: jest.fn(),
+  getRecord: jest.fn(),
+  executeQuery: jest.fn()
+}));
+
+jest.mock('../gallery', () => ({
+  loadPurchaseImages: jest.fn(),
+  getCoverImage: images => (images.length ? images[0] : null)
+}));
+
+jest.mock('../imageJobs', () => ({
+  IMAGE_STATUS: { QUEUED: 'queued', PROCESSING: 'processing', DONE: 'done', FAILED: 'failed' },
+  enqueueQrImage: jest.fn()
+}));
+
+const db = require('../db');
+const gallery = require('../gallery');
+const imageJobs = require('../imageJobs');
+const purchases = require('../purchases');
+
+const context = { adminId: 3, adminEmail: 'suporte@qrlove.com.br', requestId: 'req-1', ip: '10.0.0.1' };
+
+describe('purchases busca', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.executeQuery.mockReset();
+  });
+
+  it('busca pelo nome, pela hash da URL, pela sessão ou pelo cupom e pagina os resultados', async () => {
+    db.executeQuery
+      .mockResolvedValueOnce([{ total: 60 }])
+      .mockResolvedValueOnce([{ id: 9 }]);
+
+    const result = await purchases.searchPurchases({ search: ' https://qrlove.com.br/pages/ana-e-joao-abc123 ', status: 'paid', page: '2' });
+
+    const [countSql, countParams] = db.executeQuery.mock.calls[0];
+    expect(countSql).toContain('p.couple_name LIKE ?');
+    expect(countSql).toContain('c.code = ?');
+    expect(countSql).toContain('AND p.payment_status = ?');
+    expect(countParams).toEqual([
+      '%https://qrlove.com.br/pages/ana-e-joao-abc123%',
+      '%https://qrlove.com.br/pages/ana-e-joao-abc123%',
+      'abc123',
+      'https://qrlove.com.br/pages/ana-e-joao-abc123',
+      'https://qrlove.com.br/pages/ana-e-joao-abc123',
+      'HTTPS://QRLOVE.COM.BR/PAGES/ANA-E-JOAO-ABC123',
+      'paid'
+    ]);
+    expect(db.executeQuery.mock.calls[1][0]).toContain(`LIMIT ${purchases.PURCHASES_PAGE_SIZE} OFFSET ?`);
+    expect(db.executeQuery.mock.calls[1][1].slice(-1)).toEqual([purchases.PURCHASES_PAGE_SIZE]);
+    expect(result).toEqual({ purchases: [{ id: 9 }], total: 60, page: 2, pageCount: 3 });
+  });
+
+  it('lista tudo sem busca e mantém a página dentro do total', async () => {
+    db.executeQuery
+      .mockResolvedValueOnce([{ total: 0 }])
+      .mockResolvedValueOnce([]);
+
+    const result = await purchases.searchPurchases({ search: '50%_off', page: '7', status: 'inexistente' });
+
+    expect(db.executeQuery.mock.calls[0][1][0]).toBe('%50\\%\\_off%');
+    expect(db.executeQuery.mock.calls[0][0]).not.toContain('payment_status');
+    expect(result.page).toBe(1);
+
+    db.executeQuery
+      .mockResolvedValueOnce([{ total: 3 }])
+      .mockResolvedValueOnce([]);
+    await purchases.searchPurchases();
+    expect(db.executeQuery.mock.calls[2][0]).toBe('SELECT COUNT(*) AS total FROM purchases p');
+  });
+});
+
+describe('purchases ações do suporte', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.executeQuery.mockReset();
+    gallery.loadPurchaseImages.mockReset();
+  });
+
+  it('tira a página do ar uma única vez e audita a mudança', async () => {
+    const purchase = { id: 7, unpublished_at: null };
+
+    db.executeQuery.mockResolvedValueOnce({ affectedRows: 1 });
+    const result = await purchases.setPublished(context, purchase, false);
+
+    expect(purchases.isPublished(result.data)).toBe(false);
+    expect(db.executeQuery).toHaveBeenCalledWith(
+      'UPDATE purchases SET unpublished_at = ?, unpublished_by = ? WHERE id = ? AND unpublished_at IS NULL',
+      [expect.any(Date), 3, 7]
+    );
+    expect(db.createRecord).toHaveBeenCalledWith('audit_logs', expect.objectContaining({ action: 'unpublish', entity_type: 'purchase', entity_id: 7 }));
+
+    db.executeQuery.mockResolvedValueOnce({ affectedRows: 0 });
+    expect((await purchases.setPublished(context, purchase, false)).error).toBe('A página já está fora do ar.');
+    expect(db.createRecord).toHaveBeenCalledTimes(1);
+  });
+
+  it('recoloca a página no ar', async () => {
+    db.executeQuery.mockResolvedValueOnce({ affectedRows: 1 });
+
+    const result = await purchases.setPublished(context, { id: 7, unpublished_at: new Date() }, true);
+
+    expect(purchases.isPublished(result.data)).toBe(true);
+    expect(db.executeQuery.mock.calls[0][0]).toContain('SET unpublished_at = NULL');
+    expect(db.createRecord).toHaveBeenCalledWith('audit_logs', expect.objectContaining({ action: 'republish' }));
+  });
+
+  it('agenda a nova imagem com QR Code apenas para compras pagas com fotos e sem geração em andamento', async () => {
+    const purchase = { id: 7, payment_status: 'paid', image_status: 'done' };
+
+    expect((await purchases.regenerateQrImage(context, { ...purchase, payment_status: 'pending' })).error).toContain('compras pagas');
+    expect((await purchases.regenerateQrImage(context, { ...purchase, image_status: 'processing' })).error).toContain('já está sendo gerada');
+
+    gallery.loadPurchaseImages.mockResolvedValueOnce([]);
+    expect((await purchases.regenerateQrImage(context, purchase)).error).toContain('não tem fotos');
+    expect(imageJobs.enqueueQrImage).not.toHaveBeenCalled();
+
+    gallery.loadPurchaseImages.mockResolvedValueOnce([{ id: 1, image_url: '/media/capa.jpg' }]);
+    expect((await purchases.regenerateQrImage(context, purchase)).data).toBe(true);
+    expect(imageJobs.enqueueQrImage).toHaveBeenCalledWith(7);
+    expect(db.createRecord).toHaveBeenCalledWith('audit_logs', expect.objectContaining({ action: 'regenerate_qr', entity_id: 7 }));
+  });
+
+  it('monta os links do cliente e do painel do Stripe', () => {
+    const purchase = { id: 7, slug: 'ana-e-joao', unique_hash: 'abc123', owner_token: 'f'.repeat(64), payment_intent_id: 'pi_123' };
+
+    expect(purchases.buildPurchaseLinks(purchase, 'https://qrlove.com.br')).toEqual({
+      pageUrl: 'https://qrlove.com.br/pages/ana-e-joao-abc123',
+      successUrl: 'https://qrlove.com.br/success/ana-e-joao-abc123',
+      manageUrl: `https://qrlove.com.br/manage/${'f'.repeat(64)}`
+    });
+    expect(purchases.buildStripeDashboardUrl(purchase, 'sk_test_123')).toBe('https://dashboard.stripe.com/test/payments/pi_123');
+    expect(purchases.buildStripeDashboardUrl(purchase, 'sk_live_123')).toBe('https://dashboard.stripe.com/payments/pi_123');
+    expect(purchases.buildStripeDashboardUrl({ id: 8 }, 'sk_live_123')).toBeNull();
+  });
+});
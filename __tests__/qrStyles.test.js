@@ -0,0 +1,44 @@
+const qrStyles = require('../qrStyles');
+
+describe('qrStyles', () => {
+  it('usa o estilo padrão quando o formulário não envia opções', () => {
+    expect(qrStyles.parseQrStyleForm({})).toEqual({ data: qrStyles.DEFAULT_QR_STYLE });
+  });
+
+  it('valida posição personalizada, tamanho, paleta e legenda', () => {
+    expect(qrStyles.parseQrStyleForm({ qrPosition: 'custom', qrX: '150', qrY: '10' }).error).toContain('0% e 100%');
+    expect(qrStyles.parseQrStyleForm({ qrSize: '80' }).error).toContain('tamanho');
+    expect(qrStyles.parseQrStyleForm({ qrPalette: 'neon' }).error).toBe('Paleta de cores inválida.');
+    expect(qrStyles.parseQrStyleForm({ qrCaption: 'x'.repeat(qrStyles.QR_CAPTION_MAX_LENGTH + 1) }).error).toContain('legenda');
+
+    expect(qrStyles.parseQrStyleForm({
+      qrPosition: 'custom',
+      qrX: '25',
+      qrY: '75',
+      qrSize: '30',
+      qrPalette: 'dourado',
+      qrCenter: 'logo',
+      qrCaption: ' Escaneie-me '
+    }).data).toEqual({ position: 'custom', x: 25, y: 75, size: 30, palette: 'dourado', center: 'logo', caption: 'Escaneie-me' });
+  });
+
+  it('reconstrói o estilo guardado na compra e volta ao padrão quando inválido', () => {
+    expect(qrStyles.normalizeQrStyle('{"position":"top-left","size":15,"palette":"noite"}')).toEqual({
+      ...qrStyles.DEFAULT_QR_STYLE,
+      position: 'top-left',
+      size: 15,
+      palette: 'noite'
+    });
+    expect(qrStyles.normalizeQrStyle(null)).toEqual(qrStyles.DEFAULT_QR_STYLE);
+    expect(qrStyles.normalizeQrStyle('{"palette":"neon"}')).toEqual(qrStyles.DEFAULT_QR_STYLE);
+  });
+
+  it('posiciona o cartão nos cantos com margem ou na posição personalizada', () => {
+    const image = { width: 1000, height: 500 };
+    const card = { width: 200, height: 200 };
+
+    expect(qrStyles.computeQrPlacement({ position: 'top-right' }, image, card)).toEqual({ left: 780, top: 20 });
+    expect(qrStyles.computeQrPlacement({ position: 'bottom-left' }, image, card)).toEqual({ left: 20, top: 280 });
+    expect(qrStyles.computeQrPlacement({ position: 'custom', x: 50, y: 100 }, image, card)).toEqual({ left: 400, top: 300 });
+  });
+});
@@ -0,0 +1,143 @@
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('../db', () => ({
+  createRecord: jest.fn(),
+  executeQuery: jest.fn()
+}));
+
+const db = require('../db');
+const reconciliation = require('../reconciliation');
+
+const context = { adminId: 4, adminEmail: 'financeiro@qrlove.com.br', requestId: 'req-1', ip: '10.0.0.1' };
+const period = { start: '2026-10-01', end: '2026-10-15' };
+const created = Date.UTC(2026, 9, 5, 15) / 1000;
+
+const purchase = { id: 7, couple_name: 'Ana e João', plan_name: 'Anual', session_id: 'cs_1', payment_intent_id: 'pi_1' };
+
+const buildStripe = ({ balanceTransactions = [], payouts = [], sessions = [] }) => {
+  const pages = items => jest.fn().mockResolvedValue({ data: items, has_more: false });
+
+  return {
+    balanceTransactions: { list: pages(balanceTransactions) },
+    payouts: { list: pages(payouts) },
+    checkout: { sessions: { list: pages(sessions) } }
+  };
+};
+
+const mockDatabase = ({ purchases = [], ledger = [] }) => {
+  db.executeQuery.mockImplementation(async sql => {
+    if (sql.includes('FROM purchases')) {
+      return purchases;
+    }
+
+    return sql.includes('reference IN (?)') ? ledger : [];
+  });
+};
+
+describe('reconciliation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.executeQuery.mockReset();
+  });
+
+  it('propõe as taxas e a renovação que faltam e confirma a venda já lançada', async () => {
+    const stripe = buildStripe({
+      balanceTransactions: [
+        { id: 'txn_1', type: 'charge', reporting_category: 'charge', amount: 4990, fee: 250, net: 4740, created, source: { id: 'ch_1', object: 'charge', payment_intent: 'pi_1' } },
+        { id: 'txn_2', type: 'charge', reporting_category: 'charge', amount: 2990, fee: 150, net: 2840, created, source: { id: 'ch_2', object: 'charge', payment_intent: 'pi_2' } },
+        { id: 'txn_3', type: 'payout', reporting_category: 'payout', amount: -7580, fee: 0, net: -7580, created, source: 'po_1' }
+      ],
+      sessions: [
+        { id: 'cs_1', payment_intent: 'pi_1', metadata: {} },
+        { id: 'cs_2', payment_intent: 'pi_2', metadata: { type: 'renewal', purchaseId: '7' } }
+      ],
+      payouts: [{ id: 'po_1', amount: 7580, status: 'paid', arrival_date: created }]
+    });
+    mockDatabase({ purchases: [purchase], ledger: [{ id: 30, reference: 'cs_1', transaction_type: 'entrada', amount: '49.90' }] });
+
+    const result = await reconciliation.reconcile(stripe, period);
+
+    expect(stripe.balanceTransactions.list).toHaveBeenCalledWith(expect.objectContaining({
+      created: { gte: Date.UTC(2026, 9, 1) / 1000, lt: Date.UTC(2026, 9, 16) / 1000 },
+      expand: ['data.source']
+    }));
+    expect(result.proposals).toEqual([
+      expect.objectContaining({ key: 'saida|stripe_fee:txn_1', category: 'taxa_stripe', amount: 2.5, purchase_id: 7, occurred_at: '2026-10-05' }),
+      expect.objectContaining({ key: 'entrada|cs_2', category: 'renovacao', amount: 29.9, purchase_id: 7 }),
+      expect.objectContaining({ key: 'saida|stripe_fee:txn_2', amount: 1.5 })
+    ]);
+    expect(result.differences).toEqual([]);
+    expect(result.summary).toEqual({ gross: 79.8, fees: 4, net: 75.8, payouts: 75.8, movements: 3 });
+  });
+
+  it('sinaliza valores divergentes, cobranças sem compra e transferências com falha', async () => {
+    const stripe = buildStripe({
+      balanceTransactions: [
+        { id: 'txn_4', type: 'refund', reporting_category: 'refund', amount: -4990, fee: 0, net: -4990, created, source: { id: 're_1', object: 'refund', payment_intent: 'pi_1' } },
+        { id: 'txn_5', type: 'charge', reporting_category: 'charge', amount: 1000, fee: 80, net: 920, created, source: { id: 'ch_9', object: 'charge', payment_intent: 'pi_9' } }
+      ],
+      payouts: [{ id: 'po_2', amount: 5000, status: 'failed', failure_message: 'Conta encerrada', arrival_date: created }]
+    });
+    mockDatabase({ purchases: [purchase], ledger: [{ id: 31, reference: 're_1', transaction_type: 'saida', amount: '40.00' }] });
+
+    const result = await reconciliation.reconcile(stripe, period);
+
+    expect(result.differences.map(difference => [difference.type, difference.stripeId])).toEqual([
+      ['amount', 'txn_4'],
+      ['unmatched', 'txn_5'],
+      ['payout', 'po_2']
+    ]);
+    expect(result.differences[0]).toEqual(expect.objectContaining({ transactionId: 31, amount: 49.9, recordedAmount: 40 }));
+    expect(result.proposals.map(proposal => proposal.key)).toEqual(['saida|stripe_fee:txn_5']);
+  });
+
+  it('percorre todas as páginas das listagens do Stripe', async () => {
+    const resource = {
+      list: jest.fn()
+        .mockResolvedValueOnce({ data: [{ id: 'txn_1' }, { id: 'txn_2' }], has_more: true })
+        .mockResolvedValueOnce({ data: [{ id: 'txn_3' }], has_more: false })
+    };
+
+    const items = await reconciliation.listAll(resource, { created: { gte: 1 } });
+
+    expect(items.map(item => item.id)).toEqual(['txn_1', 'txn_2', 'txn_3']);
+    expect(resource.list).toHaveBeenLastCalledWith({ created: { gte: 1 }, limit: 100, starting_after: 'txn_2' });
+  });
+
+  it('registra apenas as propostas escolhidas que ainda faltam e audita cada uma', async () => {
+    const proposals = [
+      { key: 'saida|stripe_fee:txn_1', stripeId: 'txn_1', transaction_type: 'saida', category: 'taxa_stripe', reference: 'stripe_fee:txn_1', amount: 2.5, description: 'Taxa do Stripe', purchase_id: 7, occurred_at: '2026-10-05' },
+      { key: 'entrada|cs_2', stripeId: 'txn_2', transaction_type: 'entrada', category: 'renovacao', reference: 'cs_2', amount: 29.9, description: 'Renovação', purchase_id: 7, occurred_at: '2026-10-05' },
+      { key: 'saida|stripe_fee:txn_2', stripeId: 'txn_2', transaction_type: 'saida', category: 'taxa_stripe', reference: 'stripe_fee:txn_2', amount: 1.5, description: 'Taxa do Stripe', purchase_id: 7, occurred_at: '2026-10-05' }
+    ];
+    db.executeQuery
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([{ id: 40 }]);
+    db.createRecord.mockImplementation(async (table, data) => ({ id: table === 'financial_transactions' ? 41 : 90, ...data }));
+
+    const result = await reconciliation.applyProposals(context, proposals, ['saida|stripe_fee:txn_1', 'entrada|cs_2']);
+
+    expect(result.data).toHaveLength(1);
+    expect(db.createRecord).toHaveBeenCalledWith('financial_transactions', {
+      transaction_type: 'saida',
+      category: 'taxa_stripe',
+      reference: 'stripe_fee:txn_1',
+      amount: 2.5,
+      description: 'Taxa do Stripe',
+      purchase_id: 7,
+      occurred_at: '2026-10-05'
+    });
+    expect(db.createRecord).toHaveBeenCalledWith('audit_logs', expect.objectContaining({ action: 'reconcile', entity_type: 'financial_transaction', entity_id: 41, admin_id: 4 }));
+    expect(db.executeQuery).toHaveBeenCalledTimes(2);
+  });
+
+  it('limita o período consultado e inverte datas trocadas', () => {
+    expect(reconciliation.resolvePeriod({}, new Date('2026-10-19T12:00:00Z'))).toEqual({ start: '2026-09-20', end: '2026-10-19' });
+    expect(reconciliation.resolvePeriod({ inicio: '2026-10-10', fim: '2026-10-01' })).toEqual({ start: '2026-10-01', end: '2026-10-10' });
+    expect(reconciliation.resolvePeriod({ inicio: '2026-01-01', fim: '2026-10-19' })).toEqual({ start: '2026-07-20', end: '2026-10-19' });
+  });
+});
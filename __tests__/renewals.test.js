@@ -0,0 +1,73 @@
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('../db', () => ({
+  createRecord: jest.fn(),
+  getRecord: jest.fn(),
+  updateRecord: jest.fn(),
+  updateRecords: jest.fn(),
+  executeQuery: jest.fn(),
+  withTransaction: jest.fn(callback => callback())
+}));
+
+const db = require('../db');
+const renewals = require('../renewals');
+
+describe('renewals', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('mantém páginas vitalícias sempre ativas', () => {
+    expect(renewals.getAccessState({ expires_at: null }).state).toBe('active');
+  });
+
+  it('diferencia carência e expiração após o vencimento', () => {
+    const purchase = { expires_at: '2024-01-10T00:00:00Z' };
+
+    expect(renewals.getAccessState(purchase, new Date('2024-01-09T00:00:00Z')).state).toBe('active');
+    expect(renewals.getAccessState(purchase, new Date('2024-01-20T00:00:00Z')).state).toBe('grace');
+    expect(renewals.getAccessState(purchase, new Date('2024-02-10T00:00:00Z')).state).toBe('expired');
+  });
+
+  it('renova apenas compras pagas de planos com duração', () => {
+    expect(renewals.canRenew({ payment_status: 'paid', plan_duration_months: 12, plan_price_cents: 1990 })).toBe(true);
+    expect(renewals.canRenew({ payment_status: 'paid', plan_duration_months: null, plan_price_cents: 4990 })).toBe(false);
+    expect(renewals.canRenew({ payment_status: 'pending', plan_duration_months: 12, plan_price_cents: 1990 })).toBe(false);
+  });
+
+  it('estende a expiração a partir de hoje quando a página já expirou', async () => {
+    jest.useFakeTimers().setSystemTime(new Date('2024-03-01T12:00:00Z'));
+    db.getRecord
+      .mockResolvedValueOnce({ id: 8, purchase_id: 3, status: 'pending', duration_months: 12 })
+      .mockResolvedValueOnce({ id: 3, couple_name: 'Ana', plan_name: 'Anual', expires_at: '2024-01-10T00:00:00Z' });
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 1 });
+
+    const result = await renewals.fulfillRenewalSession({ id: 'cs_renew', amount_total: 1990 });
+
+    expect(result).toEqual({ fulfilled: true, expiresAt: new Date('2025-03-01T12:00:00Z') });
+    expect(db.updateRecord).toHaveBeenCalledWith('purchases', { expires_at: new Date('2025-03-01T12:00:00Z') }, 3);
+    expect(db.createRecord).toHaveBeenCalledWith('financial_transactions', expect.objectContaining({
+      transaction_type: 'entrada',
+      amount: 19.9,
+      reference: 'cs_renew'
+    }));
+    jest.useRealTimers();
+  });
+
+  it('soma a renovação ao período vigente quando renovada antes do vencimento', async () => {
+    jest.useFakeTimers().setSystemTime(new Date('2024-01-01T00:00:00Z'));
+    db.getRecord
+      .mockResolvedValueOnce({ id: 9, purchase_id: 4, status: 'pending', duration_months: 12 })
+      .mockResolvedValueOnce({ id: 4, couple_name: 'Bia', expires_at: '2024-01-31T00:00:00Z' });
+    db.updateRecords.mockResolvedValueOnce({ affectedRows: 1 });
+
+    const result = await renewals.fulfillRenewalSession({ id: 'cs_early', amount_total: 1990 });
+
+    expect(result.expiresAt).toEqual(new Date('2025-01-31T00:00:00Z'));
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,139 @@
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('../db', () => ({
+  createRecord: jest.fn(),
+  createRecords: jest.fn(),
+  executeQuery: jest.fn()
+}));
+
+const db = require('../db');
+const reports = require('../reports');
+
+describe('reports filtros', () => {
+  it('usa os últimos 12 meses quando as datas faltam ou são inválidas', () => {
+    const filters = reports.resolveReportFilters({ inicio: '2026-02-30', categoria: 'inexistente', tipo: 'x', agrupamento: 'ano' }, new Date(2026, 9, 19, 12));
+
+    expect(filters).toEqual({ start: '2025-11-01', end: '2026-10-19', category: '', type: '', grouping: 'mes' });
+  });
+
+  it('inverte datas trocadas e mantém filtros válidos', () => {
+    const filters = reports.resolveReportFilters({ inicio: '2026-03-31', fim: '2026-01-01', categoria: 'repasse', tipo: 'saida', agrupamento: 'semana' });
+
+    expect(filters).toEqual({ start: '2026-01-01', end: '2026-03-31', category: 'repasse', type: 'saida', grouping: 'semana' });
+  });
+});
+
+describe('reports consultas', () => {
+  beforeEach(() => {
+    db.executeQuery.mockReset();
+  });
+
+  it('soma os totais no banco ignorando lançamentos removidos', async () => {
+    db.executeQuery.mockResolvedValueOnce([
+      { transaction_type: 'entrada', total: '150.50', count: 3 },
+      { transaction_type: 'saida', total: '40.00', count: 1 }
+    ]);
+
+    const totals = await reports.loadTotals();
+
+    expect(db.executeQuery.mock.calls[0][0]).toContain('WHERE deleted_at IS NULL GROUP BY transaction_type');
+    expect(totals).toEqual({ revenue: 150.5, expenses: 40, count: 4, balance: 110.5 });
+  });
+
+  it('preenche os meses sem movimentação', async () => {
+    db.executeQuery.mockResolvedValueOnce([
+      { period: '2026-01', transaction_type: 'entrada', total: '100.00', count: 2 },
+      { period: '2026-03', transaction_type: 'saida', total: '30.00', count: 1 }
+    ]);
+
+    const periods = await reports.loadPeriodBreakdown({ start: '2026-01-15', end: '2026-03-02', category: '', type: 'entrada', grouping: 'mes' });
+
+    const [sql, params] = db.executeQuery.mock.calls[0];
+    expect(sql).toContain("DATE_FORMAT(occurred_at, '%Y-%m')");
+    expect(sql).toContain('deleted_at IS NULL AND occurred_at BETWEEN ? AND ? AND transaction_type = ?');
+    expect(params).toEqual(['2026-01-15', '2026-03-02', 'entrada']);
+    expect(periods.map(period => [period.label, period.balance, period.count])).toEqual([
+      ['01/2026', 100, 2],
+      ['02/2026', 0, 0],
+      ['03/2026', -30, 1]
+    ]);
+  });
+
+  it('agrupa por semana a partir da segunda-feira', async () => {
+    db.executeQuery.mockResolvedValueOnce([{ period: '2026-10-12', transaction_type: 'entrada', total: '20.00', count: 1 }]);
+
+    const periods = await reports.loadPeriodBreakdown({ start: '2026-10-01', end: '2026-10-19', category: '', type: '', grouping: 'semana' });
+
+    expect(db.executeQuery.mock.calls[0][0]).toContain('WEEKDAY(occurred_at)');
+    expect(periods.map(period => period.period)).toEqual(['2026-09-28', '2026-10-05', '2026-10-12', '2026-10-19']);
+    expect(periods[2]).toEqual(expect.objectContaining({ label: '12/10/2026', revenue: 20 }));
+  });
+
+  it('não consulta cupons quando o filtro é de outra categoria', async () => {
+    const result = await reports.loadRevenueByCoupon({ start: '2026-01-01', end: '2026-01-31', category: 'repasse', type: '' });
+
+    expect(result).toEqual([]);
+    expect(db.executeQuery).not.toHaveBeenCalled();
+  });
+});
+
+describe('reports gráfico e CSV', () => {
+  it('escala as barras pelo maior valor do período', () => {
+    const chart = reports.buildChart([
+      { label: '01/2026', revenue: 200, expenses: 50 },
+      { label: '02/2026', revenue: 0, expenses: 0 }
+    ], { width: 224, height: 124, padding: 12 });
+
+    expect(chart.max).toBe(200);
+    expect(chart.bars).toHaveLength(4);
+    expect(chart.bars[0]).toEqual(expect.objectContaining({ type: 'entrada', height: 100 }));
+    expect(chart.bars[1]).toEqual(expect.objectContaining({ type: 'saida', height: 25 }));
+    expect(chart.labels.map(label => label.text)).toEqual(['01/2026', '02/2026']);
+  });
+
+  it('gera CSV com BOM, ponto e vírgula e vírgula decimal, neutralizando fórmulas', () => {
+    const csv = reports.buildLedgerCsv([
+      { id: 9, occurred_at: new Date(2026, 0, 5), transaction_type: 'saida', category: 'marketing', amount: '1234.5', description: '=HYPERLINK("x")', reference: null, purchase_id: null }
+    ]);
+
+    expect(csv.startsWith('\uFEFFData;Tipo;Categoria;Valor;Descrição;Referência;Compra;Lançamento\r\n')).toBe(true);
+    expect(csv).toContain('2026-01-05;saida;Marketing;1234,50;"\'=HYPERLINK(""x"")";;;9\r\n');
+
+    const summary = reports.buildSummaryCsv([{ label: '01/2026', revenue: 10, expenses: 25.5, balance: -15.5, count: 2 }]);
+    expect(summary).toContain('01/2026;10,00;25,50;-15,50;2\r\n');
+  });
+});
+
+describe('reports importação de lançamentos', () => {
+  const context = { adminId: 4, adminEmail: 'financeiro@qrlove.com.br', requestId: 'req-1', ip: '10.0.0.1' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('importa a planilha exportada pelos relatórios com as regras do formulário', async () => {
+    const csv = reports.buildLedgerCsv([
+      { id: 9, occurred_at: '2026-01-05', transaction_type: 'saida', category: 'taxa_stripe', amount: '1234.5', description: 'Taxas de janeiro', reference: null, purchase_id: null }
+    ]);
+
+    const result = await reports.importTransactionsCsv(context, `${csv}05/02/2026;Entrada;;19,90;;#123;;\r\n`);
+
+    expect(result).toEqual({ data: { count: 2 } });
+    expect(db.createRecords).toHaveBeenCalledWith('financial_transactions', [
+      { transaction_type: 'saida', amount: 1234.5, description: 'Taxas de janeiro', reference: null, category: 'taxa_stripe', occurred_at: '2026-01-05' },
+      { transaction_type: 'entrada', amount: 19.9, description: null, reference: '#123', category: 'outros', occurred_at: '2026-02-05' }
+    ]);
+    expect(db.createRecord).toHaveBeenCalledWith('audit_logs', expect.objectContaining({ action: 'import', entity_type: 'financial_transaction', admin_id: 4 }));
+  });
+
+  it('não importa nada quando alguma linha é inválida', async () => {
+    const result = await reports.importTransactionsCsv(context, 'data;tipo;valor;categoria\n2026-01-05;entrada;10;venda\n2026-01-06;transferencia;10;\n31/02/2026;saida;0;\n2026-01-07;saida;5;brindes\n');
+
+    expect(result.error).toBe('Nenhum lançamento importado. Corrija linha 3: Tipo de transação inválido. linha 4: Informe um valor válido para a transação. linha 5: Categoria inválida.');
+    expect(db.createRecords).not.toHaveBeenCalled();
+  });
+});
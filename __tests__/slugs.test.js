@@ -0,0 +1,28 @@
+const slugs = require('../slugs');
+
+describe('slugs', () => {
+  it('normaliza acentos, espaços e "&"', () => {
+    expect(slugs.slugify('Ana-Maria & João')).toBe('ana-maria-e-joao');
+    expect(slugs.slugify('  Zé  &  Lúcia!! ')).toBe('ze-e-lucia');
+    expect(slugs.slugify('💖')).toBe('qrlove');
+  });
+
+  it('limita o tamanho sem terminar em hífen', () => {
+    const slug = slugs.slugify(`${'a'.repeat(59)} b`);
+
+    expect(slug.length).toBeLessThanOrEqual(slugs.SLUG_MAX_LENGTH);
+    expect(slug.endsWith('-')).toBe(false);
+  });
+
+  it('separa a hash após o último hífen, inclusive em nomes com hífen', () => {
+    expect(slugs.parsePageKey('ana-maria-e-joao-abc123')).toEqual({ slug: 'ana-maria-e-joao', hash: 'abc123' });
+    expect(slugs.parsePageKey('Ana-Maria & João-abc123')).toEqual({ slug: 'Ana-Maria & João', hash: 'abc123' });
+    expect(slugs.parsePageKey('abc123')).toEqual({ slug: null, hash: 'abc123' });
+  });
+
+  it('monta a chave canônica com o slug gravado ou derivado do nome', () => {
+    expect(slugs.buildPageKey({ slug: 'ana-e-beto', couple_name: 'Outro nome', unique_hash: 'abc' })).toBe('ana-e-beto-abc');
+    expect(slugs.buildPageKey({ couple_name: 'Ana & Beto', unique_hash: 'abc' })).toBe('ana-e-beto-abc');
+    expect(slugs.isCanonicalPageKey('Ana-abc', { slug: 'ana', unique_hash: 'abc' })).toBe(false);
+  });
+});
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const storage = require('../storage');
+
+// Servidor mínimo no estilo do MinIO (path-style: /bucket/chave) guardando os objetos em memória
+const startFakeS3 = () => new Promise(resolve => {
+  const objects = new Map();
+  const server = http.createServer((req, res) => {
+    const key = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const chunks = [];
+
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      if (req.method === 'PUT') {
+        objects.set(key, { body: Buffer.concat(chunks), contentType: req.headers['content-type'] });
+        res.writeHead(200, { ETag: '"etag"' });
+        return res.end();
+      }
+
+      if (req.method === 'DELETE') {
+        objects.delete(key);
+        res.writeHead(204);
+        return res.end();
+      }
+
+      const object = objects.get(key);
+      if (!object) {
+        res.writeHead(404, { 'Content-Type': 'application/xml' });
+        return res.end(req.method === 'HEAD' ? undefined : '<Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>');
+      }
+
+      res.writeHead(200, { 'Content-Type': object.contentType || 'application/octet-stream', 'Content-Length': object.body.length });
+      return res.end(req.method === 'HEAD' ? undefined : object.body);
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({ server, objects, port: server.address().port }));
+});
+
+describe('storage', () => {
+  it('converte URLs gravadas em chaves', () => {
+    expect(storage.keyFromUrl('/media/a.jpg', '')).toBe('media/a.jpg');
+    expect(storage.keyFromUrl('https://cdn.exemplo.com/media/a.jpg', 'https://cdn.exemplo.com')).toBe('media/a.jpg');
+    expect(storage.keyFromUrl('https://outro.com/media/a.jpg', 'https://cdn.exemplo.com')).toBeNull();
+    expect(storage.keyFromUrl(null, '')).toBeNull();
+  });
+
+  describe('disco local', () => {
+    const root = path.join(os.tmpdir(), `qrlove-storage-${process.pid}`);
+
+    afterAll(async () => {
+      await fs.promises.rm(root, { recursive: true, force: true });
+    });
+
+    it('grava, lê, verifica e remove arquivos por chave', async () => {
+      const local = storage.createLocalStorage({ root, baseUrl: '' });
+
+      await local.put('media/variants/a-480.webp', Buffer.from('webp'));
+      expect(await local.exists('media/variants/a-480.webp')).toBe(true);
+      expect(await local.get('media/variants/a-480.webp')).toEqual(Buffer.from('webp'));
+      expect(local.getUrl('media/variants/a-480.webp')).toBe('/media/variants/a-480.webp');
+      expect(local.keyFromUrl('/media/variants/a-480.webp')).toBe('media/variants/a-480.webp');
+      expect(await local.getSignedUrl('media/variants/a-480.webp')).toBeNull();
+
+      await local.delete('media/variants/a-480.webp');
+      await local.delete('media/variants/a-480.webp');
+      expect(await local.exists('media/variants/a-480.webp')).toBe(false);
+    });
+
+    it('não expõe URL pública no armazenamento privado e recusa chaves fora da raiz', async () => {
+      const privateFiles = storage.createLocalStorage({ root });
+
+      expect(privateFiles.getUrl('print/1/qrcode.svg')).toBeNull();
+      await expect(privateFiles.put('../fora.txt', 'x')).rejects.toThrow('Chave de armazenamento inválida');
+    });
+  });
+
+  describe('S3 compatível', () => {
+    let fakeS3;
+    let s3;
+
+    beforeAll(async () => {
+      fakeS3 = await startFakeS3();
+      s3 = storage.createS3Storage({
+        bucket: 'qrlove',
+        region: 'us-east-1',
+        endpoint: `http://127.0.0.1:${fakeS3.port}`,
+        forcePathStyle: true,
+        accessKeyId: 'teste',
+        secretAccessKey: 'segredo-teste'
+      });
+    });
+
+    afterAll(done => {
+      fakeS3.server.close(done);
+    });
+
+    it('grava, lê, verifica e remove objetos no bucket', async () => {
+      await s3.put('media/a.jpg', Buffer.from('jpeg'), { contentType: 'image/jpeg' });
+
+      expect(fakeS3.objects.get('/qrlove/media/a.jpg').contentType).toBe('image/jpeg');
+      expect(await s3.exists('media/a.jpg')).toBe(true);
+      expect(await s3.get('media/a.jpg')).toEqual(Buffer.from('jpeg'));
+      expect(s3.getUrl('media/a.jpg')).toBe(`http://127.0.0.1:${fakeS3.port}/qrlove/media/a.jpg`);
+      expect(s3.keyFromUrl(s3.getUrl('media/a.jpg'))).toBe('media/a.jpg');
+
+      await s3.delete('media/a.jpg');
+      expect(await s3.exists('media/a.jpg')).toBe(false);
+    });
+
+    it('gera URL assinada com nome de download', async () => {
+      const url = new URL(await s3.getSignedUrl('print/1/cartao-a5.pdf', 300, { downloadName: 'cartao.pdf' }));
+
+      expect(url.pathname).toBe('/qrlove/print/1/cartao-a5.pdf');
+      expect(url.searchParams.get('X-Amz-Signature')).toBeTruthy();
+      expect(url.searchParams.get('X-Amz-Expires')).toBe('300');
+      expect(url.searchParams.get('response-content-disposition')).toBe('attachment; filename="cartao.pdf"');
+    });
+
+    it('usa a URL pública configurada e exige o bucket', () => {
+      const cdn = storage.createS3Storage({ bucket: 'qrlove', publicUrl: 'https://cdn.exemplo.com/', client: {} });
+
+      expect(cdn.getUrl('media/a.jpg')).toBe('https://cdn.exemplo.com/media/a.jpg');
+      expect(() => storage.createS3Storage({})).toThrow('S3_BUCKET');
+    });
+  });
+
+  it('escolhe o driver pelo ambiente', () => {
+    const local = storage.createStorage({ STORAGE_PUBLIC_DIR: 'public', STORAGE_PRIVATE_DIR: 'storage' });
+    expect(local.media.driver).toBe('local');
+    expect(local.privateFiles.getUrl('print/1/qrcode.svg')).toBeNull();
+
+    const s3 = storage.createStorage({ STORAGE_DRIVER: 's3', S3_BUCKET: 'qrlove', S3_REGION: 'sa-east-1' });
+    expect(s3.media.driver).toBe('s3');
+    expect(s3.media.getUrl('media/a.jpg')).toBe('https://qrlove.s3.sa-east-1.amazonaws.com/media/a.jpg');
+  });
+});
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const uploads = require('../uploads');
+const storage = require('../storage');
+
+const writeTempFile = async (dir, name, buffer) => {
+  const filePath = path.join(dir, name);
+  await fs.promises.writeFile(filePath, buffer);
+  return { path: filePath, originalname: name };
+};
+
+describe('uploads', () => {
+  let workDir;
+  let mediaDir;
+  let mediaStorage;
+
+  beforeEach(async () => {
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'qrlove-uploads-'));
+    mediaDir = path.join(workDir, 'media');
+    await fs.promises.mkdir(mediaDir);
+    mediaStorage = storage.createLocalStorage({ root: workDir, baseUrl: '' });
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  });
+
+  it('identifica o tipo pela assinatura do arquivo', () => {
+    expect(uploads.sniffImageType(Buffer.from('ffd8ffe000104a4649460001', 'hex'))).toBe('jpeg');
+    expect(uploads.sniffImageType(Buffer.from('89504e470d0a1a0a0000000d', 'hex'))).toBe('png');
+    expect(uploads.sniffImageType(Buffer.from('RIFF\u0000\u0000\u0000\u0000WEBPVP8 ', 'latin1'))).toBe('webp');
+    expect(uploads.sniffImageType(Buffer.from('\u0000\u0000\u0000\u0018ftypheic\u0000\u0000', 'latin1'))).toBe('heic');
+    expect(uploads.sniffImageType(Buffer.from('\u0000\u0000\u0000\u001cftypavif\u0000\u0000', 'latin1'))).toBe('avif');
+    expect(uploads.sniffImageType(Buffer.from('\u0000\u0000\u0000\u001cftypmif1\u0000\u0000\u0000\u0000mif1avifmiaf', 'latin1'))).toBe('avif');
+    expect(uploads.sniffImageType(Buffer.from('<html><body></body></html>'))).toBeNull();
+  });
+
+  it('aplica a orientação, remove o EXIF e gera as variantes responsivas', async () => {
+    const original = await sharp({ create: { width: 320, height: 240, channels: 3, background: '#ff3366' } })
+      .jpeg()
+      .withMetadata({ orientation: 6 })
+      .toBuffer();
+    const file = await writeTempFile(workDir, 'foto.jpg', original);
+
+    const result = await uploads.processUploads([file], { storage: mediaStorage });
+
+    expect(result.error).toBeUndefined();
+    const [image] = result.data;
+    expect(image.image_url).toMatch(/^\/media\/[a-f0-9]{32}\.jpg$/);
+    // Orientação 6 gira a foto em 90°: a largura passa a ser a altura original
+    expect([image.width, image.height]).toEqual([240, 320]);
+
+    const stored = await sharp(path.join(mediaDir, image.filename)).metadata();
+    expect(stored.exif).toBeUndefined();
+    expect(stored.orientation).toBeUndefined();
+
+    expect(image.variants.map(variant => `${variant.format}-${variant.width}`)).toEqual(['avif-240', 'webp-240']);
+    for (const key of uploads.listImageKeys(image, mediaStorage)) {
+      await expect(mediaStorage.exists(key)).resolves.toBe(true);
+    }
+
+    // O arquivo temporário do upload é sempre descartado
+    await expect(fs.promises.access(file.path)).rejects.toThrow();
+  });
+
+  it('recusa arquivos que não são imagens e descarta o que já foi processado', async () => {
+    const valid = await sharp({ create: { width: 300, height: 300, channels: 3, background: '#ffffff' } }).png().toBuffer();
+    const files = [
+      await writeTempFile(workDir, 'ok.png', valid),
+      await writeTempFile(workDir, 'falsa.jpg', Buffer.from('MZ executável disfarçado de foto'))
+    ];
+
+    const result = await uploads.processUploads(files, { storage: mediaStorage });
+
+    expect(result.error).toContain('Envie apenas fotos');
+    expect(await fs.promises.readdir(mediaDir)).toEqual(['variants']);
+    expect(await fs.promises.readdir(path.join(mediaDir, 'variants'))).toEqual([]);
+  });
+
+  it('recusa fotos pequenas demais', async () => {
+    const tiny = await sharp({ create: { width: 50, height: 50, channels: 3, background: '#000000' } }).jpeg().toBuffer();
+    const file = await writeTempFile(workDir, 'mini.jpg', tiny);
+
+    const result = await uploads.processUpload(file, { storage: mediaStorage });
+
+    expect(result.error).toContain('pequena demais');
+  });
+
+  it('converte fotos HEIC para JPEG antes de normalizá-las', async () => {
+    // O sharp pré-compilado não codifica HEVC: um HEIF com AV1 e marcas heic faz o papel da foto do iPhone
+    const heif = await sharp({ create: { width: 320, height: 240, channels: 3, background: '#ff3366' } })
+      .heif({ compression: 'av1' })
+      .toBuffer();
+    for (let offset = 8; offset < heif.readUInt32BE(0); offset += 4) {
+      if (['avif', 'avis'].includes(heif.toString('ascii', offset, offset + 4))) {
+        heif.write('heic', offset, 'ascii');
+      }
+    }
+    const file = await writeTempFile(workDir, 'foto.heic', heif);
+    expect(uploads.sniffImageType(heif)).toBe('heic');
+
+    const result = await uploads.processUpload(file, { storage: mediaStorage });
+
+    expect(result.error).toBeUndefined();
+    expect(result.data.image_url).toMatch(/^\/media\/[a-f0-9]{32}\.jpg$/);
+    const stored = await fs.promises.readFile(path.join(workDir, result.data.image_url));
+    expect((await sharp(stored).metadata()).format).toBe('jpeg');
+  });
+
+  it('pede JPEG quando a foto HEIC não pode ser decodificada', async () => {
+    const file = await writeTempFile(workDir, 'foto.heic', Buffer.from('\u0000\u0000\u0000\u0018ftypheic\u0000\u0000\u0000\u0000mif1heic', 'latin1'));
+
+    const result = await uploads.processUpload(file, { storage: mediaStorage });
+
+    expect(result.error).toContain('Exporte-a como JPEG');
+    expect(await fs.promises.readdir(mediaDir)).toEqual([]);
+  });
+
+  it('monta o srcset por formato a partir das variantes salvas', () => {
+    const variants = JSON.stringify([
+      { format: 'avif', width: 480, url: '/media/variants/a-480.avif' },
+      { format: 'webp', width: 480, url: '/media/variants/a-480.webp' },
+      { format: 'avif', width: 960, url: '/media/variants/a-960.avif' }
+    ]);
+
+    expect(uploads.buildSrcset(variants, 'avif')).toBe('/media/variants/a-480.avif 480w, /media/variants/a-960.avif 960w');
+    expect(uploads.buildSrcset(null, 'webp')).toBe('');
+  });
+});
@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const db = require('./db');
+const logger = require('./logger');
+
+const LOGIN_WINDOW_MINUTES = 15;
+const MAX_ACCOUNT_FAILURES = 5;
+const MAX_IP_FAILURES = 20;
+const FAILURE_RETENTION_HOURS = 24;
+
+// Cada área com login guarda as próprias falhas: bloquear um parceiro não bloqueia um admin com o mesmo e-mail
+const LOGIN_AREAS = {
+  dashboard: { table: 'admin_login_failures', label: 'dashboard' },
+  partners: { table: 'partner_login_failures', label: 'portal de parceiros' }
+};
+
+const TOTP_ISSUER = 'QRLove';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1;
+const RECOVERY_CODES_COUNT = 10;
+const TWO_FACTOR_LOGIN_MINUTES = 5;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const normalizeEmail = value => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+// Comparação em tempo constante para tokens de formulário
+const tokensMatch = (received, expected) => {
+  if (typeof received !== 'string' || typeof expected !== 'string' || received.length !== expected.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+};
+
+const createCsrfToken = () => crypto.randomBytes(32).toString('hex');
+
+const lockedUntilFrom = (row, limit) => {
+  if (!row || Number(row.total) < limit || !row.last_failure_at) {
+    return null;
+  }
+
+  return new Date(new Date(row.last_failure_at).getTime() + LOGIN_WINDOW_MINUTES * 60 * 1000);
+};
+
+// Bloqueio temporário por conta e por IP: tentativas bloqueadas não são registradas e não prolongam o bloqueio
+const checkLoginThrottle = async ({ email, ip, area = 'dashboard' }, now = new Date()) => {
+  const { table } = LOGIN_AREAS[area];
+  const since = new Date(now.getTime() - LOGIN_WINDOW_MINUTES * 60 * 1000);
+  const [[accountRow], [ipRow]] = await Promise.all([
+    db.executeQuery(
+      `SELECT COUNT(*) AS total, MAX(created_at) AS last_failure_at FROM ${table} WHERE email = ? AND created_at > ?`,
+      [normalizeEmail(email), since]
+    ),
+    db.executeQuery(
+      `SELECT COUNT(*) AS total, MAX(created_at) AS last_failure_at FROM ${table} WHERE ip_address = ? AND created_at > ?`,
+      [ip || '', since]
+    )
+  ]);
+
+  const lockedUntil = [lockedUntilFrom(accountRow, MAX_ACCOUNT_FAILURES), lockedUntilFrom(ipRow, MAX_IP_FAILURES)]
+    .filter(date => date && date > now)
+    .sort((a, b) => b - a)[0];
+
+  return lockedUntil ? { lockedUntil } : null;
+};
+
+// O portal de parceiros tem uma única etapa de login, então só o dashboard registra a etapa
+const recordLoginFailure = async ({ email, ip, stage = 'password', area = 'dashboard' }, now = new Date()) => {
+  const { table, label } = LOGIN_AREAS[area];
+  const failure = { email: normalizeEmail(email), ip_address: ip || '' };
+
+  if (area === 'dashboard') {
+    failure.stage = stage;
+  }
+
+  await db.createRecord(table, failure);
+
+  await db.executeQuery(`DELETE FROM ${table} WHERE created_at < ?`, [
+    new Date(now.getTime() - FAILURE_RETENTION_HOURS * 60 * 60 * 1000)
+  ]);
+
+  logger.warn(`Falha de login no ${label} registrada.`, { email: failure.email, ip, stage: failure.stage });
+};
+
+// Login completo zera as falhas da conta
+const clearLoginFailures = async (email, area = 'dashboard') => {
+  await db.executeQuery(`DELETE FROM ${LOGIN_AREAS[area].table} WHERE email = ?`, [normalizeEmail(email)]);
+};
+
+const encodeBase32 = buffer => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let index = 0; index < bits.length; index += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(index, index + 5).padEnd(5, '0'), 2)];
+  }
+
+  return output;
+};
+
+const decodeBase32 = value => {
+  let bits = '';
+  for (const char of String(value).toUpperCase().replace(/[\s=]/g, '')) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Segredo TOTP inválido.');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let index = 0; index + 8 <= bits.length; index += 8) {
+    bytes.push(parseInt(bits.slice(index, index + 8), 2));
+  }
+
+  return Buffer.from(bytes);
+};
+
+const generateTotpSecret = () => encodeBase32(crypto.randomBytes(20));
+
+const buildOtpAuthUrl = (email, secret) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${TOTP_ISSUER}&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+};
+
+const timeStep = (now = new Date()) => Math.floor(now.getTime() / 1000 / TOTP_STEP_SECONDS);
+
+// RFC 6238 com HMAC-SHA1, o padrão dos aplicativos autenticadores
+const generateTotpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', decodeBase32(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Aceita um passo de diferença no relógio do celular; devolve o passo usado ou null
+const findTotpStep = (secret, code, now = new Date()) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized) || !secret) {
+    return null;
+  }
+
+  const current = timeStep(now);
+  for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift += 1) {
+    if (tokensMatch(generateTotpCode(secret, current + drift), normalized)) {
+      return current + drift;
+    }
+  }
+
+  return null;
+};
+
+const hashRecoveryCode = code => crypto.createHash('sha256')
+  .update(String(code).trim().toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODES_COUNT }, () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+const parseRecoveryCodes = value => {
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const isTwoFactorEnabled = admin => Boolean(admin && admin.totp_enabled_at && admin.totp_secret);
+
+// Ativação só depois de o admin confirmar um código gerado pelo aplicativo com o novo segredo
+const enableTwoFactor = async (admin, secret, code) => {
+  if (isTwoFactorEnabled(admin)) {
+    return { error: 'A verificação em duas etapas já está ativa.' };
+  }
+
+  const step = findTotpStep(secret, code);
+  if (step === null) {
+    return { error: 'Código inválido. Confira o horário do celular e tente novamente.' };
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await db.updateRecord('admins', {
+    totp_secret: secret,
+    totp_enabled_at: new Date(),
+    totp_last_step: step,
+    recovery_codes: JSON.stringify(recoveryCodes.map(hashRecoveryCode))
+  }, admin.id);
+
+  logger.info('Verificação em duas etapas ativada.', { adminId: admin.id });
+  return { data: { recoveryCodes } };
+};
+
+// Código do aplicativo (uma vez por passo) ou código de recuperação (uma vez cada)
+const verifyTwoFactorCode = async (admin, code, now = new Date()) => {
+  if (!isTwoFactorEnabled(admin)) {
+    return null;
+  }
+
+  const step = findTotpStep(admin.totp_secret, code, now);
+  if (step !== null) {
+    const result = await db.executeQuery(
+      'UPDATE admins SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+      [step, admin.id, step]
+    );
+
+    return result && result.affectedRows > 0 ? { method: 'totp' } : null;
+  }
+
+  const storedCodes = parseRecoveryCodes(admin.recovery_codes);
+  const codeHash = hashRecoveryCode(code);
+  if (!String(code || '').trim() || !storedCodes.includes(codeHash)) {
+    return null;
+  }
+
+  const remainingCodes = storedCodes.filter(hash => hash !== codeHash);
+  const update = await db.updateRecords('admins', {
+    recovery_codes: JSON.stringify(remainingCodes)
+  }, {
+    id: admin.id,
+    recovery_codes: admin.recovery_codes
+  });
+
+  if (!update || update.affectedRows === 0) {
+    return null;
+  }
+
+  logger.warn('Código de recuperação usado no login.', { adminId: admin.id, remaining: remainingCodes.length });
+  return { method: 'recovery', remaining: remainingCodes.length };
+};
+
+const disableTwoFactor = async (admin, { password, code }) => {
+  if (!isTwoFactorEnabled(admin)) {
+    return { error: 'A verificação em duas etapas não está ativa.' };
+  }
+
+  if (!password || !(await bcrypt.compare(password, admin.password_hash || ''))) {
+    return { error: 'Senha atual incorreta.' };
+  }
+
+  if (!(await verifyTwoFactorCode(admin, code))) {
+    return { error: 'Código de verificação inválido.' };
+  }
+
+  await db.updateRecord('admins', {
+    totp_secret: null,
+    totp_enabled_at: null,
+    totp_last_step: null,
+    recovery_codes: null
+  }, admin.id);
+
+  logger.info('Verificação em duas etapas desativada.', { adminId: admin.id });
+  return { data: true };
+};
+
+module.exports = {
+  LOGIN_WINDOW_MINUTES,
+  MAX_ACCOUNT_FAILURES,
+  MAX_IP_FAILURES,
+  RECOVERY_CODES_COUNT,
+  TWO_FACTOR_LOGIN_MINUTES,
+  tokensMatch,
+  createCsrfToken,
+  checkLoginThrottle,
+  recordLoginFailure,
+  clearLoginFailures,
+  encodeBase32,
+  generateTotpSecret,
+  buildOtpAuthUrl,
+  generateTotpCode,
+  findTotpStep,
+  hashRecoveryCode,
+  parseRecoveryCodes,
+  isTwoFactorEnabled,
+  enableTwoFactor,
+  verifyTwoFactorCode,
+  disableTwoFactor
+};
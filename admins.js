@@ -0,0 +1,316 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const db = require('./db');
+const logger = require('./logger');
+const { tokensMatch } = require('./adminSecurity');
+
+const INVITE_TTL_HOURS = 72;
+const BCRYPT_SALT_ROUNDS = Number(process.env.BCRYPT_SALT_ROUNDS) || 12;
+const MIN_PASSWORD_LENGTH = 10;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const ROLES = {
+  OWNER: 'owner',
+  FINANCE: 'finance',
+  SUPPORT: 'support'
+};
+
+const ROLE_LABELS = {
+  [ROLES.OWNER]: 'Dono',
+  [ROLES.FINANCE]: 'Financeiro',
+  [ROLES.SUPPORT]: 'Suporte'
+};
+
+// catalog: planos, parceiros e cupons; finance: lançamentos, reembolsos, comissões e relatórios;
+// purchases: compras e páginas dos clientes; admins: gestão da equipe; audit: trilha de auditoria
+const ROLE_PERMISSIONS = {
+  [ROLES.OWNER]: ['catalog', 'finance', 'purchases', 'admins', 'audit'],
+  [ROLES.FINANCE]: ['finance', 'audit'],
+  [ROLES.SUPPORT]: ['purchases']
+};
+
+const can = (admin, permission) => Boolean(admin)
+  && (ROLE_PERMISSIONS[admin.role] || []).includes(permission);
+
+const hashInviteToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const normalizeEmail = value => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+const validatePassword = (password, confirmation) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres.`;
+  }
+
+  if (password !== confirmation) {
+    return 'As senhas não conferem.';
+  }
+
+  return null;
+};
+
+// Sem nenhum admin ativo com senha, o dashboard só oferece a criação do primeiro dono
+const needsSetup = async () => {
+  const [row] = await db.executeQuery(
+    'SELECT COUNT(*) AS total FROM admins WHERE active = 1 AND password_hash IS NOT NULL'
+  );
+
+  return !row || Number(row.total) === 0;
+};
+
+const SETUP_DISABLED_MESSAGE = 'A configuração pelo navegador está desativada. Defina SETUP_TOKEN no servidor '
+  + 'ou crie o dono com ADMIN_EMAIL e ADMIN_PASSWORD no npm run migrate.';
+
+// O formulário de primeiro acesso é público: só vale com o SETUP_TOKEN definido no servidor
+const isSetupEnabled = () => Boolean(process.env.SETUP_TOKEN);
+
+// Primeiro acesso: cria o dono. Nunca altera um admin já cadastrado; a inserção condicional
+// garante que duas configurações simultâneas não criem dois donos.
+const setupFirstOwner = async ({ email, name, password, passwordConfirmation, setupToken }) => {
+  if (!isSetupEnabled()) {
+    return { error: SETUP_DISABLED_MESSAGE };
+  }
+
+  if (!tokensMatch(setupToken, process.env.SETUP_TOKEN)) {
+    logger.warn('Configuração inicial recusada por código inválido.');
+    return { error: 'Código de configuração inválido.' };
+  }
+
+  if (!(await needsSetup())) {
+    return { error: 'A configuração inicial já foi concluída.' };
+  }
+
+  const normalizedEmail = normalizeEmail(email);
+  if (!EMAIL_PATTERN.test(normalizedEmail)) {
+    return { error: 'Informe um e-mail válido.' };
+  }
+
+  const passwordError = validatePassword(password, passwordConfirmation);
+  if (passwordError) {
+    return { error: passwordError };
+  }
+
+  const existingMessage = 'Já existe um admin com este e-mail. Use outro e-mail ou defina a senha dele com ADMIN_EMAIL e ADMIN_PASSWORD no npm run migrate.';
+  if (await db.getRecord('admins', { email: normalizedEmail })) {
+    return { error: existingMessage };
+  }
+
+  const data = {
+    email: normalizedEmail,
+    password_hash: await bcrypt.hash(password, BCRYPT_SALT_ROUNDS),
+    name: typeof name === 'string' && name.trim() ? name.trim() : null,
+    role: ROLES.OWNER,
+    active: 1
+  };
+
+  let result;
+  try {
+    result = await db.executeQuery(
+      `INSERT INTO admins (email, password_hash, name, role, active)
+       SELECT ?, ?, ?, ?, ? FROM DUAL
+       WHERE NOT EXISTS (SELECT 1 FROM admins WHERE active = 1 AND password_hash IS NOT NULL)`,
+      [data.email, data.password_hash, data.name, data.role, data.active]
+    );
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return { error: existingMessage };
+    }
+    // Duas configurações ao mesmo tempo: o InnoDB desfaz uma delas
+    if (error.code === 'ER_LOCK_DEADLOCK') {
+      return { error: 'A configuração inicial já foi concluída.' };
+    }
+    throw error;
+  }
+
+  if (!result || result.affectedRows === 0) {
+    return { error: 'A configuração inicial já foi concluída.' };
+  }
+
+  const admin = { id: result.insertId, ...data };
+  logger.info('Primeiro admin configurado.', { adminId: admin.id });
+  return { data: admin };
+};
+
+const authenticateAdmin = async (email, password) => {
+  const admin = await db.getRecord('admins', { email: normalizeEmail(email) });
+
+  if (!admin || admin.active !== 1 || !admin.password_hash) {
+    return null;
+  }
+
+  if (!(await bcrypt.compare(password, admin.password_hash))) {
+    return null;
+  }
+
+  await db.updateRecord('admins', { last_login_at: new Date() }, admin.id);
+  return admin;
+};
+
+// Convite por link único; reenviar o convite para quem ainda não criou a senha gera um novo link
+const inviteAdmin = async ({ email, name, role }, invitedBy) => {
+  const normalizedEmail = normalizeEmail(email);
+
+  if (!EMAIL_PATTERN.test(normalizedEmail)) {
+    return { error: 'Informe um e-mail válido.' };
+  }
+
+  if (!ROLE_PERMISSIONS[role]) {
+    return { error: 'Papel inválido.' };
+  }
+
+  const existing = await db.getRecord('admins', { email: normalizedEmail });
+  if (existing && existing.password_hash) {
+    return { error: 'Já existe um admin com este e-mail.' };
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const data = {
+    name: typeof name === 'string' && name.trim() ? name.trim() : (existing ? existing.name : null),
+    role,
+    active: 1,
+    invite_token_hash: hashInviteToken(token),
+    invite_expires_at: new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000),
+    invited_by: invitedBy.id
+  };
+
+  const admin = existing
+    ? { ...existing, ...data }
+    : await db.createRecord('admins', { email: normalizedEmail, password_hash: null, ...data });
+
+  if (existing) {
+    await db.updateRecord('admins', data, existing.id);
+  }
+
+  logger.info('Convite de admin gerado.', { adminId: admin.id, role, invitedBy: invitedBy.id });
+  return { data: { admin, token } };
+};
+
+const findAdminByInviteToken = async (token, now = new Date()) => {
+  if (!/^[a-f0-9]{64}$/.test(String(token || ''))) {
+    return null;
+  }
+
+  const admin = await db.getRecord('admins', { invite_token_hash: hashInviteToken(token) });
+
+  if (!admin || admin.active !== 1 || !admin.invite_expires_at || new Date(admin.invite_expires_at) < now) {
+    return null;
+  }
+
+  return admin;
+};
+
+// Aceite do convite: a atualização condicional consome o link uma única vez
+const acceptInvite = async (admin, password, passwordConfirmation) => {
+  const passwordError = validatePassword(password, passwordConfirmation);
+  if (passwordError) {
+    return { error: passwordError };
+  }
+
+  const update = await db.updateRecords('admins', {
+    password_hash: await bcrypt.hash(password, BCRYPT_SALT_ROUNDS),
+    invite_token_hash: null,
+    invite_expires_at: null
+  }, {
+    id: admin.id,
+    invite_token_hash: admin.invite_token_hash
+  });
+
+  if (!update || update.affectedRows === 0) {
+    return { error: 'Este convite já foi utilizado.' };
+  }
+
+  logger.info('Convite de admin aceito.', { adminId: admin.id });
+  return { data: admin };
+};
+
+const changePassword = async (admin, { currentPassword, password, passwordConfirmation }) => {
+  if (!currentPassword || !(await bcrypt.compare(currentPassword, admin.password_hash || ''))) {
+    return { error: 'Senha atual incorreta.' };
+  }
+
+  const passwordError = validatePassword(password, passwordConfirmation);
+  if (passwordError) {
+    return { error: passwordError };
+  }
+
+  await db.updateRecord('admins', { password_hash: await bcrypt.hash(password, BCRYPT_SALT_ROUNDS) }, admin.id);
+  logger.info('Senha de admin alterada.', { adminId: admin.id });
+  return { data: true };
+};
+
+// Ninguém altera o próprio acesso, e sempre sobra ao menos um dono ativo com senha
+const checkTargetChange = async (actor, target) => {
+  if (!target) {
+    return 'Admin não encontrado.';
+  }
+
+  if (target.id === actor.id) {
+    return 'Você não pode alterar o próprio papel ou acesso.';
+  }
+
+  if (target.role === ROLES.OWNER && target.active === 1) {
+    const [row] = await db.executeQuery(
+      "SELECT COUNT(*) AS total FROM admins WHERE role = 'owner' AND active = 1 AND password_hash IS NOT NULL AND id <> ?",
+      [target.id]
+    );
+
+    if (!row || Number(row.total) === 0) {
+      return 'É preciso manter ao menos um dono ativo.';
+    }
+  }
+
+  return null;
+};
+
+const updateAdminRole = async (actor, targetId, role) => {
+  if (!ROLE_PERMISSIONS[role]) {
+    return { error: 'Papel inválido.' };
+  }
+
+  const target = await db.getRecord('admins', { id: targetId });
+  const error = await checkTargetChange(actor, target);
+  if (error) {
+    return { error };
+  }
+
+  await db.updateRecord('admins', { role }, target.id);
+  logger.info('Papel de admin alterado.', { adminId: target.id, role, changedBy: actor.id });
+  return { data: { ...target, role } };
+};
+
+// Desativar também invalida um convite pendente; a sessão aberta cai na próxima requisição
+const updateAdminStatus = async (actor, targetId, active) => {
+  const target = await db.getRecord('admins', { id: targetId });
+  const error = await checkTargetChange(actor, target);
+  if (error) {
+    return { error };
+  }
+
+  const data = active
+    ? { active: 1 }
+    : { active: 0, invite_token_hash: null, invite_expires_at: null };
+
+  await db.updateRecord('admins', data, target.id);
+  logger.info(active ? 'Admin reativado.' : 'Admin desativado.', { adminId: target.id, changedBy: actor.id });
+  return { data: { ...target, ...data } };
+};
+
+module.exports = {
+  ROLES,
+  ROLE_LABELS,
+  ROLE_PERMISSIONS,
+  INVITE_TTL_HOURS,
+  MIN_PASSWORD_LENGTH,
+  SETUP_DISABLED_MESSAGE,
+  can,
+  hashInviteToken,
+  needsSetup,
+  isSetupEnabled,
+  setupFirstOwner,
+  authenticateAdmin,
+  inviteAdmin,
+  findAdminByInviteToken,
+  acceptInvite,
+  changePassword,
+  updateAdminRole,
+  updateAdminStatus
+};
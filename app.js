@@ -3,14 +3,32 @@ const Stripe = require('stripe');
 const dotenv = require('dotenv');
 const path = require('path');
 const crypto = require('crypto'); // Para gerar a hash única
-const multer = require('multer'); // Biblioteca para upload de arquivos
 const bodyParser = require('body-parser');
-const QRCode = require('qrcode'); // Biblioteca para gerar QR Codes
-const sharp = require('sharp'); // Biblioteca para manipulação de imagens
 const session = require('express-session');
-const bcrypt = require('bcrypt');
+const QRCode = require('qrcode');
 const db = require('./db'); // Importar o módulo db.js
+const admins = require('./admins');
+const adminSecurity = require('./adminSecurity');
 const logger = require('./logger');
+const payments = require('./payments');
+const plans = require('./plans');
+const renewals = require('./renewals');
+const gallery = require('./gallery');
+const slugs = require('./slugs');
+const jobs = require('./jobs');
+const imageJobs = require('./imageJobs');
+const uploads = require('./uploads');
+const qrStyles = require('./qrStyles');
+const imageProcessing = require('./imageProcessing');
+const printAssets = require('./printAssets');
+const coupons = require('./coupons');
+const csvImport = require('./csvImport');
+const commissions = require('./commissions');
+const partnerPortal = require('./partnerPortal');
+const audit = require('./audit');
+const purchases = require('./purchases');
+const reports = require('./reports');
+const reconciliation = require('./reconciliation');
 
 // Carregar variáveis de ambiente
 dotenv.config();
@@ -19,6 +37,11 @@ dotenv.config();
 const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
 const app = express();
 
+// Atrás de proxy reverso (ex.: TRUST_PROXY=1), req.ip passa a ser o IP do cliente, usado no limite de tentativas de login
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Middlewares de logging e identificação de requisições
 app.use((req, res, next) => {
   if (!req.requestId) {
@@ -58,12 +81,22 @@ app.use((req, res, next) => {
 
 app.use(bodyParser.urlencoded({ extended: true, limit: '1mb' }));
 
+// Sem SESSION_SECRET, um segredo aleatório por processo: as sessões caem a cada reinício, mas nunca usam um segredo conhecido
+if (!process.env.SESSION_SECRET) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('SESSION_SECRET não definido.');
+  }
+
+  logger.warn('SESSION_SECRET não definido. Usando segredo aleatório temporário.');
+}
+
 app.use(session({
-  secret: process.env.SESSION_SECRET || 'qrlove-dashboard-secret',
+  secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
   resave: false,
   saveUninitialized: false,
   cookie: {
     httpOnly: true,
+    sameSite: 'lax',
     maxAge: 1000 * 60 * 60 * 4
   }
 }));
@@ -72,16 +105,89 @@ const setFlash = (req, type, message) => {
   req.session.flash = { type, message };
 };
 
-const requireAuth = (req, res, next) => {
-  if (req.session && req.session.adminId) {
+// Login gera uma sessão nova para não reaproveitar um identificador anterior ao acesso
+const startAdminSession = (req, admin) => new Promise((resolve, reject) => {
+  req.session.regenerate(error => {
+    if (error) {
+      return reject(error);
+    }
+
+    req.session.adminId = admin.id;
+    req.session.adminEmail = admin.email;
+    return resolve();
+  });
+});
+
+// Mesmo cuidado no portal de parceiros, tanto no login quanto na senha criada pelo link de acesso
+const startPartnerSession = (req, partner) => new Promise((resolve, reject) => {
+  req.session.regenerate(error => {
+    if (error) {
+      return reject(error);
+    }
+
+    req.session.partnerId = partner.id;
+    return resolve();
+  });
+});
+
+const formatLockoutMessage = lockedUntil => {
+  const minutes = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 60000));
+  return `Muitas tentativas de acesso. Tente novamente em ${minutes} minuto${minutes === 1 ? '' : 's'}.`;
+};
+
+// Recarrega o admin a cada requisição: desativações e mudanças de papel valem na hora
+const requireAuth = async (req, res, next) => {
+  if (!req.session || !req.session.adminId) {
+    if (req.path === '/dashboard') {
+      logger.warn('Acesso ao dashboard sem autenticação.', { requestId: req.requestId });
+    }
+
+    return res.redirect('/dashboard/login');
+  }
+
+  try {
+    const admin = await db.getRecord('admins', { id: req.session.adminId });
+
+    if (!admin || admin.active !== 1 || !admin.password_hash) {
+      logger.warn('Sessão de admin sem acesso ativo encerrada.', { requestId: req.requestId, adminId: req.session.adminId });
+      delete req.session.adminId;
+      delete req.session.adminEmail;
+      return res.redirect('/dashboard/login');
+    }
+
+    req.admin = admin;
+    res.locals.currentAdmin = admin;
+    res.locals.can = permission => admins.can(admin, permission);
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Permissão do papel do admin para a rota (basta uma das informadas); sem ela, volta ao dashboard com aviso
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (permissions.some(permission => admins.can(req.admin, permission))) {
     return next();
   }
 
-  if (req.path === '/dashboard') {
-    logger.warn('Acesso ao dashboard sem autenticação.', { requestId: req.requestId });
+  logger.warn('Ação do dashboard negada por permissão.', {
+    requestId: req.requestId,
+    adminId: req.admin && req.admin.id,
+    role: req.admin && req.admin.role,
+    permissions,
+    path: req.path
+  });
+  setFlash(req, 'error', 'Seu perfil não tem permissão para esta ação.');
+  return res.redirect('/dashboard');
+};
+
+// Portal dos parceiros: sessão própria, independente do login dos admins
+const requirePartner = (req, res, next) => {
+  if (req.session && req.session.partnerId) {
+    return next();
   }
 
-  return res.redirect('/dashboard/login');
+  return res.redirect('/parceiros/login');
 };
 
 app.use((req, res, next) => {
@@ -93,6 +199,40 @@ app.use((req, res, next) => {
   next();
 });
 
+// POST sem o token da sessão é recusado
+const verifyCsrfToken = (req, res, next) => {
+  const receivedToken = (req.body && req.body._csrf) || req.get('x-csrf-token');
+  if (adminSecurity.tokensMatch(receivedToken, req.session.csrfToken)) {
+    return next();
+  }
+
+  logger.warn('Formulário recusado por token CSRF inválido.', { requestId: req.requestId, path: req.originalUrl });
+  setFlash(req, 'error', 'O formulário expirou. Recarregue a página e tente novamente.');
+  return res.redirect(req.originalUrl.startsWith('/parceiros') ? '/parceiros' : '/dashboard');
+};
+
+// Planilhas chegam em multipart: o _csrf só existe depois que a rota autentica o admin, confere a permissão
+// e recebe o arquivo, e por isso essas rotas verificam o token com verifyCsrfToken logo após uploads.receiveCsv
+const CSV_IMPORT_PATHS = ['/dashboard/coupons/import', '/dashboard/transactions/import'];
+
+// Token por sessão em todos os formulários do dashboard e do portal
+app.use(['/dashboard', '/parceiros'], (req, res, next) => {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = adminSecurity.createCsrfToken();
+  }
+  res.locals.csrfToken = req.session.csrfToken;
+
+  if (req.method !== 'POST') {
+    return next();
+  }
+
+  if (CSV_IMPORT_PATHS.includes(req.baseUrl + req.path) && req.is('multipart/form-data')) {
+    return next();
+  }
+
+  return verifyCsrfToken(req, res, next);
+});
+
 // Configurações
 app.use(express.static(path.join(__dirname, 'public'))); // Servir arquivos estáticos (CSS, imagens)
 app.set('view engine', 'ejs'); // Configurar EJS como engine de templates
@@ -117,26 +257,111 @@ function generateUniqueHash() {
   return crypto.randomBytes(16).toString('hex');
 }
 
-async function loadDashboardData() {
-  const [partners, coupons, transactions] = await Promise.all([
-    db.queryRecords('partners'),
-    db.queryRecords('coupons'),
-    db.queryRecords('financial_transactions')
+// Token secreto que dá ao dono da página acesso à edição sem login
+function generateOwnerToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+const OWNER_TOKEN_PATTERN = /^[a-f0-9]{64}$/;
+
+// Caminhos públicos canônicos (slug-hash) da página comemorativa e da página de sucesso
+const { buildPagePath, buildSuccessPath } = slugs;
+
+// Busca a compra pela hash do segmento "slug-hash"; o slug serve apenas para leitura da URL
+async function findPurchaseByPageKey(pageKey) {
+  const { hash } = slugs.parsePageKey(pageKey);
+  return hash ? db.getRecord('purchases', { unique_hash: hash }) : null;
+}
+
+// Redireciona permanentemente URLs antigas (nome original, slug desatualizado) para a forma canônica
+function redirectToCanonical(req, res, canonicalPath) {
+  const queryIndex = req.originalUrl.indexOf('?');
+  const query = queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex);
+  return res.redirect(301, `${canonicalPath}${query}`);
+}
+
+function buildManagePath(purchase) {
+  return purchase.owner_token ? `/manage/${purchase.owner_token}` : null;
+}
+
+// Nome exibido nas páginas; a URL pública usa o slug gravado na compra e não muda com o nome
+function getDisplayName(purchase) {
+  return purchase.display_name || purchase.couple_name;
+}
+
+// Datas DATE chegam do mysql2 como Date no fuso local; o input type="date" espera AAAA-MM-DD
+function formatDateInput(value) {
+  if (!value) {
+    return '';
+  }
+
+  if (typeof value === 'string') {
+    return value.slice(0, 10);
+  }
+
+  const pad = number => String(number).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+function isValidDateInput(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+}
+
+// O dashboard lista só os lançamentos mais recentes; o histórico completo fica nos relatórios
+const RECENT_TRANSACTIONS_LIMIT = 50;
+
+const BOLETO_FILTERS = {
+  pendentes: payments.PAYMENT_STATUS.AWAITING_PAYMENT,
+  pagos: payments.PAYMENT_STATUS.PAID,
+  vencidos: payments.PAYMENT_STATUS.EXPIRED,
+  falhos: payments.PAYMENT_STATUS.FAILED
+};
+
+// Período do extrato de comissões; sem datas válidas, usa o mês corrente
+function resolveStatementPeriod(start, end, now = new Date()) {
+  const today = formatDateInput(now);
+  const monthStart = `${today.slice(0, 8)}01`;
+  const period = {
+    start: isValidDateInput(start) ? start : monthStart,
+    end: isValidDateInput(end) ? end : today
+  };
+
+  return period.start <= period.end ? period : { start: monthStart, end: today };
+}
+
+async function loadDashboardData(filters = {}) {
+  const boletoFilter = BOLETO_FILTERS[filters.boletos] ? filters.boletos : 'pendentes';
+  const commissionPeriod = resolveStatementPeriod(filters.commissionStart, filters.commissionEnd);
+
+  const [partners, allCoupons, couponBatches, transactions, financialTotals, planCatalog, boletos, paidPurchases, commissionBalances, couponRequests] = await Promise.all([
+    db.queryRecords('partners', 'WHERE deleted_at IS NULL'),
+    db.queryRecords('coupons', 'WHERE deleted_at IS NULL'),
+    coupons.loadCouponBatches(),
+    db.queryRecords('financial_transactions', `WHERE deleted_at IS NULL ORDER BY occurred_at DESC, id DESC LIMIT ${RECENT_TRANSACTIONS_LIMIT}`),
+    reports.loadTotals(),
+    plans.loadAllPlans(),
+    db.queryRecords('purchases', `WHERE payment_method = 'boleto' AND payment_status = '${BOLETO_FILTERS[boletoFilter]}' ORDER BY boleto_expires_at ASC`),
+    db.queryRecords('purchases', "WHERE payment_status IN ('paid','refunded','disputed') ORDER BY paid_at DESC LIMIT 20"),
+    commissions.loadPendingBalances(),
+    db.queryRecords('coupon_requests', `WHERE status = '${partnerPortal.REQUEST_STATUS.PENDING}' ORDER BY created_at ASC`)
   ]);
 
-  const revenue = transactions
-    .filter(transaction => transaction.transaction_type === 'entrada')
-    .reduce((total, transaction) => total + Number(transaction.amount), 0);
-  const expenses = transactions
-    .filter(transaction => transaction.transaction_type === 'saida')
-    .reduce((total, transaction) => total + Number(transaction.amount), 0);
+  const statementPartner = partners.find(partner => partner.id === Number.parseInt(filters.commissionPartner, 10)) || null;
+  const commissionStatement = statementPartner
+    ? await commissions.loadPartnerStatement(statementPartner.id, commissionPeriod)
+    : null;
 
   const now = new Date();
   const nextWeek = new Date();
   nextWeek.setDate(now.getDate() + 7);
 
-  const activeCoupons = coupons.filter(coupon => coupon.active === 1);
-  const expiringCoupons = coupons.filter(coupon => {
+  const activeCoupons = allCoupons.filter(coupon => coupon.active === 1);
+  const expiringCoupons = allCoupons.filter(coupon => {
     if (!coupon.end_date) {
       return false;
     }
@@ -145,50 +370,64 @@ async function loadDashboardData() {
     return endDate >= now && endDate <= nextWeek;
   });
 
-  const totalCouponUsage = coupons.reduce((accumulator, coupon) => accumulator + (coupon.used_count || 0), 0);
-  const totalCouponLimit = coupons.reduce((accumulator, coupon) => accumulator + (coupon.usage_limit || 0), 0);
+  const totalCouponUsage = allCoupons.reduce((accumulator, coupon) => accumulator + (coupon.used_count || 0), 0);
+  const totalCouponLimit = allCoupons.reduce((accumulator, coupon) => accumulator + (coupon.usage_limit || 0), 0);
   const usageRate = totalCouponLimit > 0 ? Math.round((totalCouponUsage / totalCouponLimit) * 100) : null;
 
   const metrics = {
     totalPartners: partners.length,
     activePartners: partners.filter(partner => partner.status === 'ativo').length,
     pendingPartners: partners.filter(partner => partner.status === 'pendente').length,
-    totalCoupons: coupons.length,
+    totalCoupons: allCoupons.length,
     activeCoupons: activeCoupons.length,
     couponsExpiringSoon: expiringCoupons.length,
     couponUsageRate: usageRate,
-    revenue,
-    expenses,
-    balance: revenue - expenses
+    revenue: financialTotals.revenue,
+    expenses: financialTotals.expenses,
+    balance: financialTotals.balance
   };
 
   return {
     partners,
-    coupons,
+    // Cupons gerados em lote aparecem agrupados na tabela de lotes, não um a um
+    coupons: allCoupons.filter(coupon => !coupon.batch_id),
+    couponBatches,
+    couponBatchMaxSize: coupons.COUPON_BATCH_MAX_SIZE,
+    csvImportMaxRows: csvImport.CSV_IMPORT_MAX_ROWS,
     transactions,
+    plans: planCatalog,
+    planFeatures: plans.PLAN_FEATURES,
+    supportedCurrencies: plans.SUPPORTED_CURRENCIES,
+    maxPhotosLimit: plans.MAX_PHOTOS_LIMIT,
+    formatPlanPrice: plans.formatPrice,
+    formatPlanDuration: plans.formatDuration,
+    parseCouponPlanIds: coupons.parseAllowedPlanIds,
+    categoryLabels: reports.CATEGORY_LABELS,
+    recentTransactionsLimit: RECENT_TRANSACTIONS_LIMIT,
+    boletos,
+    boletoFilter,
+    paidPurchases,
+    commissionBalances,
+    commissionPeriod,
+    statementPartner,
+    commissionStatement,
+    couponRequests,
     metrics
   };
 }
 
-// Configuração do multer para salvar as imagens no diretório public/media
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'public/media'); // Salvando as imagens no diretório 'public/media'
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = crypto.randomBytes(16).toString('hex');
-    const extension = path.extname(file.originalname); // Preservar a extensão do arquivo
-    cb(null, uniqueSuffix + extension); // Nome do arquivo renomeado com hash + extensão
-  }
-});
-
-const upload = multer({ storage }); // Inicializar o multer com a configuração
-
 // Rota padrão /
-app.get('/', (req, res) => {
+app.get('/', async (req, res) => {
   try {
     logger.info('Renderizando página inicial.', { requestId: req.requestId });
-    res.render('index');
+    const activePlans = await plans.loadActivePlans();
+    res.render('index', {
+      plans: activePlans,
+      planFeatures: plans.PLAN_FEATURES,
+      qrStyles,
+      formatPlanPrice: plans.formatPrice,
+      formatPlanDuration: plans.formatDuration
+    });
   } catch (error) {
     logger.error('Erro ao renderizar a página inicial.', {
       requestId: req.requestId,
@@ -198,14 +437,106 @@ app.get('/', (req, res) => {
   }
 });
 
-app.get('/dashboard/login', (req, res) => {
+app.get('/dashboard/login', async (req, res) => {
   if (req.session && req.session.adminId) {
     return res.redirect('/dashboard');
   }
 
+  try {
+    if (await admins.needsSetup()) {
+      return res.redirect('/dashboard/setup');
+    }
+  } catch (error) {
+    logger.error('Erro ao verificar a configuração inicial.', { error: error.message });
+  }
+
   res.render('dashboard/login');
 });
 
+// Primeiro acesso: sem admin ativo com senha, o dono é criado aqui em vez de usar uma senha padrão
+app.get('/dashboard/setup', async (req, res) => {
+  try {
+    if (!(await admins.needsSetup())) {
+      return res.redirect('/dashboard/login');
+    }
+
+    res.render('dashboard/setup', {
+      mode: 'setup',
+      invitedAdmin: null,
+      setupEnabled: admins.isSetupEnabled(),
+      setupDisabledMessage: admins.SETUP_DISABLED_MESSAGE,
+      minPasswordLength: admins.MIN_PASSWORD_LENGTH
+    });
+  } catch (error) {
+    logger.error('Erro ao carregar a configuração inicial.', { error: error.message });
+    res.status(500).send('Erro ao carregar a página.');
+  }
+});
+
+app.post('/dashboard/setup', async (req, res) => {
+  try {
+    const result = await admins.setupFirstOwner(req.body);
+
+    if (result.error) {
+      setFlash(req, 'error', result.error);
+      return res.redirect('/dashboard/setup');
+    }
+
+    await audit.recordAudit(audit.buildContext(req, result.data), { action: 'setup', entityType: 'admin', entityId: result.data.id, after: result.data });
+    await startAdminSession(req, result.data);
+    setFlash(req, 'success', 'Conta de dono criada. Convide o restante da equipe na seção Equipe.');
+    return res.redirect('/dashboard');
+  } catch (error) {
+    logger.error('Erro na configuração inicial do dashboard.', { error: error.message });
+    setFlash(req, 'error', 'Não foi possível concluir a configuração. Tente novamente.');
+    return res.redirect('/dashboard/setup');
+  }
+});
+
+app.get('/dashboard/convite/:token', async (req, res) => {
+  try {
+    const invitedAdmin = await admins.findAdminByInviteToken(req.params.token);
+    res.status(invitedAdmin ? 200 : 404).render('dashboard/setup', {
+      mode: 'invite',
+      invitedAdmin,
+      token: req.params.token,
+      minPasswordLength: admins.MIN_PASSWORD_LENGTH
+    });
+  } catch (error) {
+    logger.error('Erro ao abrir convite de admin.', { error: error.message });
+    res.status(500).send('Erro ao carregar a página.');
+  }
+});
+
+app.post('/dashboard/convite/:token', async (req, res) => {
+  const invitePath = `/dashboard/convite/${encodeURIComponent(req.params.token)}`;
+
+  try {
+    const invitedAdmin = await admins.findAdminByInviteToken(req.params.token);
+
+    if (!invitedAdmin) {
+      setFlash(req, 'error', 'Convite inválido ou expirado. Peça um novo convite a um dono.');
+      return res.redirect('/dashboard/login');
+    }
+
+    const result = await admins.acceptInvite(invitedAdmin, req.body.password, req.body.passwordConfirmation);
+
+    if (result.error) {
+      setFlash(req, 'error', result.error);
+      return res.redirect(invitePath);
+    }
+
+    await audit.recordAudit(audit.buildContext(req, invitedAdmin), { action: 'invite_accept', entityType: 'admin', entityId: invitedAdmin.id });
+    await startAdminSession(req, invitedAdmin);
+    setFlash(req, 'success', 'Senha criada. Bem-vindo ao dashboard!');
+    return res.redirect('/dashboard');
+  } catch (error) {
+    logger.error('Erro ao aceitar convite de admin.', { error: error.message });
+    setFlash(req, 'error', 'Não foi possível salvar a senha. Tente novamente.');
+    return res.redirect(invitePath);
+  }
+});
+
 app.post('/dashboard/login', async (req, res) => {
   const { email, password } = req.body;
 
@@ -215,24 +546,31 @@ app.post('/dashboard/login', async (req, res) => {
   }
 
   try {
-    const admin = await db.getRecord('admins', { email });
+    const throttle = await adminSecurity.checkLoginThrottle({ email, ip: req.ip });
 
-    if (!admin) {
-      setFlash(req, 'error', 'Credenciais inválidas.');
-      logger.warn('Tentativa de login com usuário inexistente.', { email });
+    if (throttle) {
+      logger.warn('Login bloqueado temporariamente por excesso de tentativas.', { email, ip: req.ip });
+      setFlash(req, 'error', formatLockoutMessage(throttle.lockedUntil));
       return res.redirect('/dashboard/login');
     }
 
-    const passwordValid = await bcrypt.compare(password, admin.password_hash);
+    const admin = await admins.authenticateAdmin(email, password);
 
-    if (!passwordValid) {
+    if (!admin) {
+      await adminSecurity.recordLoginFailure({ email, ip: req.ip });
       setFlash(req, 'error', 'Credenciais inválidas.');
-      logger.warn('Senha inválida informada no login.', { email });
+      logger.warn('Tentativa de login com credenciais inválidas ou acesso desativado.', { email });
       return res.redirect('/dashboard/login');
     }
 
-    req.session.adminId = admin.id;
-    req.session.adminEmail = admin.email;
+    // Com duas etapas ativas, a senha correta só leva ao pedido do código
+    if (adminSecurity.isTwoFactorEnabled(admin)) {
+      req.session.pendingTwoFactor = { adminId: admin.id, email: admin.email, startedAt: Date.now() };
+      return res.redirect('/dashboard/login/2fa');
+    }
+
+    await adminSecurity.clearLoginFailures(admin.email);
+    await startAdminSession(req, admin);
     setFlash(req, 'success', 'Login realizado com sucesso.');
     logger.info('Admin autenticado com sucesso.', { email });
     return res.redirect('/dashboard');
@@ -243,6 +581,70 @@ app.post('/dashboard/login', async (req, res) => {
   }
 });
 
+// Segunda etapa do login: a senha já foi validada e fica pendente na sessão por poucos minutos
+const loadPendingTwoFactor = req => {
+  const pending = req.session && req.session.pendingTwoFactor;
+
+  if (!pending || Date.now() - pending.startedAt > adminSecurity.TWO_FACTOR_LOGIN_MINUTES * 60 * 1000) {
+    if (pending) {
+      delete req.session.pendingTwoFactor;
+    }
+    return null;
+  }
+
+  return pending;
+};
+
+app.get('/dashboard/login/2fa', (req, res) => {
+  if (!loadPendingTwoFactor(req)) {
+    return res.redirect('/dashboard/login');
+  }
+
+  res.render('dashboard/two-factor');
+});
+
+app.post('/dashboard/login/2fa', async (req, res) => {
+  const pending = loadPendingTwoFactor(req);
+
+  if (!pending) {
+    setFlash(req, 'error', 'O tempo para informar o código expirou. Entre novamente.');
+    return res.redirect('/dashboard/login');
+  }
+
+  try {
+    const throttle = await adminSecurity.checkLoginThrottle({ email: pending.email, ip: req.ip });
+
+    if (throttle) {
+      delete req.session.pendingTwoFactor;
+      setFlash(req, 'error', formatLockoutMessage(throttle.lockedUntil));
+      return res.redirect('/dashboard/login');
+    }
+
+    const admin = await db.getRecord('admins', { id: pending.adminId });
+    const verification = admin && admin.active === 1
+      ? await adminSecurity.verifyTwoFactorCode(admin, req.body.code)
+      : null;
+
+    if (!verification) {
+      await adminSecurity.recordLoginFailure({ email: pending.email, ip: req.ip, stage: 'two_factor' });
+      setFlash(req, 'error', 'Código de verificação inválido.');
+      return res.redirect('/dashboard/login/2fa');
+    }
+
+    await adminSecurity.clearLoginFailures(admin.email);
+    await startAdminSession(req, admin);
+    setFlash(req, 'success', verification.method === 'recovery'
+      ? `Login com código de recuperação. Restam ${verification.remaining} códigos; se perdeu o celular, desative e ative de novo a verificação em Minha conta.`
+      : 'Login realizado com sucesso.');
+    logger.info('Admin autenticado com verificação em duas etapas.', { email: admin.email, method: verification.method });
+    return res.redirect('/dashboard');
+  } catch (error) {
+    logger.error('Erro na verificação em duas etapas.', { error: error.message, email: pending.email });
+    setFlash(req, 'error', 'Não foi possível validar o código. Tente novamente.');
+    return res.redirect('/dashboard/login/2fa');
+  }
+});
+
 app.post('/dashboard/logout', requireAuth, (req, res) => {
   req.session.destroy(error => {
     if (error) {
@@ -255,8 +657,34 @@ app.post('/dashboard/logout', requireAuth, (req, res) => {
 
 app.get('/dashboard', requireAuth, async (req, res) => {
   try {
-    const data = await loadDashboardData();
-    res.render('dashboard/index', data);
+    const data = await loadDashboardData({
+      boletos: req.query.boletos,
+      commissionPartner: req.query.comissoes,
+      commissionStart: req.query.inicio,
+      commissionEnd: req.query.fim
+    });
+    const team = admins.can(req.admin, 'admins')
+      ? await db.queryRecords('admins', 'ORDER BY created_at ASC')
+      : [];
+    const pendingTotpSecret = adminSecurity.isTwoFactorEnabled(req.admin) ? null : req.session.pendingTotpSecret;
+    const twoFactorSetup = pendingTotpSecret
+      ? {
+        secret: pendingTotpSecret,
+        qrCodeDataUrl: await QRCode.toDataURL(adminSecurity.buildOtpAuthUrl(req.admin.email, pendingTotpSecret))
+      }
+      : null;
+
+    res.render('dashboard/index', {
+      ...data,
+      // Reembolsos mostram valores pagos: ficam só com quem tem a permissão finance
+      paidPurchases: admins.can(req.admin, 'finance') ? data.paidPurchases : [],
+      team,
+      roleLabels: admins.ROLE_LABELS,
+      minPasswordLength: admins.MIN_PASSWORD_LENGTH,
+      twoFactorEnabled: adminSecurity.isTwoFactorEnabled(req.admin),
+      recoveryCodesLeft: adminSecurity.parseRecoveryCodes(req.admin.recovery_codes).length,
+      twoFactorSetup
+    });
   } catch (error) {
     logger.error('Erro ao carregar dashboard.', { error: error.message });
     setFlash(req, 'error', 'Não foi possível carregar o dashboard.');
@@ -264,7 +692,7 @@ app.get('/dashboard', requireAuth, async (req, res) => {
   }
 });
 
-app.post('/dashboard/partners', requireAuth, async (req, res) => {
+app.post('/dashboard/partners', requireAuth, requirePermission('catalog'), async (req, res) => {
   const { name, email, phone, status, notes } = req.body;
 
   if (!name) {
@@ -274,14 +702,21 @@ app.post('/dashboard/partners', requireAuth, async (req, res) => {
 
   const allowedStatus = ['ativo', 'inativo', 'pendente'];
   const normalizedStatus = allowedStatus.includes(status) ? status : 'pendente';
+  const commission = commissions.parseCommissionForm(req.body);
+
+  if (commission.error) {
+    setFlash(req, 'error', commission.error);
+    return res.redirect('/dashboard');
+  }
 
   try {
-    await db.createRecord('partners', {
+    await audit.createWithAudit(audit.buildContext(req), 'partner', {
       name: name.trim(),
       email: email ? email.trim() : null,
       phone: phone ? phone.trim() : null,
       status: normalizedStatus,
-      notes: notes || null
+      notes: notes || null,
+      ...commission.data
     });
     setFlash(req, 'success', 'Parceiro cadastrado com sucesso.');
   } catch (error) {
@@ -292,7 +727,7 @@ app.post('/dashboard/partners', requireAuth, async (req, res) => {
   res.redirect('/dashboard');
 });
 
-app.post('/dashboard/partners/:id/status', requireAuth, async (req, res) => {
+app.post('/dashboard/partners/:id/status', requireAuth, requirePermission('catalog'), async (req, res) => {
   const { status } = req.body;
   const allowedStatus = ['ativo', 'inativo', 'pendente'];
   const partnerId = Number(req.params.id);
@@ -303,7 +738,14 @@ app.post('/dashboard/partners/:id/status', requireAuth, async (req, res) => {
   }
 
   try {
-    await db.updateRecord('partners', { status }, partnerId);
+    const partner = await audit.findActive('partner', partnerId);
+
+    if (!partner) {
+      setFlash(req, 'error', 'Parceiro não encontrado.');
+      return res.redirect('/dashboard');
+    }
+
+    await audit.updateWithAudit(audit.buildContext(req), 'partner', partner, { status });
     setFlash(req, 'success', 'Status do parceiro atualizado.');
   } catch (error) {
     logger.error('Erro ao atualizar status do parceiro.', { error: error.message, partnerId });
@@ -313,76 +755,183 @@ app.post('/dashboard/partners/:id/status', requireAuth, async (req, res) => {
   res.redirect('/dashboard');
 });
 
-app.post('/dashboard/partners/:id/delete', requireAuth, async (req, res) => {
+app.post('/dashboard/partners/:id/commission', requireAuth, requirePermission('finance'), async (req, res) => {
   const partnerId = Number(req.params.id);
+  const commission = commissions.parseCommissionForm(req.body);
+
+  if (commission.error) {
+    setFlash(req, 'error', commission.error);
+    return res.redirect('/dashboard#comissoes');
+  }
 
   try {
-    await db.deleteRecord('partners', partnerId);
-    setFlash(req, 'success', 'Parceiro removido com sucesso.');
+    const partner = await audit.findActive('partner', partnerId);
+
+    if (!partner) {
+      setFlash(req, 'error', 'Parceiro não encontrado.');
+      return res.redirect('/dashboard#comissoes');
+    }
+
+    await audit.updateWithAudit(audit.buildContext(req), 'partner', partner, commission.data);
+    setFlash(req, 'success', 'Comissão do parceiro atualizada. Vale para as próximas vendas.');
   } catch (error) {
-    logger.error('Erro ao remover parceiro.', { error: error.message, partnerId });
-    setFlash(req, 'error', 'Não foi possível remover o parceiro.');
+    logger.error('Erro ao atualizar comissão do parceiro.', { error: error.message, partnerId });
+    setFlash(req, 'error', 'Não foi possível atualizar a comissão.');
   }
 
-  res.redirect('/dashboard');
+  res.redirect('/dashboard#comissoes');
 });
 
-app.post('/dashboard/coupons', requireAuth, async (req, res) => {
-  const {
-    code,
-    description,
-    discountType,
-    discountValue,
-    usageLimit,
-    startDate,
-    endDate,
-    partnerId,
-    active
-  } = req.body;
-
-  if (!code || !discountValue || !discountType) {
-    setFlash(req, 'error', 'Preencha código, tipo e valor do desconto.');
-    return res.redirect('/dashboard');
+// Repasse ao parceiro: quita o saldo pendente até a data informada (ou todo o saldo) e lança a saída no financeiro
+app.post('/dashboard/partners/:id/payouts', requireAuth, requirePermission('finance'), async (req, res) => {
+  const partnerId = Number(req.params.id);
+  const periodEnd = req.body.periodEnd ? String(req.body.periodEnd) : null;
+
+  if (periodEnd && !isValidDateInput(periodEnd)) {
+    setFlash(req, 'error', 'Data de corte inválida.');
+    return res.redirect('/dashboard#comissoes');
   }
 
-  const parsedDiscountValue = Number.parseFloat(discountValue);
-  if (Number.isNaN(parsedDiscountValue) || parsedDiscountValue <= 0) {
-    setFlash(req, 'error', 'Valor de desconto inválido.');
-    return res.redirect('/dashboard');
+  try {
+    const partner = await audit.findActive('partner', partnerId);
+
+    if (!partner) {
+      setFlash(req, 'error', 'Parceiro não encontrado.');
+      return res.redirect('/dashboard#comissoes');
+    }
+
+    const payout = await commissions.payOutPartner(partner, { periodEnd }, { adminId: req.session.adminId });
+
+    if (payout.error) {
+      setFlash(req, 'error', payout.error);
+    } else {
+      await audit.recordAudit(audit.buildContext(req), { action: 'payout', entityType: 'partner', entityId: partner.id, after: payout.data });
+      setFlash(req, 'success', `Repasse de ${plans.formatPrice(payout.data.amount_cents)} registrado para ${partner.name}.`);
+    }
+  } catch (error) {
+    logger.error('Erro ao registrar repasse ao parceiro.', { error: error.message, partnerId });
+    setFlash(req, 'error', 'Não foi possível registrar o repasse.');
   }
 
-  const normalizedType = discountType === 'valor_fixo' ? 'valor_fixo' : 'percentual';
-  const parsedUsageLimit = usageLimit ? Number.parseInt(usageLimit, 10) : null;
-  const normalizedPartnerId = partnerId ? Number.parseInt(partnerId, 10) || null : null;
-  const isActive = active === 'on' ? 1 : 0;
+  res.redirect('/dashboard#comissoes');
+});
+
+app.post('/dashboard/partners/:id/delete', requireAuth, requirePermission('catalog'), async (req, res) => {
+  const partnerId = Number(req.params.id);
 
   try {
-    await db.createRecord('coupons', {
-      code: code.trim().toUpperCase(),
-      description: description || null,
-      discount_type: normalizedType,
-      discount_value: parsedDiscountValue,
-      usage_limit: parsedUsageLimit,
-      used_count: 0,
-      start_date: startDate || null,
-      end_date: endDate || null,
-      active: isActive,
-      partner_id: normalizedPartnerId
-    });
+    const result = await audit.softDelete(audit.buildContext(req), 'partner', partnerId);
+    setFlash(req, result.error ? 'error' : 'success', result.error || 'Parceiro removido. É possível restaurá-lo pela auditoria.');
+  } catch (error) {
+    logger.error('Erro ao remover parceiro.', { error: error.message, partnerId });
+    setFlash(req, 'error', 'Não foi possível remover o parceiro.');
+  }
+
+  res.redirect('/dashboard');
+});
+
+app.post('/dashboard/coupons', requireAuth, requirePermission('catalog'), async (req, res) => {
+  try {
+    const planCatalog = await plans.loadAllPlans();
+    const coupon = coupons.parseCouponForm(req.body, planCatalog.map(plan => plan.id));
+
+    if (coupon.error) {
+      setFlash(req, 'error', coupon.error);
+      return res.redirect('/dashboard');
+    }
+
+    await audit.createWithAudit(audit.buildContext(req), 'coupon', { ...coupon.data, used_count: 0 });
     setFlash(req, 'success', 'Cupom cadastrado com sucesso.');
   } catch (error) {
     logger.error('Erro ao cadastrar cupom.', { error: error.message });
-    setFlash(req, 'error', 'Não foi possível cadastrar o cupom.');
+    setFlash(req, 'error', error.code === 'ER_DUP_ENTRY' ? 'Já existe um cupom com este código.' : 'Não foi possível cadastrar o cupom.');
   }
 
   res.redirect('/dashboard');
 });
 
-app.post('/dashboard/coupons/:id/toggle', requireAuth, async (req, res) => {
+// Texto da planilha enviada nos formulários de importação (o arquivo foi recebido por uploads.receiveCsv)
+function readUploadedCsv(req) {
+  if (req.uploadError) {
+    return { error: req.uploadError };
+  }
+
+  if (!req.file || !req.file.buffer.length) {
+    return { error: 'Selecione o arquivo CSV a importar.' };
+  }
+
+  return { data: csvImport.decodeCsvBuffer(req.file.buffer) };
+}
+
+app.post('/dashboard/coupons/batches', requireAuth, requirePermission('catalog'), async (req, res) => {
+  try {
+    const planCatalog = await plans.loadAllPlans();
+    const batch = coupons.parseCouponBatchForm(req.body, planCatalog.map(plan => plan.id));
+
+    if (batch.error) {
+      setFlash(req, 'error', batch.error);
+      return res.redirect('/dashboard#coupons');
+    }
+
+    const result = await coupons.createCouponBatch(audit.buildContext(req), batch.data);
+    setFlash(req, result.error ? 'error' : 'success', result.error || `Lote ${batch.data.prefix} gerado com ${batch.data.quantity} cupons.`);
+  } catch (error) {
+    logger.error('Erro ao gerar lote de cupons.', { error: error.message, requestId: req.requestId });
+    setFlash(req, 'error', 'Não foi possível gerar o lote de cupons.');
+  }
+
+  res.redirect('/dashboard#coupons');
+});
+
+app.get('/dashboard/coupons/batches/:id/export.csv', requireAuth, requirePermission('catalog'), async (req, res) => {
+  const batchId = Number(req.params.id);
+
+  try {
+    const batch = await db.getRecord('coupon_batches', { id: batchId });
+
+    if (!batch) {
+      setFlash(req, 'error', 'Lote de cupons não encontrado.');
+      return res.redirect('/dashboard#coupons');
+    }
+
+    const batchCoupons = await coupons.loadBatchCoupons(batch.id);
+
+    logger.info('Lote de cupons exportado.', { adminId: req.admin.id, batchId: batch.id, rows: batchCoupons.length });
+    res.type('text/csv; charset=utf-8');
+    res.attachment(`cupons-${batch.prefix}-${batch.id}.csv`);
+    res.send(coupons.buildCouponsCsv(batchCoupons));
+  } catch (error) {
+    logger.error('Erro ao exportar lote de cupons.', { error: error.message, batchId, requestId: req.requestId });
+    setFlash(req, 'error', 'Não foi possível exportar o lote de cupons.');
+    res.redirect('/dashboard#coupons');
+  }
+});
+
+app.post('/dashboard/coupons/import', requireAuth, requirePermission('catalog'), uploads.receiveCsv, verifyCsrfToken, async (req, res) => {
+  const file = readUploadedCsv(req);
+
+  if (file.error) {
+    setFlash(req, 'error', file.error);
+    return res.redirect('/dashboard#coupons');
+  }
+
+  try {
+    const planCatalog = await plans.loadAllPlans();
+    const result = await coupons.importCouponsCsv(audit.buildContext(req), file.data, planCatalog.map(plan => plan.id));
+    setFlash(req, result.error ? 'error' : 'success', result.error || `${result.data.count} cupom(ns) importado(s).`);
+  } catch (error) {
+    logger.error('Erro ao importar cupons.', { error: error.message, requestId: req.requestId });
+    setFlash(req, 'error', error.code === 'ER_DUP_ENTRY' ? 'Um dos códigos foi cadastrado durante a importação. Envie o arquivo novamente.' : 'Não foi possível importar os cupons.');
+  }
+
+  res.redirect('/dashboard#coupons');
+});
+
+app.post('/dashboard/coupons/:id/toggle', requireAuth, requirePermission('catalog'), async (req, res) => {
   const couponId = Number(req.params.id);
 
   try {
-    const coupon = await db.getRecord('coupons', { id: couponId });
+    const coupon = await audit.findActive('coupon', couponId);
 
     if (!coupon) {
       setFlash(req, 'error', 'Cupom não encontrado.');
@@ -390,7 +939,7 @@ app.post('/dashboard/coupons/:id/toggle', requireAuth, async (req, res) => {
     }
 
     const newStatus = coupon.active === 1 ? 0 : 1;
-    await db.updateRecord('coupons', { active: newStatus }, couponId);
+    await audit.updateWithAudit(audit.buildContext(req), 'coupon', coupon, { active: newStatus });
     setFlash(req, 'success', `Cupom ${newStatus === 1 ? 'ativado' : 'desativado'} com sucesso.`);
   } catch (error) {
     logger.error('Erro ao atualizar status do cupom.', { error: error.message, couponId });
@@ -400,12 +949,12 @@ app.post('/dashboard/coupons/:id/toggle', requireAuth, async (req, res) => {
   res.redirect('/dashboard');
 });
 
-app.post('/dashboard/coupons/:id/delete', requireAuth, async (req, res) => {
+app.post('/dashboard/coupons/:id/delete', requireAuth, requirePermission('catalog'), async (req, res) => {
   const couponId = Number(req.params.id);
 
   try {
-    await db.deleteRecord('coupons', couponId);
-    setFlash(req, 'success', 'Cupom removido com sucesso.');
+    const result = await audit.softDelete(audit.buildContext(req), 'coupon', couponId);
+    setFlash(req, result.error ? 'error' : 'success', result.error || 'Cupom removido. É possível restaurá-lo pela auditoria.');
   } catch (error) {
     logger.error('Erro ao remover cupom.', { error: error.message, couponId });
     setFlash(req, 'error', 'Não foi possível remover o cupom.');
@@ -414,29 +963,107 @@ app.post('/dashboard/coupons/:id/delete', requireAuth, async (req, res) => {
   res.redirect('/dashboard');
 });
 
-app.post('/dashboard/transactions', requireAuth, async (req, res) => {
-  const { transactionType, amount, occurredAt, description, reference } = req.body;
+app.post('/dashboard/plans', requireAuth, requirePermission('catalog'), async (req, res) => {
+  const { error, data } = plans.parsePlanForm(req.body);
 
-  if (!transactionType || !['entrada', 'saida'].includes(transactionType)) {
-    setFlash(req, 'error', 'Tipo de transação inválido.');
+  if (error) {
+    setFlash(req, 'error', error);
     return res.redirect('/dashboard');
   }
 
-  const parsedAmount = Number.parseFloat(amount);
-  if (Number.isNaN(parsedAmount) || parsedAmount <= 0) {
-    setFlash(req, 'error', 'Informe um valor válido para a transação.');
-    return res.redirect('/dashboard');
+  try {
+    await audit.createWithAudit(audit.buildContext(req), 'plan', data);
+    setFlash(req, 'success', 'Plano cadastrado com sucesso.');
+  } catch (createError) {
+    logger.error('Erro ao cadastrar plano.', { error: createError.message });
+    setFlash(req, 'error', 'Não foi possível cadastrar o plano.');
   }
 
-  try {
-    await db.createRecord('financial_transactions', {
-      transaction_type: transactionType,
-      amount: parsedAmount,
-      description: description || null,
-      reference: reference || null,
-      occurred_at: occurredAt || new Date().toISOString().slice(0, 10)
-    });
-    setFlash(req, 'success', 'Transação registrada com sucesso.');
+  res.redirect('/dashboard');
+});
+
+app.post('/dashboard/plans/:id', requireAuth, requirePermission('catalog'), async (req, res) => {
+  const planId = Number(req.params.id);
+  const { error, data } = plans.parsePlanForm(req.body);
+
+  if (error) {
+    setFlash(req, 'error', error);
+    return res.redirect('/dashboard');
+  }
+
+  try {
+    const plan = await audit.findActive('plan', planId);
+
+    if (!plan) {
+      setFlash(req, 'error', 'Plano não encontrado.');
+      return res.redirect('/dashboard');
+    }
+
+    // Compras já realizadas guardam uma cópia das condições, então a edição vale apenas para novas vendas
+    await audit.updateWithAudit(audit.buildContext(req), 'plan', plan, data);
+    setFlash(req, 'success', 'Plano atualizado com sucesso.');
+  } catch (updateError) {
+    logger.error('Erro ao atualizar plano.', { error: updateError.message, planId });
+    setFlash(req, 'error', 'Não foi possível atualizar o plano.');
+  }
+
+  res.redirect('/dashboard');
+});
+
+app.post('/dashboard/plans/:id/toggle', requireAuth, requirePermission('catalog'), async (req, res) => {
+  const planId = Number(req.params.id);
+
+  try {
+    const plan = await audit.findActive('plan', planId);
+
+    if (!plan) {
+      setFlash(req, 'error', 'Plano não encontrado.');
+      return res.redirect('/dashboard');
+    }
+
+    const newStatus = plan.active === 1 ? 0 : 1;
+    await audit.updateWithAudit(audit.buildContext(req), 'plan', plan, { active: newStatus });
+    setFlash(req, 'success', `Plano ${newStatus === 1 ? 'ativado' : 'desativado'} com sucesso.`);
+  } catch (error) {
+    logger.error('Erro ao atualizar status do plano.', { error: error.message, planId });
+    setFlash(req, 'error', 'Não foi possível atualizar o plano.');
+  }
+
+  res.redirect('/dashboard');
+});
+
+app.post('/dashboard/plans/:id/delete', requireAuth, requirePermission('catalog'), async (req, res) => {
+  const planId = Number(req.params.id);
+
+  try {
+    const purchase = await db.getRecord('purchases', { plan_id: planId });
+
+    if (purchase) {
+      setFlash(req, 'error', 'Este plano já possui vendas. Desative-o em vez de removê-lo.');
+      return res.redirect('/dashboard');
+    }
+
+    const result = await audit.softDelete(audit.buildContext(req), 'plan', planId);
+    setFlash(req, result.error ? 'error' : 'success', result.error || 'Plano removido. É possível restaurá-lo pela auditoria.');
+  } catch (error) {
+    logger.error('Erro ao remover plano.', { error: error.message, planId });
+    setFlash(req, 'error', 'Não foi possível remover o plano.');
+  }
+
+  res.redirect('/dashboard');
+});
+
+app.post('/dashboard/transactions', requireAuth, requirePermission('finance'), async (req, res) => {
+  const parsed = reports.parseTransactionForm(req.body);
+
+  if (parsed.error) {
+    setFlash(req, 'error', parsed.error);
+    return res.redirect('/dashboard');
+  }
+
+  try {
+    await audit.createWithAudit(audit.buildContext(req), 'financial_transaction', parsed.data);
+    setFlash(req, 'success', 'Transação registrada com sucesso.');
   } catch (error) {
     logger.error('Erro ao registrar transação financeira.', { error: error.message });
     setFlash(req, 'error', 'Não foi possível registrar a transação.');
@@ -445,29 +1072,876 @@ app.post('/dashboard/transactions', requireAuth, async (req, res) => {
   res.redirect('/dashboard');
 });
 
-app.post('/dashboard/transactions/:id/delete', requireAuth, async (req, res) => {
+app.post('/dashboard/transactions/import', requireAuth, requirePermission('finance'), uploads.receiveCsv, verifyCsrfToken, async (req, res) => {
+  const file = readUploadedCsv(req);
+
+  if (file.error) {
+    setFlash(req, 'error', file.error);
+    return res.redirect('/dashboard');
+  }
+
+  try {
+    const result = await reports.importTransactionsCsv(audit.buildContext(req), file.data);
+    setFlash(req, result.error ? 'error' : 'success', result.error || `${result.data.count} lançamento(s) importado(s).`);
+  } catch (error) {
+    logger.error('Erro ao importar lançamentos.', { error: error.message, requestId: req.requestId });
+    setFlash(req, 'error', 'Não foi possível importar os lançamentos.');
+  }
+
+  res.redirect('/dashboard');
+});
+
+app.post('/dashboard/transactions/:id/delete', requireAuth, requirePermission('finance'), async (req, res) => {
   const transactionId = Number(req.params.id);
 
-  try {
-    await db.deleteRecord('financial_transactions', transactionId);
-    setFlash(req, 'success', 'Transação removida com sucesso.');
+  try {
+    const result = await audit.softDelete(audit.buildContext(req), 'financial_transaction', transactionId);
+    setFlash(req, result.error ? 'error' : 'success', result.error || 'Transação removida. É possível restaurá-la pela auditoria.');
+  } catch (error) {
+    logger.error('Erro ao remover transação financeira.', { error: error.message, transactionId });
+    setFlash(req, 'error', 'Não foi possível remover a transação.');
+  }
+
+  res.redirect('/dashboard');
+});
+
+// Solicita o reembolso ao Stripe; a compra é desfeita quando o webhook charge.refunded confirmar
+app.post('/dashboard/purchases/:id/refund', requireAuth, requirePermission('finance'), async (req, res) => {
+  const purchaseId = Number(req.params.id);
+
+  try {
+    const purchase = await db.getRecord('purchases', { id: purchaseId });
+
+    if (!purchase || !purchase.payment_intent_id || purchase.payment_status !== payments.PAYMENT_STATUS.PAID) {
+      setFlash(req, 'error', 'Somente compras pagas podem ser reembolsadas.');
+      return res.redirect('/dashboard#reembolsos');
+    }
+
+    const amount = payments.parseRefundAmount(req.body.amount, purchase);
+    if (amount.error) {
+      setFlash(req, 'error', amount.error);
+      return res.redirect('/dashboard#reembolsos');
+    }
+
+    const refund = await stripe.refunds.create({
+      payment_intent: purchase.payment_intent_id,
+      amount: amount.data,
+      reason: 'requested_by_customer',
+      metadata: { purchaseId: String(purchase.id), adminId: String(req.session.adminId) }
+    });
+
+    logger.info('Reembolso solicitado pelo dashboard.', {
+      purchaseId,
+      refundId: refund.id,
+      amountCents: amount.data,
+      adminId: req.session.adminId
+    });
+    await audit.recordAudit(audit.buildContext(req), {
+      action: 'refund_request',
+      entityType: 'purchase',
+      entityId: purchase.id,
+      before: {
+        payment_status: purchase.payment_status,
+        amount_paid_cents: purchase.amount_paid_cents,
+        refunded_amount_cents: purchase.refunded_amount_cents
+      },
+      after: { refund_id: refund.id, refund_amount_cents: amount.data }
+    });
+    setFlash(req, 'success', 'Reembolso solicitado ao Stripe. A compra será atualizada assim que ele for confirmado.');
+  } catch (error) {
+    logger.error('Erro ao solicitar reembolso.', { error: error.message, purchaseId });
+    setFlash(req, 'error', 'Não foi possível solicitar o reembolso.');
+  }
+
+  res.redirect('/dashboard#reembolsos');
+});
+
+// Área de compras: busca paginada por nome do casal, hash, sessão do Stripe, e-mail ou cupom
+app.get('/dashboard/purchases', requireAuth, requirePermission('purchases', 'finance'), async (req, res) => {
+  const filters = {
+    search: typeof req.query.busca === 'string' ? req.query.busca.trim() : '',
+    status: purchases.PAYMENT_STATUS_LABELS[req.query.situacao] ? req.query.situacao : '',
+    page: req.query.pagina
+  };
+
+  try {
+    const result = await purchases.searchPurchases(filters);
+    const showAmounts = admins.can(req.admin, 'finance');
+
+    res.render('dashboard/purchases', {
+      ...result,
+      purchases: showAmounts ? result.purchases : result.purchases.map(purchases.omitPaymentAmounts),
+      showAmounts,
+      filters,
+      statusLabels: purchases.PAYMENT_STATUS_LABELS,
+      pageSize: purchases.PURCHASES_PAGE_SIZE
+    });
+  } catch (error) {
+    logger.error('Erro ao buscar compras no dashboard.', { error: error.message, requestId: req.requestId });
+    setFlash(req, 'error', 'Não foi possível carregar as compras.');
+    res.redirect('/dashboard');
+  }
+});
+
+app.get('/dashboard/purchases/:id', requireAuth, requirePermission('purchases', 'finance'), async (req, res) => {
+  const purchaseId = Number(req.params.id);
+
+  try {
+    const detail = Number.isInteger(purchaseId) && purchaseId > 0 ? await purchases.loadPurchaseDetail(purchaseId) : null;
+
+    if (!detail) {
+      setFlash(req, 'error', 'Compra não encontrada.');
+      return res.redirect('/dashboard/purchases');
+    }
+
+    const showAmounts = admins.can(req.admin, 'finance');
+
+    res.render('dashboard/purchase', {
+      ...detail,
+      purchase: showAmounts ? detail.purchase : purchases.omitPaymentAmounts(detail.purchase),
+      couponRedemptions: showAmounts ? detail.couponRedemptions : detail.couponRedemptions.map(purchases.omitPaymentAmounts),
+      showAmounts,
+      displayName: getDisplayName(detail.purchase),
+      published: purchases.isPublished(detail.purchase),
+      isPaid: payments.isPurchasePaid(detail.purchase),
+      pagePath: buildPagePath(detail.purchase),
+      successPath: buildSuccessPath(detail.purchase),
+      stripeDashboardUrl: purchases.buildStripeDashboardUrl(detail.purchase),
+      statusLabels: purchases.PAYMENT_STATUS_LABELS
+    });
+  } catch (error) {
+    logger.error('Erro ao carregar compra no dashboard.', { error: error.message, purchaseId, requestId: req.requestId });
+    setFlash(req, 'error', 'Não foi possível carregar a compra.');
+    res.redirect('/dashboard/purchases');
+  }
+});
+
+app.post('/dashboard/purchases/:id/publication', requireAuth, requirePermission('purchases'), async (req, res) => {
+  const purchaseId = Number(req.params.id);
+  const published = req.body.published === '1';
+
+  try {
+    const purchase = await db.getRecord('purchases', { id: purchaseId });
+
+    if (!purchase) {
+      setFlash(req, 'error', 'Compra não encontrada.');
+      return res.redirect('/dashboard/purchases');
+    }
+
+    const result = await purchases.setPublished(audit.buildContext(req), purchase, published);
+    setFlash(req, result.error ? 'error' : 'success', result.error || (published ? 'Página de volta ao ar.' : 'Página tirada do ar.'));
+  } catch (error) {
+    logger.error('Erro ao alterar a publicação da página.', { error: error.message, purchaseId });
+    setFlash(req, 'error', 'Não foi possível alterar a publicação da página.');
+  }
+
+  res.redirect(`/dashboard/purchases/${purchaseId}`);
+});
+
+app.post('/dashboard/purchases/:id/regenerate-qr', requireAuth, requirePermission('purchases'), async (req, res) => {
+  const purchaseId = Number(req.params.id);
+
+  try {
+    const purchase = await db.getRecord('purchases', { id: purchaseId });
+
+    if (!purchase) {
+      setFlash(req, 'error', 'Compra não encontrada.');
+      return res.redirect('/dashboard/purchases');
+    }
+
+    const result = await purchases.regenerateQrImage(audit.buildContext(req), purchase);
+    setFlash(req, result.error ? 'error' : 'success', result.error || 'Nova imagem com QR Code agendada. Os arquivos para impressão também serão gerados de novo.');
+  } catch (error) {
+    logger.error('Erro ao agendar nova imagem com QR Code.', { error: error.message, purchaseId });
+    setFlash(req, 'error', 'Não foi possível agendar a nova imagem com QR Code.');
+  }
+
+  res.redirect(`/dashboard/purchases/${purchaseId}`);
+});
+
+// Sem envio de e-mail pela aplicação: os links são exibidos uma vez para o suporte repassar ao cliente
+app.post('/dashboard/purchases/:id/resend-links', requireAuth, requirePermission('purchases'), async (req, res) => {
+  const purchaseId = Number(req.params.id);
+
+  try {
+    const purchase = await db.getRecord('purchases', { id: purchaseId });
+
+    if (!purchase) {
+      setFlash(req, 'error', 'Compra não encontrada.');
+      return res.redirect('/dashboard/purchases');
+    }
+
+    const links = purchases.buildPurchaseLinks(purchase);
+    await audit.recordAudit(audit.buildContext(req), {
+      action: 'resend_links',
+      entityType: 'purchase',
+      entityId: purchase.id,
+      after: { customer_email: purchase.customer_email || null }
+    });
+    setFlash(req, 'success', [
+      `Envie estes links para ${purchase.customer_email || 'o cliente'}:`,
+      `página ${links.pageUrl}`,
+      `confirmação ${links.successUrl}`,
+      links.manageUrl ? `gerenciamento ${links.manageUrl}` : null
+    ].filter(Boolean).join(' '));
+  } catch (error) {
+    logger.error('Erro ao montar os links da compra.', { error: error.message, purchaseId });
+    setFlash(req, 'error', 'Não foi possível montar os links da compra.');
+  }
+
+  res.redirect(`/dashboard/purchases/${purchaseId}`);
+});
+
+// Link de primeiro acesso ao portal do parceiro; é exibido uma única vez para ser enviado ao parceiro
+app.post('/dashboard/partners/:id/access', requireAuth, requirePermission('catalog'), async (req, res) => {
+  const partnerId = Number(req.params.id);
+
+  try {
+    const partner = await audit.findActive('partner', partnerId);
+
+    if (!partner || !partner.email) {
+      setFlash(req, 'error', 'Cadastre o e-mail do parceiro antes de liberar o acesso ao portal.');
+      return res.redirect('/dashboard#partners');
+    }
+
+    const token = await partnerPortal.issueAccessToken(partner, { adminId: req.session.adminId });
+    await audit.recordAudit(audit.buildContext(req), { action: 'portal_access', entityType: 'partner', entityId: partner.id });
+    setFlash(req, 'success', `Envie este link para ${partner.name} criar a senha (válido por ${partnerPortal.ACCESS_TOKEN_TTL_HOURS} horas): ${process.env.BASE_URL}/parceiros/acesso/${token}`);
+  } catch (error) {
+    logger.error('Erro ao gerar acesso do parceiro.', { error: error.message, partnerId });
+    setFlash(req, 'error', 'Não foi possível gerar o acesso ao portal.');
+  }
+
+  res.redirect('/dashboard#partners');
+});
+
+app.post('/dashboard/coupon-requests/:id/approve', requireAuth, requirePermission('catalog'), async (req, res) => {
+  const requestId = Number(req.params.id);
+
+  try {
+    const result = await partnerPortal.approveCouponRequest(requestId, req.session.adminId, { adminId: req.session.adminId });
+
+    if (result.error) {
+      setFlash(req, 'error', result.error);
+    } else {
+      const context = audit.buildContext(req);
+      await audit.recordAudit(context, {
+        action: 'approve',
+        entityType: 'coupon_request',
+        entityId: requestId,
+        before: { status: partnerPortal.REQUEST_STATUS.PENDING },
+        after: { status: partnerPortal.REQUEST_STATUS.APPROVED, coupon_id: result.data.id }
+      });
+      await audit.recordAudit(context, { action: 'create', entityType: 'coupon', entityId: result.data.id, after: result.data });
+      setFlash(req, 'success', `Cupom ${result.data.code} criado e liberado para o parceiro.`);
+    }
+  } catch (error) {
+    logger.error('Erro ao aprovar pedido de cupom.', { error: error.message, requestId });
+    setFlash(req, 'error', 'Não foi possível aprovar o pedido de cupom.');
+  }
+
+  res.redirect('/dashboard#partners');
+});
+
+app.post('/dashboard/coupon-requests/:id/reject', requireAuth, requirePermission('catalog'), async (req, res) => {
+  const requestId = Number(req.params.id);
+
+  try {
+    const result = await partnerPortal.rejectCouponRequest(requestId, req.session.adminId, req.body.reviewNotes, { adminId: req.session.adminId });
+
+    if (!result.error) {
+      await audit.recordAudit(audit.buildContext(req), {
+        action: 'reject',
+        entityType: 'coupon_request',
+        entityId: requestId,
+        before: { status: partnerPortal.REQUEST_STATUS.PENDING },
+        after: { status: partnerPortal.REQUEST_STATUS.REJECTED, review_notes: req.body.reviewNotes || null }
+      });
+    }
+
+    setFlash(req, result.error ? 'error' : 'success', result.error || 'Pedido de cupom recusado.');
+  } catch (error) {
+    logger.error('Erro ao recusar pedido de cupom.', { error: error.message, requestId });
+    setFlash(req, 'error', 'Não foi possível recusar o pedido de cupom.');
+  }
+
+  res.redirect('/dashboard#partners');
+});
+
+// Convite de novos admins; o link é exibido uma única vez para ser enviado à pessoa convidada
+app.post('/dashboard/admins', requireAuth, requirePermission('admins'), async (req, res) => {
+  try {
+    const result = await admins.inviteAdmin(req.body, req.admin);
+
+    if (result.error) {
+      setFlash(req, 'error', result.error);
+    } else {
+      const { admin, token } = result.data;
+      await audit.recordAudit(audit.buildContext(req), { action: 'invite', entityType: 'admin', entityId: admin.id, after: admin });
+      setFlash(req, 'success', `Envie este link para ${admin.email} criar a senha (válido por ${admins.INVITE_TTL_HOURS} horas): ${process.env.BASE_URL}/dashboard/convite/${token}`);
+    }
+  } catch (error) {
+    logger.error('Erro ao convidar admin.', { error: error.message });
+    setFlash(req, 'error', 'Não foi possível gerar o convite.');
+  }
+
+  res.redirect('/dashboard#equipe');
+});
+
+app.post('/dashboard/admins/:id/role', requireAuth, requirePermission('admins'), async (req, res) => {
+  const adminId = Number(req.params.id);
+
+  try {
+    const before = await db.getRecord('admins', { id: adminId });
+    const result = await admins.updateAdminRole(req.admin, adminId, req.body.role);
+
+    if (!result.error) {
+      await audit.recordAudit(audit.buildContext(req), { action: 'update', entityType: 'admin', entityId: adminId, before, after: result.data });
+    }
+
+    setFlash(req, result.error ? 'error' : 'success', result.error || 'Papel do admin atualizado.');
+  } catch (error) {
+    logger.error('Erro ao alterar papel do admin.', { error: error.message, adminId });
+    setFlash(req, 'error', 'Não foi possível alterar o papel.');
+  }
+
+  res.redirect('/dashboard#equipe');
+});
+
+app.post('/dashboard/admins/:id/status', requireAuth, requirePermission('admins'), async (req, res) => {
+  const adminId = Number(req.params.id);
+  const active = req.body.active === '1';
+
+  try {
+    const before = await db.getRecord('admins', { id: adminId });
+    const result = await admins.updateAdminStatus(req.admin, adminId, active);
+
+    if (!result.error) {
+      await audit.recordAudit(audit.buildContext(req), { action: 'update', entityType: 'admin', entityId: adminId, before, after: result.data });
+    }
+
+    setFlash(req, result.error ? 'error' : 'success', result.error || (active ? 'Admin reativado.' : 'Admin desativado.'));
+  } catch (error) {
+    logger.error('Erro ao alterar acesso do admin.', { error: error.message, adminId });
+    setFlash(req, 'error', 'Não foi possível alterar o acesso.');
+  }
+
+  res.redirect('/dashboard#equipe');
+});
+
+app.post('/dashboard/account/password', requireAuth, async (req, res) => {
+  try {
+    const result = await admins.changePassword(req.admin, req.body);
+
+    if (!result.error) {
+      await audit.recordAudit(audit.buildContext(req), { action: 'password_change', entityType: 'admin', entityId: req.admin.id });
+    }
+
+    setFlash(req, result.error ? 'error' : 'success', result.error || 'Senha alterada com sucesso.');
+  } catch (error) {
+    logger.error('Erro ao alterar senha do admin.', { error: error.message, adminId: req.admin.id });
+    setFlash(req, 'error', 'Não foi possível alterar a senha.');
+  }
+
+  res.redirect('/dashboard#conta');
+});
+
+// Ativação em duas fases: o segredo novo fica na sessão até o admin confirmar um código do aplicativo
+app.post('/dashboard/account/2fa/setup', requireAuth, (req, res) => {
+  if (adminSecurity.isTwoFactorEnabled(req.admin)) {
+    setFlash(req, 'error', 'A verificação em duas etapas já está ativa.');
+    return res.redirect('/dashboard#conta');
+  }
+
+  req.session.pendingTotpSecret = adminSecurity.generateTotpSecret();
+  res.redirect('/dashboard#conta');
+});
+
+app.post('/dashboard/account/2fa/enable', requireAuth, async (req, res) => {
+  const secret = req.session.pendingTotpSecret;
+
+  if (!secret) {
+    setFlash(req, 'error', 'Gere um novo código QR para ativar a verificação em duas etapas.');
+    return res.redirect('/dashboard#conta');
+  }
+
+  try {
+    const result = await adminSecurity.enableTwoFactor(req.admin, secret, req.body.code);
+
+    if (result.error) {
+      setFlash(req, 'error', result.error);
+    } else {
+      delete req.session.pendingTotpSecret;
+      await audit.recordAudit(audit.buildContext(req), { action: 'two_factor_enable', entityType: 'admin', entityId: req.admin.id });
+      setFlash(req, 'success', `Verificação em duas etapas ativada. Guarde estes códigos de recuperação, exibidos uma única vez: ${result.data.recoveryCodes.join(' ')}`);
+    }
+  } catch (error) {
+    logger.error('Erro ao ativar verificação em duas etapas.', { error: error.message, adminId: req.admin.id });
+    setFlash(req, 'error', 'Não foi possível ativar a verificação em duas etapas.');
+  }
+
+  res.redirect('/dashboard#conta');
+});
+
+app.post('/dashboard/account/2fa/disable', requireAuth, async (req, res) => {
+  try {
+    const result = await adminSecurity.disableTwoFactor(req.admin, req.body);
+
+    if (!result.error) {
+      await audit.recordAudit(audit.buildContext(req), { action: 'two_factor_disable', entityType: 'admin', entityId: req.admin.id });
+    }
+
+    setFlash(req, result.error ? 'error' : 'success', result.error || 'Verificação em duas etapas desativada.');
+  } catch (error) {
+    logger.error('Erro ao desativar verificação em duas etapas.', { error: error.message, adminId: req.admin.id });
+    setFlash(req, 'error', 'Não foi possível desativar a verificação em duas etapas.');
+  }
+
+  res.redirect('/dashboard#conta');
+});
+
+// Relatórios financeiros por período, categoria, plano e cupom, somados no banco
+app.get('/dashboard/reports', requireAuth, requirePermission('finance'), async (req, res) => {
+  const filters = reports.resolveReportFilters(req.query);
+
+  try {
+    const [report, ledger] = await Promise.all([
+      reports.loadReport(filters),
+      reports.loadLedger(filters, reports.LEDGER_PAGE_LIMIT + 1)
+    ]);
+
+    res.render('dashboard/reports', {
+      ...report,
+      filters,
+      chart: reports.buildChart(report.periods),
+      ledger: ledger.slice(0, reports.LEDGER_PAGE_LIMIT),
+      ledgerTruncated: ledger.length > reports.LEDGER_PAGE_LIMIT,
+      ledgerLimit: reports.LEDGER_PAGE_LIMIT,
+      categoryLabels: reports.CATEGORY_LABELS,
+      exportQuery: new URLSearchParams({
+        inicio: filters.start,
+        fim: filters.end,
+        categoria: filters.category,
+        tipo: filters.type,
+        agrupamento: filters.grouping
+      }).toString()
+    });
+  } catch (error) {
+    logger.error('Erro ao carregar relatórios financeiros.', { error: error.message, requestId: req.requestId });
+    setFlash(req, 'error', 'Não foi possível carregar os relatórios.');
+    res.redirect('/dashboard');
+  }
+});
+
+// Exportações para a contabilidade, com os mesmos filtros da página
+app.get('/dashboard/reports/ledger.csv', requireAuth, requirePermission('finance'), async (req, res) => {
+  const filters = reports.resolveReportFilters(req.query);
+
+  try {
+    const ledger = await reports.loadLedger(filters);
+
+    logger.info('Livro-caixa exportado.', { adminId: req.admin.id, start: filters.start, end: filters.end, rows: ledger.length });
+    res.type('text/csv; charset=utf-8');
+    res.attachment(`lancamentos-${filters.start}-a-${filters.end}.csv`);
+    res.send(reports.buildLedgerCsv(ledger));
+  } catch (error) {
+    logger.error('Erro ao exportar lançamentos.', { error: error.message, requestId: req.requestId });
+    setFlash(req, 'error', 'Não foi possível exportar os lançamentos.');
+    res.redirect('/dashboard/reports');
+  }
+});
+
+app.get('/dashboard/reports/summary.csv', requireAuth, requirePermission('finance'), async (req, res) => {
+  const filters = reports.resolveReportFilters(req.query);
+
+  try {
+    const periods = await reports.loadPeriodBreakdown(filters);
+
+    res.type('text/csv; charset=utf-8');
+    res.attachment(`resumo-${filters.grouping === 'semana' ? 'semanal' : 'mensal'}-${filters.start}-a-${filters.end}.csv`);
+    res.send(reports.buildSummaryCsv(periods));
+  } catch (error) {
+    logger.error('Erro ao exportar resumo financeiro.', { error: error.message, requestId: req.requestId });
+    setFlash(req, 'error', 'Não foi possível exportar o resumo.');
+    res.redirect('/dashboard/reports');
+  }
+});
+
+// Conciliação com o Stripe: a página só mostra o que falta e o que diverge; nada é gravado sem confirmação
+app.get('/dashboard/reconciliation', requireAuth, requirePermission('finance'), async (req, res) => {
+  const period = reconciliation.resolvePeriod(req.query);
+
+  try {
+    const result = await reconciliation.reconcile(stripe, period);
+
+    res.render('dashboard/reconciliation', {
+      ...result,
+      categoryLabels: reports.CATEGORY_LABELS,
+      differenceLabels: reconciliation.DIFFERENCE_LABELS,
+      maxPeriodDays: reconciliation.MAX_PERIOD_DAYS
+    });
+  } catch (error) {
+    logger.error('Erro ao conciliar com o Stripe.', { error: error.message, requestId: req.requestId });
+    setFlash(req, 'error', 'Não foi possível consultar o Stripe para a conciliação.');
+    res.redirect('/dashboard/reports');
+  }
+});
+
+// As propostas são recalculadas a partir do Stripe; do formulário vem apenas a escolha de quais lançar
+app.post('/dashboard/reconciliation', requireAuth, requirePermission('finance'), async (req, res) => {
+  const period = reconciliation.resolvePeriod(req.body);
+  const redirectTo = `/dashboard/reconciliation?${new URLSearchParams({ inicio: period.start, fim: period.end })}`;
+  const selectedKeys = [].concat(req.body.keys || []);
+
+  if (!selectedKeys.length) {
+    setFlash(req, 'error', 'Selecione ao menos um lançamento para registrar.');
+    return res.redirect(redirectTo);
+  }
+
+  try {
+    const { proposals } = await reconciliation.reconcile(stripe, period);
+    const { data } = await reconciliation.applyProposals(audit.buildContext(req), proposals, selectedKeys);
+
+    setFlash(req, 'success', data.length
+      ? `${data.length} lançamento(s) registrado(s) a partir do Stripe.`
+      : 'Nenhum lançamento registrado: os selecionados já constam no financeiro.');
+  } catch (error) {
+    logger.error('Erro ao aplicar a conciliação com o Stripe.', { error: error.message, requestId: req.requestId });
+    setFlash(req, 'error', 'Não foi possível registrar os lançamentos da conciliação.');
+  }
+
+  res.redirect(redirectTo);
+});
+
+// Trilha de auditoria com filtros; remoções ainda vigentes podem ser restauradas daqui
+app.get('/dashboard/auditoria', requireAuth, requirePermission('audit'), async (req, res) => {
+  const filters = {
+    entityType: req.query.entidade,
+    entityId: req.query.registro,
+    action: req.query.acao,
+    adminId: req.query.admin,
+    start: req.query.inicio,
+    end: req.query.fim
+  };
+
+  try {
+    const [entries, team] = await Promise.all([
+      audit.loadAuditLog(filters),
+      db.queryRecords('admins', 'ORDER BY email ASC')
+    ]);
+
+    res.render('dashboard/audit', {
+      entries,
+      team,
+      filters,
+      entityLabels: audit.ENTITY_LABELS,
+      actionLabels: audit.ACTION_LABELS,
+      pageSize: audit.AUDIT_PAGE_SIZE
+    });
+  } catch (error) {
+    logger.error('Erro ao carregar auditoria.', { error: error.message });
+    setFlash(req, 'error', 'Não foi possível carregar a auditoria.');
+    res.redirect('/dashboard');
+  }
+});
+
+app.post('/dashboard/auditoria/:id/restore', requireAuth, requirePermission('audit'), async (req, res) => {
+  const auditLogId = Number(req.params.id);
+
+  try {
+    const entry = await db.getRecord('audit_logs', { id: auditLogId });
+    const permission = audit.getRestorePermission(entry);
+
+    if (permission && !admins.can(req.admin, permission)) {
+      setFlash(req, 'error', 'Seu perfil não tem permissão para esta ação.');
+      return res.redirect('/dashboard/auditoria');
+    }
+
+    const result = await audit.restoreDeleted(audit.buildContext(req), entry);
+    setFlash(req, result.error ? 'error' : 'success', result.error || `${audit.ENTITY_LABELS[entry.entity_type]} restaurado.`);
+  } catch (error) {
+    logger.error('Erro ao restaurar registro removido.', { error: error.message, auditLogId });
+    setFlash(req, 'error', 'Não foi possível restaurar o registro.');
+  }
+
+  res.redirect('/dashboard/auditoria');
+});
+
+app.get('/parceiros/login', (req, res) => {
+  if (req.session && req.session.partnerId) {
+    return res.redirect('/parceiros');
+  }
+
+  res.render('partners/login');
+});
+
+app.post('/parceiros/login', async (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    setFlash(req, 'error', 'Informe e-mail e senha.');
+    return res.redirect('/parceiros/login');
+  }
+
+  try {
+    const throttle = await adminSecurity.checkLoginThrottle({ email, ip: req.ip, area: 'partners' });
+
+    if (throttle) {
+      logger.warn('Login de parceiro bloqueado temporariamente por excesso de tentativas.', { email, ip: req.ip });
+      setFlash(req, 'error', formatLockoutMessage(throttle.lockedUntil));
+      return res.redirect('/parceiros/login');
+    }
+
+    const partner = await partnerPortal.authenticatePartner(email, password);
+
+    if (!partner) {
+      await adminSecurity.recordLoginFailure({ email, ip: req.ip, area: 'partners' });
+      setFlash(req, 'error', 'Credenciais inválidas.');
+      logger.warn('Tentativa de login de parceiro com credenciais inválidas.', { email });
+      return res.redirect('/parceiros/login');
+    }
+
+    await adminSecurity.clearLoginFailures(partner.email, 'partners');
+    await startPartnerSession(req, partner);
+    logger.info('Parceiro autenticado com sucesso.', { partnerId: partner.id });
+    return res.redirect('/parceiros');
+  } catch (error) {
+    logger.error('Erro ao realizar login do parceiro.', { error: error.message, email });
+    setFlash(req, 'error', 'Não foi possível realizar o login. Tente novamente.');
+    return res.redirect('/parceiros/login');
+  }
+});
+
+app.post('/parceiros/logout', requirePartner, (req, res) => {
+  req.session.destroy(error => {
+    if (error) {
+      logger.error('Erro ao encerrar sessão do parceiro.', { error: error.message });
+    }
+    res.clearCookie('connect.sid');
+    res.redirect('/parceiros/login');
+  });
+});
+
+app.get('/parceiros/acesso/:token', async (req, res) => {
+  try {
+    const partner = await partnerPortal.findPartnerByAccessToken(req.params.token);
+
+    if (!partner) {
+      return res.status(404).render('partners/access', { partner: null, token: null, minPasswordLength: partnerPortal.MIN_PASSWORD_LENGTH });
+    }
+
+    res.render('partners/access', { partner, token: req.params.token, minPasswordLength: partnerPortal.MIN_PASSWORD_LENGTH });
+  } catch (error) {
+    logger.error('Erro ao abrir link de acesso do parceiro.', { error: error.message });
+    res.status(500).send('Erro ao carregar a página.');
+  }
+});
+
+app.post('/parceiros/acesso/:token', async (req, res) => {
+  const accessPath = `/parceiros/acesso/${encodeURIComponent(req.params.token)}`;
+
+  try {
+    const partner = await partnerPortal.findPartnerByAccessToken(req.params.token);
+
+    if (!partner) {
+      setFlash(req, 'error', 'Link de acesso inválido ou expirado. Peça um novo link à equipe QRLove.');
+      return res.redirect('/parceiros/login');
+    }
+
+    const result = await partnerPortal.setPartnerPassword(partner, req.body.password, req.body.passwordConfirmation);
+
+    if (result.error) {
+      setFlash(req, 'error', result.error);
+      return res.redirect(accessPath);
+    }
+
+    await startPartnerSession(req, partner);
+    setFlash(req, 'success', 'Senha criada com sucesso. Bem-vindo ao portal de parceiros!');
+    return res.redirect('/parceiros');
+  } catch (error) {
+    logger.error('Erro ao definir senha do parceiro.', { error: error.message });
+    setFlash(req, 'error', 'Não foi possível salvar a senha. Tente novamente.');
+    return res.redirect(accessPath);
+  }
+});
+
+// Carrega o parceiro da sessão; cadastros removidos ou inativados perdem o acesso na hora
+async function loadSessionPartner(req) {
+  const partner = await db.getRecord('partners', { id: req.session.partnerId });
+
+  if (!partnerPortal.isPartnerActive(partner)) {
+    delete req.session.partnerId;
+    return null;
+  }
+
+  return partner;
+}
+
+app.get('/parceiros', requirePartner, async (req, res) => {
+  try {
+    const partner = await loadSessionPartner(req);
+
+    if (!partner) {
+      return res.redirect('/parceiros/login');
+    }
+
+    const overview = await partnerPortal.loadPartnerOverview(partner.id);
+    res.render('partners/index', {
+      partner,
+      ...overview,
+      discountTypes: coupons.DISCOUNT_TYPES
+    });
+  } catch (error) {
+    logger.error('Erro ao carregar o portal do parceiro.', { error: error.message, partnerId: req.session.partnerId });
+    res.status(500).send('Erro ao carregar o portal.');
+  }
+});
+
+app.post('/parceiros/cupons', requirePartner, async (req, res) => {
+  try {
+    const partner = await loadSessionPartner(req);
+
+    if (!partner) {
+      return res.redirect('/parceiros/login');
+    }
+
+    const request = partnerPortal.parseCouponRequestForm(req.body);
+    const result = request.error ? request : await partnerPortal.createCouponRequest(partner, request.data);
+
+    if (result.error) {
+      setFlash(req, 'error', result.error);
+    } else {
+      setFlash(req, 'success', 'Pedido enviado! Avisaremos assim que o cupom for aprovado.');
+    }
+  } catch (error) {
+    logger.error('Erro ao registrar pedido de cupom.', { error: error.message, partnerId: req.session.partnerId });
+    setFlash(req, 'error', 'Não foi possível enviar o pedido. Tente novamente.');
+  }
+
+  res.redirect('/parceiros#pedidos');
+});
+
+// Prévia da foto com o QR Code no estilo escolhido, antes do pagamento; nada é gravado
+app.post('/qr-preview', uploads.receivePhotos, async (req, res) => {
+  const photoFiles = req.files || [];
+
+  try {
+    if (req.uploadError) {
+      return res.status(400).json({ error: req.uploadError });
+    }
+
+    const [photo] = photoFiles;
+    if (!photo) {
+      return res.status(400).json({ error: 'Envie uma foto para ver a prévia.' });
+    }
+
+    const style = qrStyles.parseQrStyleForm(req.body);
+    if (style.error) {
+      return res.status(400).json({ error: style.error });
+    }
+
+    const inspection = await uploads.inspectUpload(photo);
+    if (inspection.error) {
+      return res.status(400).json({ error: inspection.error });
+    }
+
+    // URL de exemplo com o mesmo tamanho da definitiva, para que a densidade do QR Code seja igual à final
+    const previewUrl = `${process.env.BASE_URL}${buildPagePath({
+      slug: slugs.slugify(req.body.coupleName),
+      unique_hash: '0'.repeat(32)
+    })}`;
+    const preview = await imageProcessing.renderQrPreview(photo.path, previewUrl, style.data);
+
+    res.set('Cache-Control', 'no-store');
+    return res.type('image/jpeg').send(preview);
+  } catch (error) {
+    logger.error('Erro ao gerar a prévia do QR Code.', {
+      requestId: req.requestId,
+      error: error.message
+    });
+    return res.status(500).json({ error: 'Não foi possível gerar a prévia.' });
+  } finally {
+    await uploads.removeFiles(photoFiles.map(file => file.path));
+  }
+});
+
+// Validação do código promocional enquanto o cliente digita; usa as mesmas regras do checkout, sem reservar o uso
+app.post('/promo-codes/validate', async (req, res) => {
+  const promoCode = typeof req.body.promoCode === 'string' ? req.body.promoCode.trim() : '';
+  const customerEmail = coupons.normalizeEmail(req.body.customerEmail);
+  const promoCodes = coupons.normalizeCodes(promoCode);
+
+  try {
+    if (!promoCodes.length) {
+      return res.status(400).json({ error: 'Informe um código promocional.' });
+    }
+
+    const plan = await plans.getActivePlan(req.body.planId);
+
+    if (!plan) {
+      return res.status(404).json({ error: 'Plano não encontrado' });
+    }
+
+    if (customerEmail && !coupons.isValidEmail(customerEmail)) {
+      return res.status(400).json({ error: 'Informe um e-mail válido.' });
+    }
+
+    const promo = await resolvePromoCodes(promoCodes, plan, customerEmail, { requestId: req.requestId });
+    const pricing = {
+      currency: plan.currency,
+      originalAmountCents: plan.price_cents
+    };
+
+    if (promo.error) {
+      return res.json({ valid: false, reason: promo.error, ...pricing, discountCents: 0, amountCents: plan.price_cents });
+    }
+
+    if (promo.data.promotionCode) {
+      // Promoções do Stripe podem ter restrições que só são conferidas no pagamento
+      const discountCents = coupons.estimatePromotionCodeDiscount(promo.data.promotionCode, plan);
+      return res.json({
+        valid: true,
+        reason: null,
+        source: 'stripe',
+        ...pricing,
+        discountCents,
+        amountCents: discountCents === null ? null : plan.price_cents - discountCents
+      });
+    }
+
+    return res.json({
+      valid: true,
+      reason: null,
+      source: 'internal',
+      ...pricing,
+      discountCents: promo.data.internal.discountCents,
+      amountCents: promo.data.internal.amountCents
+    });
   } catch (error) {
-    logger.error('Erro ao remover transação financeira.', { error: error.message, transactionId });
-    setFlash(req, 'error', 'Não foi possível remover a transação.');
+    logger.error('Erro ao validar código promocional.', {
+      requestId: req.requestId,
+      promoCode,
+      error: error.message
+    });
+    return res.status(500).json({ error: 'Não foi possível validar o código promocional. Tente novamente em instantes.' });
   }
-
-  res.redirect('/dashboard');
 });
 
 // Endpoint de criação de sessão de checkout, incluindo upload da imagem
-app.post('/create-checkout-session', upload.single('photo'), async (req, res) => {
+app.post('/create-checkout-session', uploads.receivePhotos, async (req, res) => {
+  // Reservas de cupom ainda não ligadas a uma sessão do Stripe e fotos já gravadas mas ainda sem registro
+  // na compra são desfeitas se algo falhar no caminho
+  let reservations = [];
+  let reservationsAttached = false;
+  let storedPhotos = [];
+
   try {
     logger.info('Requisição para /create-checkout-session.', { requestId: req.requestId });
     const { coupleName, planId, startDate } = req.body; // Dados do formulário
     const rawPromoCode = req.body.promoCode;
     const promoCode = typeof rawPromoCode === 'string' ? rawPromoCode.trim() : '';
-    const normalizedInputCode = promoCode ? promoCode.toUpperCase() : '';
-    const photoFile = req.file; // Arquivo da imagem enviada
+    const customerEmail = coupons.normalizeEmail(req.body.customerEmail);
+    const photoFiles = req.files || []; // Fotos enviadas, na ordem escolhida pelo cliente
 
     logger.info('Dados recebidos para criação de sessão.', {
       requestId: req.requestId,
@@ -477,208 +1951,111 @@ app.post('/create-checkout-session', upload.single('photo'), async (req, res) =>
       promoCode: promoCode || null
     });
 
-    const products = [
-      { id: 1, name: 'Anual', price: 1990 },
-      { id: 2, name: 'Lifetime', price: 4990 },
-    ];
+    if (req.uploadError) {
+      return res.status(400).json({ error: req.uploadError });
+    }
+
+    const plan = await plans.getActivePlan(planId);
 
-    const product = products.find(p => p.id === Number(planId));
-
-    if (!product) {
+    if (!plan) {
       logger.warn('Plano não encontrado.', {
         requestId: req.requestId,
         planId
       });
+      await uploads.removeFiles(photoFiles.map(file => file.path));
       return res.status(404).json({ error: 'Plano não encontrado' });
     }
-
-    // Gerar a hash única
-    const uniqueHash = generateUniqueHash();
-
-    // Criar a URL de sucesso com o coupleName e a hash codificados
-    const purchaseLink = `${process.env.BASE_URL}/success/${encodeURIComponent(coupleName)}-${encodeURIComponent(uniqueHash)}`;
-
-    let promotionCodeId = null;
-    let normalizedPromoCode = '';
-    let appliedDiscountCents = 0;
-    let discountMetadata = null;
-    let unitAmount = product.price;
 
-    if (promoCode) {
-      let localCoupon = null;
+    const maxPhotos = plans.getMaxPhotos(plan);
+    if (photoFiles.length > maxPhotos) {
+      logger.warn('Quantidade de fotos acima do limite do plano.', {
+        requestId: req.requestId,
+        planId: plan.id,
+        photos: photoFiles.length,
+        maxPhotos
+      });
+      await uploads.removeFiles(photoFiles.map(file => file.path));
+      return res.status(400).json({ error: `O plano ${plan.name} permite até ${maxPhotos} foto(s).` });
+    }
 
-      try {
-        localCoupon = await db.getRecord('coupons', { code: normalizedInputCode });
-      } catch (couponLookupError) {
-        logger.error('Erro ao consultar cupom local.', {
-          requestId: req.requestId,
-          promoCode,
-          error: couponLookupError.message
-        });
-        return res.status(500).json({ error: 'Não foi possível validar o código promocional. Tente novamente em instantes.' });
-      }
+    const qrStyle = qrStyles.parseQrStyleForm(req.body);
+    if (qrStyle.error) {
+      await uploads.removeFiles(photoFiles.map(file => file.path));
+      return res.status(400).json({ error: qrStyle.error });
+    }
 
-      if (localCoupon) {
-        const parseDateOnly = (value) => {
-          if (!value) {
-            return null;
-          }
-
-          if (value instanceof Date) {
-            return new Date(value.getTime());
-          }
-
-          const isoValue = typeof value === 'string' && value.length === 10 ? `${value}T00:00:00Z` : value;
-          const parsed = new Date(isoValue);
-          return Number.isNaN(parsed.getTime()) ? null : parsed;
-        };
-
-        const now = new Date();
-        const startDateLimit = parseDateOnly(localCoupon.start_date);
-        const endDateLimit = parseDateOnly(localCoupon.end_date);
-
-        const normalizeToStartOfDayUtc = value => {
-          if (!value) {
-            return null;
-          }
-
-          const copy = new Date(value.getTime());
-          copy.setUTCHours(0, 0, 0, 0);
-          return copy;
-        };
-
-        const normalizeToEndOfDayUtc = value => {
-          if (!value) {
-            return null;
-          }
-
-          const copy = new Date(value.getTime());
-          copy.setUTCHours(23, 59, 59, 999);
-          return copy;
-        };
-
-        const startBoundary = normalizeToStartOfDayUtc(startDateLimit);
-        const endBoundary = normalizeToEndOfDayUtc(endDateLimit);
-        const discountValue = Number(localCoupon.discount_value);
-        const usageLimit = localCoupon.usage_limit;
-        const usedCount = localCoupon.used_count || 0;
-
-        const isInactive = localCoupon.active !== 1;
-        const isBeforeStart = startBoundary && startBoundary > now;
-        const isAfterEnd = endBoundary && endBoundary < now;
-        const exceededUsage = usageLimit !== null && usageLimit !== undefined && usedCount >= usageLimit;
-        const invalidDiscountValue = Number.isNaN(discountValue) || discountValue <= 0;
-
-        if (isInactive || isBeforeStart || isAfterEnd || exceededUsage || invalidDiscountValue) {
-          logger.warn('Código promocional inválido ou expirado.', {
-            requestId: req.requestId,
-            promoCode,
-            couponId: localCoupon.id,
-            reasons: {
-              isInactive,
-              isBeforeStart,
-              isAfterEnd,
-              exceededUsage,
-              invalidDiscountValue
-            }
-          });
-          return res.status(400).json({ error: 'Código promocional inválido ou expirado.' });
-        }
-
-        if (localCoupon.discount_type === 'percentual') {
-          appliedDiscountCents = Math.round(product.price * (discountValue / 100));
-        } else {
-          appliedDiscountCents = Math.round(discountValue * 100);
-        }
-
-        if (appliedDiscountCents <= 0) {
-          logger.warn('Valor de desconto calculado é inválido.', {
-            requestId: req.requestId,
-            promoCode,
-            couponId: localCoupon.id,
-            discountValue
-          });
-          return res.status(400).json({ error: 'Código promocional inválido ou expirado.' });
-        }
-
-        if (appliedDiscountCents >= product.price) {
-          logger.warn('Desconto excede o valor do plano.', {
-            requestId: req.requestId,
-            promoCode,
-            couponId: localCoupon.id,
-            appliedDiscountCents,
-            productPrice: product.price
-          });
-          return res.status(400).json({ error: 'O desconto aplicado excede o valor do plano selecionado.' });
-        }
-
-        unitAmount = product.price - appliedDiscountCents;
-        normalizedPromoCode = normalizedInputCode;
-        discountMetadata = {
-          couponId: String(localCoupon.id),
-          discountType: localCoupon.discount_type,
-          discountValue: discountValue.toString(),
-          discountAppliedInCents: String(appliedDiscountCents)
-        };
-
-        logger.info('Cupom interno aplicado com sucesso.', {
-          requestId: req.requestId,
-          couponId: localCoupon.id,
-          code: normalizedPromoCode,
-          discountAppliedInCents: appliedDiscountCents
-        });
-      } else {
-        try {
-          const promotionCodes = await stripe.promotionCodes.list({
-            code: normalizedInputCode,
-            active: true,
-            limit: 1
-          });
-
-          if (!promotionCodes.data.length) {
-            logger.warn('Código promocional inválido ou expirado.', {
-              requestId: req.requestId,
-              promoCode
-            });
-            return res.status(400).json({ error: 'Código promocional inválido ou expirado.' });
-          }
-
-          promotionCodeId = promotionCodes.data[0].id;
-          normalizedPromoCode = promotionCodes.data[0].code;
-
-          logger.info('Código promocional aplicado com sucesso.', {
-            requestId: req.requestId,
-            promotionCodeId,
-            code: normalizedPromoCode
-          });
-        } catch (promoError) {
-          logger.error('Erro ao validar código promocional.', {
-            requestId: req.requestId,
-            promoCode,
-            error: promoError.message
-          });
-          return res.status(500).json({ error: 'Não foi possível validar o código promocional. Tente novamente em instantes.' });
-        }
+    if (customerEmail && !coupons.isValidEmail(customerEmail)) {
+      await uploads.removeFiles(photoFiles.map(file => file.path));
+      return res.status(400).json({ error: 'Informe um e-mail válido.' });
+    }
+
+    // Códigos promocionais: cupons internos (podem ser combinados) ou uma promoção do Stripe
+    const promoCodes = coupons.normalizeCodes(promoCode);
+    let promo;
+
+    try {
+      promo = await resolvePromoCodes(promoCodes, plan, customerEmail, { requestId: req.requestId });
+    } catch (promoError) {
+      logger.error('Erro ao validar código promocional.', {
+        requestId: req.requestId,
+        promoCode,
+        error: promoError.message
+      });
+      await uploads.removeFiles(photoFiles.map(file => file.path));
+      return res.status(500).json({ error: 'Não foi possível validar o código promocional. Tente novamente em instantes.' });
+    }
+
+    if (promo.error) {
+      await uploads.removeFiles(photoFiles.map(file => file.path));
+      return res.status(400).json({ error: promo.error });
+    }
+
+    const { promotionCode = null, internal: internalDiscount = null } = promo.data;
+
+    // O uso dos cupons internos fica reservado até o pagamento, a expiração da sessão ou a recusa
+    if (internalDiscount) {
+      const reservation = await coupons.reserveCoupons(internalDiscount.discounts, { customerEmail }, { requestId: req.requestId });
+      if (reservation.error) {
+        await uploads.removeFiles(photoFiles.map(file => file.path));
+        return res.status(400).json({ error: reservation.error });
       }
+      reservations = reservation.data;
+    }
+
+    // Valida o conteúdo das fotos e gera as versões normalizadas antes de cobrar o cliente
+    const processedPhotos = await uploads.processUploads(photoFiles);
+    if (processedPhotos.error) {
+      logger.warn('Fotos recusadas na validação.', { requestId: req.requestId, error: processedPhotos.error });
+      await coupons.releaseRedemptions(reservations, { requestId: req.requestId });
+      return res.status(400).json({ error: processedPhotos.error });
     }
+    storedPhotos = processedPhotos.data;
+
+    // Gerar a hash única e o slug permanente da URL
+    const uniqueHash = generateUniqueHash();
+    const slug = slugs.slugify(coupleName);
+
+    // Criar a URL de sucesso canônica (slug-hash)
+    const purchaseLink = `${process.env.BASE_URL}${buildSuccessPath({ slug, unique_hash: uniqueHash })}`;
 
     const sessionParams = {
       payment_method_types: ['card', 'boleto'],
       line_items: [{
         price_data: {
-          currency: 'brl',
-          product_data: { name: product.name },
-          unit_amount: unitAmount,
+          currency: plan.currency,
+          product_data: { name: plan.name },
+          unit_amount: internalDiscount ? internalDiscount.amountCents : plan.price_cents,
         },
         quantity: 1,
       }],
       mode: 'payment',
       allow_promotion_codes: true,
-      success_url: purchaseLink,
+      // O Stripe troca {CHECKOUT_SESSION_ID} pelo ID da sessão; a página de sucesso usa isso para reconhecer quem pagou
+      success_url: `${purchaseLink}?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: `${process.env.BASE_URL}/`,
       payment_method_options: {
         boleto: {
-          expires_after_days: 5,
+          expires_after_days: payments.BOLETO_EXPIRES_AFTER_DAYS,
         },
       },
       metadata: {
@@ -686,39 +2063,56 @@ app.post('/create-checkout-session', upload.single('photo'), async (req, res) =>
       }
     };
 
-    if (promotionCodeId) {
-      sessionParams.discounts = [{ promotion_code: promotionCodeId }];
+    if (customerEmail) {
+      sessionParams.customer_email = customerEmail;
     }
 
-    if (normalizedPromoCode) {
-      sessionParams.metadata.promoCode = normalizedPromoCode;
+    // O Stripe não aceita allow_promotion_codes junto com discounts
+    if (promotionCode) {
+      delete sessionParams.allow_promotion_codes;
+      sessionParams.discounts = [{ promotion_code: promotionCode.id }];
+      sessionParams.metadata.promoCode = promotionCode.code;
     }
 
-    if (discountMetadata) {
-      sessionParams.metadata.originalAmountInCents = String(product.price);
-      Object.assign(sessionParams.metadata, discountMetadata, { discountSource: 'internal' });
+    if (internalDiscount) {
+      const couponIds = internalDiscount.discounts.map(({ coupon }) => coupon.id);
+      sessionParams.allow_promotion_codes = internalDiscount.allowPromotionCodes;
+      Object.assign(sessionParams.metadata, {
+        promoCode: internalDiscount.discounts.map(({ coupon }) => coupon.code).join(','),
+        couponId: String(couponIds[0]),
+        couponIds: couponIds.join(','),
+        originalAmountInCents: String(plan.price_cents),
+        discountAppliedInCents: String(internalDiscount.discountCents),
+        discountSource: 'internal'
+      });
     }
 
-    // Criar a sessão no Stripe
+    // Criar a sessão no Stripe; depois de ligadas à sessão, as reservas seguem o pagamento ou a expiração dela
     const session = await stripe.checkout.sessions.create(sessionParams);
-
+    await coupons.attachReservations(reservations, session.id);
+    reservationsAttached = true;
+
     logger.info('Sessão de checkout criada.', {
       requestId: req.requestId,
       sessionId: session.id,
-      promotionCodeId: promotionCodeId || null,
+      promotionCodeId: promotionCode ? promotionCode.id : null,
       metadata: session.metadata
     });
-
     // Salvar a compra no banco de dados e garantir que o ID da compra seja retornado
     logger.info('Iniciando salvamento da compra.', { requestId: req.requestId });
 
     const purchase = await db.createRecord('purchases', {
       couple_name: coupleName,
-      plan_id: planId,
+      ...plans.buildPurchaseSnapshot(plan),
       session_id: session.id,
       start_date: startDate,
       unique_hash: uniqueHash,
-      purchase_link: purchaseLink
+      slug,
+      owner_token: generateOwnerToken(),
+      purchase_link: purchaseLink,
+      customer_email: customerEmail || null,
+      qr_style: JSON.stringify(qrStyle.data),
+      payment_status: payments.PAYMENT_STATUS.PENDING
     });
 
     if (!purchase || !purchase.id) {
@@ -730,120 +2124,46 @@ app.post('/create-checkout-session', upload.single('photo'), async (req, res) =>
       purchaseId: purchase.id
     });
 
-    // Verificar se a imagem foi enviada
-    if (photoFile) {
-      const originalImageUrl = `/media/${photoFile.filename}`; // URL da imagem original
-
-      // Salvar a imagem original na tabela 'images'
+    // Verificar se as fotos foram enviadas
+    if (processedPhotos.data.length) {
+      // Salvar as fotos originais na tabela 'images', na ordem e com as legendas informadas
       try {
-        logger.info('Salvando imagem original no banco de dados.', {
+        logger.info('Salvando fotos originais no banco de dados.', {
           requestId: req.requestId,
-          purchaseId: purchase.id
-        });
-
-        const imageRecord = await db.createRecord('images', {
-          purchase_id: purchase.id,
-          image_url: originalImageUrl
+          purchaseId: purchase.id,
+          photos: processedPhotos.data.length
         });
-
-        if (!imageRecord) {
-          throw new Error("Falha ao salvar a imagem original no banco de dados.");
-        }
-
-        logger.info('Imagem original salva com sucesso.', {
+
+        await gallery.addPurchaseImages(purchase.id, processedPhotos.data, req.body.captions);
+        storedPhotos = [];
+
+        logger.info('Fotos originais salvas com sucesso.', {
           requestId: req.requestId,
-          purchaseId: purchase.id,
-          imageUrl: originalImageUrl
+          purchaseId: purchase.id
         });
       } catch (imageError) {
-        logger.error('Erro ao salvar a imagem original no banco de dados.', {
+        logger.error('Erro ao salvar as fotos originais no banco de dados.', {
           requestId: req.requestId,
           error: imageError.message
         });
         throw new Error("Erro ao salvar a imagem original no banco de dados.");
       }
 
-      // Processar a imagem e adicionar o QR Code
+      // A foto de capa com QR Code é gerada em segundo plano; a sessão do Stripe já existe e não depende dela
       try {
-        logger.info('Iniciando processamento da imagem.', {
-          requestId: req.requestId,
-          purchaseId: purchase.id
-        });
-
-        const qrUrl = `${process.env.BASE_URL}/pages/${encodeURIComponent(coupleName)}-${encodeURIComponent(uniqueHash)}`;
-
-        // Primeiro, obtenha as dimensões da imagem para calcular o tamanho proporcional do QR code
-        const imageMetadata = await sharp(photoFile.path).metadata();
-        const measuredSides = [imageMetadata.width, imageMetadata.height].filter(
-          (value) => typeof value === 'number' && value > 0
-        );
-        const minSide = measuredSides.length > 0 ? Math.min(...measuredSides) : 600;
-        const qrCodeSize = Math.max(Math.round(minSide * 0.2), 120); // Tamanho proporcional ao menor lado da imagem (20%)
-
-        const coloredQrCode = await QRCode.toBuffer(qrUrl, {
-          width: qrCodeSize,
-          color: {
-            dark: '#ff3366',
-            light: '#00000000'
-          }
-        });
-
-        const qrPadding = Math.round(Math.max(qrCodeSize * 0.18, 18));
-        const stylizedSize = Math.round(qrCodeSize + qrPadding * 2);
-        const cornerRadius = Math.round(stylizedSize * 0.22);
-        const gradientSvg = Buffer.from(
-          `<svg width="${stylizedSize}" height="${stylizedSize}" viewBox="0 0 ${stylizedSize} ${stylizedSize}" xmlns="http://www.w3.org/2000/svg">
-            <defs>
-              <linearGradient id="qrGradient" x1="0%" y1="0%" x2="100%" y2="100%">
-                <stop offset="0%" stop-color="#ffe3ec" />
-                <stop offset="100%" stop-color="#ffc1d9" />
-              </linearGradient>
-            </defs>
-            <rect x="0" y="0" width="${stylizedSize}" height="${stylizedSize}" rx="${cornerRadius}" fill="url(#qrGradient)" />
-          </svg>`
-        );
-
-        const stylizedQrBuffer = await sharp(gradientSvg)
-          .composite([
-            {
-              input: coloredQrCode,
-              top: qrPadding,
-              left: qrPadding
-            }
-          ])
-          .png()
-          .toBuffer();
-
-        // Processar a imagem com QR Code e salvar em /media/edit
-        const outputFilePath = `public/media/edit/processed-${photoFile.filename}`;
-        await sharp(photoFile.path)
-          .rotate() // Garantir a orientação correta da imagem
-          .composite([
-            {
-              input: stylizedQrBuffer,
-              gravity: 'southwest',
-              dx: 40,
-              dy: 40
-            }
-          ]) // Adicionar o QR code estilizado na posição inferior esquerda
-          .toFile(outputFilePath);
-
-        // Salvar a imagem com QR Code na tabela 'imagesEdit'
-        await db.createRecord('imagesEdit', {
-          purchase_id: purchase.id,
-          image_url: `/media/edit/processed-${photoFile.filename}`
-        });
-
-        logger.info('Imagem com QR Code salva com sucesso.', {
+        const job = await imageJobs.enqueueQrImage(purchase.id);
+
+        logger.info('Processamento da imagem agendado.', {
           requestId: req.requestId,
-          purchaseId: purchase.id
+          purchaseId: purchase.id,
+          jobId: job.id
         });
-      } catch (imageError) {
-        logger.error('Erro ao processar a imagem com QR Code.', {
+      } catch (jobError) {
+        logger.error('Erro ao agendar o processamento da imagem com QR Code.', {
           requestId: req.requestId,
-          error: imageError.message
+          purchaseId: purchase.id,
+          error: jobError.message
         });
-        throw new Error("Erro ao salvar a imagem com QR Code no banco de dados.");
       }
     } else {
       logger.warn('Nenhuma imagem enviada ou falha ao processar a imagem.', {
@@ -857,6 +2177,22 @@ app.post('/create-checkout-session', upload.single('photo'), async (req, res) =>
       requestId: req.requestId,
       error: error.message
     });
+
+    if (storedPhotos.length) {
+      await gallery.removeMediaFiles(storedPhotos);
+    }
+
+    if (!reservationsAttached && reservations.length) {
+      try {
+        await coupons.releaseRedemptions(reservations, { requestId: req.requestId });
+      } catch (releaseError) {
+        logger.error('Erro ao devolver as reservas de cupom do checkout.', {
+          requestId: req.requestId,
+          error: releaseError.message
+        });
+      }
+    }
+
     res.status(500).json({ error: "Erro ao criar sessão de checkout. Por favor, tente novamente." });
   }
 });
@@ -864,13 +2200,84 @@ app.post('/create-checkout-session', upload.single('photo'), async (req, res) =>
 
 
 
+// Resolve os códigos do checkout: cupons internos pelo motor de cupons ou, para um único código
+// desconhecido, a promoção equivalente do Stripe
+async function resolvePromoCodes(codes, plan, customerEmail, context) {
+  if (!codes.length) {
+    return { data: {} };
+  }
+
+  const { found, missing } = await coupons.loadCoupons(codes);
+
+  if (!found.length && codes.length === 1) {
+    const promotionCodes = await stripe.promotionCodes.list({ code: codes[0], active: true, limit: 1 });
+
+    if (!promotionCodes.data.length) {
+      logger.warn('Código promocional inválido ou expirado.', { ...context, promoCode: codes[0] });
+      return { error: coupons.INVALID_COUPON_MESSAGE };
+    }
+
+    logger.info('Código promocional aplicado com sucesso.', { ...context, promotionCodeId: promotionCodes.data[0].id });
+    return { data: { promotionCode: promotionCodes.data[0] } };
+  }
+
+  if (missing.length) {
+    logger.warn('Código promocional inválido ou expirado.', { ...context, promoCodes: missing });
+    return { error: coupons.INVALID_COUPON_MESSAGE };
+  }
+
+  const evaluation = await coupons.evaluateCoupons(found, { plan, customerEmail });
+
+  if (evaluation.error) {
+    logger.warn('Cupom recusado.', { ...context, couponId: evaluation.couponId || null, reason: evaluation.error });
+    return { error: evaluation.error };
+  }
+
+  logger.info('Cupom interno aplicado com sucesso.', {
+    ...context,
+    couponIds: evaluation.data.discounts.map(({ coupon }) => coupon.id),
+    discountAppliedInCents: evaluation.data.discountCents
+  });
+  return { data: { internal: evaluation.data } };
+}
+
+// Buscar os dados do boleto emitido (link e vencimento) a partir do PaymentIntent da sessão
+async function loadBoletoDetails(session, context) {
+  if (!session.payment_intent) {
+    return {};
+  }
+
+  try {
+    const paymentIntent = await stripe.paymentIntents.retrieve(session.payment_intent);
+    const nextAction = paymentIntent && paymentIntent.next_action;
+    return (nextAction && nextAction.boleto_display_details) || {};
+  } catch (error) {
+    logger.warn('Não foi possível obter os dados do boleto.', { ...context, sessionId: session.id, error: error.message });
+    return {};
+  }
+}
+
+// Eventos de checkout das renovações de planos com duração
+async function handleRenewalEvent(eventType, session, context) {
+  if (eventType === 'checkout.session.async_payment_succeeded'
+    || (eventType === 'checkout.session.completed' && session.payment_status === 'paid')) {
+    await renewals.fulfillRenewalSession(session, context);
+  } else if (eventType === 'checkout.session.async_payment_failed') {
+    await renewals.closeRenewalSession(session, 'failed', context);
+  } else if (eventType === 'checkout.session.expired') {
+    await renewals.closeRenewalSession(session, 'expired', context);
+  } else {
+    logger.info('Renovação aguardando confirmação do pagamento.', { ...context, sessionId: session.id });
+  }
+}
+
 // Webhook para receber eventos da Stripe
-app.post('/webhook', bodyParser.raw({ type: 'application/json' }), (req, res) => {
+app.post('/webhook', bodyParser.raw({ type: 'application/json' }), async (req, res) => {
   const sig = req.headers['stripe-signature'];
   const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
-
+
   let event;
-
+
   try {
     // Verificar e construir o evento com a assinatura
     event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
@@ -880,51 +2287,115 @@ app.post('/webhook', bodyParser.raw({ type: 'application/json' }), (req, res) =>
     });
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
-
-  // Processar diferentes tipos de eventos que você deseja capturar
-  if (event.type === 'checkout.session.completed') {
-    const session = event.data.object;
-    logger.info('Pagamento realizado com sucesso.', { sessionId: session.id });
-    // Atualizar o banco de dados com o status do pagamento, caso necessário
-  } else if (event.type === 'invoice.payment_succeeded') {
-    const invoice = event.data.object;
-    logger.info('Pagamento de boleto realizado com sucesso.', { invoiceId: invoice.id });
-    // Atualizar o status de pagamento no banco de dados aqui
+
+  const context = { requestId: req.requestId, eventId: event.id, eventType: event.type };
+
+  try {
+    // Processar diferentes tipos de eventos que você deseja capturar
+    if (event.type.startsWith('checkout.session.') && renewals.isRenewalSession(event.data.object)) {
+      await handleRenewalEvent(event.type, event.data.object, context);
+    } else if (event.type === 'checkout.session.completed') {
+      const session = event.data.object;
+
+      if (session.payment_status === 'paid') {
+        logger.info('Pagamento realizado com sucesso.', { ...context, sessionId: session.id });
+        await payments.fulfillCheckoutSession(session, context);
+      } else {
+        logger.info('Checkout concluído aguardando confirmação do pagamento.', {
+          ...context,
+          sessionId: session.id,
+          paymentStatus: session.payment_status
+        });
+        const boletoDetails = await loadBoletoDetails(session, context);
+        await payments.registerDelayedPayment(session, boletoDetails, context);
+      }
+    } else if (event.type === 'checkout.session.async_payment_succeeded') {
+      const session = event.data.object;
+      logger.info('Pagamento assíncrono confirmado.', { ...context, sessionId: session.id });
+      await payments.fulfillCheckoutSession(session, context);
+    } else if (event.type === 'checkout.session.async_payment_failed') {
+      const session = event.data.object;
+      logger.warn('Pagamento assíncrono não foi concluído.', { ...context, sessionId: session.id });
+      await payments.markCheckoutSessionFailed(session, context);
+    } else if (event.type === 'checkout.session.expired') {
+      const session = event.data.object;
+      logger.info('Sessão de checkout expirada.', { ...context, sessionId: session.id });
+      await payments.markCheckoutSessionExpired(session, context);
+    } else if (event.type === 'charge.refunded') {
+      const charge = event.data.object;
+      logger.info('Reembolso recebido do Stripe.', { ...context, chargeId: charge.id, amountRefunded: charge.amount_refunded });
+      await payments.handleChargeRefunded(charge, context);
+    } else if (event.type === 'charge.dispute.created') {
+      await payments.handleDisputeCreated(event.data.object, context);
+    } else if (event.type === 'charge.dispute.closed') {
+      await payments.handleDisputeClosed(event.data.object, context);
+    } else if (event.type === 'invoice.payment_succeeded') {
+      const invoice = event.data.object;
+      logger.info('Pagamento de boleto realizado com sucesso.', { ...context, invoiceId: invoice.id });
+    }
+  } catch (error) {
+    // Responder com erro faz o Stripe reenviar o evento mais tarde
+    logger.error('Erro ao processar evento do webhook.', { ...context, error: error.message });
+    return res.status(500).json({ error: 'Falha ao processar o evento.' });
   }
-
+
   // Enviar resposta 200 para confirmar o recebimento do webhook
   res.status(200).json({ received: true });
 });
 
 // Rota de sucesso baseada na hash
-app.get('/success/:coupleName-:hash', async (req, res) => {
-  const { coupleName, hash } = req.params;
+app.get('/success/:pageKey', async (req, res) => {
+  const { pageKey } = req.params;
 
   try {
-    // Buscar os dados da compra pelo nome do casal e pela hash única
-    const purchase = await db.getRecord('purchases', { couple_name: coupleName, unique_hash: hash });
-
+    // Buscar os dados da compra pela hash única
+    const purchase = await findPurchaseByPageKey(pageKey);
+
     if (!purchase) {
       logger.warn('Compra não encontrada durante acesso à página de sucesso.', {
         requestId: req.requestId,
-        coupleName,
-        hash
+        pageKey
       });
       return res.status(404).send('Compra não encontrada.');
     }
 
+    if (!slugs.isCanonicalPageKey(pageKey, purchase)) {
+      return redirectToCanonical(req, res, buildSuccessPath(purchase));
+    }
+
     // Buscar a URL da imagem editada (com o QR code)
     const imageRecord = await db.getRecord('imagesEdit', { purchase_id: purchase.id });
     const qrImageUrl = imageRecord ? imageRecord.image_url : null;
+    const isPaid = payments.isPurchasePaid(purchase);
+
+    // A página de sucesso é pública (o endereço está no QR Code): o link de gerenciamento só aparece
+    // no retorno do Stripe, que traz o ID da sessão de checkout da compra
+    const isCheckoutReturn = adminSecurity.tokensMatch(req.query.session_id, purchase.session_id);
+
+    // Links assinados e temporários para os arquivos de impressão
+    const downloads = isPaid
+      ? (await printAssets.listAvailableAssets(purchase)).map(asset => ({
+        label: printAssets.PRINT_ASSETS[asset].label,
+        url: `${buildSuccessPath(purchase)}/downloads/${asset}?${printAssets.buildDownloadQuery(purchase, asset)}`
+      }))
+      : [];
 
     // Renderizar a página de sucesso com os dados da compra e a imagem editada
     res.render('success', {
-      coupleName: purchase.couple_name,
+      coupleName: getDisplayName(purchase),
       planId: purchase.plan_id,
+      planName: plans.getPurchasePlanName(purchase),
       startDate: purchase.start_date,
       uniqueHash: purchase.unique_hash,
       qrImageUrl: qrImageUrl, // Passando a URL da imagem para o template
-      pageUrl: `/pages/${encodeURIComponent(purchase.couple_name)}-${encodeURIComponent(purchase.unique_hash)}`
+      imageStatus: purchase.image_status || null,
+      paymentStatus: purchase.payment_status,
+      boletoUrl: purchase.boleto_url || null,
+      boletoExpiresAt: purchase.boleto_expires_at || null,
+      isPaid,
+      downloads,
+      pageUrl: buildPagePath(purchase),
+      manageUrl: isCheckoutReturn ? buildManagePath(purchase) : null
     });
   } catch (error) {
     logger.error('Erro ao buscar os dados da compra para página de sucesso.', {
@@ -935,34 +2406,268 @@ app.get('/success/:coupleName-:hash', async (req, res) => {
   }
 });
 
+// Entrega os arquivos de impressão apenas por links assinados gerados na página de sucesso
+app.get('/success/:pageKey/downloads/:asset', async (req, res) => {
+  const { pageKey, asset } = req.params;
+
+  try {
+    const purchase = await findPurchaseByPageKey(pageKey);
+    const definition = printAssets.PRINT_ASSETS[asset];
+
+    if (!purchase || !definition || !payments.isPurchasePaid(purchase)) {
+      return res.status(404).send('Arquivo não encontrado.');
+    }
+
+    if (!printAssets.verifyDownload(purchase, asset, req.query)) {
+      logger.warn('Link de download inválido ou expirado.', { requestId: req.requestId, purchaseId: purchase.id, asset });
+      return res.status(403).send('Link de download inválido ou expirado. Abra novamente a página de sucesso para gerar um novo link.');
+    }
+
+    const downloadName = `qrlove-${slugs.getPurchaseSlug(purchase)}-${asset}`;
+    const signedUrl = await printAssets.getAssetSignedUrl(purchase, asset, downloadName);
+
+    if (signedUrl) {
+      return res.redirect(signedUrl);
+    }
+
+    let content;
+    try {
+      content = await printAssets.readAsset(purchase, asset);
+    } catch (readError) {
+      return res.status(404).send('Arquivo não encontrado.');
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.attachment(downloadName);
+    res.type(definition.contentType);
+    return res.send(content);
+  } catch (error) {
+    logger.error('Erro ao entregar arquivo para impressão.', {
+      requestId: req.requestId,
+      error: error.message
+    });
+    return res.status(500).send('Erro ao processar sua requisição.');
+  }
+});
+
+async function findPurchaseByOwnerToken(req, res) {
+  const { token } = req.params;
+
+  if (!OWNER_TOKEN_PATTERN.test(token)) {
+    res.status(404).send('Página de gerenciamento não encontrada.');
+    return null;
+  }
+
+  const purchase = await db.getRecord('purchases', { owner_token: token });
+
+  if (!purchase) {
+    logger.warn('Token de gerenciamento inválido.', { requestId: req.requestId });
+    res.status(404).send('Página de gerenciamento não encontrada.');
+    return null;
+  }
+
+  return purchase;
+}
+
+// Página de gerenciamento do dono, acessada pelo link secreto exibido após a compra
+app.get('/manage/:token', async (req, res) => {
+  try {
+    const purchase = await findPurchaseByOwnerToken(req, res);
+
+    if (!purchase) {
+      return;
+    }
+
+    const imageRecord = await db.getRecord('imagesEdit', { purchase_id: purchase.id });
+    const images = await gallery.loadPurchaseImages(purchase.id);
+
+    res.render('manage', {
+      displayName: getDisplayName(purchase),
+      startDate: formatDateInput(purchase.start_date),
+      qrImageUrl: imageRecord ? imageRecord.image_url : null,
+      imageStatus: purchase.image_status || null,
+      images,
+      maxPhotos: plans.getMaxPhotos(purchase),
+      pageUrl: buildPagePath(purchase),
+      manageUrl: buildManagePath(purchase)
+    });
+  } catch (error) {
+    logger.error('Erro ao carregar a página de gerenciamento.', {
+      requestId: req.requestId,
+      error: error.message
+    });
+    res.status(500).send('Erro ao processar sua requisição.');
+  }
+});
+
+// Salva as alterações do dono; uma nova capa gera novamente a imagem com o QR Code da mesma URL
+app.post('/manage/:token', uploads.receivePhotos, async (req, res) => {
+  const newFiles = req.files || [];
+
+  try {
+    const purchase = await findPurchaseByOwnerToken(req, res);
+
+    if (!purchase) {
+      await uploads.removeFiles(newFiles.map(file => file.path));
+      return;
+    }
+
+    const managePath = buildManagePath(purchase);
+    const displayName = typeof req.body.displayName === 'string' ? req.body.displayName.trim() : '';
+    const startDate = typeof req.body.startDate === 'string' ? req.body.startDate.trim() : '';
+
+    const images = await gallery.loadPurchaseImages(purchase.id);
+    const galleryPlan = gallery.planGalleryChanges(images, req.body);
+    const totalPhotos = galleryPlan.kept.length + newFiles.length;
+    const maxPhotos = plans.getMaxPhotos(purchase);
+    let validationError = null;
+
+    if (req.uploadError) {
+      validationError = req.uploadError;
+    } else if (!displayName) {
+      validationError = 'Informe o nome que aparecerá na página.';
+    } else if (startDate && !isValidDateInput(startDate)) {
+      validationError = 'Data de início inválida.';
+    } else if (totalPhotos > maxPhotos) {
+      validationError = `Seu plano permite até ${maxPhotos} foto(s) na página.`;
+    } else if (images.length && totalPhotos === 0) {
+      validationError = 'Mantenha pelo menos uma foto na página.';
+    }
+
+    if (validationError) {
+      await uploads.removeFiles(newFiles.map(file => file.path));
+      setFlash(req, 'error', validationError);
+      return res.redirect(managePath);
+    }
+
+    const processedPhotos = await uploads.processUploads(newFiles);
+    if (processedPhotos.error) {
+      setFlash(req, 'error', processedPhotos.error);
+      return res.redirect(managePath);
+    }
+
+    await db.updateRecord('purchases', {
+      display_name: displayName === purchase.couple_name ? null : displayName,
+      start_date: startDate || null
+    }, purchase.id);
+
+    const previousCover = gallery.getCoverImage(images);
+    const updatedImages = await gallery.applyGalleryChanges(purchase.id, images, galleryPlan, processedPhotos.data, req.body.newCaptions);
+    const cover = gallery.getCoverImage(updatedImages);
+    const coverChanged = Boolean(cover) && (!previousCover || previousCover.image_url !== cover.image_url);
+
+    if (coverChanged) {
+      await imageJobs.enqueueQrImage(purchase.id);
+    }
+
+    logger.info('Página atualizada pelo dono.', {
+      requestId: req.requestId,
+      purchaseId: purchase.id,
+      photos: updatedImages.length,
+      coverChanged
+    });
+
+    setFlash(req, 'success', 'Alterações salvas com sucesso.');
+    return res.redirect(managePath);
+  } catch (error) {
+    logger.error('Erro ao salvar alterações da página.', {
+      requestId: req.requestId,
+      error: error.message
+    });
+    res.status(500).send('Erro ao salvar as alterações. Tente novamente.');
+  }
+});
 
-// Rota para exibir a página personalizada com o nome do casal e a hash
-app.get('/pages/:coupleName-:hash', async (req, res) => {
-  const { coupleName, hash } = req.params;
+// Rota para exibir a página personalizada a partir do slug e da hash
+app.get('/pages/:pageKey', async (req, res) => {
+  const { pageKey } = req.params;
 
   try {
     // Buscar os dados da compra
-    const purchase = await db.getRecord('purchases', { couple_name: coupleName, unique_hash: hash });
+    const purchase = await findPurchaseByPageKey(pageKey);
 
     if (!purchase) {
       logger.warn('Página personalizada não encontrada.', {
         requestId: req.requestId,
-        coupleName,
-        hash
+        pageKey
       });
       return res.status(404).send('Página personalizada não encontrada.');
     }
 
-    // Buscar a URL da imagem associada ao purchase_id
-    const imageRecord = await db.getRecord('images', { purchase_id: purchase.id });
-    const imageUrl = imageRecord ? imageRecord.image_url : null;
+    // QR Codes impressos com a URL antiga continuam funcionando por redirecionamento permanente
+    if (!slugs.isCanonicalPageKey(pageKey, purchase)) {
+      return redirectToCanonical(req, res, buildPagePath(purchase));
+    }
+
+    // Páginas tiradas do ar pelo dashboard respondem 410 até serem republicadas
+    if (!purchases.isPublished(purchase)) {
+      logger.info('Página personalizada fora do ar.', { requestId: req.requestId, purchaseId: purchase.id });
+      return res.status(410).render('couplePage', {
+        coupleName: getDisplayName(purchase),
+        startDate: purchase.start_date,
+        planId: purchase.plan_id,
+        images: [],
+        awaitingPayment: true,
+        paymentStatus: purchase.payment_status,
+        unpublished: true,
+        renewal: null,
+        renewed: false
+      });
+    }
+
+    // Páginas só ficam públicas após a confirmação do pagamento
+    if (!payments.isPurchasePaid(purchase)) {
+      logger.info('Página personalizada aguardando pagamento.', {
+        requestId: req.requestId,
+        purchaseId: purchase.id,
+        paymentStatus: purchase.payment_status
+      });
+      // Reembolsadas ou contestadas saem do ar de vez (410), e não apenas aguardam pagamento
+      return res.status(payments.isPurchaseReversed(purchase) ? 410 : 200).render('couplePage', {
+        coupleName: getDisplayName(purchase),
+        startDate: purchase.start_date,
+        planId: purchase.plan_id,
+        images: [],
+        awaitingPayment: true,
+        paymentStatus: purchase.payment_status,
+        unpublished: false,
+        renewal: null,
+        renewed: false
+      });
+    }
+
+    // Planos com duração exibem aviso na carência e tela de renovação depois dela
+    const access = renewals.getAccessState(purchase);
+    const renewUrl = `${buildPagePath(purchase)}/renew`;
+
+    if (access.state === renewals.ACCESS_STATE.EXPIRED) {
+      logger.info('Página personalizada expirada.', { requestId: req.requestId, purchaseId: purchase.id });
+      return res.render('renewal', {
+        coupleName: getDisplayName(purchase),
+        planName: plans.getPurchasePlanName(purchase),
+        price: plans.formatPrice(purchase.plan_price_cents, purchase.plan_currency || 'brl'),
+        duration: plans.formatDuration(purchase.plan_duration_months),
+        expiresAt: access.expiresAt,
+        canRenew: renewals.canRenew(purchase),
+        renewUrl
+      });
+    }
+
+    // Buscar as fotos da galeria na ordem definida pelo dono
+    const images = await gallery.loadPurchaseImages(purchase.id);
 
     // Renderizar a página personalizada
     res.render('couplePage', {
-      coupleName: purchase.couple_name,
+      coupleName: getDisplayName(purchase),
       startDate: purchase.start_date,
       planId: purchase.plan_id,
-      imageUrl: imageUrl // Passar a URL da imagem para o template
+      images,
+      buildSrcset: uploads.buildSrcset,
+      awaitingPayment: false,
+      paymentStatus: purchase.payment_status,
+      unpublished: false,
+      renewal: access.state === renewals.ACCESS_STATE.GRACE ? { ...access, renewUrl } : null,
+      renewed: req.query.renovacao === 'sucesso'
     });
   } catch (error) {
     logger.error('Erro ao buscar dados para página personalizada.', {
@@ -973,6 +2678,69 @@ app.get('/pages/:coupleName-:hash', async (req, res) => {
   }
 });
 
+// Rota para iniciar a renovação de um plano com duração, mantendo a mesma URL e QR Code
+app.post('/pages/:pageKey/renew', async (req, res) => {
+  const { pageKey } = req.params;
+
+  try {
+    const purchase = await findPurchaseByPageKey(pageKey);
+
+    if (!purchase) {
+      logger.warn('Compra não encontrada para renovação.', { requestId: req.requestId, pageKey });
+      return res.status(404).send('Página personalizada não encontrada.');
+    }
+
+    if (!renewals.canRenew(purchase)) {
+      logger.warn('Compra não pode ser renovada.', { requestId: req.requestId, purchaseId: purchase.id });
+      return res.status(400).send('Este plano não possui renovação.');
+    }
+
+    const terms = renewals.buildRenewalTerms(purchase);
+    const pageUrl = `${process.env.BASE_URL}${buildPagePath(purchase)}`;
+
+    const session = await stripe.checkout.sessions.create({
+      payment_method_types: ['card', 'boleto'],
+      line_items: [{
+        price_data: {
+          currency: terms.currency,
+          product_data: { name: terms.name },
+          unit_amount: terms.amountCents,
+        },
+        quantity: 1,
+      }],
+      mode: 'payment',
+      success_url: `${pageUrl}?renovacao=sucesso`,
+      cancel_url: pageUrl,
+      payment_method_options: {
+        boleto: {
+          expires_after_days: payments.BOLETO_EXPIRES_AFTER_DAYS,
+        },
+      },
+      metadata: {
+        requestId: req.requestId,
+        type: renewals.RENEWAL_SESSION_TYPE,
+        purchaseId: String(purchase.id)
+      }
+    });
+
+    await renewals.registerRenewalSession(purchase, session, terms);
+
+    logger.info('Sessão de renovação criada.', {
+      requestId: req.requestId,
+      purchaseId: purchase.id,
+      sessionId: session.id
+    });
+
+    return res.redirect(303, session.url);
+  } catch (error) {
+    logger.error('Erro ao criar sessão de renovação.', {
+      requestId: req.requestId,
+      error: error.message
+    });
+    return res.status(500).send('Erro ao iniciar a renovação. Tente novamente.');
+  }
+});
+
 // Rota de cancelamento
 app.get('/cancel', (req, res) => {
   try {
@@ -986,12 +2754,29 @@ app.get('/cancel', (req, res) => {
   }
 });
 
+// Expirar periodicamente os boletos que passaram do vencimento sem pagamento
+const BOLETO_EXPIRY_INTERVAL_MS = Number(process.env.BOLETO_EXPIRY_INTERVAL_MS) || 1000 * 60 * 60;
+
+function scheduleBoletoExpiry() {
+  const runExpiry = () => {
+    payments.expireOverdueBoletos().catch(error => {
+      logger.error('Erro ao expirar boletos vencidos.', { error: error.message });
+    });
+  };
+
+  runExpiry();
+  return setInterval(runExpiry, BOLETO_EXPIRY_INTERVAL_MS);
+}
+
 // Iniciar o servidor
 const PORT = process.env.PORT || 7500;
 if (require.main === module) {
   app.listen(PORT, () => {
     try {
       logger.info('Servidor rodando.', { port: PORT });
+      scheduleBoletoExpiry();
+      imageJobs.registerImageJobs();
+      jobs.startWorker();
     } catch (error) {
       logger.error('Erro ao iniciar o servidor.', { error: error.message });
     }
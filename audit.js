@@ -0,0 +1,285 @@
+const db = require('./db');
+const logger = require('./logger');
+
+const AUDIT_PAGE_SIZE = 100;
+
+const ENTITY_LABELS = {
+  partner: 'Parceiro',
+  coupon: 'Cupom',
+  coupon_batch: 'Lote de cupons',
+  plan: 'Plano',
+  financial_transaction: 'Lançamento financeiro',
+  purchase: 'Compra',
+  coupon_request: 'Pedido de cupom',
+  admin: 'Admin'
+};
+
+const ACTION_LABELS = {
+  create: 'Cadastro',
+  update: 'Alteração',
+  delete: 'Remoção',
+  restore: 'Restauração',
+  payout: 'Repasse',
+  refund_request: 'Pedido de reembolso',
+  reconcile: 'Conciliação com o Stripe',
+  import: 'Importação CSV',
+  unpublish: 'Página tirada do ar',
+  republish: 'Página de volta ao ar',
+  regenerate_qr: 'Nova imagem com QR Code',
+  resend_links: 'Links reenviados',
+  portal_access: 'Link do portal',
+  approve: 'Aprovação',
+  reject: 'Recusa',
+  setup: 'Configuração inicial',
+  invite: 'Convite',
+  invite_accept: 'Convite aceito',
+  password_change: 'Troca de senha',
+  two_factor_enable: 'Duas etapas ativadas',
+  two_factor_disable: 'Duas etapas desativadas'
+};
+
+// Remoções pelo dashboard são lógicas nestas tabelas; a permissão para restaurar é a mesma usada para remover
+const SOFT_DELETE_ENTITIES = {
+  partner: { table: 'partners', permission: 'catalog' },
+  coupon: { table: 'coupons', permission: 'catalog' },
+  plan: { table: 'plans', permission: 'catalog' },
+  financial_transaction: { table: 'financial_transactions', permission: 'finance' }
+};
+
+const ENTITY_TABLES = {
+  ...Object.fromEntries(Object.entries(SOFT_DELETE_ENTITIES).map(([entityType, { table }]) => [entityType, table])),
+  coupon_batch: 'coupon_batches',
+  purchase: 'purchases',
+  coupon_request: 'coupon_requests',
+  admin: 'admins'
+};
+
+// Credenciais e segredos nunca vão para a auditoria
+const SENSITIVE_FIELDS = ['password_hash', 'invite_token_hash', 'access_token_hash', 'totp_secret', 'recovery_codes', 'owner_token'];
+
+const sanitize = values => {
+  if (!values) {
+    return null;
+  }
+
+  const copy = { ...values };
+  SENSITIVE_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+};
+
+const parseSnapshot = value => {
+  if (!value) {
+    return null;
+  }
+
+  if (typeof value === 'object') {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Quem fez a alteração e de onde, a partir da requisição do dashboard
+const buildContext = (req, admin = req.admin) => ({
+  adminId: admin ? admin.id : null,
+  adminEmail: admin ? admin.email : null,
+  requestId: req.requestId || null,
+  ip: req.ip || null
+});
+
+// A alteração já foi feita quando a auditoria é gravada: uma falha aqui é registrada no log, sem desfazer a ação
+const recordAudit = async (context, { action, entityType, entityId = null, before = null, after = null }) => {
+  try {
+    return await db.createRecord('audit_logs', {
+      admin_id: context.adminId,
+      admin_email: context.adminEmail,
+      action,
+      entity_type: entityType,
+      entity_id: entityId,
+      before_data: before ? JSON.stringify(sanitize(before)) : null,
+      after_data: after ? JSON.stringify(sanitize(after)) : null,
+      request_id: context.requestId,
+      ip_address: context.ip
+    });
+  } catch (error) {
+    logger.error('Erro ao gravar auditoria.', { error: error.message, action, entityType, entityId, requestId: context.requestId });
+    return null;
+  }
+};
+
+// Atualiza um registro já carregado e audita o antes e o depois
+const updateWithAudit = async (context, entityType, before, data, action = 'update') => {
+  await db.updateRecord(ENTITY_TABLES[entityType], data, before.id);
+  const after = { ...before, ...data };
+  await recordAudit(context, { action, entityType, entityId: before.id, before, after });
+  return after;
+};
+
+const createWithAudit = async (context, entityType, data) => {
+  const created = await db.createRecord(ENTITY_TABLES[entityType], data);
+  await recordAudit(context, { action: 'create', entityType, entityId: created.id, after: created });
+  return created;
+};
+
+// Carrega um registro ativo (não removido) das tabelas com remoção lógica
+const findActive = async (entityType, id) => {
+  const record = await db.getRecord(ENTITY_TABLES[entityType], { id });
+  return record && !record.deleted_at ? record : null;
+};
+
+const softDelete = async (context, entityType, id) => {
+  const { table } = SOFT_DELETE_ENTITIES[entityType];
+  const record = await findActive(entityType, id);
+
+  if (!record) {
+    return { error: `${ENTITY_LABELS[entityType]} não encontrado.` };
+  }
+
+  const deletedAt = new Date();
+  const update = await db.executeQuery(
+    `UPDATE ${table} SET deleted_at = ?, deleted_by = ? WHERE id = ? AND deleted_at IS NULL`,
+    [deletedAt, context.adminId, record.id]
+  );
+
+  if (!update || update.affectedRows === 0) {
+    return { error: `${ENTITY_LABELS[entityType]} já foi removido.` };
+  }
+
+  await recordAudit(context, { action: 'delete', entityType, entityId: record.id, before: record });
+  return { data: { ...record, deleted_at: deletedAt } };
+};
+
+// Restaura o registro de uma remoção auditada; o chamador confere a permissão devolvida em getRestorePermission
+const restoreDeleted = async (context, auditLog) => {
+  const entity = auditLog && auditLog.action === 'delete' ? SOFT_DELETE_ENTITIES[auditLog.entity_type] : null;
+
+  if (!entity) {
+    return { error: 'Esta entrada da auditoria não pode ser restaurada.' };
+  }
+
+  const update = await db.executeQuery(
+    `UPDATE ${entity.table} SET deleted_at = NULL, deleted_by = NULL WHERE id = ? AND deleted_at IS NOT NULL`,
+    [auditLog.entity_id]
+  );
+
+  if (!update || update.affectedRows === 0) {
+    return { error: `${ENTITY_LABELS[auditLog.entity_type]} já foi restaurado.` };
+  }
+
+  const restored = await db.getRecord(entity.table, { id: auditLog.entity_id });
+  await recordAudit(context, {
+    action: 'restore',
+    entityType: auditLog.entity_type,
+    entityId: auditLog.entity_id,
+    after: restored
+  });
+
+  return { data: restored };
+};
+
+const getRestorePermission = auditLog => {
+  const entity = auditLog ? SOFT_DELETE_ENTITIES[auditLog.entity_type] : null;
+  return entity ? entity.permission : null;
+};
+
+// Campos que mudaram entre o antes e o depois (cadastros mostram só o depois; remoções, só o antes)
+const describeChanges = (before, after) => {
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+    .filter(key => !['created_at', 'updated_at'].includes(key));
+
+  return keys
+    .map(field => ({
+      field,
+      before: before && before[field] !== undefined ? before[field] : null,
+      after: after && after[field] !== undefined ? after[field] : null
+    }))
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+};
+
+const isValidDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// Filtros da página de auditoria (datas AAAA-MM-DD inclusivas); devolve as entradas mais recentes primeiro
+const loadAuditLog = async (filters = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (ENTITY_TABLES[filters.entityType]) {
+    conditions.push('entity_type = ?');
+    params.push(filters.entityType);
+  }
+
+  if (Number(filters.entityId) > 0) {
+    conditions.push('entity_id = ?');
+    params.push(Number(filters.entityId));
+  }
+
+  if (ACTION_LABELS[filters.action]) {
+    conditions.push('action = ?');
+    params.push(filters.action);
+  }
+
+  if (Number(filters.adminId) > 0) {
+    conditions.push('admin_id = ?');
+    params.push(Number(filters.adminId));
+  }
+
+  if (isValidDate(filters.start)) {
+    conditions.push('created_at >= ?');
+    params.push(filters.start);
+  }
+
+  if (isValidDate(filters.end)) {
+    conditions.push('created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+    params.push(filters.end);
+  }
+
+  const rows = await db.executeQuery(
+    `SELECT * FROM audit_logs${conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''} ORDER BY created_at DESC, id DESC LIMIT ${AUDIT_PAGE_SIZE}`,
+    params
+  );
+
+  // Remoções ainda vigentes ganham o botão de restaurar
+  const stillDeleted = {};
+  for (const [entityType, { table }] of Object.entries(SOFT_DELETE_ENTITIES)) {
+    const ids = rows.filter(row => row.action === 'delete' && row.entity_type === entityType).map(row => row.entity_id);
+
+    if (ids.length) {
+      const deletedRows = await db.executeQuery(`SELECT id FROM ${table} WHERE id IN (?) AND deleted_at IS NOT NULL`, [ids]);
+      stillDeleted[entityType] = new Set(deletedRows.map(row => row.id));
+    }
+  }
+
+  return rows.map(row => {
+    const before = parseSnapshot(row.before_data);
+    const after = parseSnapshot(row.after_data);
+
+    return {
+      ...row,
+      before,
+      after,
+      changes: describeChanges(before, after),
+      restorable: row.action === 'delete' && Boolean(stillDeleted[row.entity_type] && stillDeleted[row.entity_type].has(row.entity_id))
+    };
+  });
+};
+
+module.exports = {
+  AUDIT_PAGE_SIZE,
+  ENTITY_LABELS,
+  ACTION_LABELS,
+  SOFT_DELETE_ENTITIES,
+  buildContext,
+  recordAudit,
+  updateWithAudit,
+  createWithAudit,
+  findActive,
+  softDelete,
+  restoreDeleted,
+  getRestorePermission,
+  describeChanges,
+  loadAuditLog
+};
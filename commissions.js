@@ -0,0 +1,313 @@
+const db = require('./db');
+const logger = require('./logger');
+const reports = require('./reports');
+
+const COMMISSION_TYPES = ['percentual', 'valor_fixo'];
+
+const COMMISSION_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  REVERSED: 'reversed'
+};
+
+const ENTRY_TYPES = {
+  COMMISSION: 'commission',
+  REVERSAL: 'reversal'
+};
+
+const toDateOnly = (value = new Date()) => value.toISOString().slice(0, 10);
+
+// Comissão de uma venda: percentual do valor pago ou valor fixo por venda, nunca acima da venda
+const computeCommission = (partner, saleCents) => {
+  const value = Number(partner.commission_value);
+
+  if (!COMMISSION_TYPES.includes(partner.commission_type) || Number.isNaN(value) || value <= 0 || saleCents <= 0) {
+    return 0;
+  }
+
+  const commissionCents = partner.commission_type === 'percentual'
+    ? Math.round(saleCents * (value / 100))
+    : Math.round(value * 100);
+
+  return Math.min(commissionCents, saleCents);
+};
+
+// Cupons internos usados na sessão; sessões antigas só trazem couponId
+const getSessionCouponIds = session => {
+  const metadata = session.metadata || {};
+  const rawIds = metadata.couponIds || metadata.couponId || '';
+
+  return [...new Set(String(rawIds)
+    .split(',')
+    .map(value => Number.parseInt(value, 10))
+    .filter(id => Number.isInteger(id) && id > 0))];
+};
+
+// Lança a comissão de cada parceiro dono de um cupom usado na compra paga; o índice único evita lançamentos duplicados
+const recordPurchaseCommissions = async (session, purchase, saleCents, context = {}) => {
+  const couponIds = getSessionCouponIds(session);
+
+  if (!couponIds.length || saleCents <= 0) {
+    return 0;
+  }
+
+  const rows = await db.executeQuery(
+    `SELECT c.id AS coupon_id, c.partner_id, p.commission_type, p.commission_value
+      FROM coupons c
+      JOIN partners p ON p.id = c.partner_id
+      WHERE c.id IN (?) AND p.deleted_at IS NULL`,
+    [couponIds]
+  );
+
+  const partnersSeen = new Set();
+  let recorded = 0;
+
+  for (const row of rows) {
+    if (partnersSeen.has(row.partner_id)) {
+      continue;
+    }
+    partnersSeen.add(row.partner_id);
+
+    const commissionCents = computeCommission(row, saleCents);
+    if (commissionCents <= 0) {
+      continue;
+    }
+
+    try {
+      await db.createRecord('partner_commissions', {
+        partner_id: row.partner_id,
+        purchase_id: purchase.id,
+        coupon_id: row.coupon_id,
+        entry_type: ENTRY_TYPES.COMMISSION,
+        sale_amount_cents: saleCents,
+        commission_cents: commissionCents,
+        status: COMMISSION_STATUS.PENDING,
+        earned_at: new Date()
+      });
+      recorded += 1;
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY') {
+        throw error;
+      }
+      logger.info('Comissão já lançada para a compra.', { ...context, purchaseId: purchase.id, partnerId: row.partner_id });
+    }
+  }
+
+  if (recorded > 0) {
+    logger.info('Comissões de parceiros lançadas.', { ...context, purchaseId: purchase.id, recorded });
+  }
+
+  return recorded;
+};
+
+// Reembolso total: comissões ainda não pagas são canceladas; as já repassadas geram um estorno descontado do próximo repasse
+const reversePurchaseCommissions = async (purchase, context = {}) => {
+  const entries = await db.executeQuery(
+    'SELECT * FROM partner_commissions WHERE purchase_id = ? AND entry_type = ?',
+    [purchase.id, ENTRY_TYPES.COMMISSION]
+  );
+  let reversed = 0;
+
+  for (const entry of entries) {
+    if (entry.status === COMMISSION_STATUS.REVERSED) {
+      continue;
+    }
+
+    if (entry.status === COMMISSION_STATUS.PENDING) {
+      const update = await db.updateRecords('partner_commissions', { status: COMMISSION_STATUS.REVERSED }, {
+        id: entry.id,
+        status: COMMISSION_STATUS.PENDING
+      });
+
+      if (update && update.affectedRows > 0) {
+        reversed += 1;
+        continue;
+      }
+    }
+
+    // A comissão entrou em um repasse (antes ou durante este processamento)
+    try {
+      await db.createRecord('partner_commissions', {
+        partner_id: entry.partner_id,
+        purchase_id: entry.purchase_id,
+        coupon_id: entry.coupon_id,
+        entry_type: ENTRY_TYPES.REVERSAL,
+        sale_amount_cents: -entry.sale_amount_cents,
+        commission_cents: -entry.commission_cents,
+        status: COMMISSION_STATUS.PENDING,
+        earned_at: new Date()
+      });
+      reversed += 1;
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY') {
+        throw error;
+      }
+    }
+  }
+
+  if (reversed > 0) {
+    logger.info('Comissões de parceiros estornadas.', { ...context, purchaseId: purchase.id, reversed });
+  }
+
+  return reversed;
+};
+
+// Saldo a pagar de cada parceiro (comissões pendentes menos estornos pendentes), indexado pelo id do parceiro
+const loadPendingBalances = async () => {
+  const rows = await db.executeQuery(
+    'SELECT partner_id, COALESCE(SUM(commission_cents), 0) AS balance_cents FROM partner_commissions WHERE status = ? GROUP BY partner_id',
+    [COMMISSION_STATUS.PENDING]
+  );
+
+  return (rows || []).reduce((balances, row) => {
+    balances[row.partner_id] = Number(row.balance_cents) || 0;
+    return balances;
+  }, {});
+};
+
+// Extrato do parceiro no período (datas AAAA-MM-DD inclusivas): lançamentos, repasses e saldo atual
+const loadPartnerStatement = async (partnerId, { start, end }) => {
+  const entries = await db.executeQuery(
+    `SELECT pc.*, pu.couple_name, pu.plan_name, c.code AS coupon_code
+      FROM partner_commissions pc
+      JOIN purchases pu ON pu.id = pc.purchase_id
+      LEFT JOIN coupons c ON c.id = pc.coupon_id
+      WHERE pc.partner_id = ? AND pc.earned_at >= ? AND pc.earned_at < DATE_ADD(?, INTERVAL 1 DAY)
+      ORDER BY pc.earned_at DESC`,
+    [partnerId, start, end]
+  );
+  const payouts = await db.executeQuery(
+    `SELECT * FROM partner_payouts
+      WHERE partner_id = ? AND paid_at IS NOT NULL AND paid_at >= ? AND paid_at < DATE_ADD(?, INTERVAL 1 DAY)
+      ORDER BY paid_at DESC`,
+    [partnerId, start, end]
+  );
+  const balances = await loadPendingBalances();
+
+  const commissionEntries = entries.filter(entry => entry.entry_type === ENTRY_TYPES.COMMISSION);
+  const validCommissions = commissionEntries.filter(entry => entry.status !== COMMISSION_STATUS.REVERSED);
+  const sum = (items, field) => items.reduce((total, item) => total + (Number(item[field]) || 0), 0);
+
+  return {
+    entries,
+    payouts,
+    summary: {
+      sales: validCommissions.length,
+      salesCents: sum(validCommissions, 'sale_amount_cents'),
+      earnedCents: sum(validCommissions, 'commission_cents'),
+      reversedCents: sum(commissionEntries.filter(entry => entry.status === COMMISSION_STATUS.REVERSED), 'commission_cents')
+        - sum(entries.filter(entry => entry.entry_type === ENTRY_TYPES.REVERSAL), 'commission_cents'),
+      paidOutCents: sum(payouts, 'amount_cents'),
+      balanceCents: balances[partnerId] || 0
+    }
+  };
+};
+
+// Quita o saldo pendente do parceiro (até periodEnd, se informado) e lança a saída no financeiro
+const payOutPartner = async (partner, { periodEnd = null } = {}, context = {}) => {
+  // Reserva dos lançamentos, saída no financeiro e valor do repasse são gravados juntos: se algo falhar,
+  // a transação é desfeita e os lançamentos continuam pendentes para o próximo repasse
+  const result = await db.withTransaction(async () => {
+    const payout = await db.createRecord('partner_payouts', {
+      partner_id: partner.id,
+      amount_cents: 0,
+      period_end: periodEnd
+    });
+
+    // A atualização condicional reserva os lançamentos para este repasse; repasses simultâneos não pagam o mesmo lançamento
+    const claimParams = [COMMISSION_STATUS.PAID, payout.id, partner.id, COMMISSION_STATUS.PENDING];
+    const claim = await db.executeQuery(
+      `UPDATE partner_commissions SET status = ?, payout_id = ?
+        WHERE partner_id = ? AND status = ?${periodEnd ? ' AND earned_at < DATE_ADD(?, INTERVAL 1 DAY)' : ''}`,
+      periodEnd ? [...claimParams, periodEnd] : claimParams
+    );
+    const [totals] = await db.executeQuery(
+      'SELECT COALESCE(SUM(commission_cents), 0) AS amount_cents FROM partner_commissions WHERE payout_id = ?',
+      [payout.id]
+    );
+    const amountCents = Number(totals && totals.amount_cents) || 0;
+
+    if (!claim || !claim.affectedRows || amountCents <= 0) {
+      await db.executeQuery(
+        'UPDATE partner_commissions SET status = ?, payout_id = NULL WHERE payout_id = ?',
+        [COMMISSION_STATUS.PENDING, payout.id]
+      );
+      await db.deleteRecord('partner_payouts', payout.id);
+      return { amountCents };
+    }
+
+    const paidAt = new Date();
+    const transaction = await db.createRecord('financial_transactions', {
+      transaction_type: 'saida',
+      amount: amountCents / 100,
+      description: `Repasse de comissões - ${partner.name}`,
+      reference: `partner_payout:${payout.id}`,
+      category: reports.TRANSACTION_CATEGORY.PAYOUT,
+      occurred_at: toDateOnly(paidAt)
+    });
+
+    await db.updateRecord('partner_payouts', {
+      amount_cents: amountCents,
+      financial_transaction_id: transaction.id,
+      paid_at: paidAt
+    }, payout.id);
+
+    return {
+      amountCents,
+      entries: claim.affectedRows,
+      payout: { ...payout, amount_cents: amountCents, financial_transaction_id: transaction.id, paid_at: paidAt }
+    };
+  });
+
+  if (!result.payout) {
+    logger.info('Repasse sem saldo a pagar.', { ...context, partnerId: partner.id, amountCents: result.amountCents });
+    return { error: 'Não há saldo de comissões a pagar para este parceiro.' };
+  }
+
+  logger.info('Repasse de comissões registrado.', {
+    ...context,
+    partnerId: partner.id,
+    payoutId: result.payout.id,
+    amountCents: result.amountCents,
+    entries: result.entries
+  });
+
+  return { data: result.payout };
+};
+
+// Campos de comissão dos formulários de parceiro; vazio deixa o parceiro sem comissão
+const parseCommissionForm = body => {
+  const rawValue = typeof body.commissionValue === 'string' ? body.commissionValue.trim() : '';
+
+  if (!rawValue) {
+    return { data: { commission_type: null, commission_value: null } };
+  }
+
+  if (!COMMISSION_TYPES.includes(body.commissionType)) {
+    return { error: 'Tipo de comissão inválido.' };
+  }
+
+  const value = Number(rawValue.replace(',', '.'));
+  if (!Number.isFinite(value) || value <= 0) {
+    return { error: 'Valor de comissão inválido.' };
+  }
+
+  if (body.commissionType === 'percentual' && value > 100) {
+    return { error: 'A comissão percentual deve ser de até 100%.' };
+  }
+
+  return { data: { commission_type: body.commissionType, commission_value: value } };
+};
+
+module.exports = {
+  COMMISSION_TYPES,
+  COMMISSION_STATUS,
+  ENTRY_TYPES,
+  computeCommission,
+  recordPurchaseCommissions,
+  reversePurchaseCommissions,
+  loadPendingBalances,
+  loadPartnerStatement,
+  payOutPartner,
+  parseCommissionForm
+};
@@ -0,0 +1,717 @@
+const crypto = require('crypto');
+const db = require('./db');
+const logger = require('./logger');
+const plans = require('./plans');
+const audit = require('./audit');
+const reports = require('./reports');
+const csvImport = require('./csvImport');
+
+// Cupons internos: validação das regras, cálculo do desconto e reserva de uso no checkout.
+// O uso é reservado (used_count + 1) antes de criar a sessão do Stripe, confirmado no pagamento
+// e devolvido quando a sessão expira, o pagamento falha ou a compra é reembolsada.
+
+const DISCOUNT_TYPES = ['percentual', 'valor_fixo'];
+const MAX_STACKED_COUPONS = 3;
+const INVALID_COUPON_MESSAGE = 'Código promocional inválido ou expirado.';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Lotes: sufixo aleatório sem caracteres ambíguos (0/O, 1/I) para códigos digitados pelo cliente
+const COUPON_BATCH_MAX_SIZE = 1000;
+const BATCH_SUFFIX_MIN_LENGTH = 4;
+const BATCH_SUFFIX_MAX_LENGTH = 16;
+const BATCH_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const BATCH_MAX_ATTEMPTS = 5;
+
+const REDEMPTION_STATUS = {
+  RESERVED: 'reserved',
+  REDEEMED: 'redeemed',
+  RELEASED: 'released'
+};
+
+// Códigos digitados no checkout, separados por vírgula ou espaço, sem repetição
+const normalizeCodes = value => {
+  if (typeof value !== 'string') {
+    return [];
+  }
+
+  return [...new Set(value.split(/[\s,;]+/).map(code => code.trim().toUpperCase()).filter(Boolean))];
+};
+
+const normalizeEmail = value => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+const isValidEmail = value => EMAIL_PATTERN.test(value);
+
+const parseAllowedPlanIds = value => {
+  let parsed = value;
+
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  return Array.isArray(parsed) ? parsed.map(Number).filter(Number.isInteger) : [];
+};
+
+// Datas do cupom valem pelo dia inteiro em UTC (início às 00:00, fim às 23:59:59)
+const parseDateBoundary = (value, endOfDay) => {
+  if (!value) {
+    return null;
+  }
+
+  const isoValue = typeof value === 'string' && value.length === 10 ? `${value}T00:00:00Z` : value;
+  const parsed = value instanceof Date ? new Date(value.getTime()) : new Date(isoValue);
+
+  if (Number.isNaN(parsed.getTime())) {
+    return null;
+  }
+
+  if (endOfDay) {
+    parsed.setUTCHours(23, 59, 59, 999);
+  } else {
+    parsed.setUTCHours(0, 0, 0, 0);
+  }
+
+  return parsed;
+};
+
+const computeDiscount = (coupon, amountCents) => {
+  const discountValue = Number(coupon.discount_value);
+
+  if (Number.isNaN(discountValue) || discountValue <= 0) {
+    return 0;
+  }
+
+  return coupon.discount_type === 'percentual'
+    ? Math.round(amountCents * (discountValue / 100))
+    : Math.round(discountValue * 100);
+};
+
+// Desconto estimado de uma promoção do Stripe sobre o plano; null quando só o Stripe sabe calcular
+const estimatePromotionCodeDiscount = (promotionCode, plan) => {
+  const coupon = promotionCode && promotionCode.coupon;
+
+  if (!coupon || typeof coupon !== 'object') {
+    return null;
+  }
+
+  if (coupon.percent_off) {
+    return Math.min(Math.round(plan.price_cents * (Number(coupon.percent_off) / 100)), plan.price_cents);
+  }
+
+  if (coupon.amount_off && String(coupon.currency || '').toLowerCase() === String(plan.currency || 'brl').toLowerCase()) {
+    return Math.min(Number(coupon.amount_off), plan.price_cents);
+  }
+
+  return null;
+};
+
+// Regras que dependem apenas do cupom, do plano e do e-mail informado; devolve a mensagem de erro ou null
+const checkCouponRules = (coupon, { plan, customerEmail, now = new Date() }) => {
+  const startBoundary = parseDateBoundary(coupon.start_date, false);
+  const endBoundary = parseDateBoundary(coupon.end_date, true);
+  const usageLimit = coupon.usage_limit;
+
+  if (coupon.active !== 1
+    || (startBoundary && startBoundary > now)
+    || (endBoundary && endBoundary < now)
+    || (usageLimit !== null && usageLimit !== undefined && (coupon.used_count || 0) >= usageLimit)) {
+    return INVALID_COUPON_MESSAGE;
+  }
+
+  const allowedPlanIds = parseAllowedPlanIds(coupon.allowed_plan_ids);
+  if (allowedPlanIds.length && !allowedPlanIds.includes(Number(plan.id))) {
+    return `O cupom ${coupon.code} não vale para o plano ${plan.name}.`;
+  }
+
+  if (coupon.min_order_cents && plan.price_cents < coupon.min_order_cents) {
+    return `O cupom ${coupon.code} exige pedido mínimo de ${plans.formatPrice(coupon.min_order_cents, plan.currency)}.`;
+  }
+
+  if ((coupon.one_per_customer === 1 || coupon.first_purchase_only === 1) && !isValidEmail(customerEmail || '')) {
+    return `Informe seu e-mail para usar o cupom ${coupon.code}.`;
+  }
+
+  return null;
+};
+
+// Regras que consultam o histórico do cliente
+const checkCustomerEligibility = async (coupon, customerEmail) => {
+  if (coupon.one_per_customer === 1) {
+    const previousUse = await db.executeQuery(
+      'SELECT id FROM coupon_redemptions WHERE coupon_id = ? AND customer_key = ? LIMIT 1',
+      [coupon.id, customerEmail]
+    );
+    if (previousUse.length) {
+      return `O cupom ${coupon.code} já foi usado com este e-mail.`;
+    }
+  }
+
+  if (coupon.first_purchase_only === 1) {
+    const previousPurchase = await db.executeQuery(
+      "SELECT id FROM purchases WHERE customer_email = ? AND payment_status IN ('paid','refunded','disputed') LIMIT 1",
+      [customerEmail]
+    );
+    if (previousPurchase.length) {
+      return `O cupom ${coupon.code} vale apenas para a primeira compra.`;
+    }
+  }
+
+  return null;
+};
+
+// Busca os cupons internos pelos códigos; os que não existem ficam em missing (podem ser promoções do Stripe)
+const loadCoupons = async codes => {
+  const found = [];
+  const missing = [];
+
+  for (const code of codes) {
+    const coupon = await db.getRecord('coupons', { code });
+    if (coupon && !coupon.deleted_at) {
+      found.push(coupon);
+    } else {
+      missing.push(code);
+    }
+  }
+
+  return { found, missing };
+};
+
+// Aplica os cupons em sequência sobre o preço do plano; cada desconto incide sobre o valor restante
+const evaluateCoupons = async (coupons, { plan, customerEmail, now = new Date() }) => {
+  if (coupons.length > MAX_STACKED_COUPONS) {
+    return { error: `Use no máximo ${MAX_STACKED_COUPONS} cupons por pedido.` };
+  }
+
+  if (coupons.length > 1 && coupons.some(coupon => coupon.stackable !== 1)) {
+    return { error: 'Estes cupons não podem ser combinados entre si.' };
+  }
+
+  const email = normalizeEmail(customerEmail);
+  const discounts = [];
+  let amountCents = plan.price_cents;
+
+  for (const coupon of coupons) {
+    const ruleError = checkCouponRules(coupon, { plan, customerEmail: email, now })
+      || await checkCustomerEligibility(coupon, email);
+
+    if (ruleError) {
+      return { error: ruleError, couponId: coupon.id };
+    }
+
+    const discountCents = computeDiscount(coupon, amountCents);
+
+    if (discountCents <= 0) {
+      return { error: INVALID_COUPON_MESSAGE, couponId: coupon.id };
+    }
+
+    if (discountCents >= amountCents) {
+      return { error: 'O desconto aplicado excede o valor do plano selecionado.', couponId: coupon.id };
+    }
+
+    amountCents -= discountCents;
+    discounts.push({ coupon, discountCents });
+  }
+
+  return {
+    data: {
+      discounts,
+      amountCents,
+      discountCents: plan.price_cents - amountCents,
+      // Promoções do Stripe na página de pagamento só se somam a cupons combináveis
+      allowPromotionCodes: discounts.every(({ coupon }) => coupon.stackable === 1)
+    }
+  };
+};
+
+const decrementUsage = couponId => db.executeQuery(
+  'UPDATE coupons SET used_count = GREATEST(used_count - 1, 0) WHERE id = ?',
+  [couponId]
+);
+
+// Devolve reservas ainda não confirmadas; a atualização condicional evita devolver o mesmo uso duas vezes
+const releaseRedemptions = async (redemptions, context = {}) => {
+  let released = 0;
+
+  for (const redemption of redemptions) {
+    const update = await db.updateRecords('coupon_redemptions', {
+      status: REDEMPTION_STATUS.RELEASED,
+      customer_key: null
+    }, {
+      id: redemption.id,
+      status: redemption.status || REDEMPTION_STATUS.RESERVED
+    });
+
+    if (update && update.affectedRows > 0) {
+      await decrementUsage(redemption.coupon_id);
+      released += 1;
+    }
+  }
+
+  if (released > 0) {
+    logger.info('Uso de cupom devolvido.', { ...context, released });
+  }
+
+  return released;
+};
+
+// Reserva o uso de cada cupom: o incremento condicional impede ultrapassar o limite sob concorrência
+const reserveCoupons = async (discounts, { customerEmail } = {}, context = {}) => {
+  const email = normalizeEmail(customerEmail) || null;
+  const reserved = [];
+
+  for (const { coupon, discountCents } of discounts) {
+    const claim = await db.executeQuery(
+      'UPDATE coupons SET used_count = used_count + 1 WHERE id = ? AND active = 1 AND deleted_at IS NULL AND (usage_limit IS NULL OR used_count < usage_limit)',
+      [coupon.id]
+    );
+
+    if (!claim || claim.affectedRows === 0) {
+      await releaseRedemptions(reserved, context);
+      logger.warn('Cupom esgotado durante a reserva.', { ...context, couponId: coupon.id });
+      return { error: INVALID_COUPON_MESSAGE };
+    }
+
+    try {
+      const redemption = await db.createRecord('coupon_redemptions', {
+        coupon_id: coupon.id,
+        customer_email: email,
+        customer_key: coupon.one_per_customer === 1 ? email : null,
+        discount_cents: discountCents,
+        status: REDEMPTION_STATUS.RESERVED
+      });
+      reserved.push(redemption);
+    } catch (error) {
+      await decrementUsage(coupon.id);
+      await releaseRedemptions(reserved, context);
+
+      if (error.code === 'ER_DUP_ENTRY') {
+        return { error: `O cupom ${coupon.code} já foi usado com este e-mail.` };
+      }
+      throw error;
+    }
+  }
+
+  logger.info('Uso de cupons reservado.', { ...context, redemptionIds: reserved.map(redemption => redemption.id) });
+  return { data: reserved };
+};
+
+const attachReservations = async (redemptions, sessionId) => {
+  if (!redemptions.length) {
+    return;
+  }
+
+  await db.executeQuery('UPDATE coupon_redemptions SET session_id = ? WHERE id IN (?)', [
+    sessionId,
+    redemptions.map(redemption => redemption.id)
+  ]);
+};
+
+const loadSessionRedemptions = sessionId => db.executeQuery(
+  'SELECT * FROM coupon_redemptions WHERE session_id = ?',
+  [sessionId]
+);
+
+// Confirma as reservas da sessão paga. Reservas já devolvidas (boleto pago após vencer) voltam a contar;
+// sessões criadas antes das reservas contabilizam o cupom informado nos metadados.
+const confirmSessionRedemptions = async (session, context = {}) => {
+  const redemptions = await loadSessionRedemptions(session.id);
+
+  if (!redemptions.length) {
+    const legacyCouponId = Number.parseInt((session.metadata || {}).couponId, 10);
+    if (!Number.isNaN(legacyCouponId)) {
+      await db.executeQuery('UPDATE coupons SET used_count = used_count + 1 WHERE id = ?', [legacyCouponId]);
+      logger.info('Uso de cupom contabilizado.', { ...context, couponId: legacyCouponId });
+    }
+    return 0;
+  }
+
+  let confirmed = 0;
+
+  for (const redemption of redemptions.filter(item => item.status !== REDEMPTION_STATUS.REDEEMED)) {
+    const update = await db.updateRecords('coupon_redemptions', { status: REDEMPTION_STATUS.REDEEMED }, {
+      id: redemption.id,
+      status: redemption.status
+    });
+
+    if (!update || update.affectedRows === 0) {
+      continue;
+    }
+
+    if (redemption.status === REDEMPTION_STATUS.RELEASED) {
+      await db.executeQuery('UPDATE coupons SET used_count = used_count + 1 WHERE id = ?', [redemption.coupon_id]);
+    }
+    confirmed += 1;
+  }
+
+  logger.info('Uso de cupons confirmado.', { ...context, sessionId: session.id, confirmed });
+  return confirmed;
+};
+
+// Sessão expirada ou pagamento recusado: as reservas voltam a ficar disponíveis
+const releaseSessionReservations = async (sessionId, context = {}) => {
+  const redemptions = await loadSessionRedemptions(sessionId);
+  return releaseRedemptions(redemptions.filter(item => item.status === REDEMPTION_STATUS.RESERVED), context);
+};
+
+// Reservas de compras que não serão mais pagas (ex.: boletos expirados em lote)
+const releaseAbandonedReservations = async (context = {}) => {
+  const redemptions = await db.executeQuery(
+    `SELECT r.* FROM coupon_redemptions r
+      JOIN purchases p ON p.session_id = r.session_id
+      WHERE r.status = ? AND p.payment_status IN ('failed','expired')`,
+    [REDEMPTION_STATUS.RESERVED]
+  );
+
+  return releaseRedemptions(redemptions, context);
+};
+
+// Reembolso total: devolve os usos confirmados da compra (ou o cupom gravado em compras anteriores às reservas)
+const releasePurchaseRedemptions = async (purchase, context = {}) => {
+  const redemptions = purchase.session_id ? await loadSessionRedemptions(purchase.session_id) : [];
+
+  if (!redemptions.length) {
+    if (!purchase.coupon_id) {
+      return 0;
+    }
+
+    await decrementUsage(purchase.coupon_id);
+    logger.info('Uso de cupom devolvido.', { ...context, couponId: purchase.coupon_id, purchaseId: purchase.id });
+    return 1;
+  }
+
+  return releaseRedemptions(redemptions.filter(item => item.status === REDEMPTION_STATUS.REDEEMED), {
+    ...context,
+    purchaseId: purchase.id
+  });
+};
+
+// Valida os campos do formulário de cupons do dashboard
+const parseCouponForm = (body, planIds = []) => {
+  const code = typeof body.code === 'string' ? body.code.trim().toUpperCase() : '';
+
+  if (!code || !body.discountValue || !body.discountType) {
+    return { error: 'Preencha código, tipo e valor do desconto.' };
+  }
+
+  if (!/^[A-Z0-9_-]{3,100}$/.test(code)) {
+    return { error: 'Use apenas letras, números, hífen e sublinhado no código (3 a 100 caracteres).' };
+  }
+
+  const discountValue = Number.parseFloat(body.discountValue);
+  if (Number.isNaN(discountValue) || discountValue <= 0) {
+    return { error: 'Valor de desconto inválido.' };
+  }
+
+  const discountType = DISCOUNT_TYPES.includes(body.discountType) ? body.discountType : 'percentual';
+  if (discountType === 'percentual' && discountValue >= 100) {
+    return { error: 'O desconto percentual deve ser menor que 100%.' };
+  }
+
+  const usageLimit = body.usageLimit ? Number.parseInt(body.usageLimit, 10) : null;
+  if (usageLimit !== null && (Number.isNaN(usageLimit) || usageLimit < 1)) {
+    return { error: 'Limite de uso inválido.' };
+  }
+
+  const minOrder = body.minOrder ? Number.parseFloat(body.minOrder) : null;
+  if (minOrder !== null && (Number.isNaN(minOrder) || minOrder <= 0)) {
+    return { error: 'Pedido mínimo inválido.' };
+  }
+
+  const selectedPlans = [].concat(body.allowedPlans || []).map(Number);
+  if (selectedPlans.some(planId => !planIds.includes(planId))) {
+    return { error: 'Plano inválido para o cupom.' };
+  }
+
+  if (body.startDate && body.endDate && body.startDate > body.endDate) {
+    return { error: 'O fim da validade deve ser posterior ao início.' };
+  }
+
+  return {
+    data: {
+      code,
+      description: body.description || null,
+      discount_type: discountType,
+      discount_value: discountValue,
+      usage_limit: usageLimit,
+      start_date: body.startDate || null,
+      end_date: body.endDate || null,
+      active: body.active === 'on' ? 1 : 0,
+      partner_id: body.partnerId ? Number.parseInt(body.partnerId, 10) || null : null,
+      allowed_plan_ids: selectedPlans.length ? JSON.stringify(selectedPlans) : null,
+      min_order_cents: minOrder !== null ? Math.round(minOrder * 100) : null,
+      one_per_customer: body.onePerCustomer === 'on' ? 1 : 0,
+      first_purchase_only: body.firstPurchaseOnly === 'on' ? 1 : 0,
+      stackable: body.stackable === 'on' ? 1 : 0
+    }
+  };
+};
+
+// Valida o formulário de geração em lote: prefixo, quantidade e sufixo, mais as regras comuns do formulário de cupons
+const parseCouponBatchForm = (body, planIds = []) => {
+  const prefix = typeof body.prefix === 'string' ? body.prefix.trim().toUpperCase() : '';
+
+  if (!/^[A-Z0-9_-]{2,60}$/.test(prefix)) {
+    return { error: 'Use apenas letras, números, hífen e sublinhado no prefixo (2 a 60 caracteres).' };
+  }
+
+  const quantity = Number.parseInt(body.quantity, 10);
+  if (Number.isNaN(quantity) || quantity < 1 || quantity > COUPON_BATCH_MAX_SIZE) {
+    return { error: `Informe de 1 a ${COUPON_BATCH_MAX_SIZE} cupons por lote.` };
+  }
+
+  const suffixLength = Number.parseInt(body.suffixLength, 10);
+  if (Number.isNaN(suffixLength) || suffixLength < BATCH_SUFFIX_MIN_LENGTH || suffixLength > BATCH_SUFFIX_MAX_LENGTH) {
+    return { error: `O sufixo aleatório deve ter de ${BATCH_SUFFIX_MIN_LENGTH} a ${BATCH_SUFFIX_MAX_LENGTH} caracteres.` };
+  }
+
+  // O código de exemplo só serve para passar pelas mesmas regras do cadastro individual
+  const coupon = parseCouponForm({ ...body, code: `${prefix}-${'A'.repeat(suffixLength)}` }, planIds);
+  if (coupon.error) {
+    return coupon;
+  }
+
+  const { code, ...settings } = coupon.data;
+  return { data: { prefix, quantity, suffixLength, settings } };
+};
+
+const generateSuffix = length => Array.from(
+  { length },
+  () => BATCH_CODE_ALPHABET[crypto.randomInt(BATCH_CODE_ALPHABET.length)]
+).join('');
+
+// Sorteia códigos até completar a quantidade, descartando os que já existem (inclusive em cupons removidos)
+const generateBatchCodes = async (prefix, quantity, suffixLength) => {
+  const codes = new Set();
+
+  for (let attempt = 0; attempt < BATCH_MAX_ATTEMPTS && codes.size < quantity; attempt += 1) {
+    const candidates = new Set();
+    while (candidates.size < quantity - codes.size) {
+      const code = `${prefix}-${generateSuffix(suffixLength)}`;
+      if (!codes.has(code)) {
+        candidates.add(code);
+      }
+    }
+
+    const existing = await db.executeQuery('SELECT code FROM coupons WHERE code IN (?)', [[...candidates]]);
+    const taken = new Set(existing.map(row => row.code));
+    candidates.forEach(code => {
+      if (!taken.has(code)) {
+        codes.add(code);
+      }
+    });
+  }
+
+  return codes.size === quantity ? [...codes] : null;
+};
+
+// Cria o lote e todos os cupons numa única inserção; se outro cadastro usar um dos códigos no meio do caminho, sorteia de novo
+const createCouponBatch = async (context, { prefix, quantity, suffixLength, settings }) => {
+  for (let attempt = 1; attempt <= BATCH_MAX_ATTEMPTS; attempt += 1) {
+    const codes = await generateBatchCodes(prefix, quantity, suffixLength);
+
+    if (!codes) {
+      break;
+    }
+
+    try {
+      // Lote, cupons e auditoria são gravados juntos: se algo falhar, nem o lote fica registrado
+      const batch = await db.withTransaction(async () => {
+        const created = await db.createRecord('coupon_batches', {
+          prefix,
+          quantity,
+          suffix_length: suffixLength,
+          description: settings.description,
+          partner_id: settings.partner_id,
+          created_by: context.adminId
+        });
+        await db.createRecords('coupons', codes.map(code => ({ ...settings, code, used_count: 0, batch_id: created.id })));
+        await audit.recordAudit(context, { action: 'create', entityType: 'coupon_batch', entityId: created.id, after: created });
+        return created;
+      });
+
+      logger.info('Lote de cupons gerado.', { requestId: context.requestId, batchId: batch.id, quantity });
+      return { data: { ...batch, codes } };
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY' || attempt === BATCH_MAX_ATTEMPTS) {
+        throw error;
+      }
+      logger.warn('Código repetido ao gerar o lote; sorteando novamente.', { prefix, attempt });
+    }
+  }
+
+  return { error: 'Não há códigos livres suficientes com este prefixo. Aumente o tamanho do sufixo.' };
+};
+
+// Lotes mais recentes com a contagem de cupons ativos e de usos
+const loadCouponBatches = (limit = 50) => db.executeQuery(
+  `SELECT b.*, p.name AS partner_name, COUNT(c.id) AS coupon_count, COALESCE(SUM(c.used_count), 0) AS used_count
+   FROM coupon_batches b
+   LEFT JOIN coupons c ON c.batch_id = b.id AND c.deleted_at IS NULL
+   LEFT JOIN partners p ON p.id = b.partner_id
+   GROUP BY b.id, p.name
+   ORDER BY b.created_at DESC, b.id DESC
+   LIMIT ?`,
+  [limit]
+);
+
+const loadBatchCoupons = batchId => db.executeQuery(
+  'SELECT * FROM coupons WHERE batch_id = ? AND deleted_at IS NULL ORDER BY code',
+  [batchId]
+);
+
+const formatCsvBoolean = value => (Number(value) === 1 ? 'sim' : 'não');
+
+// Mesmas colunas aceitas pela importação, para que uma exportação sirva de modelo
+const buildCouponsCsv = coupons => reports.toCsv([
+  { header: 'Código', value: row => row.code },
+  { header: 'Descrição', value: row => row.description },
+  { header: 'Tipo', value: row => row.discount_type },
+  { header: 'Valor', value: row => reports.formatCsvAmount(row.discount_value) },
+  { header: 'Limite de uso', value: row => row.usage_limit },
+  { header: 'Usos', value: row => row.used_count },
+  { header: 'Pedido mínimo', value: row => (row.min_order_cents ? reports.formatCsvAmount(row.min_order_cents / 100) : null) },
+  { header: 'Início', value: row => reports.toDateString(row.start_date) },
+  { header: 'Fim', value: row => reports.toDateString(row.end_date) },
+  { header: 'Ativo', value: row => formatCsvBoolean(row.active) },
+  { header: 'Parceiro', value: row => row.partner_id },
+  { header: 'Planos', value: row => parseAllowedPlanIds(row.allowed_plan_ids).join(',') },
+  { header: 'Um por cliente', value: row => formatCsvBoolean(row.one_per_customer) },
+  { header: 'Primeira compra', value: row => formatCsvBoolean(row.first_purchase_only) },
+  { header: 'Combinável', value: row => formatCsvBoolean(row.stackable) }
+], coupons);
+
+const CSV_BOOLEAN_COLUMNS = [
+  ['ativo', 'active', true],
+  ['um_por_cliente', 'onePerCustomer', false],
+  ['primeira_compra', 'firstPurchaseOnly', false],
+  ['combinavel', 'stackable', false]
+];
+
+// Converte uma linha da planilha nos campos do formulário de cupons; o restante é validado por parseCouponForm
+const readCouponRow = values => {
+  const discountType = csvImport.normalizeHeader(values.tipo);
+  if (!DISCOUNT_TYPES.includes(discountType)) {
+    return { error: 'Tipo de desconto inválido (use percentual ou valor_fixo).' };
+  }
+
+  const startDate = csvImport.parseDate(values.inicio || '');
+  const endDate = csvImport.parseDate(values.fim || '');
+  if ((startDate && !reports.isValidDate(startDate)) || (endDate && !reports.isValidDate(endDate))) {
+    return { error: 'Data de validade inválida.' };
+  }
+
+  if (values.parceiro && !/^\d+$/.test(values.parceiro)) {
+    return { error: 'Parceiro não encontrado.' };
+  }
+
+  const body = {
+    code: values.codigo,
+    description: values.descricao,
+    discountType,
+    discountValue: csvImport.parseDecimal(values.valor),
+    usageLimit: values.limite_de_uso,
+    minOrder: csvImport.parseDecimal(values.pedido_minimo || ''),
+    startDate,
+    endDate,
+    partnerId: values.parceiro,
+    allowedPlans: (values.planos || '').split(/[\s,|]+/).filter(Boolean)
+  };
+
+  for (const [column, field, defaultValue] of CSV_BOOLEAN_COLUMNS) {
+    const value = csvImport.parseBoolean(values[column], defaultValue);
+    if (value === null) {
+      return { error: `Valor inválido na coluna ${column} (use sim ou não).` };
+    }
+    body[field] = value ? 'on' : '';
+  }
+
+  return { data: body };
+};
+
+// Importa cupons avulsos de uma planilha; qualquer linha inválida cancela a importação inteira
+const importCouponsCsv = async (context, text, planIds = []) => {
+  const file = csvImport.readCsv(text, { required: ['codigo', 'tipo', 'valor'] });
+
+  if (file.error) {
+    return file;
+  }
+
+  const rows = file.data.map(({ line, values }) => {
+    const row = readCouponRow(values);
+    return { line, ...(row.error ? row : parseCouponForm(row.data, planIds)) };
+  });
+
+  const codes = rows.filter(row => row.data).map(row => row.data.code);
+  const partnerIds = [...new Set(rows.filter(row => row.data && row.data.partner_id).map(row => row.data.partner_id))];
+  const existingCodes = codes.length
+    ? new Set((await db.executeQuery('SELECT code FROM coupons WHERE code IN (?)', [[...new Set(codes)]])).map(row => row.code))
+    : new Set();
+  const partners = partnerIds.length
+    ? new Set((await db.executeQuery('SELECT id FROM partners WHERE id IN (?) AND deleted_at IS NULL', [partnerIds])).map(row => row.id))
+    : new Set();
+
+  const seen = new Set();
+  const errors = [];
+
+  rows.forEach(row => {
+    if (row.error) {
+      errors.push({ line: row.line, message: row.error });
+    } else if (seen.has(row.data.code)) {
+      errors.push({ line: row.line, message: 'Código repetido na planilha.' });
+    } else if (existingCodes.has(row.data.code)) {
+      errors.push({ line: row.line, message: 'Já existe um cupom com este código.' });
+    } else if (row.data.partner_id && !partners.has(row.data.partner_id)) {
+      errors.push({ line: row.line, message: 'Parceiro não encontrado.' });
+    }
+
+    if (row.data) {
+      seen.add(row.data.code);
+    }
+  });
+
+  if (errors.length) {
+    return { error: `Nenhum cupom importado. Corrija ${csvImport.describeRowErrors(errors)}`, errors };
+  }
+
+  await db.createRecords('coupons', rows.map(row => ({ ...row.data, used_count: 0 })));
+  await audit.recordAudit(context, { action: 'import', entityType: 'coupon', after: { rows: rows.length } });
+  logger.info('Cupons importados por CSV.', { requestId: context.requestId, adminId: context.adminId, rows: rows.length });
+
+  return { data: { count: rows.length } };
+};
+
+module.exports = {
+  DISCOUNT_TYPES,
+  MAX_STACKED_COUPONS,
+  COUPON_BATCH_MAX_SIZE,
+  BATCH_SUFFIX_MIN_LENGTH,
+  BATCH_SUFFIX_MAX_LENGTH,
+  INVALID_COUPON_MESSAGE,
+  REDEMPTION_STATUS,
+  normalizeCodes,
+  normalizeEmail,
+  isValidEmail,
+  parseAllowedPlanIds,
+  computeDiscount,
+  estimatePromotionCodeDiscount,
+  checkCouponRules,
+  loadCoupons,
+  evaluateCoupons,
+  reserveCoupons,
+  attachReservations,
+  releaseRedemptions,
+  confirmSessionRedemptions,
+  releaseSessionReservations,
+  releaseAbandonedReservations,
+  releasePurchaseRedemptions,
+  parseCouponForm,
+  parseCouponBatchForm,
+  createCouponBatch,
+  loadCouponBatches,
+  loadBatchCoupons,
+  buildCouponsCsv,
+  importCouponsCsv
+};
@@ -0,0 +1,153 @@
+// Leitura das planilhas importadas pelo dashboard (cupons e lançamentos), no formato do Excel em português ou no padrão com vírgulas
+const CSV_IMPORT_MAX_ROWS = 2000;
+const MAX_REPORTED_ERRORS = 5;
+
+// Cabeçalhos comparados sem acentos, maiúsculas ou espaços: "Descrição" e "descricao" são a mesma coluna
+const normalizeHeader = value => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+  .toLowerCase()
+  .replace(/[\s-]+/g, '_');
+
+// Arquivos salvos pelo Excel em português costumam vir em Windows-1252 em vez de UTF-8
+const decodeCsvBuffer = buffer => {
+  const text = buffer.toString('utf8');
+  return text.includes('\uFFFD') ? buffer.toString('latin1') : text;
+};
+
+const detectSeparator = headerLine => {
+  const semicolons = (headerLine.match(/;/g) || []).length;
+  const commas = (headerLine.match(/,/g) || []).length;
+  return semicolons >= commas ? ';' : ',';
+};
+
+// Aspas seguem o padrão do CSV: campos entre aspas podem ter separador, quebra de linha e "" para aspas
+const parseCsv = (text, separator) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index += 1;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+};
+
+// Desfaz a proteção contra fórmulas aplicada nas exportações (apóstrofo antes de =, +, - ou @)
+const cleanField = value => value.trim().replace(/^'(?=[=+\-@])/, '');
+
+// Lê o arquivo em objetos indexados pelo cabeçalho normalizado; line é a linha da planilha (cabeçalho = 1)
+const readCsv = (text, { required = [], maxRows = CSV_IMPORT_MAX_ROWS } = {}) => {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+
+  if (!content.trim()) {
+    return { error: 'O arquivo está vazio.' };
+  }
+
+  const separator = detectSeparator(content.split(/\r?\n/, 1)[0]);
+  const [header, ...records] = parseCsv(content, separator);
+  const columns = header.map(normalizeHeader);
+  const missing = required.filter(column => !columns.includes(column));
+
+  if (missing.length) {
+    return { error: `Coluna obrigatória ausente no cabeçalho: ${missing.join(', ')}.` };
+  }
+
+  const rows = records
+    .map((record, index) => ({ record, line: index + 2 }))
+    .filter(({ record }) => record.some(value => value.trim() !== ''))
+    .map(({ record, line }) => ({
+      line,
+      values: Object.fromEntries(columns.map((column, position) => [column, cleanField(record[position] || '')]))
+    }));
+
+  if (!rows.length) {
+    return { error: 'O arquivo não tem linhas para importar.' };
+  }
+
+  if (rows.length > maxRows) {
+    return { error: `O arquivo pode ter no máximo ${maxRows} linhas por importação.` };
+  }
+
+  return { data: rows };
+};
+
+// "1.234,50" (Excel em português) e "1234.50" viram "1234.50"; o resto é validado pelo formulário
+const parseDecimal = value => (value.includes(',') ? value.replace(/\./g, '').replace(',', '.') : value);
+
+// Aceita AAAA-MM-DD e DD/MM/AAAA; outros formatos seguem como estão para a validação apontar o erro
+const parseDate = value => {
+  const match = value.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  return match ? `${match[3]}-${match[2]}-${match[1]}` : value;
+};
+
+const TRUE_VALUES = ['sim', 's', 'x', '1', 'true', 'yes'];
+const FALSE_VALUES = ['nao', 'n', '0', 'false', 'no'];
+
+// Valores em branco usam o padrão; null indica um valor que não é sim nem não
+const parseBoolean = (value, defaultValue = false) => {
+  const normalized = normalizeHeader(value);
+
+  if (!normalized) {
+    return defaultValue;
+  }
+
+  if (TRUE_VALUES.includes(normalized)) {
+    return true;
+  }
+
+  return FALSE_VALUES.includes(normalized) ? false : null;
+};
+
+// Resume os erros por linha para a mensagem do dashboard
+const describeRowErrors = errors => {
+  const listed = errors.slice(0, MAX_REPORTED_ERRORS).map(({ line, message }) => `linha ${line}: ${message}`);
+  const remaining = errors.length - listed.length;
+
+  return `${listed.join(' ')}${remaining > 0 ? ` (e mais ${remaining} linha(s) com erro)` : ''}`;
+};
+
+module.exports = {
+  CSV_IMPORT_MAX_ROWS,
+  normalizeHeader,
+  decodeCsvBuffer,
+  readCsv,
+  parseDecimal,
+  parseDate,
+  parseBoolean,
+  describeRowErrors
+};
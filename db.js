@@ -1,3 +1,4 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const mysql = require('mysql2/promise');
 const dotenv = require('dotenv');
 const logger = require('./logger');
@@ -29,12 +30,42 @@ const testConnection = async () => {
 
 testConnection();
 
+// Conexão da transação em andamento; fora de withTransaction as funções abaixo usam o pool
+const transactionStorage = new AsyncLocalStorage();
+
+const getExecutor = () => transactionStorage.getStore() || pool;
+
+// Executa callback numa transação: as funções deste módulo chamadas dentro dela (inclusive por outros módulos)
+// usam a mesma conexão, e qualquer erro desfaz tudo. Chamadas aninhadas reaproveitam a transação externa.
+const withTransaction = async callback => {
+  if (transactionStorage.getStore()) {
+    return callback();
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    const result = await transactionStorage.run(connection, callback);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    logger.error('Transação desfeita.', { error: error.message });
+    await connection.rollback().catch(rollbackError => {
+      logger.error('Erro ao desfazer a transação.', { error: rollbackError.message });
+    });
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
 // Função para criar um novo registro e retornar o ID inserido
 const createRecord = async (table, data) => {
   const sql = `INSERT INTO ${table} SET ?`;
 
   try {
-    const [results] = await pool.query(sql, [data]);
+    const [results] = await getExecutor().query(sql, [data]);
     logger.info(`Registro inserido com sucesso na tabela ${table}.`, { id: results.insertId });
     return { id: results.insertId, ...data };
   } catch (error) {
@@ -43,6 +74,25 @@ const createRecord = async (table, data) => {
   }
 };
 
+// Função para inserir vários registros em uma única instrução (todos com as mesmas colunas do primeiro)
+const createRecords = async (table, records) => {
+  if (!records.length) {
+    return { affectedRows: 0 };
+  }
+
+  const columns = Object.keys(records[0]);
+  const sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES ?`;
+
+  try {
+    const [results] = await getExecutor().query(sql, [records.map(record => columns.map(column => record[column]))]);
+    logger.info(`Registros inseridos com sucesso na tabela ${table}.`, { total: results.affectedRows });
+    return results;
+  } catch (error) {
+    logger.error(`Erro ao inserir registros na tabela ${table}.`, { error: error.message, total: records.length });
+    throw error;
+  }
+};
+
 // Função para buscar um único registro com condições
 const getRecord = async (table, conditions) => {
   const conditionKeys = Object.keys(conditions).map(key => `${key} = ?`).join(' AND ');
@@ -50,7 +100,7 @@ const getRecord = async (table, conditions) => {
   const sql = `SELECT * FROM ${table} WHERE ${conditionKeys} LIMIT 1`;
 
   try {
-    const [results] = await pool.query(sql, conditionValues);
+    const [results] = await getExecutor().query(sql, conditionValues);
     if (results.length > 0) {
       logger.info(`Registro encontrado na tabela ${table}.`, { conditions });
       return results[0];
@@ -69,7 +119,7 @@ const updateRecord = async (table, data, id) => {
   const sql = `UPDATE ${table} SET ? WHERE id = ?`;
 
   try {
-    const [results] = await pool.query(sql, [data, id]);
+    const [results] = await getExecutor().query(sql, [data, id]);
     logger.info(`Registro atualizado com sucesso na tabela ${table}.`, { id });
     return results;
   } catch (error) {
@@ -78,12 +128,39 @@ const updateRecord = async (table, data, id) => {
   }
 };
 
+// Função para alterar registros filtrados por condições (retorna affectedRows para controle de concorrência)
+const updateRecords = async (table, data, conditions) => {
+  const conditionKeys = Object.keys(conditions).map(key => `${key} = ?`).join(' AND ');
+  const conditionValues = Object.values(conditions);
+  const sql = `UPDATE ${table} SET ? WHERE ${conditionKeys}`;
+
+  try {
+    const [results] = await getExecutor().query(sql, [data, ...conditionValues]);
+    logger.info(`Registros atualizados na tabela ${table}.`, { conditions, affectedRows: results.affectedRows });
+    return results;
+  } catch (error) {
+    logger.error(`Erro ao atualizar registros na tabela ${table}.`, { error: error.message, conditions });
+    throw error;
+  }
+};
+
+// Função para executar uma instrução SQL parametrizada
+const executeQuery = async (sql, params = []) => {
+  try {
+    const [results] = await getExecutor().query(sql, params);
+    return results;
+  } catch (error) {
+    logger.error('Erro ao executar consulta SQL.', { error: error.message });
+    throw error;
+  }
+};
+
 // Função para excluir um registro
 const deleteRecord = async (table, id) => {
   const sql = `DELETE FROM ${table} WHERE id = ?`;
 
   try {
-    const [results] = await pool.query(sql, [id]);
+    const [results] = await getExecutor().query(sql, [id]);
     logger.info(`Registro excluído com sucesso da tabela ${table}.`, { id });
     return results;
   } catch (error) {
@@ -97,7 +174,7 @@ const queryRecords = async (table, conditions = '') => {
   const sql = `SELECT * FROM ${table} ${conditions}`;
 
   try {
-    const [results] = await pool.query(sql);
+    const [results] = await getExecutor().query(sql);
     logger.info(`Consulta realizada na tabela ${table}.`, { registros: results.length });
     return results;
   } catch (error) {
@@ -109,9 +186,13 @@ const queryRecords = async (table, conditions = '') => {
 // Exportar funções
 module.exports = {
   createRecord,
+  createRecords,
   updateRecord,
+  updateRecords,
   deleteRecord,
+  executeQuery,
   queryRecords,
   getRecord,
+  withTransaction,
   pool
 };
@@ -0,0 +1,121 @@
+const db = require('./db');
+const logger = require('./logger');
+const uploads = require('./uploads');
+const storage = require('./storage');
+
+const CAPTION_MAX_LENGTH = 255;
+
+const normalizeCaption = value => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const caption = value.trim().slice(0, CAPTION_MAX_LENGTH);
+  return caption || null;
+};
+
+// Campos repetidos do multipart chegam como texto único ou lista, na mesma ordem dos arquivos
+const toList = value => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  return Array.isArray(value) ? value : [value];
+};
+
+const loadPurchaseImages = async purchaseId => {
+  const images = await db.queryRecords(
+    'images',
+    `WHERE purchase_id = ${Number(purchaseId)} ORDER BY position ASC, id ASC`
+  );
+  return images.map(image => ({ ...image, variants: uploads.parseVariants(image.variants) }));
+};
+
+// A primeira foto da galeria é a capa que recebe o QR Code
+const getCoverImage = images => (images.length ? images[0] : null);
+
+// Recebe as fotos já processadas por uploads.processUploads
+const addPurchaseImages = async (purchaseId, processedImages, captions = [], startPosition = 0) => {
+  const captionList = toList(captions);
+  const records = [];
+
+  for (const [index, image] of processedImages.entries()) {
+    const record = await db.createRecord('images', {
+      purchase_id: purchaseId,
+      image_url: image.image_url,
+      width: image.width || null,
+      height: image.height || null,
+      variants: JSON.stringify(image.variants || []),
+      position: startPosition + index,
+      caption: normalizeCaption(captionList[index])
+    });
+    records.push({ ...record, variants: image.variants || [] });
+  }
+
+  return records;
+};
+
+// Calcula a galeria resultante das edições do dono sem tocar no banco.
+// O formulário envia um campo por foto: caption_<id>, position_<id> e remove_<id>.
+const planGalleryChanges = (images, body = {}) => {
+  const isRemoved = image => body[`remove_${image.id}`] === 'on';
+
+  const removed = images.filter(isRemoved);
+  const kept = images
+    .filter(image => !isRemoved(image))
+    .map((image, index) => {
+      const requestedPosition = Number.parseInt(body[`position_${image.id}`], 10);
+      const caption = body[`caption_${image.id}`];
+      return {
+        image,
+        order: Number.isNaN(requestedPosition) ? index + 1 : requestedPosition,
+        index,
+        caption: caption !== undefined ? normalizeCaption(caption) : image.caption
+      };
+    })
+    .sort((a, b) => a.order - b.order || a.index - b.index)
+    .map(({ image, caption }, position) => ({ ...image, position, caption }));
+
+  return { kept, removed };
+};
+
+// Apaga do armazenamento as fotos que deixaram de ser usadas, junto com as variantes responsivas
+const removeMediaFiles = async images => {
+  const keys = images.flatMap(image => uploads.listImageKeys(image));
+  await Promise.all(keys.map(key => storage.media
+    .delete(key)
+    .catch(error => logger.warn('Não foi possível remover o arquivo de mídia.', { key, error: error.message }))));
+};
+
+// Persiste a galeria planejada: atualiza ordem e legendas, remove fotos e acrescenta os novos uploads ao final
+const applyGalleryChanges = async (purchaseId, images, plan, newImages = [], newCaptions = []) => {
+  const originals = new Map(images.map(image => [image.id, image]));
+
+  for (const image of plan.kept) {
+    const original = originals.get(image.id);
+    if (original.position !== image.position || original.caption !== image.caption) {
+      await db.updateRecord('images', { position: image.position, caption: image.caption }, image.id);
+    }
+  }
+
+  for (const image of plan.removed) {
+    await db.deleteRecord('images', image.id);
+  }
+
+  await removeMediaFiles(plan.removed);
+
+  const added = await addPurchaseImages(purchaseId, newImages, newCaptions, plan.kept.length);
+  return [...plan.kept, ...added];
+};
+
+module.exports = {
+  CAPTION_MAX_LENGTH,
+  normalizeCaption,
+  toList,
+  loadPurchaseImages,
+  getCoverImage,
+  addPurchaseImages,
+  planGalleryChanges,
+  applyGalleryChanges,
+  removeMediaFiles
+};
@@ -0,0 +1,99 @@
+const db = require('./db');
+const logger = require('./logger');
+const jobs = require('./jobs');
+const gallery = require('./gallery');
+const imageProcessing = require('./imageProcessing');
+const slugs = require('./slugs');
+const qrStyles = require('./qrStyles');
+const printAssets = require('./printAssets');
+const storage = require('./storage');
+
+const RENDER_QR_IMAGE_JOB = 'render_qr_image';
+
+// A situação da imagem com QR Code acompanha a do job (queued/processing/done/failed)
+const IMAGE_STATUS = jobs.JOB_STATUS;
+
+const setImageStatus = (purchaseId, status) => db.updateRecord('purchases', { image_status: status }, purchaseId);
+
+const enqueueQrImage = async purchaseId => {
+  await setImageStatus(purchaseId, IMAGE_STATUS.QUEUED);
+  return jobs.enqueue(RENDER_QR_IMAGE_JOB, { purchaseId });
+};
+
+// A imagem com QR Code leva o nome da capa: depois de trocar a capa, a anterior fica sem uso e é apagada
+// quando a compra já aponta para a nova. Os arquivos para impressão têm nomes fixos e são sobrescritos
+const removeReplacedImage = async (previousUrl, currentUrl, purchaseId) => {
+  const previousKey = previousUrl && previousUrl !== currentUrl ? storage.media.keyFromUrl(previousUrl) : null;
+
+  if (!previousKey) {
+    return;
+  }
+
+  await storage.media.delete(previousKey).catch(error => {
+    logger.warn('Não foi possível remover a imagem com QR Code anterior.', { purchaseId, key: previousKey, error: error.message });
+  });
+};
+
+// Gera a imagem para impressão a partir da capa atual da galeria, já com a URL canônica da página
+// e o estilo de QR Code guardado na compra
+const renderQrImage = async ({ purchaseId }) => {
+  const purchase = await db.getRecord('purchases', { id: purchaseId });
+
+  if (!purchase) {
+    throw new Error(`Compra ${purchaseId} não encontrada para gerar a imagem com QR Code.`);
+  }
+
+  const cover = gallery.getCoverImage(await gallery.loadPurchaseImages(purchaseId));
+
+  if (!cover) {
+    logger.warn('Compra sem fotos; imagem com QR Code não gerada.', { purchaseId });
+    await setImageStatus(purchaseId, null);
+    return;
+  }
+
+  await setImageStatus(purchaseId, IMAGE_STATUS.PROCESSING);
+
+  const qrUrl = `${process.env.BASE_URL}${slugs.buildPagePath(purchase)}`;
+  const coverKey = storage.media.keyFromUrl(cover.image_url);
+
+  if (!coverKey) {
+    throw new Error(`Capa da compra ${purchaseId} fora do armazenamento configurado: ${cover.image_url}`);
+  }
+
+  const style = qrStyles.normalizeQrStyle(purchase.qr_style);
+  const processedImageUrl = await imageProcessing.renderQrComposite(coverKey, qrUrl, style);
+  const existing = await db.getRecord('imagesEdit', { purchase_id: purchaseId });
+
+  if (existing) {
+    await db.updateRecord('imagesEdit', { image_url: processedImageUrl }, existing.id);
+    await removeReplacedImage(existing.image_url, processedImageUrl, purchaseId);
+  } else {
+    await db.createRecord('imagesEdit', { purchase_id: purchaseId, image_url: processedImageUrl });
+  }
+
+  // SVG, cartões em PDF e recorte quadrado acompanham sempre a capa e o estilo atuais
+  await printAssets.generatePrintAssets(purchase, coverKey, qrUrl, style);
+
+  await setImageStatus(purchaseId, IMAGE_STATUS.DONE);
+  logger.info('Imagem com QR Code gerada.', { purchaseId, imageUrl: processedImageUrl });
+};
+
+const handleRenderFailure = ({ purchaseId }, error, { willRetry }) => setImageStatus(
+  purchaseId,
+  willRetry ? IMAGE_STATUS.QUEUED : IMAGE_STATUS.FAILED
+);
+
+const registerImageJobs = () => {
+  jobs.registerHandler(RENDER_QR_IMAGE_JOB, {
+    process: renderQrImage,
+    onFailure: handleRenderFailure
+  });
+};
+
+module.exports = {
+  RENDER_QR_IMAGE_JOB,
+  IMAGE_STATUS,
+  enqueueQrImage,
+  renderQrImage,
+  registerImageJobs
+};
@@ -0,0 +1,155 @@
+const path = require('path');
+const QRCode = require('qrcode'); // Biblioteca para gerar QR Codes
+const sharp = require('sharp'); // Biblioteca para manipulação de imagens
+const qrStyles = require('./qrStyles');
+const storage = require('./storage');
+
+const EDITED_MEDIA_PREFIX = 'media/edit';
+const MIN_QR_CODE_SIZE = 80;
+const PREVIEW_MAX_SIDE = 900;
+
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Ícone desenhado no centro do QR Code; a correção de erros alta mantém o código legível por baixo dele
+const buildCenterIcon = (center, iconSize, palette) => {
+  const half = iconSize / 2;
+
+  if (center === 'heart') {
+    return Buffer.from(
+      `<svg width="${iconSize}" height="${iconSize}" viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg">
+        <circle cx="50" cy="50" r="50" fill="${palette.from}" />
+        <path d="M50 80 L22 52 A15 15 0 0 1 50 30 A15 15 0 0 1 78 52 Z" fill="${palette.dark}" />
+      </svg>`
+    );
+  }
+
+  return Buffer.from(
+    `<svg width="${iconSize}" height="${iconSize}" xmlns="http://www.w3.org/2000/svg">
+      <rect x="0" y="0" width="${iconSize}" height="${iconSize}" rx="${Math.round(iconSize * 0.22)}" fill="${palette.from}" />
+      <text x="${half}" y="${half}" dy="0.35em" text-anchor="middle" font-family="sans-serif" font-weight="700"
+        font-size="${Math.round(iconSize * 0.3)}" fill="${palette.dark}">QR♥</text>
+    </svg>`
+  );
+};
+
+// Gera o QR Code estilizado (módulos na cor da paleta sobre fundo em degradê) no tamanho informado,
+// com ícone central e legenda opcionais
+const buildStylizedQrCode = async (qrUrl, qrCodeSize, style = qrStyles.DEFAULT_QR_STYLE) => {
+  const palette = qrStyles.QR_PALETTES[style.palette] || qrStyles.QR_PALETTES.rosa;
+  const hasCenterIcon = style.center && style.center !== 'none';
+  const coloredQrCode = await QRCode.toBuffer(qrUrl, {
+    width: qrCodeSize,
+    errorCorrectionLevel: hasCenterIcon ? 'H' : 'M',
+    color: {
+      dark: palette.dark,
+      light: '#00000000'
+    }
+  });
+
+  const qrPadding = Math.round(Math.max(qrCodeSize * 0.18, 18));
+  const stylizedSize = Math.round(qrCodeSize + qrPadding * 2);
+  const captionHeight = style.caption ? Math.round(Math.max(qrCodeSize * 0.22, 24)) : 0;
+  const cardHeight = stylizedSize + captionHeight;
+  const cornerRadius = Math.round(stylizedSize * 0.22);
+  // Legendas longas diminuem a fonte para caber na largura do cartão (≈0,6em por caractere em negrito)
+  const captionFontSize = style.caption
+    ? Math.round(Math.min(captionHeight * 0.62, (stylizedSize * 0.88) / (style.caption.length * 0.6)))
+    : 0;
+  const captionSvg = style.caption
+    ? `<text x="${stylizedSize / 2}" y="${stylizedSize + captionHeight * 0.35}" text-anchor="middle" font-family="sans-serif"
+        font-weight="700" font-size="${captionFontSize}" fill="${palette.dark}">${escapeXml(style.caption)}</text>`
+    : '';
+  const gradientSvg = Buffer.from(
+    `<svg width="${stylizedSize}" height="${cardHeight}" viewBox="0 0 ${stylizedSize} ${cardHeight}" xmlns="http://www.w3.org/2000/svg">
+      <defs>
+        <linearGradient id="qrGradient" x1="0%" y1="0%" x2="100%" y2="100%">
+          <stop offset="0%" stop-color="${palette.from}" />
+          <stop offset="100%" stop-color="${palette.to}" />
+        </linearGradient>
+      </defs>
+      <rect x="0" y="0" width="${stylizedSize}" height="${cardHeight}" rx="${cornerRadius}" fill="url(#qrGradient)" />
+      ${captionSvg}
+    </svg>`
+  );
+
+  const layers = [
+    {
+      input: coloredQrCode,
+      top: qrPadding,
+      left: qrPadding
+    }
+  ];
+
+  if (hasCenterIcon) {
+    const iconSize = Math.round(qrCodeSize * 0.22);
+    const iconOffset = Math.round(qrPadding + (qrCodeSize - iconSize) / 2);
+    layers.push({ input: buildCenterIcon(style.center, iconSize, palette), top: iconOffset, left: iconOffset });
+  }
+
+  return sharp(gradientSvg)
+    .composite(layers)
+    .png()
+    .toBuffer();
+};
+
+// Monta a foto com o QR Code no estilo escolhido; o tamanho é proporcional ao menor lado da foto
+const composeQrImage = async (input, qrUrl, style) => {
+  const imageMetadata = await sharp(input).metadata();
+  // Orientações 5 a 8 do EXIF trocam largura e altura depois do rotate()
+  const swapSides = imageMetadata.orientation >= 5;
+  const width = (swapSides ? imageMetadata.height : imageMetadata.width) || 600;
+  const height = (swapSides ? imageMetadata.width : imageMetadata.height) || 600;
+  const minSide = Math.min(width, height);
+  const qrCodeSize = Math.max(Math.round((minSide * style.size) / 100), MIN_QR_CODE_SIZE);
+
+  const stylizedQrBuffer = await buildStylizedQrCode(qrUrl, qrCodeSize, style);
+  const card = await sharp(stylizedQrBuffer).metadata();
+  const placement = qrStyles.computeQrPlacement(style, { width, height }, card);
+
+  return sharp(input)
+    .rotate() // Garantir a orientação correta da imagem
+    .composite([
+      {
+        input: stylizedQrBuffer,
+        top: placement.top,
+        left: placement.left
+      }
+    ]);
+};
+
+// Aplica o QR Code da página sobre a foto do armazenamento e salva em media/edit, retornando a URL pública
+const renderQrComposite = async (sourceKey, qrUrl, style = qrStyles.DEFAULT_QR_STYLE, mediaStorage = storage.media) => {
+  const outputKey = `${EDITED_MEDIA_PREFIX}/processed-${path.basename(sourceKey)}`;
+  const source = await mediaStorage.get(sourceKey);
+  const pipeline = await composeQrImage(source, qrUrl, style);
+  const output = await pipeline.toBuffer();
+  await mediaStorage.put(outputKey, output, {
+    contentType: path.extname(sourceKey).toLowerCase() === '.png' ? 'image/png' : 'image/jpeg'
+  });
+
+  return mediaStorage.getUrl(outputKey);
+};
+
+// Prévia em JPEG reduzido, com as mesmas proporções da imagem final, para o cliente conferir antes de pagar
+const renderQrPreview = async (sourcePath, qrUrl, style = qrStyles.DEFAULT_QR_STYLE) => {
+  const reduced = await sharp(sourcePath)
+    .rotate()
+    .resize({ width: PREVIEW_MAX_SIDE, height: PREVIEW_MAX_SIDE, fit: 'inside', withoutEnlargement: true })
+    .toBuffer();
+  const pipeline = await composeQrImage(reduced, qrUrl, style);
+
+  return pipeline.jpeg({ quality: 80 }).toBuffer();
+};
+
+module.exports = {
+  EDITED_MEDIA_PREFIX,
+  escapeXml,
+  buildStylizedQrCode,
+  composeQrImage,
+  renderQrComposite,
+  renderQrPreview
+};
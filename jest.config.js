@@ -1,8 +1,31 @@
 module.exports = {
   testEnvironment: 'node',
   collectCoverageFrom: [
+    'adminSecurity.js',
+    'admins.js',
     'app.js',
+    'audit.js',
+    'commissions.js',
+    'coupons.js',
+    'csvImport.js',
     'db.js',
-    'logger.js'
+    'gallery.js',
+    'imageJobs.js',
+    'imageProcessing.js',
+    'jobs.js',
+    'logger.js',
+    'migrations.js',
+    'partnerPortal.js',
+    'payments.js',
+    'plans.js',
+    'printAssets.js',
+    'purchases.js',
+    'qrStyles.js',
+    'renewals.js',
+    'reconciliation.js',
+    'reports.js',
+    'slugs.js',
+    'storage.js',
+    'uploads.js'
   ]
 };
@@ -0,0 +1,193 @@
+const db = require('./db');
+const logger = require('./logger');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 5;
+const JOB_BACKOFF_BASE_MS = Number(process.env.JOB_BACKOFF_BASE_MS) || 1000 * 15;
+const JOB_POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 1000 * 2;
+// Jobs presos em processamento por mais tempo que isso (ex.: servidor reiniciado no meio) voltam para a fila
+const JOB_LOCK_TIMEOUT_MS = Number(process.env.JOB_LOCK_TIMEOUT_MS) || 1000 * 60 * 10;
+
+const handlers = new Map();
+let worker = null;
+
+// handler: { process(payload, job), onFailure(payload, error, { willRetry }) }
+const registerHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+const parsePayload = payload => {
+  if (!payload) {
+    return {};
+  }
+
+  return typeof payload === 'string' ? JSON.parse(payload) : payload;
+};
+
+// Espera exponencial entre tentativas: 15s, 30s, 1min, 2min...
+const computeBackoff = attempts => JOB_BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0);
+
+const enqueue = async (type, payload = {}, options = {}) => {
+  const job = await db.createRecord('jobs', {
+    type,
+    payload: JSON.stringify(payload),
+    status: JOB_STATUS.QUEUED,
+    attempts: 0,
+    max_attempts: options.maxAttempts || JOB_MAX_ATTEMPTS,
+    run_at: options.runAt || new Date()
+  });
+
+  logger.info('Job adicionado à fila.', { jobId: job.id, type });
+
+  if (worker) {
+    setImmediate(worker.tick);
+  }
+
+  return job;
+};
+
+// Reserva o próximo job pronto com atualização condicional, para que dois workers não peguem o mesmo job
+const claimNextJob = async (now = new Date()) => {
+  const rows = await db.executeQuery(
+    'SELECT * FROM jobs WHERE status = ? AND run_at <= ? ORDER BY run_at ASC, id ASC LIMIT 1',
+    [JOB_STATUS.QUEUED, now]
+  );
+  const job = rows && rows[0];
+
+  if (!job) {
+    return null;
+  }
+
+  const attempts = job.attempts + 1;
+  const update = await db.updateRecords('jobs', {
+    status: JOB_STATUS.PROCESSING,
+    attempts,
+    locked_at: now
+  }, { id: job.id, status: JOB_STATUS.QUEUED });
+
+  if (!update || update.affectedRows === 0) {
+    return null;
+  }
+
+  return { ...job, status: JOB_STATUS.PROCESSING, attempts };
+};
+
+const runJob = async job => {
+  const handler = handlers.get(job.type);
+  const payload = parsePayload(job.payload);
+
+  try {
+    if (!handler) {
+      throw new Error(`Nenhum handler registrado para o job ${job.type}.`);
+    }
+
+    await handler.process(payload, job);
+    await db.updateRecord('jobs', { status: JOB_STATUS.DONE, locked_at: null, last_error: null }, job.id);
+    logger.info('Job concluído.', { jobId: job.id, type: job.type, attempts: job.attempts });
+    return JOB_STATUS.DONE;
+  } catch (error) {
+    const willRetry = job.attempts < job.max_attempts;
+    const data = { locked_at: null, last_error: error.message };
+
+    if (willRetry) {
+      data.status = JOB_STATUS.QUEUED;
+      data.run_at = new Date(Date.now() + computeBackoff(job.attempts));
+    } else {
+      data.status = JOB_STATUS.FAILED;
+    }
+
+    await db.updateRecord('jobs', data, job.id);
+    logger.error(willRetry ? 'Falha no job; nova tentativa agendada.' : 'Job falhou após todas as tentativas.', {
+      jobId: job.id,
+      type: job.type,
+      attempts: job.attempts,
+      error: error.message
+    });
+
+    if (handler && handler.onFailure) {
+      await handler.onFailure(payload, error, { willRetry });
+    }
+
+    return data.status;
+  }
+};
+
+const processNextJob = async () => {
+  const job = await claimNextJob();
+  return job ? runJob(job) : null;
+};
+
+const releaseStaleJobs = async (now = new Date()) => {
+  const limit = new Date(now.getTime() - JOB_LOCK_TIMEOUT_MS);
+  const results = await db.executeQuery(
+    'UPDATE jobs SET status = ?, locked_at = NULL WHERE status = ? AND locked_at < ?',
+    [JOB_STATUS.QUEUED, JOB_STATUS.PROCESSING, limit]
+  );
+
+  const released = results && results.affectedRows ? results.affectedRows : 0;
+  if (released > 0) {
+    logger.warn('Jobs presos em processamento devolvidos à fila.', { released });
+  }
+
+  return released;
+};
+
+// Worker dentro do próprio processo: processa a fila em sequência, um job por vez
+const startWorker = (intervalMs = JOB_POLL_INTERVAL_MS) => {
+  if (worker) {
+    return worker;
+  }
+
+  let running = false;
+
+  const tick = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      while (await processNextJob()) {
+        // Continua enquanto houver jobs prontos
+      }
+    } catch (error) {
+      logger.error('Erro ao processar a fila de jobs.', { error: error.message });
+    } finally {
+      running = false;
+    }
+  };
+
+  releaseStaleJobs().catch(error => {
+    logger.error('Erro ao liberar jobs presos.', { error: error.message });
+  });
+
+  const timer = setInterval(tick, intervalMs);
+  worker = {
+    tick,
+    stop: () => {
+      clearInterval(timer);
+      worker = null;
+    }
+  };
+
+  tick();
+  return worker;
+};
+
+module.exports = {
+  JOB_STATUS,
+  registerHandler,
+  computeBackoff,
+  enqueue,
+  claimNextJob,
+  runJob,
+  processNextJob,
+  releaseStaleJobs,
+  startWorker
+};
@@ -1,80 +1,154 @@
+const fs = require('fs');
+const path = require('path');
 const mysql = require('mysql2/promise');
 const dotenv = require('dotenv');
 const bcrypt = require('bcrypt');
 
 dotenv.config();
 
-const DEFAULT_ADMIN_EMAIL = 'jair.edinger2@live.com';
-const DEFAULT_ADMIN_PASSWORD = 'casa2020';
-const ADMIN_EMAIL = process.env.ADMIN_EMAIL || DEFAULT_ADMIN_EMAIL;
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || DEFAULT_ADMIN_PASSWORD;
+// Sem as duas variáveis, nenhum admin é criado aqui: o primeiro acesso ao dashboard pede a criação do dono
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL;
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
 const BCRYPT_SALT_ROUNDS = Number(process.env.BCRYPT_SALT_ROUNDS) || 12;
 
-const tables = [
-  `CREATE TABLE IF NOT EXISTS admins (
-    id INT AUTO_INCREMENT PRIMARY KEY,
-    email VARCHAR(255) NOT NULL UNIQUE,
-    password_hash VARCHAR(255) NOT NULL,
-    name VARCHAR(255) DEFAULT NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-  )`,
-  `CREATE TABLE IF NOT EXISTS partners (
-    id INT AUTO_INCREMENT PRIMARY KEY,
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Carrega as migrations versionadas em ordem (arquivos no formato 001_nome.js)
+function loadMigrations(directory = MIGRATIONS_DIR) {
+  return fs.readdirSync(directory)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort()
+    .map(file => {
+      const [, version] = file.match(MIGRATION_FILE_PATTERN);
+      const migration = require(path.join(directory, file));
+      return {
+        version,
+        name: migration.name || file.replace(/\.js$/, ''),
+        up: migration.up,
+        down: migration.down
+      };
+    });
+}
+
+async function ensureMigrationsTable(connection) {
+  await connection.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(32) PRIMARY KEY,
     name VARCHAR(255) NOT NULL,
-    email VARCHAR(255) DEFAULT NULL,
-    phone VARCHAR(50) DEFAULT NULL,
-    status ENUM('ativo','inativo','pendente') DEFAULT 'pendente',
-    notes TEXT,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-  )`,
-  `CREATE TABLE IF NOT EXISTS coupons (
-    id INT AUTO_INCREMENT PRIMARY KEY,
-    code VARCHAR(100) NOT NULL UNIQUE,
-    description TEXT,
-    discount_type ENUM('percentual','valor_fixo') NOT NULL,
-    discount_value DECIMAL(10,2) NOT NULL,
-    usage_limit INT DEFAULT NULL,
-    used_count INT DEFAULT 0,
-    start_date DATE DEFAULT NULL,
-    end_date DATE DEFAULT NULL,
-    active TINYINT(1) DEFAULT 1,
-    partner_id INT DEFAULT NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    CONSTRAINT fk_coupons_partner FOREIGN KEY (partner_id)
-      REFERENCES partners(id) ON DELETE SET NULL
-  )`,
-  `CREATE TABLE IF NOT EXISTS financial_transactions (
-    id INT AUTO_INCREMENT PRIMARY KEY,
-    transaction_type ENUM('entrada','saida') NOT NULL,
-    amount DECIMAL(12,2) NOT NULL,
-    description TEXT,
-    reference VARCHAR(255) DEFAULT NULL,
-    occurred_at DATE NOT NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-  )`
-];
-
-async function ensureAdmin(connection) {
-  const [rows] = await connection.query('SELECT id FROM admins WHERE email = ?', [ADMIN_EMAIL]);
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+async function getAppliedVersions(connection) {
+  const [rows] = await connection.query('SELECT version FROM schema_migrations ORDER BY version');
+  return rows.map(row => row.version);
+}
+
+async function getStatus(connection, migrations) {
+  await ensureMigrationsTable(connection);
+  const applied = await getAppliedVersions(connection);
+
+  return migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: applied.includes(migration.version)
+  }));
+}
+
+async function migrate(connection, migrations) {
+  await ensureMigrationsTable(connection);
+  const applied = await getAppliedVersions(connection);
+  const pending = migrations.filter(migration => !applied.includes(migration.version));
+
+  for (const migration of pending) {
+    await migration.up(connection);
+    await connection.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    console.info('Migration aplicada:', `${migration.version}_${migration.name}`);
+  }
+
+  if (!pending.length) {
+    console.info('Nenhuma migration pendente.');
+  }
+
+  return pending.map(migration => migration.version);
+}
+
+async function rollback(connection, migrations, steps = 1) {
+  await ensureMigrationsTable(connection);
+  const applied = await getAppliedVersions(connection);
+  const toRevert = applied.slice(-steps).reverse();
+  const reverted = [];
+
+  for (const version of toRevert) {
+    const migration = migrations.find(item => item.version === version);
+
+    if (!migration || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${version} não possui rollback disponível.`);
+    }
+
+    await migration.down(connection);
+    await connection.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+    console.info('Migration revertida:', `${migration.version}_${migration.name}`);
+    reverted.push(version);
+  }
+
+  if (!reverted.length) {
+    console.info('Nenhuma migration aplicada para reverter.');
+  }
+
+  return reverted;
+}
+
+async function ensureAdmin(connection, email = ADMIN_EMAIL, password = ADMIN_PASSWORD) {
+  if (!email || !password) {
+    console.info('ADMIN_EMAIL/ADMIN_PASSWORD não definidos. Crie o primeiro admin em /dashboard/setup.');
+    return;
+  }
+
+  const [rows] = await connection.query('SELECT id, password_hash FROM admins WHERE email = ?', [email]);
+  const passwordHash = await bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
+
+  // Admin sem senha (antiga senha padrão removida pela 016 ou convite nunca aceito) recebe a senha informada;
+  // senhas já definidas nunca são trocadas por aqui
+  if (rows.length && !rows[0].password_hash) {
+    await connection.query(
+      'UPDATE admins SET password_hash = ?, active = 1, invite_token_hash = NULL, invite_expires_at = NULL WHERE id = ?',
+      [passwordHash, rows[0].id]
+    );
+    console.info(`Senha definida para o admin ${email}.`);
+    return;
+  }
 
   if (rows.length) {
     console.info('Admin já existente. Nenhuma ação necessária.');
     return;
   }
 
-  const passwordHash = await bcrypt.hash(ADMIN_PASSWORD, BCRYPT_SALT_ROUNDS);
   await connection.query(
-    'INSERT INTO admins (email, password_hash, name) VALUES (?, ?, ?)',
-    [ADMIN_EMAIL, passwordHash, 'Administrador QRLove']
+    "INSERT INTO admins (email, password_hash, name, role) VALUES (?, ?, ?, 'owner')",
+    [email, passwordHash, 'Administrador QRLove']
   );
-  console.info(`Administrador padrão criado com sucesso para ${ADMIN_EMAIL}.`);
+  console.info(`Administrador criado com sucesso para ${email}.`);
 }
 
-async function runMigrations() {
+const USAGE = 'Uso: node migrations.js [migrate|status|rollback [passos]]';
+
+async function runCli(args = process.argv.slice(2)) {
+  const [command = 'migrate', stepsArg] = args;
+
+  if (!['migrate', 'status', 'rollback'].includes(command)) {
+    console.error(`Comando desconhecido: ${command}. ${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const steps = stepsArg ? Number.parseInt(stepsArg, 10) : 1;
+  if (command === 'rollback' && (Number.isNaN(steps) || steps < 1)) {
+    console.error(`Número de passos inválido: ${stepsArg}. ${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
   let connection;
   try {
     connection = await mysql.createConnection({
@@ -85,13 +159,20 @@ async function runMigrations() {
       multipleStatements: true
     });
 
-    for (const statement of tables) {
-      await connection.query(statement);
-      console.info('Migration executada:', statement.split('(')[0].trim());
-    }
+    const migrations = loadMigrations();
 
-    await ensureAdmin(connection);
-    console.info('Migrations finalizadas com sucesso.');
+    if (command === 'status') {
+      const status = await getStatus(connection, migrations);
+      status.forEach(item => {
+        console.info(`${item.applied ? '[aplicada]' : '[pendente]'} ${item.version}_${item.name}`);
+      });
+    } else if (command === 'rollback') {
+      await rollback(connection, migrations, steps);
+    } else {
+      await migrate(connection, migrations);
+      await ensureAdmin(connection);
+      console.info('Migrations finalizadas com sucesso.');
+    }
   } catch (error) {
     console.error('Erro ao executar migrations:', error.message);
     process.exitCode = 1;
@@ -102,5 +183,15 @@ async function runMigrations() {
   }
 }
 
-runMigrations();
+if (require.main === module) {
+  runCli();
+}
 
+module.exports = {
+  loadMigrations,
+  getStatus,
+  migrate,
+  rollback,
+  ensureAdmin,
+  runCli
+};
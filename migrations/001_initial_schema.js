@@ -0,0 +1,62 @@
+// Tabelas originais do dashboard administrativo
+module.exports = {
+  name: 'initial_schema',
+
+  async up(connection) {
+    await connection.query(`CREATE TABLE IF NOT EXISTS admins (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      email VARCHAR(255) NOT NULL UNIQUE,
+      password_hash VARCHAR(255) NOT NULL,
+      name VARCHAR(255) DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )`);
+
+    await connection.query(`CREATE TABLE IF NOT EXISTS partners (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      email VARCHAR(255) DEFAULT NULL,
+      phone VARCHAR(50) DEFAULT NULL,
+      status ENUM('ativo','inativo','pendente') DEFAULT 'pendente',
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )`);
+
+    await connection.query(`CREATE TABLE IF NOT EXISTS coupons (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      code VARCHAR(100) NOT NULL UNIQUE,
+      description TEXT,
+      discount_type ENUM('percentual','valor_fixo') NOT NULL,
+      discount_value DECIMAL(10,2) NOT NULL,
+      usage_limit INT DEFAULT NULL,
+      used_count INT DEFAULT 0,
+      start_date DATE DEFAULT NULL,
+      end_date DATE DEFAULT NULL,
+      active TINYINT(1) DEFAULT 1,
+      partner_id INT DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      CONSTRAINT fk_coupons_partner FOREIGN KEY (partner_id)
+        REFERENCES partners(id) ON DELETE SET NULL
+    )`);
+
+    await connection.query(`CREATE TABLE IF NOT EXISTS financial_transactions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      transaction_type ENUM('entrada','saida') NOT NULL,
+      amount DECIMAL(12,2) NOT NULL,
+      description TEXT,
+      reference VARCHAR(255) DEFAULT NULL,
+      occurred_at DATE NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )`);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS financial_transactions');
+    await connection.query('DROP TABLE IF EXISTS coupons');
+    await connection.query('DROP TABLE IF EXISTS partners');
+    await connection.query('DROP TABLE IF EXISTS admins');
+  }
+};
@@ -0,0 +1,42 @@
+// Compras do checkout e imagens enviadas/processadas de cada página
+module.exports = {
+  name: 'purchases_and_images',
+
+  async up(connection) {
+    await connection.query(`CREATE TABLE IF NOT EXISTS purchases (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      couple_name VARCHAR(255) NOT NULL,
+      plan_id INT NOT NULL,
+      session_id VARCHAR(255) DEFAULT NULL,
+      start_date DATE DEFAULT NULL,
+      unique_hash VARCHAR(64) NOT NULL UNIQUE,
+      purchase_link TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )`);
+
+    await connection.query(`CREATE TABLE IF NOT EXISTS images (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      purchase_id INT NOT NULL,
+      image_url VARCHAR(500) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_images_purchase FOREIGN KEY (purchase_id)
+        REFERENCES purchases(id) ON DELETE CASCADE
+    )`);
+
+    await connection.query(`CREATE TABLE IF NOT EXISTS imagesEdit (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      purchase_id INT NOT NULL,
+      image_url VARCHAR(500) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_images_edit_purchase FOREIGN KEY (purchase_id)
+        REFERENCES purchases(id) ON DELETE CASCADE
+    )`);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS imagesEdit');
+    await connection.query('DROP TABLE IF EXISTS images');
+    await connection.query('DROP TABLE IF EXISTS purchases');
+  }
+};
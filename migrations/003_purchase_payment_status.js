@@ -0,0 +1,49 @@
+const { addColumnIfMissing, dropColumnIfExists, indexExists } = require('./helpers');
+
+const PAYMENT_STATUS_DEFINITION = "ENUM('pending','awaiting_payment','paid','failed','expired') NOT NULL DEFAULT 'pending'";
+
+const columns = [
+  { name: 'paid_at', definition: 'DATETIME DEFAULT NULL' },
+  { name: 'amount_paid_cents', definition: 'INT DEFAULT NULL' },
+  { name: 'payment_intent_id', definition: 'VARCHAR(255) DEFAULT NULL' },
+  { name: 'payment_method', definition: "ENUM('card','boleto') DEFAULT NULL" },
+  { name: 'boleto_url', definition: 'TEXT' },
+  { name: 'boleto_expires_at', definition: 'DATETIME DEFAULT NULL' }
+];
+
+// Situação de pagamento confirmada pelo webhook do Stripe
+module.exports = {
+  name: 'purchase_payment_status',
+
+  async up(connection) {
+    const statusAdded = await addColumnIfMissing(connection, 'purchases', 'payment_status', PAYMENT_STATUS_DEFINITION);
+
+    if (statusAdded) {
+      // Compras anteriores já estavam publicadas, então são consideradas pagas
+      await connection.query("UPDATE purchases SET payment_status = 'paid'");
+    } else {
+      // Bases que já tinham a coluna podem estar com o ENUM antigo
+      await connection.query(`ALTER TABLE purchases MODIFY COLUMN payment_status ${PAYMENT_STATUS_DEFINITION}`);
+    }
+
+    for (const column of columns) {
+      await addColumnIfMissing(connection, 'purchases', column.name, column.definition);
+    }
+
+    if (!(await indexExists(connection, 'purchases', 'idx_purchases_session'))) {
+      await connection.query('CREATE INDEX idx_purchases_session ON purchases (session_id)');
+    }
+  },
+
+  async down(connection) {
+    if (await indexExists(connection, 'purchases', 'idx_purchases_session')) {
+      await connection.query('DROP INDEX idx_purchases_session ON purchases');
+    }
+
+    for (const column of [...columns].reverse()) {
+      await dropColumnIfExists(connection, 'purchases', column.name);
+    }
+
+    await dropColumnIfExists(connection, 'purchases', 'payment_status');
+  }
+};
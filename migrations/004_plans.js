@@ -0,0 +1,61 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+const snapshotColumns = [
+  { name: 'plan_name', definition: 'VARCHAR(255) DEFAULT NULL' },
+  { name: 'plan_price_cents', definition: 'INT DEFAULT NULL' },
+  { name: 'plan_currency', definition: 'VARCHAR(3) DEFAULT NULL' },
+  { name: 'plan_duration_months', definition: 'INT DEFAULT NULL' },
+  { name: 'plan_features', definition: 'JSON DEFAULT NULL' }
+];
+
+const defaultFeatures = JSON.stringify({ printKit: true, celebrationPage: true, premiumLayout: true });
+
+// Catálogo de planos gerenciado pelo dashboard e cópia das condições contratadas em cada compra
+module.exports = {
+  name: 'plans',
+
+  async up(connection) {
+    await connection.query(`CREATE TABLE IF NOT EXISTS plans (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      description VARCHAR(255) DEFAULT NULL,
+      price_cents INT NOT NULL,
+      currency VARCHAR(3) NOT NULL DEFAULT 'brl',
+      duration_months INT DEFAULT NULL,
+      features JSON DEFAULT NULL,
+      sort_order INT NOT NULL DEFAULT 0,
+      active TINYINT(1) NOT NULL DEFAULT 1,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )`);
+
+    // Planos vendidos até aqui, com os mesmos IDs usados pelas compras existentes
+    await connection.query(
+      `INSERT IGNORE INTO plans (id, name, description, price_cents, currency, duration_months, features, sort_order)
+       VALUES (1, 'Anual', 'momentos digitais', 1990, 'brl', 12, ?, 1),
+              (2, 'Lifetime', 'amor eterno', 4990, 'brl', NULL, ?, 2)`,
+      [defaultFeatures, defaultFeatures]
+    );
+
+    for (const column of snapshotColumns) {
+      await addColumnIfMissing(connection, 'purchases', column.name, column.definition);
+    }
+
+    await connection.query(`UPDATE purchases p
+      JOIN plans pl ON pl.id = p.plan_id
+      SET p.plan_name = pl.name,
+        p.plan_price_cents = pl.price_cents,
+        p.plan_currency = pl.currency,
+        p.plan_duration_months = pl.duration_months,
+        p.plan_features = pl.features
+      WHERE p.plan_name IS NULL`);
+  },
+
+  async down(connection) {
+    for (const column of [...snapshotColumns].reverse()) {
+      await dropColumnIfExists(connection, 'purchases', column.name);
+    }
+
+    await connection.query('DROP TABLE IF EXISTS plans');
+  }
+};
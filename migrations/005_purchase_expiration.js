@@ -0,0 +1,37 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+// Expiração de planos com duração e histórico de renovações de cada página
+module.exports = {
+  name: 'purchase_expiration',
+
+  async up(connection) {
+    await addColumnIfMissing(connection, 'purchases', 'expires_at', 'DATETIME DEFAULT NULL');
+
+    // Compras pagas antes desta migration passam a expirar a partir do pagamento (ou da criação)
+    await connection.query(`UPDATE purchases
+      SET expires_at = DATE_ADD(COALESCE(paid_at, created_at), INTERVAL plan_duration_months MONTH)
+      WHERE expires_at IS NULL AND plan_duration_months IS NOT NULL AND payment_status = 'paid'`);
+
+    await connection.query(`CREATE TABLE IF NOT EXISTS purchase_renewals (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      purchase_id INT NOT NULL,
+      session_id VARCHAR(255) NOT NULL UNIQUE,
+      status ENUM('pending','paid','failed','expired') NOT NULL DEFAULT 'pending',
+      amount_cents INT NOT NULL,
+      currency VARCHAR(3) NOT NULL DEFAULT 'brl',
+      duration_months INT NOT NULL,
+      period_start DATETIME DEFAULT NULL,
+      period_end DATETIME DEFAULT NULL,
+      paid_at DATETIME DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      CONSTRAINT fk_purchase_renewals_purchase FOREIGN KEY (purchase_id)
+        REFERENCES purchases(id) ON DELETE CASCADE
+    )`);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS purchase_renewals');
+    await dropColumnIfExists(connection, 'purchases', 'expires_at');
+  }
+};
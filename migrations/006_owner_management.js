@@ -0,0 +1,29 @@
+const { addColumnIfMissing, dropColumnIfExists, indexExists } = require('./helpers');
+
+// Link secreto de gerenciamento do dono da página e nome de exibição editável
+module.exports = {
+  name: 'owner_management',
+
+  async up(connection) {
+    await addColumnIfMissing(connection, 'purchases', 'owner_token', 'VARCHAR(64) DEFAULT NULL');
+    await addColumnIfMissing(connection, 'purchases', 'display_name', 'VARCHAR(255) DEFAULT NULL');
+
+    // Compras antigas recebem um token próprio para que os donos também possam editar suas páginas
+    await connection.query(`UPDATE purchases
+      SET owner_token = SHA2(CONCAT(unique_hash, '-', id, '-', RAND(), '-', UUID()), 256)
+      WHERE owner_token IS NULL`);
+
+    if (!(await indexExists(connection, 'purchases', 'idx_purchases_owner_token'))) {
+      await connection.query('CREATE UNIQUE INDEX idx_purchases_owner_token ON purchases (owner_token)');
+    }
+  },
+
+  async down(connection) {
+    if (await indexExists(connection, 'purchases', 'idx_purchases_owner_token')) {
+      await connection.query('DROP INDEX idx_purchases_owner_token ON purchases');
+    }
+
+    await dropColumnIfExists(connection, 'purchases', 'display_name');
+    await dropColumnIfExists(connection, 'purchases', 'owner_token');
+  }
+};
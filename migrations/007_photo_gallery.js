@@ -0,0 +1,38 @@
+const { addColumnIfMissing, dropColumnIfExists, indexExists } = require('./helpers');
+
+// Galeria de fotos por página: ordem e legenda de cada foto e limite de fotos por plano
+module.exports = {
+  name: 'photo_gallery',
+
+  async up(connection) {
+    await addColumnIfMissing(connection, 'images', 'position', 'INT NOT NULL DEFAULT 0');
+    await addColumnIfMissing(connection, 'images', 'caption', 'VARCHAR(255) DEFAULT NULL');
+
+    if (!(await indexExists(connection, 'images', 'idx_images_purchase_position'))) {
+      await connection.query('CREATE INDEX idx_images_purchase_position ON images (purchase_id, position)');
+    }
+
+    if (await addColumnIfMissing(connection, 'plans', 'max_photos', 'INT NOT NULL DEFAULT 1')) {
+      await connection.query('UPDATE plans SET max_photos = CASE WHEN duration_months IS NULL THEN 10 ELSE 5 END');
+    }
+
+    if (await addColumnIfMissing(connection, 'purchases', 'plan_max_photos', 'INT DEFAULT NULL')) {
+      await connection.query(`UPDATE purchases p
+        JOIN plans pl ON pl.id = p.plan_id
+        SET p.plan_max_photos = pl.max_photos
+        WHERE p.plan_max_photos IS NULL`);
+    }
+  },
+
+  async down(connection) {
+    await dropColumnIfExists(connection, 'purchases', 'plan_max_photos');
+    await dropColumnIfExists(connection, 'plans', 'max_photos');
+
+    if (await indexExists(connection, 'images', 'idx_images_purchase_position')) {
+      await connection.query('DROP INDEX idx_images_purchase_position ON images');
+    }
+
+    await dropColumnIfExists(connection, 'images', 'caption');
+    await dropColumnIfExists(connection, 'images', 'position');
+  }
+};
@@ -0,0 +1,29 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+const { slugify } = require('../slugs');
+
+// Slug persistente para as URLs públicas; as páginas passam a ser encontradas apenas pela hash
+module.exports = {
+  name: 'purchase_slugs',
+
+  async up(connection) {
+    await addColumnIfMissing(connection, 'purchases', 'slug', 'VARCHAR(80) DEFAULT NULL');
+
+    const [rows] = await connection.query('SELECT id, couple_name, unique_hash, purchase_link FROM purchases WHERE slug IS NULL');
+
+    for (const row of rows) {
+      const slug = slugify(row.couple_name);
+      // O link de sucesso passa para a forma canônica mantendo o domínio gravado na compra
+      const purchaseLink = row.purchase_link
+        ? row.purchase_link.replace(/\/success\/.*$/, `/success/${slug}-${row.unique_hash}`)
+        : row.purchase_link;
+
+      await connection.query('UPDATE purchases SET slug = ?, purchase_link = ? WHERE id = ?', [slug, purchaseLink, row.id]);
+    }
+
+    await connection.query('ALTER TABLE purchases MODIFY slug VARCHAR(80) NOT NULL');
+  },
+
+  async down(connection) {
+    await dropColumnIfExists(connection, 'purchases', 'slug');
+  }
+};
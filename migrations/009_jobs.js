@@ -0,0 +1,35 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+// Fila persistente de jobs em segundo plano e situação da imagem com QR Code de cada compra
+module.exports = {
+  name: 'jobs',
+
+  async up(connection) {
+    await connection.query(`CREATE TABLE IF NOT EXISTS jobs (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      type VARCHAR(64) NOT NULL,
+      payload JSON NOT NULL,
+      status ENUM('queued','processing','done','failed') NOT NULL DEFAULT 'queued',
+      attempts INT NOT NULL DEFAULT 0,
+      max_attempts INT NOT NULL DEFAULT 5,
+      run_at DATETIME NOT NULL,
+      locked_at DATETIME DEFAULT NULL,
+      last_error TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_jobs_status_run_at (status, run_at)
+    )`);
+
+    if (await addColumnIfMissing(connection, 'purchases', 'image_status', "ENUM('queued','processing','done','failed') DEFAULT NULL")) {
+      // Compras anteriores já tiveram a imagem gerada durante o checkout
+      await connection.query(`UPDATE purchases p
+        JOIN imagesEdit ie ON ie.purchase_id = p.id
+        SET p.image_status = 'done'`);
+    }
+  },
+
+  async down(connection) {
+    await dropColumnIfExists(connection, 'purchases', 'image_status');
+    await connection.query('DROP TABLE IF EXISTS jobs');
+  }
+};
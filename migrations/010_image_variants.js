@@ -0,0 +1,18 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+// Dimensões da foto normalizada e variantes responsivas (AVIF/WebP em várias larguras) usadas no srcset
+module.exports = {
+  name: 'image_variants',
+
+  async up(connection) {
+    await addColumnIfMissing(connection, 'images', 'width', 'INT DEFAULT NULL');
+    await addColumnIfMissing(connection, 'images', 'height', 'INT DEFAULT NULL');
+    await addColumnIfMissing(connection, 'images', 'variants', 'JSON DEFAULT NULL');
+  },
+
+  async down(connection) {
+    await dropColumnIfExists(connection, 'images', 'variants');
+    await dropColumnIfExists(connection, 'images', 'height');
+    await dropColumnIfExists(connection, 'images', 'width');
+  }
+};
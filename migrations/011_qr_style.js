@@ -0,0 +1,14 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+// Estilo do QR Code escolhido pelo cliente (posição, tamanho, paleta, ícone e legenda), reaplicado a cada nova geração
+module.exports = {
+  name: 'qr_style',
+
+  async up(connection) {
+    await addColumnIfMissing(connection, 'purchases', 'qr_style', 'JSON DEFAULT NULL');
+  },
+
+  async down(connection) {
+    await dropColumnIfExists(connection, 'purchases', 'qr_style');
+  }
+};
@@ -0,0 +1,34 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+const PAYMENT_STATUS_DEFINITION = "ENUM('pending','awaiting_payment','paid','failed','expired','refunded','disputed') NOT NULL DEFAULT 'pending'";
+const PREVIOUS_PAYMENT_STATUS_DEFINITION = "ENUM('pending','awaiting_payment','paid','failed','expired') NOT NULL DEFAULT 'pending'";
+
+const columns = [
+  { name: 'coupon_id', definition: 'INT DEFAULT NULL' },
+  { name: 'refunded_amount_cents', definition: 'INT NOT NULL DEFAULT 0' },
+  { name: 'refunded_at', definition: 'DATETIME DEFAULT NULL' },
+  { name: 'disputed_at', definition: 'DATETIME DEFAULT NULL' }
+];
+
+// Reembolsos e contestações do Stripe desfazem a compra: novas situações de pagamento e o valor devolvido
+module.exports = {
+  name: 'refunds',
+
+  async up(connection) {
+    await connection.query(`ALTER TABLE purchases MODIFY COLUMN payment_status ${PAYMENT_STATUS_DEFINITION}`);
+
+    for (const column of columns) {
+      await addColumnIfMissing(connection, 'purchases', column.name, column.definition);
+    }
+  },
+
+  async down(connection) {
+    for (const column of [...columns].reverse()) {
+      await dropColumnIfExists(connection, 'purchases', column.name);
+    }
+
+    // O ENUM anterior não tem as novas situações; as compras desfeitas continuam fora do ar
+    await connection.query("UPDATE purchases SET payment_status = 'failed' WHERE payment_status IN ('refunded','disputed')");
+    await connection.query(`ALTER TABLE purchases MODIFY COLUMN payment_status ${PREVIOUS_PAYMENT_STATUS_DEFINITION}`);
+  }
+};
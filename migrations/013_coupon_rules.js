@@ -0,0 +1,54 @@
+const { addColumnIfMissing, dropColumnIfExists, indexExists } = require('./helpers');
+
+const couponColumns = [
+  { name: 'allowed_plan_ids', definition: 'JSON DEFAULT NULL' },
+  { name: 'min_order_cents', definition: 'INT DEFAULT NULL' },
+  { name: 'one_per_customer', definition: 'TINYINT(1) NOT NULL DEFAULT 0' },
+  { name: 'first_purchase_only', definition: 'TINYINT(1) NOT NULL DEFAULT 0' },
+  { name: 'stackable', definition: 'TINYINT(1) NOT NULL DEFAULT 0' }
+];
+
+// Regras adicionais dos cupons e reservas de uso feitas no checkout
+module.exports = {
+  name: 'coupon_rules',
+
+  async up(connection) {
+    for (const column of couponColumns) {
+      await addColumnIfMissing(connection, 'coupons', column.name, column.definition);
+    }
+
+    await addColumnIfMissing(connection, 'purchases', 'customer_email', 'VARCHAR(255) DEFAULT NULL');
+    if (!(await indexExists(connection, 'purchases', 'idx_purchases_customer_email'))) {
+      await connection.query('CREATE INDEX idx_purchases_customer_email ON purchases (customer_email)');
+    }
+
+    // customer_key só é preenchido em cupons de uso único por cliente; o índice único garante a regra sob concorrência
+    await connection.query(`CREATE TABLE IF NOT EXISTS coupon_redemptions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      coupon_id INT NOT NULL,
+      session_id VARCHAR(255) DEFAULT NULL,
+      customer_email VARCHAR(255) DEFAULT NULL,
+      customer_key VARCHAR(255) DEFAULT NULL,
+      discount_cents INT NOT NULL,
+      status ENUM('reserved','redeemed','released') NOT NULL DEFAULT 'reserved',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_coupon_customer (coupon_id, customer_key),
+      INDEX idx_coupon_redemptions_session (session_id),
+      FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE CASCADE
+    )`);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS coupon_redemptions');
+
+    if (await indexExists(connection, 'purchases', 'idx_purchases_customer_email')) {
+      await connection.query('DROP INDEX idx_purchases_customer_email ON purchases');
+    }
+    await dropColumnIfExists(connection, 'purchases', 'customer_email');
+
+    for (const column of [...couponColumns].reverse()) {
+      await dropColumnIfExists(connection, 'coupons', column.name);
+    }
+  }
+};
@@ -0,0 +1,64 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+const partnerColumns = [
+  { name: 'commission_type', definition: "ENUM('percentual','valor_fixo') DEFAULT NULL" },
+  { name: 'commission_value', definition: 'DECIMAL(10,2) DEFAULT NULL' }
+];
+
+// Comissões dos parceiros sobre as vendas com os seus cupons e os repasses que quitam o saldo
+module.exports = {
+  name: 'partner_commissions',
+
+  async up(connection) {
+    for (const column of partnerColumns) {
+      await addColumnIfMissing(connection, 'partners', column.name, column.definition);
+    }
+
+    await connection.query(`CREATE TABLE IF NOT EXISTS partner_payouts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      partner_id INT NOT NULL,
+      amount_cents INT NOT NULL DEFAULT 0,
+      period_end DATE DEFAULT NULL,
+      financial_transaction_id INT DEFAULT NULL,
+      paid_at DATETIME DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_partner_payouts_partner (partner_id),
+      CONSTRAINT fk_partner_payouts_partner FOREIGN KEY (partner_id)
+        REFERENCES partners(id) ON DELETE CASCADE
+    )`);
+
+    // Um lançamento de comissão e, no reembolso de comissão já paga, um de estorno por compra e parceiro
+    await connection.query(`CREATE TABLE IF NOT EXISTS partner_commissions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      partner_id INT NOT NULL,
+      purchase_id INT NOT NULL,
+      coupon_id INT DEFAULT NULL,
+      entry_type ENUM('commission','reversal') NOT NULL DEFAULT 'commission',
+      sale_amount_cents INT NOT NULL,
+      commission_cents INT NOT NULL,
+      status ENUM('pending','paid','reversed') NOT NULL DEFAULT 'pending',
+      payout_id INT DEFAULT NULL,
+      earned_at DATETIME NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_partner_commission (purchase_id, partner_id, entry_type),
+      INDEX idx_partner_commissions_partner (partner_id, status, earned_at),
+      CONSTRAINT fk_partner_commissions_partner FOREIGN KEY (partner_id)
+        REFERENCES partners(id) ON DELETE CASCADE,
+      CONSTRAINT fk_partner_commissions_purchase FOREIGN KEY (purchase_id)
+        REFERENCES purchases(id) ON DELETE CASCADE,
+      CONSTRAINT fk_partner_commissions_payout FOREIGN KEY (payout_id)
+        REFERENCES partner_payouts(id) ON DELETE SET NULL
+    )`);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS partner_commissions');
+    await connection.query('DROP TABLE IF EXISTS partner_payouts');
+
+    for (const column of [...partnerColumns].reverse()) {
+      await dropColumnIfExists(connection, 'partners', column.name);
+    }
+  }
+};
@@ -0,0 +1,48 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+const partnerColumns = [
+  { name: 'password_hash', definition: 'VARCHAR(255) DEFAULT NULL' },
+  { name: 'access_token_hash', definition: 'CHAR(64) DEFAULT NULL' },
+  { name: 'access_token_expires_at', definition: 'DATETIME DEFAULT NULL' },
+  { name: 'last_login_at', definition: 'DATETIME DEFAULT NULL' }
+];
+
+// Portal dos parceiros: acesso próprio (fora de admins) e pedidos de novos cupons aprovados pelo admin
+module.exports = {
+  name: 'partner_portal',
+
+  async up(connection) {
+    for (const column of partnerColumns) {
+      await addColumnIfMissing(connection, 'partners', column.name, column.definition);
+    }
+
+    await connection.query(`CREATE TABLE IF NOT EXISTS coupon_requests (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      partner_id INT NOT NULL,
+      code VARCHAR(100) NOT NULL,
+      discount_type ENUM('percentual','valor_fixo') NOT NULL,
+      discount_value DECIMAL(10,2) NOT NULL,
+      notes TEXT,
+      status ENUM('pending','approved','rejected') NOT NULL DEFAULT 'pending',
+      coupon_id INT DEFAULT NULL,
+      reviewed_by INT DEFAULT NULL,
+      reviewed_at DATETIME DEFAULT NULL,
+      review_notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_coupon_requests_status (status),
+      CONSTRAINT fk_coupon_requests_partner FOREIGN KEY (partner_id)
+        REFERENCES partners(id) ON DELETE CASCADE,
+      CONSTRAINT fk_coupon_requests_coupon FOREIGN KEY (coupon_id)
+        REFERENCES coupons(id) ON DELETE SET NULL
+    )`);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS coupon_requests');
+
+    for (const column of [...partnerColumns].reverse()) {
+      await dropColumnIfExists(connection, 'partners', column.name);
+    }
+  }
+};
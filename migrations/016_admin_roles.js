@@ -0,0 +1,48 @@
+const bcrypt = require('bcrypt');
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+// Senha que a versão anterior do migrations.js gravava quando ADMIN_PASSWORD não era definido
+const LEGACY_DEFAULT_PASSWORD = 'casa2020';
+
+const columns = [
+  { name: 'role', definition: "ENUM('owner','finance','support') NOT NULL DEFAULT 'owner'" },
+  { name: 'active', definition: 'TINYINT(1) NOT NULL DEFAULT 1' },
+  { name: 'invite_token_hash', definition: 'CHAR(64) DEFAULT NULL' },
+  { name: 'invite_expires_at', definition: 'DATETIME DEFAULT NULL' },
+  { name: 'invited_by', definition: 'INT DEFAULT NULL' },
+  { name: 'last_login_at', definition: 'DATETIME DEFAULT NULL' }
+];
+
+// Vários admins com papéis, convites por link e fim da senha padrão conhecida
+module.exports = {
+  name: 'admin_roles',
+
+  async up(connection) {
+    // Admins convidados ainda não têm senha
+    await connection.query('ALTER TABLE admins MODIFY COLUMN password_hash VARCHAR(255) DEFAULT NULL');
+
+    // Admins já cadastrados continuam com acesso total
+    for (const column of columns) {
+      await addColumnIfMissing(connection, 'admins', column.name, column.definition);
+    }
+
+    // Quem ainda usa a senha padrão perde a senha; a nova é definida com ADMIN_EMAIL e ADMIN_PASSWORD no npm run migrate
+    // (o formulário de primeiro acesso exige SETUP_TOKEN e nunca altera admins já cadastrados)
+    const [admins] = await connection.query('SELECT id, password_hash FROM admins WHERE password_hash IS NOT NULL');
+    for (const admin of admins) {
+      if (await bcrypt.compare(LEGACY_DEFAULT_PASSWORD, admin.password_hash)) {
+        await connection.query('UPDATE admins SET password_hash = NULL WHERE id = ?', [admin.id]);
+      }
+    }
+  },
+
+  async down(connection) {
+    for (const column of [...columns].reverse()) {
+      await dropColumnIfExists(connection, 'admins', column.name);
+    }
+
+    // Admins sem senha (convites pendentes ou senha padrão removida) não cabem na coluna obrigatória
+    await connection.query('DELETE FROM admins WHERE password_hash IS NULL');
+    await connection.query('ALTER TABLE admins MODIFY COLUMN password_hash VARCHAR(255) NOT NULL');
+  }
+};
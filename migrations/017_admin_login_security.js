@@ -0,0 +1,37 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+const adminColumns = [
+  { name: 'totp_secret', definition: 'VARCHAR(64) DEFAULT NULL' },
+  { name: 'totp_enabled_at', definition: 'DATETIME DEFAULT NULL' },
+  { name: 'totp_last_step', definition: 'BIGINT DEFAULT NULL' },
+  { name: 'recovery_codes', definition: 'TEXT' }
+];
+
+// Limite de tentativas de login e verificação em duas etapas (TOTP) opcional para os admins
+module.exports = {
+  name: 'admin_login_security',
+
+  async up(connection) {
+    for (const column of adminColumns) {
+      await addColumnIfMissing(connection, 'admins', column.name, column.definition);
+    }
+
+    await connection.query(`CREATE TABLE IF NOT EXISTS admin_login_failures (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      email VARCHAR(255) NOT NULL,
+      ip_address VARCHAR(64) NOT NULL,
+      stage ENUM('password','two_factor') NOT NULL DEFAULT 'password',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_admin_login_failures_email (email, created_at),
+      INDEX idx_admin_login_failures_ip (ip_address, created_at)
+    )`);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS admin_login_failures');
+
+    for (const column of [...adminColumns].reverse()) {
+      await dropColumnIfExists(connection, 'admins', column.name);
+    }
+  }
+};
@@ -0,0 +1,54 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+// Tabelas cujas remoções pelo dashboard passam a ser lógicas, restauráveis pela auditoria
+const softDeleteTables = ['partners', 'coupons', 'plans', 'financial_transactions'];
+
+const softDeleteColumns = [
+  { name: 'deleted_at', definition: 'DATETIME DEFAULT NULL' },
+  { name: 'deleted_by', definition: 'INT DEFAULT NULL' }
+];
+
+// Trilha de auditoria persistente das alterações feitas pelo dashboard
+module.exports = {
+  name: 'audit_log',
+
+  async up(connection) {
+    await connection.query(`CREATE TABLE IF NOT EXISTS audit_logs (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      admin_id INT DEFAULT NULL,
+      admin_email VARCHAR(255) DEFAULT NULL,
+      action VARCHAR(50) NOT NULL,
+      entity_type VARCHAR(50) NOT NULL,
+      entity_id INT DEFAULT NULL,
+      before_data JSON DEFAULT NULL,
+      after_data JSON DEFAULT NULL,
+      request_id VARCHAR(64) DEFAULT NULL,
+      ip_address VARCHAR(64) DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_audit_logs_created (created_at),
+      INDEX idx_audit_logs_entity (entity_type, entity_id),
+      INDEX idx_audit_logs_admin (admin_id, created_at),
+      CONSTRAINT fk_audit_logs_admin FOREIGN KEY (admin_id)
+        REFERENCES admins(id) ON DELETE SET NULL
+    )`);
+
+    for (const table of softDeleteTables) {
+      for (const column of softDeleteColumns) {
+        await addColumnIfMissing(connection, table, column.name, column.definition);
+      }
+    }
+  },
+
+  async down(connection) {
+    // Sem a coluna, registros removidos voltariam a aparecer: a remoção lógica vira definitiva
+    for (const table of softDeleteTables) {
+      await connection.query(`DELETE FROM ${table} WHERE deleted_at IS NOT NULL`);
+
+      for (const column of [...softDeleteColumns].reverse()) {
+        await dropColumnIfExists(connection, table, column.name);
+      }
+    }
+
+    await connection.query('DROP TABLE IF EXISTS audit_logs');
+  }
+};
@@ -0,0 +1,23 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('./helpers');
+
+const purchaseColumns = [
+  { name: 'unpublished_at', definition: 'DATETIME DEFAULT NULL' },
+  { name: 'unpublished_by', definition: 'INT DEFAULT NULL' }
+];
+
+// Páginas tiradas do ar pelo suporte, independentemente da situação do pagamento
+module.exports = {
+  name: 'purchase_publication',
+
+  async up(connection) {
+    for (const column of purchaseColumns) {
+      await addColumnIfMissing(connection, 'purchases', column.name, column.definition);
+    }
+  },
+
+  async down(connection) {
+    for (const column of [...purchaseColumns].reverse()) {
+      await dropColumnIfExists(connection, 'purchases', column.name);
+    }
+  }
+};
@@ -0,0 +1,48 @@
+const { addColumnIfMissing, dropColumnIfExists, indexExists } = require('./helpers');
+
+// Categoria e compra de origem dos lançamentos, usadas nos relatórios financeiros
+module.exports = {
+  name: 'transaction_categories',
+
+  async up(connection) {
+    const categoryAdded = await addColumnIfMissing(connection, 'financial_transactions', 'category', "VARCHAR(30) NOT NULL DEFAULT 'outros'");
+    await addColumnIfMissing(connection, 'financial_transactions', 'purchase_id', 'INT DEFAULT NULL');
+
+    // Lançamentos automáticos anteriores são classificados pela referência e pela descrição que o sistema grava
+    if (categoryAdded) {
+      await connection.query(`UPDATE financial_transactions t
+        JOIN purchases p ON p.session_id = t.reference
+        SET t.category = 'venda', t.purchase_id = p.id
+        WHERE t.transaction_type = 'entrada'`);
+      await connection.query(`UPDATE financial_transactions t
+        JOIN purchase_renewals r ON r.session_id = t.reference
+        SET t.category = 'renovacao', t.purchase_id = r.purchase_id
+        WHERE t.transaction_type = 'entrada'`);
+      await connection.query(`UPDATE financial_transactions SET category = 'repasse'
+        WHERE transaction_type = 'saida' AND reference LIKE 'partner\\_payout:%'`);
+      await connection.query(`UPDATE financial_transactions SET category = 'reembolso'
+        WHERE transaction_type = 'saida' AND description LIKE 'Reembolso % QRLove - %'`);
+      await connection.query(`UPDATE financial_transactions SET category = 'contestacao'
+        WHERE description LIKE 'Contestação % QRLove - %' OR description LIKE 'Contestação QRLove - %'`);
+    }
+
+    if (!(await indexExists(connection, 'financial_transactions', 'idx_financial_transactions_occurred'))) {
+      await connection.query('CREATE INDEX idx_financial_transactions_occurred ON financial_transactions (occurred_at, category)');
+    }
+
+    if (!(await indexExists(connection, 'financial_transactions', 'idx_financial_transactions_purchase'))) {
+      await connection.query('CREATE INDEX idx_financial_transactions_purchase ON financial_transactions (purchase_id)');
+    }
+  },
+
+  async down(connection) {
+    for (const index of ['idx_financial_transactions_purchase', 'idx_financial_transactions_occurred']) {
+      if (await indexExists(connection, 'financial_transactions', index)) {
+        await connection.query(`DROP INDEX ${index} ON financial_transactions`);
+      }
+    }
+
+    await dropColumnIfExists(connection, 'financial_transactions', 'purchase_id');
+    await dropColumnIfExists(connection, 'financial_transactions', 'category');
+  }
+};
@@ -0,0 +1,46 @@
+const { addColumnIfMissing, dropColumnIfExists, indexExists, foreignKeyExists } = require('./helpers');
+
+// Lotes de cupons de uso único gerados de uma vez para campanhas e eventos
+module.exports = {
+  name: 'coupon_batches',
+
+  async up(connection) {
+    await connection.query(`CREATE TABLE IF NOT EXISTS coupon_batches (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      prefix VARCHAR(60) NOT NULL,
+      quantity INT NOT NULL,
+      suffix_length INT NOT NULL,
+      description TEXT,
+      partner_id INT DEFAULT NULL,
+      created_by INT DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CONSTRAINT fk_coupon_batches_partner FOREIGN KEY (partner_id)
+        REFERENCES partners(id) ON DELETE SET NULL
+    )`);
+
+    await addColumnIfMissing(connection, 'coupons', 'batch_id', 'INT DEFAULT NULL');
+
+    if (!(await indexExists(connection, 'coupons', 'idx_coupons_batch'))) {
+      await connection.query('CREATE INDEX idx_coupons_batch ON coupons (batch_id)');
+    }
+
+    // Remover um lote não apaga os cupons já distribuídos; eles apenas deixam de apontar para o lote
+    if (!(await foreignKeyExists(connection, 'coupons', 'fk_coupons_batch'))) {
+      await connection.query(`ALTER TABLE coupons ADD CONSTRAINT fk_coupons_batch FOREIGN KEY (batch_id)
+        REFERENCES coupon_batches(id) ON DELETE SET NULL`);
+    }
+  },
+
+  async down(connection) {
+    if (await foreignKeyExists(connection, 'coupons', 'fk_coupons_batch')) {
+      await connection.query('ALTER TABLE coupons DROP FOREIGN KEY fk_coupons_batch');
+    }
+
+    if (await indexExists(connection, 'coupons', 'idx_coupons_batch')) {
+      await connection.query('DROP INDEX idx_coupons_batch ON coupons');
+    }
+
+    await dropColumnIfExists(connection, 'coupons', 'batch_id');
+    await connection.query('DROP TABLE IF EXISTS coupon_batches');
+  }
+};
@@ -0,0 +1,19 @@
+// Falhas de login do portal de parceiros, para o mesmo bloqueio temporário do dashboard
+module.exports = {
+  name: 'partner_login_failures',
+
+  async up(connection) {
+    await connection.query(`CREATE TABLE IF NOT EXISTS partner_login_failures (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      email VARCHAR(255) NOT NULL,
+      ip_address VARCHAR(64) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_partner_login_failures_email (email, created_at),
+      INDEX idx_partner_login_failures_ip (ip_address, created_at)
+    )`);
+  },
+
+  async down(connection) {
+    await connection.query('DROP TABLE IF EXISTS partner_login_failures');
+  }
+};
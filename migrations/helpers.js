@@ -0,0 +1,58 @@
+// Funções auxiliares compartilhadas pelas migrations versionadas
+
+async function tableExists(connection, table) {
+  const [rows] = await connection.query(
+    'SELECT TABLE_NAME FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+    [table]
+  );
+  return rows.length > 0;
+}
+
+async function columnExists(connection, table, column) {
+  const [rows] = await connection.query(
+    'SELECT COLUMN_NAME FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+    [table, column]
+  );
+  return rows.length > 0;
+}
+
+async function indexExists(connection, table, index) {
+  const [rows] = await connection.query(`SHOW INDEX FROM ${table} WHERE Key_name = ?`, [index]);
+  return rows.length > 0;
+}
+
+async function foreignKeyExists(connection, table, constraint) {
+  const [rows] = await connection.query(
+    "SELECT CONSTRAINT_NAME FROM information_schema.TABLE_CONSTRAINTS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND CONSTRAINT_NAME = ? AND CONSTRAINT_TYPE = 'FOREIGN KEY'",
+    [table, constraint]
+  );
+  return rows.length > 0;
+}
+
+// Adiciona a coluna somente quando ainda não existe (bases antigas podem já tê-la criado manualmente)
+async function addColumnIfMissing(connection, table, column, definition) {
+  if (await columnExists(connection, table, column)) {
+    return false;
+  }
+
+  await connection.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+async function dropColumnIfExists(connection, table, column) {
+  if (!(await columnExists(connection, table, column))) {
+    return false;
+  }
+
+  await connection.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  return true;
+}
+
+module.exports = {
+  tableExists,
+  columnExists,
+  indexExists,
+  foreignKeyExists,
+  addColumnIfMissing,
+  dropColumnIfExists
+};
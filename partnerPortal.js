@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const db = require('./db');
+const logger = require('./logger');
+const coupons = require('./coupons');
+
+const ACCESS_TOKEN_TTL_HOURS = 72;
+const BCRYPT_SALT_ROUNDS = Number(process.env.BCRYPT_SALT_ROUNDS) || 12;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PENDING_REQUESTS = 3;
+const MAX_REQUEST_NOTES_LENGTH = 500;
+
+const REQUEST_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+// Só o hash do link de acesso fica gravado; o link completo aparece uma única vez para o admin
+const hashAccessToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const isPartnerActive = partner => Boolean(partner) && partner.status !== 'inativo' && !partner.deleted_at;
+
+// Gera o link de primeiro acesso (ou de troca de senha) do parceiro; um novo link invalida o anterior
+const issueAccessToken = async (partner, context = {}) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await db.updateRecord('partners', {
+    access_token_hash: hashAccessToken(token),
+    access_token_expires_at: new Date(Date.now() + ACCESS_TOKEN_TTL_HOURS * 60 * 60 * 1000)
+  }, partner.id);
+
+  logger.info('Link de acesso ao portal gerado.', { ...context, partnerId: partner.id });
+  return token;
+};
+
+const findPartnerByAccessToken = async (token, now = new Date()) => {
+  if (!/^[a-f0-9]{64}$/.test(String(token || ''))) {
+    return null;
+  }
+
+  const partner = await db.getRecord('partners', { access_token_hash: hashAccessToken(token) });
+
+  if (!isPartnerActive(partner) || !partner.access_token_expires_at || new Date(partner.access_token_expires_at) < now) {
+    return null;
+  }
+
+  return partner;
+};
+
+// Define a senha e consome o link; a atualização condicional impede reaproveitar o mesmo link
+const setPartnerPassword = async (partner, password, confirmation) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return { error: `A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres.` };
+  }
+
+  if (password !== confirmation) {
+    return { error: 'As senhas não conferem.' };
+  }
+
+  const passwordHash = await bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
+  const update = await db.updateRecords('partners', {
+    password_hash: passwordHash,
+    access_token_hash: null,
+    access_token_expires_at: null
+  }, {
+    id: partner.id,
+    access_token_hash: partner.access_token_hash
+  });
+
+  if (!update || update.affectedRows === 0) {
+    return { error: 'Este link de acesso já foi utilizado.' };
+  }
+
+  logger.info('Senha do portal do parceiro definida.', { partnerId: partner.id });
+  return { data: partner };
+};
+
+// O e-mail de parceiros não é único: vale o cadastro ativo cuja senha confere
+const authenticatePartner = async (email, password) => {
+  const candidates = await db.executeQuery(
+    "SELECT * FROM partners WHERE email = ? AND password_hash IS NOT NULL AND status <> 'inativo' AND deleted_at IS NULL",
+    [String(email).trim()]
+  );
+
+  for (const partner of candidates || []) {
+    if (await bcrypt.compare(password, partner.password_hash)) {
+      await db.updateRecord('partners', { last_login_at: new Date() }, partner.id);
+      return partner;
+    }
+  }
+
+  return null;
+};
+
+// Visão do parceiro: apenas os próprios cupons, vendas pagas, receita gerada e comissões (sem dados dos clientes)
+const loadPartnerOverview = async partnerId => {
+  const partnerCoupons = await db.executeQuery(
+    'SELECT * FROM coupons WHERE partner_id = ? AND deleted_at IS NULL ORDER BY created_at DESC',
+    [partnerId]
+  );
+  const couponIds = partnerCoupons.map(coupon => coupon.id);
+
+  const sales = couponIds.length
+    ? await db.executeQuery(
+      `SELECT r.coupon_id, COUNT(DISTINCT p.id) AS sales, COALESCE(SUM(p.amount_paid_cents), 0) AS revenue_cents
+        FROM coupon_redemptions r
+        JOIN purchases p ON p.session_id = r.session_id
+        WHERE r.coupon_id IN (?) AND r.status = ? AND p.payment_status = 'paid'
+        GROUP BY r.coupon_id`,
+      [couponIds, coupons.REDEMPTION_STATUS.REDEEMED]
+    )
+    : [];
+  const salesByCoupon = sales.reduce((accumulator, row) => {
+    accumulator[row.coupon_id] = { sales: Number(row.sales) || 0, revenueCents: Number(row.revenue_cents) || 0 };
+    return accumulator;
+  }, {});
+
+  const commissionTotals = await db.executeQuery(
+    'SELECT status, COALESCE(SUM(commission_cents), 0) AS total_cents FROM partner_commissions WHERE partner_id = ? GROUP BY status',
+    [partnerId]
+  );
+  const totalsByStatus = commissionTotals.reduce((accumulator, row) => {
+    accumulator[row.status] = Number(row.total_cents) || 0;
+    return accumulator;
+  }, {});
+
+  const commissionEntries = await db.executeQuery(
+    `SELECT pc.id, pc.entry_type, pc.sale_amount_cents, pc.commission_cents, pc.status, pc.earned_at, c.code AS coupon_code
+      FROM partner_commissions pc
+      LEFT JOIN coupons c ON c.id = pc.coupon_id
+      WHERE pc.partner_id = ?
+      ORDER BY pc.earned_at DESC
+      LIMIT 20`,
+    [partnerId]
+  );
+  const payouts = await db.executeQuery(
+    'SELECT * FROM partner_payouts WHERE partner_id = ? AND paid_at IS NOT NULL ORDER BY paid_at DESC LIMIT 10',
+    [partnerId]
+  );
+  const couponRequests = await db.executeQuery(
+    'SELECT * FROM coupon_requests WHERE partner_id = ? ORDER BY created_at DESC LIMIT 10',
+    [partnerId]
+  );
+
+  const couponStats = partnerCoupons.map(coupon => ({
+    ...coupon,
+    sales: (salesByCoupon[coupon.id] || {}).sales || 0,
+    revenueCents: (salesByCoupon[coupon.id] || {}).revenueCents || 0
+  }));
+
+  return {
+    coupons: couponStats,
+    commissionEntries,
+    payouts,
+    couponRequests,
+    summary: {
+      sales: couponStats.reduce((total, coupon) => total + coupon.sales, 0),
+      revenueCents: couponStats.reduce((total, coupon) => total + coupon.revenueCents, 0),
+      pendingCents: totalsByStatus.pending || 0,
+      paidCents: totalsByStatus.paid || 0
+    }
+  };
+};
+
+// Reaproveita a validação de código e desconto do cadastro de cupons do dashboard
+const parseCouponRequestForm = body => {
+  const parsed = coupons.parseCouponForm({
+    code: body.code,
+    discountType: body.discountType,
+    discountValue: body.discountValue
+  });
+
+  if (parsed.error) {
+    return parsed;
+  }
+
+  const notes = typeof body.notes === 'string' ? body.notes.trim() : '';
+  if (notes.length > MAX_REQUEST_NOTES_LENGTH) {
+    return { error: `Use no máximo ${MAX_REQUEST_NOTES_LENGTH} caracteres nas observações.` };
+  }
+
+  return {
+    data: {
+      code: parsed.data.code,
+      discount_type: parsed.data.discount_type,
+      discount_value: parsed.data.discount_value,
+      notes: notes || null
+    }
+  };
+};
+
+const createCouponRequest = async (partner, data, context = {}) => {
+  const [pending] = await db.executeQuery(
+    'SELECT COUNT(*) AS total FROM coupon_requests WHERE partner_id = ? AND status = ?',
+    [partner.id, REQUEST_STATUS.PENDING]
+  );
+
+  if (pending && Number(pending.total) >= MAX_PENDING_REQUESTS) {
+    return { error: `Você já tem ${MAX_PENDING_REQUESTS} pedidos aguardando análise.` };
+  }
+
+  if (await db.getRecord('coupons', { code: data.code })) {
+    return { error: 'Já existe um cupom com este código. Escolha outro.' };
+  }
+
+  const request = await db.createRecord('coupon_requests', {
+    ...data,
+    partner_id: partner.id,
+    status: REQUEST_STATUS.PENDING
+  });
+
+  logger.info('Pedido de cupom enviado pelo parceiro.', { ...context, partnerId: partner.id, requestId: request.id, code: data.code });
+  return { data: request };
+};
+
+// Aprovação: o pedido é reservado com atualização condicional e vira um cupom ativo vinculado ao parceiro
+const approveCouponRequest = async (requestId, adminId, context = {}) => {
+  const request = await db.getRecord('coupon_requests', { id: requestId });
+
+  if (!request || request.status !== REQUEST_STATUS.PENDING) {
+    return { error: 'Pedido de cupom não encontrado ou já analisado.' };
+  }
+
+  const claim = await db.updateRecords('coupon_requests', {
+    status: REQUEST_STATUS.APPROVED,
+    reviewed_by: adminId || null,
+    reviewed_at: new Date()
+  }, { id: request.id, status: REQUEST_STATUS.PENDING });
+
+  if (!claim || claim.affectedRows === 0) {
+    return { error: 'Pedido de cupom não encontrado ou já analisado.' };
+  }
+
+  let coupon;
+  try {
+    coupon = await db.createRecord('coupons', {
+      code: request.code,
+      description: `Pedido do parceiro #${request.id}`,
+      discount_type: request.discount_type,
+      discount_value: request.discount_value,
+      partner_id: request.partner_id,
+      active: 1,
+      used_count: 0
+    });
+  } catch (error) {
+    await db.updateRecords('coupon_requests', { status: REQUEST_STATUS.PENDING, reviewed_by: null, reviewed_at: null }, { id: request.id });
+
+    if (error.code === 'ER_DUP_ENTRY') {
+      return { error: 'Já existe um cupom com este código; recuse o pedido ou peça outro código ao parceiro.' };
+    }
+    throw error;
+  }
+
+  await db.updateRecord('coupon_requests', { coupon_id: coupon.id }, request.id);
+  logger.info('Pedido de cupom aprovado.', { ...context, requestId: request.id, couponId: coupon.id, partnerId: request.partner_id });
+  return { data: coupon };
+};
+
+const rejectCouponRequest = async (requestId, adminId, reviewNotes, context = {}) => {
+  const update = await db.updateRecords('coupon_requests', {
+    status: REQUEST_STATUS.REJECTED,
+    reviewed_by: adminId || null,
+    reviewed_at: new Date(),
+    review_notes: typeof reviewNotes === 'string' && reviewNotes.trim() ? reviewNotes.trim().slice(0, MAX_REQUEST_NOTES_LENGTH) : null
+  }, { id: requestId, status: REQUEST_STATUS.PENDING });
+
+  if (!update || update.affectedRows === 0) {
+    return { error: 'Pedido de cupom não encontrado ou já analisado.' };
+  }
+
+  logger.info('Pedido de cupom recusado.', { ...context, requestId });
+  return { data: true };
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_HOURS,
+  MIN_PASSWORD_LENGTH,
+  REQUEST_STATUS,
+  hashAccessToken,
+  isPartnerActive,
+  issueAccessToken,
+  findPartnerByAccessToken,
+  setPartnerPassword,
+  authenticatePartner,
+  loadPartnerOverview,
+  parseCouponRequestForm,
+  createCouponRequest,
+  approveCouponRequest,
+  rejectCouponRequest
+};
@@ -0,0 +1,396 @@
+const commissions = require('./commissions');
+const coupons = require('./coupons');
+const db = require('./db');
+const logger = require('./logger');
+const plans = require('./plans');
+const reports = require('./reports');
+
+const PAYMENT_STATUS = {
+  PENDING: 'pending',
+  AWAITING_PAYMENT: 'awaiting_payment',
+  PAID: 'paid',
+  FAILED: 'failed',
+  EXPIRED: 'expired',
+  REFUNDED: 'refunded',
+  DISPUTED: 'disputed'
+};
+
+// Transições permitidas para cada situação de pagamento
+const ALLOWED_TRANSITIONS = {
+  [PAYMENT_STATUS.PENDING]: [PAYMENT_STATUS.AWAITING_PAYMENT, PAYMENT_STATUS.PAID, PAYMENT_STATUS.FAILED, PAYMENT_STATUS.EXPIRED],
+  [PAYMENT_STATUS.AWAITING_PAYMENT]: [PAYMENT_STATUS.PAID, PAYMENT_STATUS.FAILED, PAYMENT_STATUS.EXPIRED],
+  // Boletos podem ser compensados depois de vencidos, então o pagamento ainda é aceito
+  [PAYMENT_STATUS.FAILED]: [PAYMENT_STATUS.PAID],
+  [PAYMENT_STATUS.EXPIRED]: [PAYMENT_STATUS.PAID],
+  [PAYMENT_STATUS.PAID]: [PAYMENT_STATUS.REFUNDED, PAYMENT_STATUS.DISPUTED],
+  // Contestação vencida devolve a compra; perdida, ela continua fora do ar
+  [PAYMENT_STATUS.DISPUTED]: [PAYMENT_STATUS.PAID, PAYMENT_STATUS.REFUNDED],
+  [PAYMENT_STATUS.REFUNDED]: []
+};
+
+const BOLETO_EXPIRES_AFTER_DAYS = 5;
+const BOLETO_GRACE_DAYS = Number(process.env.BOLETO_GRACE_DAYS) || 3;
+const DAY_IN_MS = 1000 * 60 * 60 * 24;
+
+const toDateOnly = (value = new Date()) => value.toISOString().slice(0, 10);
+
+const canTransition = (fromStatus, toStatus) => {
+  const allowed = ALLOWED_TRANSITIONS[fromStatus || PAYMENT_STATUS.PENDING] || [];
+  return allowed.includes(toStatus);
+};
+
+// Aplica a transição com atualização condicional para que eventos duplicados ou concorrentes não se sobreponham
+const transitionPurchase = async (purchase, toStatus, data = {}, context = {}) => {
+  const fromStatus = purchase.payment_status || PAYMENT_STATUS.PENDING;
+
+  if (!canTransition(fromStatus, toStatus)) {
+    logger.info('Transição de pagamento ignorada.', {
+      ...context,
+      purchaseId: purchase.id,
+      fromStatus,
+      toStatus
+    });
+    return false;
+  }
+
+  const update = await db.updateRecords('purchases', { ...data, payment_status: toStatus }, {
+    id: purchase.id,
+    payment_status: fromStatus
+  });
+
+  if (!update || update.affectedRows === 0) {
+    logger.info('Compra alterada por outro processamento concorrente.', { ...context, purchaseId: purchase.id, toStatus });
+    return false;
+  }
+
+  logger.info('Situação do pagamento atualizada.', { ...context, purchaseId: purchase.id, fromStatus, toStatus });
+  return true;
+};
+
+const findPurchaseBySession = async (session, context) => {
+  const purchase = await db.getRecord('purchases', { session_id: session.id });
+
+  if (!purchase) {
+    logger.warn('Compra não encontrada para a sessão do Stripe.', { ...context, sessionId: session.id });
+  }
+
+  return purchase;
+};
+
+// Confirma a compra vinculada à sessão do Stripe e registra os efeitos financeiros uma única vez
+const fulfillCheckoutSession = async (session, context = {}) => {
+  const purchase = await findPurchaseBySession(session, context);
+
+  if (!purchase) {
+    return { fulfilled: false, reason: 'not_found' };
+  }
+
+  if (purchase.payment_status === PAYMENT_STATUS.PAID) {
+    logger.info('Compra já confirmada anteriormente.', { ...context, purchaseId: purchase.id });
+    return { fulfilled: false, reason: 'already_paid', purchase };
+  }
+
+  const paidAt = new Date();
+  const amountTotal = Number(session.amount_total) || 0;
+  const planName = plans.getPurchasePlanName(purchase);
+
+  // A compra só fica paga junto com o lançamento, o cupom e a comissão: se algo falhar, a transação é desfeita
+  // e a nova tentativa do webhook encontra a compra pendente e refaz tudo
+  const transitioned = await db.withTransaction(async () => {
+    const changed = await transitionPurchase(purchase, PAYMENT_STATUS.PAID, {
+      paid_at: paidAt,
+      expires_at: plans.computeExpiration(paidAt, purchase.plan_duration_months),
+      amount_paid_cents: session.amount_total,
+      payment_intent_id: session.payment_intent || null,
+      payment_method: purchase.payment_method || 'card',
+      coupon_id: Number.parseInt((session.metadata || {}).couponId, 10) || null
+    }, context);
+
+    if (!changed) {
+      return false;
+    }
+
+    await db.createRecord('financial_transactions', {
+      transaction_type: 'entrada',
+      amount: amountTotal / 100,
+      description: `Venda QRLove - plano ${planName} - ${purchase.couple_name}`,
+      reference: session.id,
+      category: reports.TRANSACTION_CATEGORY.SALE,
+      purchase_id: purchase.id,
+      occurred_at: toDateOnly()
+    });
+
+    await coupons.confirmSessionRedemptions(session, { ...context, purchaseId: purchase.id });
+    await commissions.recordPurchaseCommissions(session, purchase, amountTotal, context);
+    return true;
+  });
+
+  if (!transitioned) {
+    return { fulfilled: false, reason: 'already_paid', purchase };
+  }
+
+  logger.info('Compra confirmada com sucesso.', {
+    ...context,
+    purchaseId: purchase.id,
+    sessionId: session.id,
+    amountTotal
+  });
+
+  return { fulfilled: true, purchase: { ...purchase, payment_status: PAYMENT_STATUS.PAID } };
+};
+
+// Registra o boleto emitido quando o checkout é concluído sem pagamento imediato
+const registerDelayedPayment = async (session, boletoDetails = {}, context = {}) => {
+  const purchase = await findPurchaseBySession(session, context);
+
+  if (!purchase) {
+    return false;
+  }
+
+  const expiresAt = boletoDetails.expires_at
+    ? new Date(boletoDetails.expires_at * 1000)
+    : new Date(Date.now() + BOLETO_EXPIRES_AFTER_DAYS * DAY_IN_MS);
+
+  return transitionPurchase(purchase, PAYMENT_STATUS.AWAITING_PAYMENT, {
+    payment_method: 'boleto',
+    payment_intent_id: session.payment_intent || null,
+    boleto_url: boletoDetails.hosted_voucher_url || null,
+    boleto_expires_at: expiresAt
+  }, context);
+};
+
+// Sessões que não viram pagamento devolvem os cupons reservados no checkout
+const closeUnpaidSession = async (session, toStatus, context) => {
+  const purchase = await findPurchaseBySession(session, context);
+  const transitioned = purchase ? await transitionPurchase(purchase, toStatus, {}, context) : false;
+
+  if (!purchase || transitioned) {
+    await coupons.releaseSessionReservations(session.id, { ...context, sessionId: session.id });
+  }
+
+  return transitioned;
+};
+
+const markCheckoutSessionFailed = (session, context = {}) => closeUnpaidSession(session, PAYMENT_STATUS.FAILED, context);
+
+const markCheckoutSessionExpired = (session, context = {}) => closeUnpaidSession(session, PAYMENT_STATUS.EXPIRED, context);
+
+const findPurchaseByPaymentIntent = async (paymentIntentId, context) => {
+  const purchase = paymentIntentId
+    ? await db.getRecord('purchases', { payment_intent_id: paymentIntentId })
+    : null;
+
+  if (!purchase) {
+    logger.warn('Compra não encontrada para o pagamento do Stripe.', { ...context, paymentIntentId });
+  }
+
+  return purchase;
+};
+
+const describePurchase = purchase => `plano ${plans.getPurchasePlanName(purchase)} - ${purchase.couple_name}`;
+
+// Registra o valor reembolsado (charge.refunded traz o total acumulado) e, no reembolso total, desfaz a compra
+const handleChargeRefunded = async (charge, context = {}) => {
+  const purchase = await findPurchaseByPaymentIntent(charge.payment_intent, context);
+
+  if (!purchase) {
+    return { handled: false, reason: 'not_found' };
+  }
+
+  const previousCents = Number(purchase.refunded_amount_cents) || 0;
+  const refundedTotalCents = Number(charge.amount_refunded) || 0;
+  const refundedNowCents = refundedTotalCents - previousCents;
+
+  if (refundedNowCents <= 0) {
+    logger.info('Reembolso já registrado anteriormente.', { ...context, purchaseId: purchase.id, chargeId: charge.id });
+    return { handled: false, reason: 'already_refunded', purchase };
+  }
+
+  const now = new Date();
+  const fullRefund = charge.refunded === true || refundedTotalCents >= Number(charge.amount);
+  const latestRefund = charge.refunds && charge.refunds.data && charge.refunds.data[0];
+
+  // A atualização condicional garante que cada valor reembolsado seja lançado uma única vez; os efeitos
+  // ficam na mesma transação para que uma falha no meio não marque o valor como lançado
+  const recorded = await db.withTransaction(async () => {
+    const update = await db.updateRecords('purchases', {
+      refunded_amount_cents: refundedTotalCents,
+      refunded_at: now
+    }, {
+      id: purchase.id,
+      refunded_amount_cents: previousCents
+    });
+
+    if (!update || update.affectedRows === 0) {
+      return false;
+    }
+
+    await db.createRecord('financial_transactions', {
+      transaction_type: 'saida',
+      amount: refundedNowCents / 100,
+      description: `Reembolso ${fullRefund ? 'total' : 'parcial'} QRLove - ${describePurchase(purchase)}`,
+      reference: latestRefund ? latestRefund.id : charge.id,
+      category: reports.TRANSACTION_CATEGORY.REFUND,
+      purchase_id: purchase.id,
+      occurred_at: toDateOnly(now)
+    });
+
+    if (fullRefund) {
+      await transitionPurchase(purchase, PAYMENT_STATUS.REFUNDED, {}, context);
+      await coupons.releasePurchaseRedemptions(purchase, context);
+      await commissions.reversePurchaseCommissions(purchase, context);
+    }
+
+    return true;
+  });
+
+  if (!recorded) {
+    logger.info('Reembolso registrado por outro processamento concorrente.', { ...context, purchaseId: purchase.id });
+    return { handled: false, reason: 'already_refunded', purchase };
+  }
+
+  logger.info('Reembolso registrado.', {
+    ...context,
+    purchaseId: purchase.id,
+    chargeId: charge.id,
+    refundedNowCents,
+    fullRefund
+  });
+
+  return { handled: true, fullRefund, purchase };
+};
+
+// O Stripe retira o valor contestado assim que a contestação é aberta; a página sai do ar até o desfecho
+const handleDisputeCreated = async (dispute, context = {}) => {
+  const purchase = await findPurchaseByPaymentIntent(dispute.payment_intent, context);
+
+  if (!purchase) {
+    return { handled: false, reason: 'not_found' };
+  }
+
+  const now = new Date();
+  const transitioned = await db.withTransaction(async () => {
+    const changed = await transitionPurchase(purchase, PAYMENT_STATUS.DISPUTED, { disputed_at: now }, context);
+
+    if (changed) {
+      await db.createRecord('financial_transactions', {
+        transaction_type: 'saida',
+        amount: (Number(dispute.amount) || 0) / 100,
+        description: `Contestação QRLove - ${describePurchase(purchase)}`,
+        reference: dispute.id,
+        category: reports.TRANSACTION_CATEGORY.DISPUTE,
+        purchase_id: purchase.id,
+        occurred_at: toDateOnly(now)
+      });
+    }
+
+    return changed;
+  });
+
+  if (!transitioned) {
+    return { handled: false, reason: 'invalid_status', purchase };
+  }
+
+  logger.warn('Compra contestada pelo cliente.', { ...context, purchaseId: purchase.id, disputeId: dispute.id, reason: dispute.reason });
+  return { handled: true, purchase };
+};
+
+// Contestação vencida: o valor volta para a conta e a página é liberada novamente
+const handleDisputeClosed = async (dispute, context = {}) => {
+  if (dispute.status !== 'won') {
+    logger.warn('Contestação encerrada sem reversão.', { ...context, disputeId: dispute.id, status: dispute.status });
+    return { handled: false, reason: 'not_won' };
+  }
+
+  const purchase = await findPurchaseByPaymentIntent(dispute.payment_intent, context);
+
+  if (!purchase) {
+    return { handled: false, reason: 'not_found' };
+  }
+
+  const transitioned = await db.withTransaction(async () => {
+    const changed = await transitionPurchase(purchase, PAYMENT_STATUS.PAID, {}, context);
+
+    if (changed) {
+      await db.createRecord('financial_transactions', {
+        transaction_type: 'entrada',
+        amount: (Number(dispute.amount) || 0) / 100,
+        description: `Contestação revertida QRLove - ${describePurchase(purchase)}`,
+        reference: dispute.id,
+        category: reports.TRANSACTION_CATEGORY.DISPUTE,
+        purchase_id: purchase.id,
+        occurred_at: toDateOnly()
+      });
+    }
+
+    return changed;
+  });
+
+  if (!transitioned) {
+    return { handled: false, reason: 'invalid_status', purchase };
+  }
+
+  return { handled: true, purchase };
+};
+
+// Valor do reembolso pedido no dashboard, em centavos; vazio reembolsa todo o saldo ainda não devolvido
+const parseRefundAmount = (value, purchase) => {
+  const refundableCents = (Number(purchase.amount_paid_cents) || 0) - (Number(purchase.refunded_amount_cents) || 0);
+
+  if (refundableCents <= 0) {
+    return { error: 'Esta compra não tem saldo a reembolsar.' };
+  }
+
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return { data: refundableCents };
+  }
+
+  const amount = Number(String(value).replace(',', '.'));
+  const amountCents = Math.round(amount * 100);
+
+  if (!Number.isFinite(amount) || amountCents <= 0 || amountCents > refundableCents) {
+    return { error: `Informe um valor entre 0,01 e ${(refundableCents / 100).toFixed(2).replace('.', ',')}.` };
+  }
+
+  return { data: amountCents };
+};
+
+// Expira boletos não pagos após o vencimento somado ao prazo de compensação bancária
+const expireOverdueBoletos = async (now = new Date()) => {
+  const limit = new Date(now.getTime() - BOLETO_GRACE_DAYS * DAY_IN_MS);
+  const results = await db.executeQuery(
+    'UPDATE purchases SET payment_status = ? WHERE payment_status = ? AND boleto_expires_at IS NOT NULL AND boleto_expires_at < ?',
+    [PAYMENT_STATUS.EXPIRED, PAYMENT_STATUS.AWAITING_PAYMENT, limit]
+  );
+
+  const expired = results && results.affectedRows ? results.affectedRows : 0;
+  if (expired > 0) {
+    logger.info('Boletos vencidos expirados.', { expired });
+    await coupons.releaseAbandonedReservations();
+  }
+
+  return expired;
+};
+
+const isPurchasePaid = purchase => Boolean(purchase) && purchase.payment_status === PAYMENT_STATUS.PAID;
+
+// Compras reembolsadas ou contestadas têm a página pública desativada
+const isPurchaseReversed = purchase => Boolean(purchase)
+  && [PAYMENT_STATUS.REFUNDED, PAYMENT_STATUS.DISPUTED].includes(purchase.payment_status);
+
+module.exports = {
+  PAYMENT_STATUS,
+  BOLETO_EXPIRES_AFTER_DAYS,
+  canTransition,
+  fulfillCheckoutSession,
+  registerDelayedPayment,
+  markCheckoutSessionFailed,
+  markCheckoutSessionExpired,
+  handleChargeRefunded,
+  handleDisputeCreated,
+  handleDisputeClosed,
+  parseRefundAmount,
+  expireOverdueBoletos,
+  isPurchasePaid,
+  isPurchaseReversed
+};
@@ -0,0 +1,177 @@
+const db = require('./db');
+
+// Recursos que podem ser habilitados por plano e exibidos nos cards da página inicial
+const PLAN_FEATURES = [
+  { key: 'printKit', icon: '🎁', label: 'Kit de arquivos em alta resolução' },
+  { key: 'celebrationPage', icon: '💌', label: 'Página comemorativa exclusiva' },
+  { key: 'premiumLayout', icon: '🕯️', label: 'Layout premium inspirado em presentes de luxo' }
+];
+
+const SUPPORTED_CURRENCIES = ['brl', 'usd', 'eur'];
+
+// Teto de fotos por página, aplicado também ao upload para limitar o tamanho das requisições
+const MAX_PHOTOS_LIMIT = 20;
+
+// Colunas JSON podem chegar como objeto (mysql2) ou texto, dependendo do driver/servidor
+const parseFeatures = value => {
+  if (!value) {
+    return {};
+  }
+
+  if (typeof value === 'object') {
+    return value;
+  }
+
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const normalizePlan = plan => (plan ? { ...plan, features: parseFeatures(plan.features) } : null);
+
+const formatPrice = (cents, currency = 'brl') => (Number(cents || 0) / 100).toLocaleString('pt-BR', {
+  style: 'currency',
+  currency: currency.toUpperCase()
+});
+
+const formatDuration = durationMonths => {
+  if (!durationMonths) {
+    return 'Vitalício';
+  }
+
+  if (durationMonths % 12 === 0) {
+    const years = durationMonths / 12;
+    return years === 1 ? '1 ano' : `${years} anos`;
+  }
+
+  return durationMonths === 1 ? '1 mês' : `${durationMonths} meses`;
+};
+
+const loadActivePlans = async () => {
+  const plans = await db.queryRecords('plans', 'WHERE active = 1 AND deleted_at IS NULL ORDER BY sort_order ASC, price_cents ASC');
+  return plans.map(normalizePlan);
+};
+
+const loadAllPlans = async () => {
+  const plans = await db.queryRecords('plans', 'WHERE deleted_at IS NULL ORDER BY sort_order ASC, price_cents ASC');
+  return plans.map(normalizePlan);
+};
+
+const getActivePlan = async planId => {
+  const id = Number.parseInt(planId, 10);
+
+  if (Number.isNaN(id)) {
+    return null;
+  }
+
+  const plan = await db.getRecord('plans', { id, active: 1 });
+  return plan && !plan.deleted_at ? normalizePlan(plan) : null;
+};
+
+// Quantidade de fotos permitida por um plano ou pela compra (que guarda o limite contratado)
+const getMaxPhotos = planOrPurchase => {
+  const limit = Number(planOrPurchase.plan_max_photos || planOrPurchase.max_photos) || 1;
+  return Math.min(Math.max(limit, 1), MAX_PHOTOS_LIMIT);
+};
+
+// Condições do plano copiadas para a compra, preservando o que foi vendido mesmo após edições no catálogo
+const buildPurchaseSnapshot = plan => ({
+  plan_id: plan.id,
+  plan_name: plan.name,
+  plan_price_cents: plan.price_cents,
+  plan_currency: plan.currency,
+  plan_duration_months: plan.duration_months || null,
+  plan_features: JSON.stringify(plan.features || {}),
+  plan_max_photos: getMaxPhotos(plan)
+});
+
+// Soma meses mantendo o último dia do mês quando o destino é mais curto (31/01 + 1 mês = último dia de fevereiro)
+const addMonths = (date, months) => {
+  const result = new Date(date.getTime());
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDayOfMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDayOfMonth));
+  return result;
+};
+
+// Data de expiração a partir do início do período; planos vitalícios não expiram
+const computeExpiration = (startDate, durationMonths) => {
+  if (!durationMonths) {
+    return null;
+  }
+
+  return addMonths(startDate, Number(durationMonths));
+};
+
+const getPurchasePlanName = purchase => purchase.plan_name || `Plano ${purchase.plan_id}`;
+
+// Valida os campos do formulário de planos do dashboard
+const parsePlanForm = body => {
+  const { name, description, price, currency, durationMonths, maxPhotos, sortOrder, active } = body;
+
+  if (!name || !name.trim()) {
+    return { error: 'Informe o nome do plano.' };
+  }
+
+  const parsedPrice = Number.parseFloat(price);
+  if (Number.isNaN(parsedPrice) || parsedPrice <= 0) {
+    return { error: 'Informe um preço válido para o plano.' };
+  }
+
+  const normalizedCurrency = typeof currency === 'string' ? currency.trim().toLowerCase() : 'brl';
+  if (!SUPPORTED_CURRENCIES.includes(normalizedCurrency)) {
+    return { error: 'Moeda não suportada.' };
+  }
+
+  const parsedDuration = durationMonths ? Number.parseInt(durationMonths, 10) : null;
+  if (parsedDuration !== null && (Number.isNaN(parsedDuration) || parsedDuration <= 0)) {
+    return { error: 'Duração inválida. Deixe em branco para planos vitalícios.' };
+  }
+
+  const parsedMaxPhotos = maxPhotos ? Number.parseInt(maxPhotos, 10) : 1;
+  if (Number.isNaN(parsedMaxPhotos) || parsedMaxPhotos < 1 || parsedMaxPhotos > MAX_PHOTOS_LIMIT) {
+    return { error: `Informe um limite de fotos entre 1 e ${MAX_PHOTOS_LIMIT}.` };
+  }
+
+  const features = PLAN_FEATURES.reduce((accumulator, feature) => {
+    accumulator[feature.key] = body[`feature_${feature.key}`] === 'on';
+    return accumulator;
+  }, {});
+
+  return {
+    data: {
+      name: name.trim(),
+      description: description ? description.trim() : null,
+      price_cents: Math.round(parsedPrice * 100),
+      currency: normalizedCurrency,
+      duration_months: parsedDuration,
+      max_photos: parsedMaxPhotos,
+      features: JSON.stringify(features),
+      sort_order: Number.parseInt(sortOrder, 10) || 0,
+      active: active === 'on' ? 1 : 0
+    }
+  };
+};
+
+module.exports = {
+  PLAN_FEATURES,
+  SUPPORTED_CURRENCIES,
+  MAX_PHOTOS_LIMIT,
+  parseFeatures,
+  formatPrice,
+  formatDuration,
+  loadActivePlans,
+  loadAllPlans,
+  getActivePlan,
+  getMaxPhotos,
+  buildPurchaseSnapshot,
+  addMonths,
+  computeExpiration,
+  getPurchasePlanName,
+  parsePlanForm
+};
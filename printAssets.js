@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const sharp = require('sharp');
+const imageProcessing = require('./imageProcessing');
+const qrStyles = require('./qrStyles');
+const storage = require('./storage');
+
+// Arquivos para impressão ficam no armazenamento privado e só são entregues por links assinados
+const PRINT_ASSETS_PREFIX = 'print';
+const DOWNLOAD_LINK_TTL_MS = (Number(process.env.DOWNLOAD_LINK_TTL_HOURS) || 24) * 1000 * 60 * 60;
+const PRINT_DPI = 300;
+const SOCIAL_SIZE = 1080;
+const MM_PER_INCH = 25.4;
+const POINTS_PER_INCH = 72;
+
+const CARD_FORMATS = {
+  a5: { widthMm: 148, heightMm: 210 },
+  a6: { widthMm: 105, heightMm: 148 }
+};
+
+const PRINT_ASSETS = {
+  'qrcode.svg': { contentType: 'image/svg+xml', label: 'QR Code vetorial (SVG)' },
+  'cartao-a5.pdf': { contentType: 'application/pdf', label: 'Cartão A5 para impressão (PDF, 300 DPI)', card: 'a5' },
+  'cartao-a6.pdf': { contentType: 'application/pdf', label: 'Cartão A6 para impressão (PDF, 300 DPI)', card: 'a6' },
+  'quadrado.jpg': { contentType: 'image/jpeg', label: 'Imagem quadrada para redes sociais' }
+};
+
+const mmToPixels = mm => Math.round((mm / MM_PER_INCH) * PRINT_DPI);
+const mmToPoints = mm => Number(((mm / MM_PER_INCH) * POINTS_PER_INCH).toFixed(2));
+
+const getAssetKey = (purchase, asset) => `${PRINT_ASSETS_PREFIX}/${purchase.id}/${asset}`;
+
+const formatStartDate = value => {
+  if (!value) {
+    return '';
+  }
+
+  if (typeof value === 'string') {
+    const [year, month, day] = value.slice(0, 10).split('-');
+    return `${day}/${month}/${year}`;
+  }
+
+  const pad = number => String(number).padStart(2, '0');
+  return `${pad(value.getDate())}/${pad(value.getMonth() + 1)}/${value.getFullYear()}`;
+};
+
+// PDF de uma página com a arte em JPEG ocupando a folha inteira (o sharp não grava PDF)
+const buildImagePdf = (jpeg, { widthPx, heightPx, widthPt, heightPt }) => {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${widthPt} ${heightPt}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`,
+    Buffer.concat([
+      Buffer.from(`<< /Type /XObject /Subtype /Image /Width ${widthPx} /Height ${heightPx} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`),
+      jpeg,
+      Buffer.from('\nendstream')
+    ])
+  ];
+  const content = `q ${widthPt} 0 0 ${heightPt} 0 0 cm /Im0 Do Q`;
+  objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  const offsets = [];
+  let length = chunks[0].length;
+
+  objects.forEach((object, index) => {
+    const chunk = Buffer.concat([
+      Buffer.from(`${index + 1} 0 obj\n`),
+      Buffer.isBuffer(object) ? object : Buffer.from(object),
+      Buffer.from('\nendobj\n')
+    ]);
+    offsets.push(length);
+    chunks.push(chunk);
+    length += chunk.length;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF'
+  ].join('\n');
+  chunks.push(Buffer.from(`${xref}\n`));
+
+  return Buffer.concat(chunks);
+};
+
+// Cartão em retrato: foto no topo, nomes, data de início e o QR Code da página, tudo a 300 DPI
+const renderCard = async (format, cover, purchase, pageUrl, style) => {
+  const { widthMm, heightMm } = CARD_FORMATS[format];
+  const width = mmToPixels(widthMm);
+  const height = mmToPixels(heightMm);
+  const unit = width / 100;
+  const margin = Math.round(6 * unit);
+  const palette = qrStyles.QR_PALETTES[style.palette] || qrStyles.QR_PALETTES.rosa;
+
+  const photoWidth = width - margin * 2;
+  const photoHeight = Math.round(height * 0.5);
+  const photoRadius = Math.round(3 * unit);
+  const photo = await sharp(cover)
+    .rotate()
+    .resize(photoWidth, photoHeight, { fit: 'cover', position: sharp.strategy.attention })
+    .composite([{
+      input: Buffer.from(`<svg width="${photoWidth}" height="${photoHeight}"><rect width="${photoWidth}" height="${photoHeight}" rx="${photoRadius}" /></svg>`),
+      blend: 'dest-in'
+    }])
+    .png()
+    .toBuffer();
+
+  const name = purchase.display_name || purchase.couple_name || '';
+  const nameSize = Math.round(Math.min(7 * unit, photoWidth / Math.max(name.length * 0.5, 1)));
+  const nameY = margin + photoHeight + Math.round(10 * unit);
+  const startDate = formatStartDate(purchase.start_date);
+  const dateY = nameY + Math.round(6 * unit);
+  const qrSize = Math.round(26 * unit);
+  const qrTop = dateY + Math.round(4 * unit);
+  const qrLeft = Math.round((width - qrSize) / 2);
+  const caption = style.caption || 'Escaneie e veja a nossa história';
+  const captionY = qrTop + qrSize + Math.round(5 * unit);
+
+  const background = Buffer.from(
+    `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+      <rect width="${width}" height="${height}" fill="#fffaf7" />
+      <rect x="${qrLeft - unit}" y="${qrTop - unit}" width="${qrSize + unit * 2}" height="${qrSize + unit * 2}" rx="${2 * unit}" fill="#ffffff" stroke="${palette.to}" stroke-width="${unit / 3}" />
+      <text x="${width / 2}" y="${nameY}" text-anchor="middle" font-family="Georgia, 'DejaVu Serif', serif" font-size="${nameSize}" fill="${palette.dark}">${imageProcessing.escapeXml(name)}</text>
+      ${startDate ? `<text x="${width / 2}" y="${dateY}" text-anchor="middle" font-family="sans-serif" font-size="${Math.round(3.6 * unit)}" fill="#6c5c5c">Juntos desde ${startDate}</text>` : ''}
+      <text x="${width / 2}" y="${captionY}" text-anchor="middle" font-family="sans-serif" font-weight="700" font-size="${Math.round(3 * unit)}" fill="${palette.dark}">${imageProcessing.escapeXml(caption)}</text>
+    </svg>`
+  );
+
+  const qrCode = await QRCode.toBuffer(pageUrl, {
+    width: qrSize,
+    margin: 1,
+    errorCorrectionLevel: 'M',
+    color: { dark: palette.dark, light: '#ffffff' }
+  });
+
+  const jpeg = await sharp(background)
+    .composite([
+      { input: photo, top: margin, left: margin },
+      { input: await sharp(qrCode).resize(qrSize, qrSize, { kernel: 'nearest' }).toBuffer(), top: qrTop, left: qrLeft }
+    ])
+    .flatten({ background: '#ffffff' })
+    .toColourspace('srgb')
+    .jpeg({ quality: 92 })
+    .withMetadata({ density: PRINT_DPI })
+    .toBuffer();
+
+  return buildImagePdf(jpeg, {
+    widthPx: width,
+    heightPx: height,
+    widthPt: mmToPoints(widthMm),
+    heightPt: mmToPoints(heightMm)
+  });
+};
+
+// Recorte quadrado da capa (priorizando a região de maior interesse) com o QR Code no estilo da compra
+const renderSocialImage = async (cover, pageUrl, style) => {
+  const square = await sharp(cover)
+    .rotate()
+    .resize(SOCIAL_SIZE, SOCIAL_SIZE, { fit: 'cover', position: sharp.strategy.attention })
+    .toBuffer();
+  const pipeline = await imageProcessing.composeQrImage(square, pageUrl, style);
+
+  return pipeline.jpeg({ quality: 90 }).toBuffer();
+};
+
+const renderQrSvg = (pageUrl, style) => {
+  const palette = qrStyles.QR_PALETTES[style.palette] || qrStyles.QR_PALETTES.rosa;
+  return QRCode.toString(pageUrl, {
+    type: 'svg',
+    margin: 2,
+    errorCorrectionLevel: 'M',
+    color: { dark: palette.dark, light: '#ffffff' }
+  });
+};
+
+// Gera todos os arquivos para impressão da compra a partir da capa atual (chave no armazenamento de mídia)
+const generatePrintAssets = async (purchase, coverKey, pageUrl, style = qrStyles.DEFAULT_QR_STYLE) => {
+  const cover = await storage.media.get(coverKey);
+  const files = {
+    'qrcode.svg': await renderQrSvg(pageUrl, style),
+    'cartao-a5.pdf': await renderCard('a5', cover, purchase, pageUrl, style),
+    'cartao-a6.pdf': await renderCard('a6', cover, purchase, pageUrl, style),
+    'quadrado.jpg': await renderSocialImage(cover, pageUrl, style)
+  };
+
+  for (const [asset, content] of Object.entries(files)) {
+    await storage.privateFiles.put(getAssetKey(purchase, asset), content, { contentType: PRINT_ASSETS[asset].contentType });
+  }
+
+  return Object.keys(files);
+};
+
+// Arquivos já gerados para a compra; compras anteriores a este recurso podem não ter nenhum
+const listAvailableAssets = async purchase => {
+  const available = [];
+
+  for (const asset of Object.keys(PRINT_ASSETS)) {
+    if (await storage.privateFiles.exists(getAssetKey(purchase, asset))) {
+      available.push(asset);
+    }
+  }
+
+  return available;
+};
+
+const readAsset = (purchase, asset) => storage.privateFiles.get(getAssetKey(purchase, asset));
+
+// URL temporária do próprio armazenamento (S3); no disco local é null e a aplicação entrega o conteúdo
+const getAssetSignedUrl = (purchase, asset, downloadName) => storage.privateFiles.getSignedUrl(
+  getAssetKey(purchase, asset),
+  60 * 5,
+  { downloadName }
+);
+
+// Assinatura do link de download com o token do dono: sem ele não é possível forjar links válidos
+const signDownload = (purchase, asset, expires) => crypto
+  .createHmac('sha256', purchase.owner_token || '')
+  .update(`${purchase.id}:${asset}:${expires}`)
+  .digest('hex');
+
+const buildDownloadQuery = (purchase, asset, now = Date.now()) => {
+  const expires = now + DOWNLOAD_LINK_TTL_MS;
+  return `expires=${expires}&signature=${signDownload(purchase, asset, expires)}`;
+};
+
+const verifyDownload = (purchase, asset, { expires, signature } = {}, now = Date.now()) => {
+  const expiresAt = Number(expires);
+
+  if (!purchase.owner_token || !Number.isFinite(expiresAt) || expiresAt < now || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(signDownload(purchase, asset, expiresAt));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = {
+  PRINT_ASSETS_PREFIX,
+  PRINT_ASSETS,
+  CARD_FORMATS,
+  mmToPixels,
+  buildImagePdf,
+  generatePrintAssets,
+  getAssetKey,
+  listAvailableAssets,
+  readAsset,
+  getAssetSignedUrl,
+  buildDownloadQuery,
+  verifyDownload
+};
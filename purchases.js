@@ -0,0 +1,185 @@
+const db = require('./db');
+const logger = require('./logger');
+const audit = require('./audit');
+const gallery = require('./gallery');
+const imageJobs = require('./imageJobs');
+const payments = require('./payments');
+const slugs = require('./slugs');
+
+const PURCHASES_PAGE_SIZE = 25;
+
+const PAYMENT_STATUS_LABELS = {
+  [payments.PAYMENT_STATUS.PENDING]: 'checkout iniciado',
+  [payments.PAYMENT_STATUS.AWAITING_PAYMENT]: 'aguardando boleto',
+  [payments.PAYMENT_STATUS.PAID]: 'pago',
+  [payments.PAYMENT_STATUS.FAILED]: 'falhou',
+  [payments.PAYMENT_STATUS.EXPIRED]: 'expirado',
+  [payments.PAYMENT_STATUS.REFUNDED]: 'reembolsado',
+  [payments.PAYMENT_STATUS.DISPUTED]: 'contestado'
+};
+
+const isPublished = purchase => !purchase.unpublished_at;
+
+const escapeLike = value => value.replace(/[\\%_]/g, character => `\\${character}`);
+
+// A busca aceita o nome do casal, a hash (ou a URL da página/sucesso), o ID da sessão do Stripe,
+// o e-mail do comprador ou o código de um cupom usado na compra
+const buildSearchConditions = search => {
+  const term = typeof search === 'string' ? search.trim() : '';
+
+  if (!term) {
+    return { conditions: [], params: [] };
+  }
+
+  const lastSegment = term.split(/[/?#]/).filter(Boolean).pop() || term;
+  const { hash } = slugs.parsePageKey(lastSegment);
+
+  return {
+    conditions: [`(p.couple_name LIKE ? OR p.display_name LIKE ? OR p.unique_hash = ? OR p.session_id = ? OR p.customer_email = ?
+      OR EXISTS (SELECT 1 FROM coupon_redemptions r JOIN coupons c ON c.id = r.coupon_id WHERE r.session_id = p.session_id AND c.code = ?))`],
+    params: [`%${escapeLike(term)}%`, `%${escapeLike(term)}%`, hash, term, term.toLowerCase(), term.toUpperCase()]
+  };
+};
+
+// Lista paginada para o dashboard, das compras mais recentes para as mais antigas
+const searchPurchases = async ({ search, status, page } = {}) => {
+  const { conditions, params } = buildSearchConditions(search);
+
+  if (PAYMENT_STATUS_LABELS[status]) {
+    conditions.push('p.payment_status = ?');
+    params.push(status);
+  }
+
+  const where = conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '';
+  const [{ total }] = await db.executeQuery(`SELECT COUNT(*) AS total FROM purchases p${where}`, params);
+  const pageCount = Math.max(1, Math.ceil(Number(total) / PURCHASES_PAGE_SIZE));
+  const currentPage = Math.min(Math.max(Number.parseInt(page, 10) || 1, 1), pageCount);
+
+  const rows = await db.executeQuery(
+    `SELECT p.* FROM purchases p${where} ORDER BY p.created_at DESC, p.id DESC LIMIT ${PURCHASES_PAGE_SIZE} OFFSET ?`,
+    [...params, (currentPage - 1) * PURCHASES_PAGE_SIZE]
+  );
+
+  return { purchases: rows, total: Number(total), page: currentPage, pageCount };
+};
+
+// Valores em dinheiro da compra e dos cupons usados; só admins com a permissão finance os recebem
+const PAYMENT_AMOUNT_FIELDS = ['plan_price_cents', 'amount_paid_cents', 'refunded_amount_cents', 'discount_cents'];
+
+const omitPaymentAmounts = record => {
+  const copy = { ...record };
+  PAYMENT_AMOUNT_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+};
+
+// Tudo o que o suporte precisa ver de uma compra: fotos, imagem com QR Code e cupons usados
+const loadPurchaseDetail = async purchaseId => {
+  const purchase = await db.getRecord('purchases', { id: purchaseId });
+
+  if (!purchase) {
+    return null;
+  }
+
+  const [images, qrImage, couponRedemptions] = await Promise.all([
+    gallery.loadPurchaseImages(purchase.id),
+    db.getRecord('imagesEdit', { purchase_id: purchase.id }),
+    purchase.session_id
+      ? db.executeQuery(
+        `SELECT r.*, c.code FROM coupon_redemptions r
+          JOIN coupons c ON c.id = r.coupon_id
+          WHERE r.session_id = ?
+          ORDER BY r.id ASC`,
+        [purchase.session_id]
+      )
+      : []
+  ]);
+
+  return { purchase, images, qrImage, couponRedemptions };
+};
+
+// Link do pagamento no painel do Stripe; chaves de teste apontam para o modo de teste
+const buildStripeDashboardUrl = (purchase, secretKey = process.env.STRIPE_SECRET_KEY) => {
+  if (!purchase.payment_intent_id) {
+    return null;
+  }
+
+  const testMode = typeof secretKey === 'string' && secretKey.startsWith('sk_test_');
+  return `https://dashboard.stripe.com/${testMode ? 'test/' : ''}payments/${purchase.payment_intent_id}`;
+};
+
+// Links enviados ao cliente após a compra; o de gerenciamento dá acesso à edição e não deve ser exposto
+const buildPurchaseLinks = (purchase, baseUrl = process.env.BASE_URL) => ({
+  pageUrl: `${baseUrl}${slugs.buildPagePath(purchase)}`,
+  successUrl: `${baseUrl}${slugs.buildSuccessPath(purchase)}`,
+  manageUrl: purchase.owner_token ? `${baseUrl}/manage/${purchase.owner_token}` : null
+});
+
+// Tira a página do ar ou a devolve; a atualização condicional evita registrar a mesma mudança duas vezes
+const setPublished = async (context, purchase, published) => {
+  const unpublishedAt = published ? null : new Date();
+  const update = await db.executeQuery(
+    published
+      ? 'UPDATE purchases SET unpublished_at = NULL, unpublished_by = NULL WHERE id = ? AND unpublished_at IS NOT NULL'
+      : 'UPDATE purchases SET unpublished_at = ?, unpublished_by = ? WHERE id = ? AND unpublished_at IS NULL',
+    published ? [purchase.id] : [unpublishedAt, context.adminId, purchase.id]
+  );
+
+  if (!update || update.affectedRows === 0) {
+    return { error: published ? 'A página já está no ar.' : 'A página já está fora do ar.' };
+  }
+
+  await audit.recordAudit(context, {
+    action: published ? 'republish' : 'unpublish',
+    entityType: 'purchase',
+    entityId: purchase.id,
+    before: { unpublished_at: purchase.unpublished_at || null },
+    after: { unpublished_at: unpublishedAt }
+  });
+  logger.info(published ? 'Página recolocada no ar pelo dashboard.' : 'Página tirada do ar pelo dashboard.', {
+    purchaseId: purchase.id,
+    adminId: context.adminId
+  });
+
+  return { data: { ...purchase, unpublished_at: unpublishedAt } };
+};
+
+// Agenda de novo a imagem com QR Code (e os arquivos para impressão) a partir da capa atual
+const regenerateQrImage = async (context, purchase) => {
+  if (!payments.isPurchasePaid(purchase)) {
+    return { error: 'Somente compras pagas têm a imagem com QR Code.' };
+  }
+
+  if ([imageJobs.IMAGE_STATUS.QUEUED, imageJobs.IMAGE_STATUS.PROCESSING].includes(purchase.image_status)) {
+    return { error: 'A imagem com QR Code já está sendo gerada.' };
+  }
+
+  const images = await gallery.loadPurchaseImages(purchase.id);
+
+  if (!gallery.getCoverImage(images)) {
+    return { error: 'A compra não tem fotos para gerar a imagem com QR Code.' };
+  }
+
+  await imageJobs.enqueueQrImage(purchase.id);
+  await audit.recordAudit(context, {
+    action: 'regenerate_qr',
+    entityType: 'purchase',
+    entityId: purchase.id,
+    before: { image_status: purchase.image_status || null },
+    after: { image_status: imageJobs.IMAGE_STATUS.QUEUED }
+  });
+
+  return { data: true };
+};
+
+module.exports = {
+  PURCHASES_PAGE_SIZE,
+  PAYMENT_STATUS_LABELS,
+  isPublished,
+  omitPaymentAmounts,
+  searchPurchases,
+  loadPurchaseDetail,
+  buildStripeDashboardUrl,
+  buildPurchaseLinks,
+  setPublished,
+  regenerateQrImage
+};
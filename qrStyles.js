@@ -0,0 +1,135 @@
+// Opções de estilo do QR Code aplicado sobre a foto, escolhidas no checkout e guardadas na compra
+const QR_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'custom'];
+
+const QR_PALETTES = {
+  rosa: { label: 'Rosa', dark: '#ff3366', from: '#ffe3ec', to: '#ffc1d9' },
+  vinho: { label: 'Vinho', dark: '#7a1f3d', from: '#fbe9ee', to: '#f1c7d3' },
+  noite: { label: 'Noite', dark: '#1f2a44', from: '#e8edf7', to: '#c9d4ea' },
+  dourado: { label: 'Dourado', dark: '#8a5a00', from: '#fff6e0', to: '#f3dca6' },
+  classico: { label: 'Clássico', dark: '#111111', from: '#ffffff', to: '#ffffff' }
+};
+
+const QR_CENTER_ICONS = ['none', 'heart', 'logo'];
+
+// Tamanho do QR Code em porcentagem do menor lado da foto
+const QR_SIZE_MIN = 12;
+const QR_SIZE_MAX = 35;
+const QR_CAPTION_MAX_LENGTH = 40;
+
+const DEFAULT_QR_STYLE = {
+  position: 'bottom-left',
+  x: 0,
+  y: 100,
+  size: 20,
+  palette: 'rosa',
+  center: 'none',
+  caption: ''
+};
+
+const parsePercent = value => {
+  const parsed = Number.parseFloat(value);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+// Valida os campos qrPosition, qrX, qrY, qrSize, qrPalette, qrCenter e qrCaption do formulário
+const parseQrStyleForm = (body = {}) => {
+  const position = body.qrPosition || DEFAULT_QR_STYLE.position;
+  if (!QR_POSITIONS.includes(position)) {
+    return { error: 'Posição do QR Code inválida.' };
+  }
+
+  let x = DEFAULT_QR_STYLE.x;
+  let y = DEFAULT_QR_STYLE.y;
+  if (position === 'custom') {
+    x = parsePercent(body.qrX);
+    y = parsePercent(body.qrY);
+    if (x === null || y === null || x < 0 || x > 100 || y < 0 || y > 100) {
+      return { error: 'Informe a posição do QR Code entre 0% e 100%.' };
+    }
+  }
+
+  const size = body.qrSize ? Number.parseInt(body.qrSize, 10) : DEFAULT_QR_STYLE.size;
+  if (Number.isNaN(size) || size < QR_SIZE_MIN || size > QR_SIZE_MAX) {
+    return { error: `O tamanho do QR Code deve ficar entre ${QR_SIZE_MIN}% e ${QR_SIZE_MAX}% da foto.` };
+  }
+
+  const palette = body.qrPalette || DEFAULT_QR_STYLE.palette;
+  if (!QR_PALETTES[palette]) {
+    return { error: 'Paleta de cores inválida.' };
+  }
+
+  const center = body.qrCenter || DEFAULT_QR_STYLE.center;
+  if (!QR_CENTER_ICONS.includes(center)) {
+    return { error: 'Ícone central inválido.' };
+  }
+
+  const caption = typeof body.qrCaption === 'string' ? body.qrCaption.trim() : '';
+  if (caption.length > QR_CAPTION_MAX_LENGTH) {
+    return { error: `A legenda do QR Code pode ter até ${QR_CAPTION_MAX_LENGTH} caracteres.` };
+  }
+
+  return { data: { position, x, y, size, palette, center, caption } };
+};
+
+// Estilo guardado na compra (JSON); compras antigas ou valores inválidos usam o estilo padrão
+const normalizeQrStyle = value => {
+  let stored = value;
+
+  if (typeof stored === 'string') {
+    try {
+      stored = JSON.parse(stored);
+    } catch (error) {
+      stored = null;
+    }
+  }
+
+  if (!stored || typeof stored !== 'object') {
+    return { ...DEFAULT_QR_STYLE };
+  }
+
+  const parsed = parseQrStyleForm({
+    qrPosition: stored.position,
+    qrX: stored.x,
+    qrY: stored.y,
+    qrSize: stored.size,
+    qrPalette: stored.palette,
+    qrCenter: stored.center,
+    qrCaption: stored.caption
+  });
+
+  return parsed.error ? { ...DEFAULT_QR_STYLE } : parsed.data;
+};
+
+// Posição (em pixels) do cartão do QR Code na foto; os cantos mantêm uma margem proporcional
+const computeQrPlacement = (style, image, card) => {
+  const margin = Math.max(Math.round(Math.min(image.width, image.height) * 0.04), 16);
+  const maxLeft = Math.max(image.width - card.width, 0);
+  const maxTop = Math.max(image.height - card.height, 0);
+  const clamp = (value, max) => Math.min(Math.max(Math.round(value), 0), max);
+
+  if (style.position === 'custom') {
+    return {
+      left: clamp((style.x / 100) * maxLeft, maxLeft),
+      top: clamp((style.y / 100) * maxTop, maxTop)
+    };
+  }
+
+  const [vertical, horizontal] = style.position.split('-');
+  return {
+    left: clamp(horizontal === 'left' ? margin : maxLeft - margin, maxLeft),
+    top: clamp(vertical === 'top' ? margin : maxTop - margin, maxTop)
+  };
+};
+
+module.exports = {
+  QR_POSITIONS,
+  QR_PALETTES,
+  QR_CENTER_ICONS,
+  QR_SIZE_MIN,
+  QR_SIZE_MAX,
+  QR_CAPTION_MAX_LENGTH,
+  DEFAULT_QR_STYLE,
+  parseQrStyleForm,
+  normalizeQrStyle,
+  computeQrPlacement
+};
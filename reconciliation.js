@@ -0,0 +1,426 @@
+const Stripe = require('stripe');
+const db = require('./db');
+const logger = require('./logger');
+const audit = require('./audit');
+const payments = require('./payments');
+const plans = require('./plans');
+const renewals = require('./renewals');
+const reports = require('./reports');
+
+const STRIPE_PAGE_SIZE = 100;
+const DEFAULT_PERIOD_DAYS = 30;
+// Cada conciliação lista tudo do período na API do Stripe; períodos maiores ficam para várias execuções
+const MAX_PERIOD_DAYS = 92;
+const DAY_MS = 1000 * 60 * 60 * 24;
+// Boletos são pagos dias depois da criação da sessão de checkout
+const SESSION_LOOKBACK_DAYS = payments.BOLETO_EXPIRES_AFTER_DAYS + 1;
+const STRIPE_FEE_REFERENCE_PREFIX = 'stripe_fee:';
+
+const DIFFERENCE_TYPE = {
+  AMOUNT: 'amount',
+  UNMATCHED: 'unmatched',
+  PAYOUT: 'payout',
+  UNSUPPORTED: 'unsupported'
+};
+
+const DIFFERENCE_LABELS = {
+  [DIFFERENCE_TYPE.AMOUNT]: 'Valor diferente do lançado',
+  [DIFFERENCE_TYPE.UNMATCHED]: 'Sem compra correspondente',
+  [DIFFERENCE_TYPE.PAYOUT]: 'Transferência com problema',
+  [DIFFERENCE_TYPE.UNSUPPORTED]: 'Movimentação não conciliada'
+};
+
+// Movimentações de saldo que só levam dinheiro do Stripe para o banco; não são receita nem despesa
+const TRANSFER_CATEGORIES = ['payout', 'payout_reversal', 'payout_failure', 'payout_cancel', 'transfer'];
+const SALE_CATEGORIES = ['charge', 'payment'];
+const REFUND_CATEGORIES = ['refund', 'payment_refund'];
+// Cobranças do próprio Stripe fora das vendas (ex.: mensalidades, taxas de contestação avulsas)
+const FEE_CATEGORIES = ['fee', 'stripe_fee'];
+
+const createStripeClient = (secretKey = process.env.STRIPE_SECRET_KEY) => Stripe(secretKey);
+
+const toDateOnly = (value = new Date()) => value.toISOString().slice(0, 10);
+
+const toCents = amount => Math.round((Number(amount) || 0) * 100);
+
+const objectId = value => (value && typeof value === 'object' ? value.id : value) || null;
+
+// Período AAAA-MM-DD inclusivo (padrão: últimos 30 dias), limitado a MAX_PERIOD_DAYS a partir do fim
+const resolvePeriod = (query = {}, now = new Date()) => {
+  let end = reports.isValidDate(query.fim) ? query.fim : toDateOnly(now);
+  let start = reports.isValidDate(query.inicio)
+    ? query.inicio
+    : toDateOnly(new Date(Date.parse(`${end}T00:00:00Z`) - (DEFAULT_PERIOD_DAYS - 1) * DAY_MS));
+
+  if (start > end) {
+    [start, end] = [end, start];
+  }
+
+  const earliest = toDateOnly(new Date(Date.parse(`${end}T00:00:00Z`) - (MAX_PERIOD_DAYS - 1) * DAY_MS));
+  return { start: start < earliest ? earliest : start, end };
+};
+
+// Intervalo em segundos Unix (UTC, como o occurred_at dos lançamentos automáticos) para os filtros da API
+const toUnixRange = period => ({
+  gte: Math.floor(Date.parse(`${period.start}T00:00:00Z`) / 1000),
+  lt: Math.floor(Date.parse(`${period.end}T00:00:00Z`) / 1000) + DAY_MS / 1000
+});
+
+// Percorre todas as páginas de uma listagem do Stripe
+const listAll = async (resource, params) => {
+  const items = [];
+  let startingAfter = null;
+
+  do {
+    const page = await resource.list({
+      ...params,
+      limit: STRIPE_PAGE_SIZE,
+      ...(startingAfter ? { starting_after: startingAfter } : {})
+    });
+    const data = (page && page.data) || [];
+
+    items.push(...data);
+    startingAfter = page && page.has_more && data.length ? data[data.length - 1].id : null;
+  } while (startingAfter);
+
+  return items;
+};
+
+const fetchStripeActivity = async (stripe, period) => {
+  const range = toUnixRange(period);
+
+  const [balanceTransactions, payouts, sessions] = await Promise.all([
+    listAll(stripe.balanceTransactions, { created: range, expand: ['data.source'] }),
+    listAll(stripe.payouts, { arrival_date: range }),
+    listAll(stripe.checkout.sessions, { created: { gte: range.gte - SESSION_LOOKBACK_DAYS * DAY_MS / 1000, lt: range.lt } })
+  ]);
+
+  return { balanceTransactions, payouts, sessions };
+};
+
+// Compras envolvidas, pela sessão de checkout, pelo pagamento ou pelo purchaseId da metadata das renovações
+const loadPurchases = async ({ sessionIds, paymentIntentIds, purchaseIds }) => {
+  const conditions = [];
+  const params = [];
+
+  [['session_id', sessionIds], ['payment_intent_id', paymentIntentIds], ['id', purchaseIds]].forEach(([column, values]) => {
+    if (values.length) {
+      conditions.push(`${column} IN (?)`);
+      params.push(values);
+    }
+  });
+
+  if (!conditions.length) {
+    return [];
+  }
+
+  return db.executeQuery(`SELECT * FROM purchases WHERE ${conditions.join(' OR ')}`, params);
+};
+
+const loadLedgerByReference = async references => {
+  if (!references.length) {
+    return new Map();
+  }
+
+  const rows = await db.executeQuery(
+    'SELECT id, reference, transaction_type, amount FROM financial_transactions WHERE deleted_at IS NULL AND reference IN (?)',
+    [references]
+  );
+
+  return new Map(rows.map(row => [`${row.transaction_type}|${row.reference}`, row]));
+};
+
+const describePurchase = purchase => (purchase ? `compra #${purchase.id} - ${purchase.couple_name}` : 'sem compra');
+
+// Lançamento esperado para cada movimentação de saldo; as taxas do Stripe entram como saídas próprias
+const buildExpectations = (balanceTransaction, match) => {
+  const { source, purchase, session, renewal } = match;
+  const reportingCategory = balanceTransaction.reporting_category || balanceTransaction.type;
+  const occurredAt = toDateOnly(new Date(balanceTransaction.created * 1000));
+  const amountCents = Math.abs(Number(balanceTransaction.amount) || 0);
+  const feeCents = Number(balanceTransaction.fee) || 0;
+  const purchaseId = purchase ? purchase.id : null;
+  const expectations = [];
+
+  const addExpectation = (transactionType, category, reference, cents, description) => {
+    expectations.push({
+      key: `${transactionType}|${reference}`,
+      stripeId: balanceTransaction.id,
+      transaction_type: transactionType,
+      category,
+      reference,
+      amount: cents / 100,
+      description,
+      purchase_id: purchaseId,
+      occurred_at: occurredAt,
+      matched: Boolean(purchase)
+    });
+  };
+
+  if (SALE_CATEGORIES.includes(reportingCategory)) {
+    const reference = (session && session.id) || (purchase && purchase.session_id) || objectId(source);
+    const planName = purchase ? plans.getPurchasePlanName(purchase) : '';
+    const description = renewal
+      ? `Renovação QRLove - plano ${planName} - ${purchase ? purchase.couple_name : ''} (conciliação Stripe)`
+      : `Venda QRLove - plano ${planName} - ${purchase ? purchase.couple_name : ''} (conciliação Stripe)`;
+    addExpectation('entrada', renewal ? reports.TRANSACTION_CATEGORY.RENEWAL : reports.TRANSACTION_CATEGORY.SALE, reference, amountCents, description);
+  } else if (REFUND_CATEGORIES.includes(reportingCategory)) {
+    addExpectation('saida', reports.TRANSACTION_CATEGORY.REFUND, objectId(source), amountCents, `Reembolso QRLove - ${describePurchase(purchase)} (conciliação Stripe)`);
+  } else if (reportingCategory === 'dispute') {
+    addExpectation('saida', reports.TRANSACTION_CATEGORY.DISPUTE, objectId(source), amountCents, `Contestação QRLove - ${describePurchase(purchase)} (conciliação Stripe)`);
+  } else if (reportingCategory === 'dispute_reversal') {
+    addExpectation('entrada', reports.TRANSACTION_CATEGORY.DISPUTE, objectId(source), amountCents, `Contestação revertida QRLove - ${describePurchase(purchase)} (conciliação Stripe)`);
+  } else if (FEE_CATEGORIES.includes(reportingCategory)) {
+    addExpectation(
+      Number(balanceTransaction.amount) > 0 ? 'entrada' : 'saida',
+      reports.TRANSACTION_CATEGORY.STRIPE_FEE,
+      `${STRIPE_FEE_REFERENCE_PREFIX}${balanceTransaction.id}`,
+      amountCents,
+      `Taxa do Stripe - ${balanceTransaction.description || balanceTransaction.id}`
+    );
+    return expectations;
+  } else {
+    return expectations;
+  }
+
+  if (feeCents !== 0) {
+    addExpectation(
+      feeCents > 0 ? 'saida' : 'entrada',
+      reports.TRANSACTION_CATEGORY.STRIPE_FEE,
+      `${STRIPE_FEE_REFERENCE_PREFIX}${balanceTransaction.id}`,
+      Math.abs(feeCents),
+      `Taxa do Stripe - ${describePurchase(purchase)}`
+    );
+  }
+
+  return expectations;
+};
+
+// Confronta o saldo do Stripe no período com os lançamentos: o que falta vira proposta e o que diverge é sinalizado
+const reconcile = async (stripe, period) => {
+  const { balanceTransactions, payouts, sessions } = await fetchStripeActivity(stripe, period);
+  const sessionsByPaymentIntent = new Map(sessions
+    .filter(session => session.payment_intent)
+    .map(session => [objectId(session.payment_intent), session]));
+
+  const movements = balanceTransactions.map(balanceTransaction => {
+    const source = balanceTransaction.source;
+    const paymentIntentId = source && typeof source === 'object' ? objectId(source.payment_intent) : null;
+    const session = paymentIntentId ? sessionsByPaymentIntent.get(paymentIntentId) || null : null;
+    const metadata = (session && session.metadata) || {};
+
+    return {
+      balanceTransaction,
+      source,
+      paymentIntentId,
+      session,
+      renewal: metadata.type === renewals.RENEWAL_SESSION_TYPE,
+      renewalPurchaseId: Number.parseInt(metadata.purchaseId, 10) || null
+    };
+  });
+
+  const purchases = await loadPurchases({
+    sessionIds: [...new Set(movements.filter(movement => movement.session && !movement.renewal).map(movement => movement.session.id))],
+    paymentIntentIds: [...new Set(movements.map(movement => movement.paymentIntentId).filter(Boolean))],
+    purchaseIds: [...new Set(movements.map(movement => movement.renewalPurchaseId).filter(Boolean))]
+  });
+
+  const findPurchase = movement => {
+    if (movement.renewal) {
+      return purchases.find(purchase => purchase.id === movement.renewalPurchaseId) || null;
+    }
+
+    return purchases.find(purchase => (movement.session && purchase.session_id === movement.session.id)
+      || (movement.paymentIntentId && purchase.payment_intent_id === movement.paymentIntentId)) || null;
+  };
+
+  const expectations = [];
+  const differences = [];
+  // Somas em centavos, convertidas para reais só no resumo final
+  const totals = { gross: 0, fees: 0, net: 0, payouts: 0 };
+
+  movements.forEach(movement => {
+    const { balanceTransaction } = movement;
+    const reportingCategory = balanceTransaction.reporting_category || balanceTransaction.type;
+
+    if (TRANSFER_CATEGORIES.includes(reportingCategory)) {
+      return;
+    }
+
+    totals.net += Number(balanceTransaction.net) || 0;
+    if (FEE_CATEGORIES.includes(reportingCategory)) {
+      totals.fees -= Number(balanceTransaction.amount) || 0;
+    } else {
+      totals.fees += Number(balanceTransaction.fee) || 0;
+    }
+    if (SALE_CATEGORIES.includes(reportingCategory)) {
+      totals.gross += Number(balanceTransaction.amount) || 0;
+    }
+
+    const expected = buildExpectations(balanceTransaction, { ...movement, purchase: findPurchase(movement) });
+
+    if (!expected.length) {
+      differences.push({
+        type: DIFFERENCE_TYPE.UNSUPPORTED,
+        stripeId: balanceTransaction.id,
+        amount: (Number(balanceTransaction.amount) || 0) / 100,
+        message: `Movimentação "${reportingCategory}" do Stripe sem regra de conciliação: ${balanceTransaction.description || 'sem descrição'}.`
+      });
+    }
+
+    expectations.push(...expected);
+  });
+
+  const ledger = await loadLedgerByReference([...new Set(expectations.map(item => item.reference).filter(Boolean))]);
+  const proposals = [];
+
+  expectations.forEach(item => {
+    const recorded = ledger.get(item.key);
+
+    if (!item.matched && item.category !== reports.TRANSACTION_CATEGORY.STRIPE_FEE) {
+      if (!recorded) {
+        differences.push({
+          type: DIFFERENCE_TYPE.UNMATCHED,
+          stripeId: item.stripeId,
+          amount: item.amount,
+          message: `${reports.CATEGORY_LABELS[item.category]}: ${item.reference} não corresponde a nenhuma compra nem a um lançamento.`
+        });
+      }
+      return;
+    }
+
+    if (!recorded) {
+      const { matched, ...proposal } = item;
+      proposals.push(proposal);
+      return;
+    }
+
+    if (toCents(recorded.amount) !== toCents(item.amount)) {
+      differences.push({
+        type: DIFFERENCE_TYPE.AMOUNT,
+        stripeId: item.stripeId,
+        transactionId: recorded.id,
+        amount: item.amount,
+        recordedAmount: Number(recorded.amount),
+        message: `${reports.CATEGORY_LABELS[item.category]} ${item.reference}: Stripe registra ${item.amount.toFixed(2)}, o lançamento #${recorded.id} tem ${Number(recorded.amount).toFixed(2)}.`
+      });
+    }
+  });
+
+  payouts.forEach(payout => {
+    if (payout.status === 'paid') {
+      totals.payouts += Number(payout.amount) || 0;
+    }
+
+    if (['failed', 'canceled'].includes(payout.status)) {
+      differences.push({
+        type: DIFFERENCE_TYPE.PAYOUT,
+        stripeId: payout.id,
+        amount: (Number(payout.amount) || 0) / 100,
+        message: `Transferência ${payout.id} para o banco ${payout.status === 'failed' ? 'falhou' : 'foi cancelada'}${payout.failure_message ? `: ${payout.failure_message}` : ''}.`
+      });
+    }
+  });
+
+  return {
+    period,
+    summary: {
+      ...Object.fromEntries(Object.entries(totals).map(([name, cents]) => [name, cents / 100])),
+      movements: balanceTransactions.length
+    },
+    proposals,
+    differences,
+    payouts: payouts.map(payout => ({
+      id: payout.id,
+      amount: (Number(payout.amount) || 0) / 100,
+      status: payout.status,
+      arrivalDate: toDateOnly(new Date(payout.arrival_date * 1000))
+    }))
+  };
+};
+
+// Grava as propostas escolhidas (todas, sem seleção) que ainda não foram lançadas, auditando cada uma
+const applyProposals = async (context, proposals, selectedKeys = null) => {
+  const selected = selectedKeys ? proposals.filter(proposal => selectedKeys.includes(proposal.key)) : proposals;
+  const created = [];
+
+  for (const proposal of selected) {
+    const existing = await db.executeQuery(
+      'SELECT id FROM financial_transactions WHERE deleted_at IS NULL AND reference = ? AND transaction_type = ? LIMIT 1',
+      [proposal.reference, proposal.transaction_type]
+    );
+
+    if (existing.length) {
+      continue;
+    }
+
+    const { key, stripeId, ...data } = proposal;
+    const transaction = await db.createRecord('financial_transactions', data);
+    await audit.recordAudit(context, { action: 'reconcile', entityType: 'financial_transaction', entityId: transaction.id, after: transaction });
+    created.push(transaction);
+  }
+
+  logger.info('Conciliação com o Stripe aplicada.', { requestId: context.requestId, adminId: context.adminId, created: created.length });
+  return { data: created };
+};
+
+const USAGE = 'Uso: node reconciliation.js [inicio AAAA-MM-DD] [fim AAAA-MM-DD] [--aplicar]';
+
+const formatAmount = value => value.toFixed(2);
+
+async function runCli(args = process.argv.slice(2), stripe = createStripeClient()) {
+  const apply = args.includes('--aplicar');
+  const dates = args.filter(arg => arg !== '--aplicar');
+
+  try {
+    if (dates.length > 2 || dates.some(date => !reports.isValidDate(date))) {
+      console.error(`Argumentos inválidos. ${USAGE}`);
+      process.exitCode = 1;
+      return null;
+    }
+
+    const period = resolvePeriod({ inicio: dates[0], fim: dates[1] });
+    const result = await reconcile(stripe, period);
+
+    console.info(`Conciliação de ${period.start} a ${period.end}: ${result.summary.movements} movimentações no Stripe.`);
+    console.info(`Bruto ${formatAmount(result.summary.gross)} | taxas ${formatAmount(result.summary.fees)} | líquido ${formatAmount(result.summary.net)} | transferido ao banco ${formatAmount(result.summary.payouts)}`);
+    result.proposals.forEach(proposal => {
+      console.info(`[faltando] ${proposal.occurred_at} ${proposal.transaction_type} ${formatAmount(proposal.amount)} ${proposal.category} ${proposal.reference}`);
+    });
+    result.differences.forEach(difference => {
+      console.info(`[divergência] ${difference.message}`);
+    });
+
+    if (apply && result.proposals.length) {
+      const { data } = await applyProposals({ adminId: null, adminEmail: null, requestId: 'cli', ip: null }, result.proposals);
+      console.info(`${data.length} lançamento(s) registrado(s).`);
+    } else if (result.proposals.length) {
+      console.info('Use --aplicar para registrar os lançamentos faltando.');
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Erro ao conciliar com o Stripe:', error.message);
+    process.exitCode = 1;
+    return null;
+  } finally {
+    // Sem encerrar o pool o processo não termina; uma falha ao encerrar não muda o resultado
+    await db.pool.end().catch(() => null);
+  }
+}
+
+if (require.main === module) {
+  runCli();
+}
+
+module.exports = {
+  DIFFERENCE_TYPE,
+  DIFFERENCE_LABELS,
+  MAX_PERIOD_DAYS,
+  createStripeClient,
+  resolvePeriod,
+  listAll,
+  reconcile,
+  applyProposals,
+  runCli
+};
@@ -0,0 +1,149 @@
+const db = require('./db');
+const logger = require('./logger');
+const plans = require('./plans');
+const reports = require('./reports');
+const { PAYMENT_STATUS } = require('./payments');
+
+const RENEWAL_GRACE_DAYS = Number(process.env.RENEWAL_GRACE_DAYS) || 15;
+const DAY_IN_MS = 1000 * 60 * 60 * 24;
+
+const ACCESS_STATE = {
+  ACTIVE: 'active',
+  GRACE: 'grace',
+  EXPIRED: 'expired'
+};
+
+const RENEWAL_SESSION_TYPE = 'renewal';
+
+const toDateOnly = (value = new Date()) => value.toISOString().slice(0, 10);
+
+// Situação de acesso à página: ativa, em carência (ainda visível, com aviso) ou expirada
+const getAccessState = (purchase, now = new Date()) => {
+  if (!purchase.expires_at) {
+    return { state: ACCESS_STATE.ACTIVE, expiresAt: null, graceEndsAt: null };
+  }
+
+  const expiresAt = new Date(purchase.expires_at);
+  const graceEndsAt = new Date(expiresAt.getTime() + RENEWAL_GRACE_DAYS * DAY_IN_MS);
+
+  if (now <= expiresAt) {
+    return { state: ACCESS_STATE.ACTIVE, expiresAt, graceEndsAt };
+  }
+
+  return {
+    state: now <= graceEndsAt ? ACCESS_STATE.GRACE : ACCESS_STATE.EXPIRED,
+    expiresAt,
+    graceEndsAt
+  };
+};
+
+const isRenewalSession = session => Boolean(session.metadata && session.metadata.type === RENEWAL_SESSION_TYPE);
+
+// Parâmetros da renovação: mesmas condições contratadas na compra original
+const buildRenewalTerms = purchase => ({
+  name: `Renovação ${plans.getPurchasePlanName(purchase)}`,
+  amountCents: purchase.plan_price_cents,
+  currency: purchase.plan_currency || 'brl',
+  durationMonths: purchase.plan_duration_months
+});
+
+const canRenew = purchase => purchase.payment_status === PAYMENT_STATUS.PAID
+  && Boolean(purchase.plan_duration_months)
+  && Number(purchase.plan_price_cents) > 0;
+
+const registerRenewalSession = (purchase, session, terms) => db.createRecord('purchase_renewals', {
+  purchase_id: purchase.id,
+  session_id: session.id,
+  status: 'pending',
+  amount_cents: terms.amountCents,
+  currency: terms.currency,
+  duration_months: terms.durationMonths
+});
+
+// Confirma a renovação e estende a expiração a partir do fim do período atual (ou de hoje, se já expirou)
+const fulfillRenewalSession = async (session, context = {}) => {
+  const renewal = await db.getRecord('purchase_renewals', { session_id: session.id });
+
+  if (!renewal) {
+    logger.warn('Renovação não encontrada para a sessão paga.', { ...context, sessionId: session.id });
+    return { fulfilled: false, reason: 'not_found' };
+  }
+
+  if (renewal.status === 'paid') {
+    return { fulfilled: false, reason: 'already_paid' };
+  }
+
+  // Renovação paga, nova expiração e lançamento na mesma transação: uma falha no meio deixa a renovação
+  // pendente para a nova tentativa do webhook
+  const result = await db.withTransaction(async () => {
+    const purchase = await db.getRecord('purchases', { id: renewal.purchase_id });
+    const now = new Date();
+    const currentExpiration = purchase.expires_at ? new Date(purchase.expires_at) : now;
+    const periodStart = currentExpiration > now ? currentExpiration : now;
+    const periodEnd = plans.computeExpiration(periodStart, renewal.duration_months);
+
+    const update = await db.updateRecords('purchase_renewals', {
+      status: 'paid',
+      paid_at: now,
+      period_start: periodStart,
+      period_end: periodEnd
+    }, {
+      id: renewal.id,
+      status: renewal.status
+    });
+
+    if (!update || update.affectedRows === 0) {
+      return null;
+    }
+
+    await db.updateRecord('purchases', { expires_at: periodEnd }, purchase.id);
+
+    await db.createRecord('financial_transactions', {
+      transaction_type: 'entrada',
+      amount: (Number(session.amount_total) || 0) / 100,
+      description: `Renovação QRLove - plano ${plans.getPurchasePlanName(purchase)} - ${purchase.couple_name}`,
+      reference: session.id,
+      category: reports.TRANSACTION_CATEGORY.RENEWAL,
+      purchase_id: purchase.id,
+      occurred_at: toDateOnly(now)
+    });
+
+    return { purchase, periodEnd };
+  });
+
+  if (!result) {
+    return { fulfilled: false, reason: 'already_paid' };
+  }
+
+  const { purchase, periodEnd } = result;
+
+  logger.info('Renovação confirmada com sucesso.', {
+    ...context,
+    purchaseId: purchase.id,
+    renewalId: renewal.id,
+    expiresAt: periodEnd
+  });
+
+  return { fulfilled: true, expiresAt: periodEnd };
+};
+
+const closeRenewalSession = async (session, status, context = {}) => {
+  const update = await db.updateRecords('purchase_renewals', { status }, { session_id: session.id, status: 'pending' });
+  const updated = Boolean(update && update.affectedRows > 0);
+
+  logger.info('Renovação encerrada sem pagamento.', { ...context, sessionId: session.id, status, updated });
+  return updated;
+};
+
+module.exports = {
+  ACCESS_STATE,
+  RENEWAL_GRACE_DAYS,
+  RENEWAL_SESSION_TYPE,
+  getAccessState,
+  isRenewalSession,
+  buildRenewalTerms,
+  canRenew,
+  registerRenewalSession,
+  fulfillRenewalSession,
+  closeRenewalSession
+};
@@ -0,0 +1,459 @@
+const db = require('./db');
+const logger = require('./logger');
+const audit = require('./audit');
+const csvImport = require('./csvImport');
+
+const TRANSACTION_CATEGORY = {
+  SALE: 'venda',
+  RENEWAL: 'renovacao',
+  REFUND: 'reembolso',
+  DISPUTE: 'contestacao',
+  PAYOUT: 'repasse',
+  STRIPE_FEE: 'taxa_stripe',
+  MARKETING: 'marketing',
+  INFRASTRUCTURE: 'infraestrutura',
+  TAXES: 'impostos',
+  OTHER: 'outros'
+};
+
+const CATEGORY_LABELS = {
+  [TRANSACTION_CATEGORY.SALE]: 'Vendas',
+  [TRANSACTION_CATEGORY.RENEWAL]: 'Renovações',
+  [TRANSACTION_CATEGORY.REFUND]: 'Reembolsos',
+  [TRANSACTION_CATEGORY.DISPUTE]: 'Contestações',
+  [TRANSACTION_CATEGORY.PAYOUT]: 'Repasses a parceiros',
+  [TRANSACTION_CATEGORY.STRIPE_FEE]: 'Taxas do Stripe',
+  [TRANSACTION_CATEGORY.MARKETING]: 'Marketing',
+  [TRANSACTION_CATEGORY.INFRASTRUCTURE]: 'Infraestrutura',
+  [TRANSACTION_CATEGORY.TAXES]: 'Impostos e taxas',
+  [TRANSACTION_CATEGORY.OTHER]: 'Outros'
+};
+
+const GROUPINGS = { mes: 'month', semana: 'week' };
+const DEFAULT_PERIOD_MONTHS = 12;
+const LEDGER_PAGE_LIMIT = 200;
+
+const pad = number => String(number).padStart(2, '0');
+
+const toDateKey = date => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+const isValidDate = value => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && toDateKey(parsed) === value;
+};
+
+// Datas DATE do mysql2 chegam como Date no fuso local
+const toDateString = value => {
+  if (!value) {
+    return null;
+  }
+
+  if (typeof value === 'string') {
+    return value.slice(0, 10);
+  }
+
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+// Filtros da página de relatórios (datas AAAA-MM-DD inclusivas); sem datas válidas, os últimos 12 meses
+const resolveReportFilters = (query = {}, now = new Date()) => {
+  const today = toDateString(now);
+  const defaultStart = new Date(Date.UTC(now.getFullYear(), now.getMonth() - (DEFAULT_PERIOD_MONTHS - 1), 1));
+  let start = isValidDate(query.inicio) ? query.inicio : toDateKey(defaultStart);
+  let end = isValidDate(query.fim) ? query.fim : today;
+
+  if (start > end) {
+    [start, end] = [end, start];
+  }
+
+  return {
+    start,
+    end,
+    category: CATEGORY_LABELS[query.categoria] ? query.categoria : '',
+    type: ['entrada', 'saida'].includes(query.tipo) ? query.tipo : '',
+    grouping: GROUPINGS[query.agrupamento] ? query.agrupamento : 'mes'
+  };
+};
+
+// Lançamentos removidos pelo dashboard nunca entram nos relatórios
+const buildWhere = (filters, alias = '') => {
+  const column = name => `${alias}${name}`;
+  const conditions = [`${column('deleted_at')} IS NULL`, `${column('occurred_at')} BETWEEN ? AND ?`];
+  const params = [filters.start, filters.end];
+
+  if (filters.category) {
+    conditions.push(`${column('category')} = ?`);
+    params.push(filters.category);
+  }
+
+  if (filters.type) {
+    conditions.push(`${column('transaction_type')} = ?`);
+    params.push(filters.type);
+  }
+
+  return { where: `WHERE ${conditions.join(' AND ')}`, params };
+};
+
+const toTotals = rows => {
+  const totals = { revenue: 0, expenses: 0, count: 0 };
+
+  rows.forEach(row => {
+    const amount = Number(row.total) || 0;
+    totals.count += Number(row.count) || 0;
+    if (row.transaction_type === 'entrada') {
+      totals.revenue += amount;
+    } else {
+      totals.expenses += amount;
+    }
+  });
+
+  return { ...totals, balance: totals.revenue - totals.expenses };
+};
+
+// Totais somados no banco; sem filtros, cobrem todo o histórico (indicadores do dashboard)
+const loadTotals = async filters => {
+  const { where, params } = filters
+    ? buildWhere(filters)
+    : { where: 'WHERE deleted_at IS NULL', params: [] };
+
+  const rows = await db.executeQuery(
+    `SELECT transaction_type, SUM(amount) AS total, COUNT(*) AS count FROM financial_transactions ${where} GROUP BY transaction_type`,
+    params
+  );
+
+  return toTotals(rows);
+};
+
+// Segunda-feira da semana da data (semanas de segunda a domingo)
+const startOfWeek = dateKey => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return toDateKey(date);
+};
+
+// Todos os períodos do intervalo, inclusive os sem movimentação, para o gráfico não pular meses ou semanas
+const listPeriods = (start, end, grouping) => {
+  const periods = [];
+
+  if (grouping === 'semana') {
+    const cursor = new Date(`${startOfWeek(start)}T00:00:00Z`);
+    while (toDateKey(cursor) <= end) {
+      periods.push(toDateKey(cursor));
+      cursor.setUTCDate(cursor.getUTCDate() + 7);
+    }
+    return periods;
+  }
+
+  const cursor = new Date(`${start.slice(0, 7)}-01T00:00:00Z`);
+  while (toDateKey(cursor).slice(0, 7) <= end.slice(0, 7)) {
+    periods.push(toDateKey(cursor).slice(0, 7));
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return periods;
+};
+
+const formatPeriodLabel = (period, grouping) => {
+  if (grouping === 'semana') {
+    const [year, month, day] = period.split('-');
+    return `${day}/${month}/${year}`;
+  }
+
+  const [year, month] = period.split('-');
+  return `${month}/${year}`;
+};
+
+const loadPeriodBreakdown = async filters => {
+  const periodExpression = filters.grouping === 'semana'
+    ? "DATE_FORMAT(DATE_SUB(occurred_at, INTERVAL WEEKDAY(occurred_at) DAY), '%Y-%m-%d')"
+    : "DATE_FORMAT(occurred_at, '%Y-%m')";
+  const { where, params } = buildWhere(filters);
+
+  const rows = await db.executeQuery(
+    `SELECT ${periodExpression} AS period, transaction_type, SUM(amount) AS total, COUNT(*) AS count
+      FROM financial_transactions ${where}
+      GROUP BY period, transaction_type`,
+    params
+  );
+
+  return listPeriods(filters.start, filters.end, filters.grouping).map(period => ({
+    period,
+    label: formatPeriodLabel(period, filters.grouping),
+    ...toTotals(rows.filter(row => row.period === period))
+  }));
+};
+
+const loadCategoryBreakdown = async filters => {
+  const { where, params } = buildWhere(filters);
+  const rows = await db.executeQuery(
+    `SELECT category, transaction_type, SUM(amount) AS total, COUNT(*) AS count
+      FROM financial_transactions ${where}
+      GROUP BY category, transaction_type
+      ORDER BY category ASC`,
+    params
+  );
+
+  return [...new Set(rows.map(row => row.category))].map(category => ({
+    category,
+    label: CATEGORY_LABELS[category] || category,
+    ...toTotals(rows.filter(row => row.category === category))
+  }));
+};
+
+// Receita por plano a partir das vendas e renovações, descontados reembolsos e contestações da mesma compra
+const loadRevenueByPlan = async filters => {
+  const { where, params } = buildWhere(filters, 't.');
+  const rows = await db.executeQuery(
+    `SELECT COALESCE(p.plan_name, CONCAT('Plano ', p.plan_id)) AS plan_label,
+        SUM(CASE WHEN t.category = 'venda' THEN 1 ELSE 0 END) AS sales,
+        SUM(CASE WHEN t.transaction_type = 'entrada' THEN t.amount ELSE 0 END) AS revenue,
+        SUM(CASE WHEN t.transaction_type = 'saida' THEN t.amount ELSE 0 END) AS reversals
+      FROM financial_transactions t
+      JOIN purchases p ON p.id = t.purchase_id
+      ${where} AND t.category IN (?)
+      GROUP BY plan_label
+      ORDER BY revenue DESC`,
+    [...params, [TRANSACTION_CATEGORY.SALE, TRANSACTION_CATEGORY.RENEWAL, TRANSACTION_CATEGORY.REFUND, TRANSACTION_CATEGORY.DISPUTE]]
+  );
+
+  return rows.map(row => ({
+    planName: row.plan_label,
+    sales: Number(row.sales) || 0,
+    revenue: Number(row.revenue) || 0,
+    reversals: Number(row.reversals) || 0,
+    net: (Number(row.revenue) || 0) - (Number(row.reversals) || 0)
+  }));
+};
+
+// Vendas por cupom usado no checkout; com cupons combinados, a venda aparece em cada um deles
+const loadRevenueByCoupon = async filters => {
+  if (filters.category && filters.category !== TRANSACTION_CATEGORY.SALE) {
+    return [];
+  }
+
+  const { where, params } = buildWhere({ ...filters, category: TRANSACTION_CATEGORY.SALE }, 't.');
+  const rows = await db.executeQuery(
+    `SELECT c.code AS coupon_code, COUNT(DISTINCT t.id) AS sales, SUM(t.amount) AS revenue,
+        SUM(COALESCE(r.discount_cents, 0)) AS discount_cents
+      FROM financial_transactions t
+      JOIN purchases p ON p.id = t.purchase_id
+      LEFT JOIN coupon_redemptions r ON r.session_id = p.session_id AND r.status = 'redeemed'
+      LEFT JOIN coupons c ON c.id = r.coupon_id
+      ${where}
+      GROUP BY c.code
+      ORDER BY revenue DESC`,
+    params
+  );
+
+  return rows.map(row => ({
+    code: row.coupon_code || null,
+    sales: Number(row.sales) || 0,
+    revenue: Number(row.revenue) || 0,
+    discount: (Number(row.discount_cents) || 0) / 100
+  }));
+};
+
+// Livro-caixa do filtro, do lançamento mais antigo para o mais recente; sem limite, para a exportação
+const loadLedger = async (filters, limit = null) => {
+  const { where, params } = buildWhere(filters);
+  return db.executeQuery(
+    `SELECT * FROM financial_transactions ${where} ORDER BY occurred_at ASC, id ASC${limit ? ` LIMIT ${Number(limit)}` : ''}`,
+    params
+  );
+};
+
+const loadReport = async filters => {
+  const [totals, periods, categories, byPlan, byCoupon] = await Promise.all([
+    loadTotals(filters),
+    loadPeriodBreakdown(filters),
+    loadCategoryBreakdown(filters),
+    loadRevenueByPlan(filters),
+    loadRevenueByCoupon(filters)
+  ]);
+
+  return { totals, periods, categories, byPlan, byCoupon };
+};
+
+// Geometria do gráfico de barras (entradas x saídas por período) desenhado em SVG no servidor
+const buildChart = (periods, { width = 720, height = 220, padding = 24 } = {}) => {
+  const max = Math.max(0, ...periods.map(period => Math.max(period.revenue, period.expenses)));
+  const slot = periods.length ? (width - padding * 2) / periods.length : 0;
+  const barWidth = Math.max(1, Math.min(24, (slot - 4) / 2));
+  const scale = value => (max > 0 ? (value / max) * (height - padding * 2) : 0);
+  const labelEvery = Math.max(1, Math.ceil(periods.length / 12));
+
+  return {
+    width,
+    height,
+    max,
+    baseline: height - padding,
+    bars: periods.flatMap((period, index) => {
+      const x = padding + index * slot + (slot - barWidth * 2) / 2;
+      return [
+        { type: 'entrada', x, width: barWidth, height: scale(period.revenue), value: period.revenue, label: period.label },
+        { type: 'saida', x: x + barWidth, width: barWidth, height: scale(period.expenses), value: period.expenses, label: period.label }
+      ];
+    }),
+    labels: periods
+      .map((period, index) => ({ x: padding + index * slot + slot / 2, text: period.label, index }))
+      .filter(label => label.index % labelEvery === 0)
+  };
+};
+
+// CSV no padrão do Excel em português: ponto e vírgula, vírgula decimal e BOM para manter os acentos
+const CSV_SEPARATOR = ';';
+
+const formatCsvAmount = value => (Number(value) || 0).toFixed(2).replace('.', ',');
+
+const escapeCsvField = value => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+
+  // Textos começando com =, +, - ou @ seriam interpretados como fórmula pela planilha (valores negativos passam)
+  if (/^[=+\-@\t\r]/.test(text) && !/^-\d+(,\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) => {
+  const lines = [
+    columns.map(column => escapeCsvField(column.header)).join(CSV_SEPARATOR),
+    ...rows.map(row => columns.map(column => escapeCsvField(column.value(row))).join(CSV_SEPARATOR))
+  ];
+
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+const buildLedgerCsv = ledger => toCsv([
+  { header: 'Data', value: row => toDateString(row.occurred_at) },
+  { header: 'Tipo', value: row => row.transaction_type },
+  { header: 'Categoria', value: row => CATEGORY_LABELS[row.category] || row.category },
+  { header: 'Valor', value: row => formatCsvAmount(row.amount) },
+  { header: 'Descrição', value: row => row.description },
+  { header: 'Referência', value: row => row.reference },
+  { header: 'Compra', value: row => row.purchase_id },
+  { header: 'Lançamento', value: row => row.id }
+], ledger);
+
+const buildSummaryCsv = periods => toCsv([
+  { header: 'Período', value: row => row.label },
+  { header: 'Entradas', value: row => formatCsvAmount(row.revenue) },
+  { header: 'Saídas', value: row => formatCsvAmount(row.expenses) },
+  { header: 'Saldo', value: row => formatCsvAmount(row.balance) },
+  { header: 'Lançamentos', value: row => row.count }
+], periods);
+
+// Valida os campos do formulário de lançamentos do dashboard; a importação em CSV passa pelas mesmas regras
+const parseTransactionForm = (body, now = new Date()) => {
+  const { transactionType, amount, occurredAt, description, reference, category } = body;
+
+  if (!transactionType || !['entrada', 'saida'].includes(transactionType)) {
+    return { error: 'Tipo de transação inválido.' };
+  }
+
+  const parsedAmount = Number.parseFloat(amount);
+  if (Number.isNaN(parsedAmount) || parsedAmount <= 0) {
+    return { error: 'Informe um valor válido para a transação.' };
+  }
+
+  if (category && !CATEGORY_LABELS[category]) {
+    return { error: 'Categoria inválida.' };
+  }
+
+  if (occurredAt && !isValidDate(occurredAt)) {
+    return { error: 'Data da transação inválida.' };
+  }
+
+  return {
+    data: {
+      transaction_type: transactionType,
+      amount: parsedAmount,
+      description: description || null,
+      reference: reference || null,
+      category: category || TRANSACTION_CATEGORY.OTHER,
+      occurred_at: occurredAt || now.toISOString().slice(0, 10)
+    }
+  };
+};
+
+// Na planilha, a categoria pode vir pela chave ("taxa_stripe") ou pelo nome exibido ("Taxas do Stripe")
+const CATEGORY_BY_NAME = Object.fromEntries(Object.entries(CATEGORY_LABELS).flatMap(([category, label]) => [
+  [csvImport.normalizeHeader(category), category],
+  [csvImport.normalizeHeader(label), category]
+]));
+
+const TRANSACTION_TYPE_BY_NAME = { entrada: 'entrada', entradas: 'entrada', saida: 'saida', saidas: 'saida' };
+
+// Importa lançamentos (colunas data, tipo, valor, categoria, descricao e referencia); qualquer linha inválida cancela a importação
+const importTransactionsCsv = async (context, text) => {
+  const file = csvImport.readCsv(text, { required: ['data', 'tipo', 'valor'] });
+
+  if (file.error) {
+    return file;
+  }
+
+  const errors = [];
+  const records = [];
+
+  file.data.forEach(({ line, values }) => {
+    const category = values.categoria ? CATEGORY_BY_NAME[csvImport.normalizeHeader(values.categoria)] || values.categoria : '';
+    const occurredAt = csvImport.parseDate(values.data);
+    const result = occurredAt
+      ? parseTransactionForm({
+        transactionType: TRANSACTION_TYPE_BY_NAME[csvImport.normalizeHeader(values.tipo)] || values.tipo,
+        amount: csvImport.parseDecimal(values.valor),
+        occurredAt,
+        category,
+        description: values.descricao,
+        reference: values.referencia
+      })
+      : { error: 'Informe a data do lançamento.' };
+
+    if (result.error) {
+      errors.push({ line, message: result.error });
+    } else {
+      records.push(result.data);
+    }
+  });
+
+  if (errors.length) {
+    return { error: `Nenhum lançamento importado. Corrija ${csvImport.describeRowErrors(errors)}`, errors };
+  }
+
+  await db.createRecords('financial_transactions', records);
+  await audit.recordAudit(context, { action: 'import', entityType: 'financial_transaction', after: { rows: records.length } });
+  logger.info('Lançamentos importados por CSV.', { requestId: context.requestId, adminId: context.adminId, rows: records.length });
+
+  return { data: { count: records.length } };
+};
+
+module.exports = {
+  TRANSACTION_CATEGORY,
+  CATEGORY_LABELS,
+  LEDGER_PAGE_LIMIT,
+  isValidDate,
+  resolveReportFilters,
+  loadTotals,
+  loadPeriodBreakdown,
+  loadCategoryBreakdown,
+  loadRevenueByPlan,
+  loadRevenueByCoupon,
+  loadLedger,
+  loadReport,
+  buildChart,
+  toDateString,
+  formatCsvAmount,
+  toCsv,
+  buildLedgerCsv,
+  buildSummaryCsv,
+  parseTransactionForm,
+  importTransactionsCsv
+};
@@ -0,0 +1,56 @@
+const SLUG_MAX_LENGTH = 60;
+const FALLBACK_SLUG = 'qrlove';
+
+// Gera um slug estável para a URL pública: sem acentos, minúsculo, "&" vira "e" e demais símbolos viram hífen
+const slugify = value => {
+  const slug = String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' e ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, SLUG_MAX_LENGTH)
+    .replace(/-+$/g, '');
+
+  return slug || FALLBACK_SLUG;
+};
+
+// Compras criadas antes da coluna slug usam o slug derivado do nome original
+const getPurchaseSlug = purchase => purchase.slug || slugify(purchase.couple_name);
+
+const buildPageKey = purchase => `${getPurchaseSlug(purchase)}-${purchase.unique_hash}`;
+
+// Separa o segmento "slug-hash" da URL. A hash é sempre o trecho após o último hífen,
+// então nomes com hífen (ex.: "Ana-Maria") e URLs antigas com o nome original continuam resolvendo.
+const parsePageKey = pageKey => {
+  const value = String(pageKey || '');
+  const separatorIndex = value.lastIndexOf('-');
+
+  if (separatorIndex === -1) {
+    return { slug: null, hash: value };
+  }
+
+  return {
+    slug: value.slice(0, separatorIndex),
+    hash: value.slice(separatorIndex + 1)
+  };
+};
+
+// Caminhos públicos canônicos da página comemorativa e da página de sucesso
+const buildPagePath = purchase => `/pages/${buildPageKey(purchase)}`;
+
+const buildSuccessPath = purchase => `/success/${buildPageKey(purchase)}`;
+
+const isCanonicalPageKey = (pageKey, purchase) => pageKey === buildPageKey(purchase);
+
+module.exports = {
+  SLUG_MAX_LENGTH,
+  slugify,
+  getPurchaseSlug,
+  buildPageKey,
+  buildPagePath,
+  buildSuccessPath,
+  parsePageKey,
+  isCanonicalPageKey
+};
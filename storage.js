@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Armazenamento de arquivos por chave (ex.: media/abc.jpg, print/12/qrcode.svg).
+// Todo driver expõe put, get, exists, delete, getUrl (URL pública) e getSignedUrl (URL temporária).
+
+// Converte a URL gravada no banco de volta para a chave; URLs relativas antigas (/media/...) continuam aceitas
+const keyFromUrl = (url, baseUrl) => {
+  if (typeof url !== 'string' || !url) {
+    return null;
+  }
+
+  if (baseUrl && url.startsWith(`${baseUrl}/`)) {
+    return url.slice(baseUrl.length + 1);
+  }
+
+  return url.startsWith('/') ? url.slice(1) : null;
+};
+
+// Disco local: arquivos públicos ficam em public/ (servidos pelo express.static) e os privados fora dele
+const createLocalStorage = ({ root, baseUrl = null }) => {
+  const rootDir = path.resolve(root);
+
+  const resolveKey = key => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(`${rootDir}${path.sep}`)) {
+      throw new Error(`Chave de armazenamento inválida: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    driver: 'local',
+
+    async put(key, body) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+      return key;
+    },
+
+    async get(key) {
+      return fs.promises.readFile(resolveKey(key));
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    },
+
+    getUrl(key) {
+      return baseUrl === null ? null : `${baseUrl}/${key}`;
+    },
+
+    // O disco local não emite URLs assinadas; quem chama entrega o conteúdo pela própria aplicação
+    async getSignedUrl() {
+      return null;
+    },
+
+    keyFromUrl: url => keyFromUrl(url, baseUrl)
+  };
+};
+
+// Compatível com S3 (AWS, MinIO, R2...). Objetos públicos dependem de uma política de leitura no bucket
+// para o prefixo media/; os demais só são acessados por URL assinada.
+const createS3Storage = ({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, publicUrl, client }) => {
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand
+  } = require('@aws-sdk/client-s3');
+  const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+  if (!bucket) {
+    throw new Error('Defina S3_BUCKET para usar o armazenamento S3.');
+  }
+
+  const s3 = client || new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: Boolean(forcePathStyle),
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const baseUrl = (publicUrl || (endpoint
+    ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+    : `https://${bucket}.s3.${region || 'us-east-1'}.amazonaws.com`)).replace(/\/$/, '');
+
+  const isNotFound = error => error.name === 'NotFound' || error.name === 'NoSuchKey'
+    || (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+  return {
+    driver: 's3',
+
+    async put(key, body, options = {}) {
+      await s3.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: options.contentType
+      }));
+      return key;
+    },
+
+    async get(key) {
+      const response = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+
+    async exists(key) {
+      try {
+        await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (error) {
+        if (isNotFound(error)) {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    getUrl(key) {
+      return `${baseUrl}/${key}`;
+    },
+
+    async getSignedUrl(key, expiresInSeconds = 60 * 15, options = {}) {
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentDisposition: options.downloadName ? `attachment; filename="${options.downloadName}"` : undefined
+      });
+      return getSignedUrl(s3, command, { expiresIn: expiresInSeconds });
+    },
+
+    keyFromUrl: url => keyFromUrl(url, baseUrl)
+  };
+};
+
+// Monta os dois espaços usados pela aplicação a partir do ambiente:
+// media (fotos e imagens com QR Code, URL pública) e privateFiles (arquivos de impressão, só por link assinado)
+const createStorage = (env = process.env) => {
+  const driver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  if (driver === 's3') {
+    const s3 = createS3Storage({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      endpoint: env.S3_ENDPOINT,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      publicUrl: env.S3_PUBLIC_URL
+    });
+    return { media: s3, privateFiles: s3 };
+  }
+
+  if (driver !== 'local') {
+    logger.warn('Driver de armazenamento desconhecido; usando o disco local.', { driver });
+  }
+
+  return {
+    media: createLocalStorage({ root: env.STORAGE_PUBLIC_DIR || 'public', baseUrl: '' }),
+    privateFiles: createLocalStorage({ root: env.STORAGE_PRIVATE_DIR || 'storage' })
+  };
+};
+
+const { media, privateFiles } = createStorage();
+
+module.exports = {
+  keyFromUrl,
+  createLocalStorage,
+  createS3Storage,
+  createStorage,
+  media,
+  privateFiles
+};
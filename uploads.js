@@ -0,0 +1,323 @@
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+const logger = require('./logger');
+const storage = require('./storage');
+const { MAX_PHOTOS_LIMIT } = require('./plans');
+
+const MAX_UPLOAD_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || 1024 * 1024 * 15;
+const MAX_INPUT_PIXELS = Number(process.env.UPLOAD_MAX_PIXELS) || 40000000;
+const MAX_CSV_BYTES = 1024 * 1024;
+const MIN_IMAGE_SIDE = 200;
+const VARIANT_WIDTHS = [480, 960, 1600];
+const VARIANT_FORMATS = ['avif', 'webp'];
+
+// Marcas do contêiner ISO BMFF usadas por fotos HEIC/HEIF e AVIF
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+const SUPPORTED_TYPES_MESSAGE = 'Envie apenas fotos JPEG, PNG, WebP, HEIC ou AVIF.';
+const HEIC_UNSUPPORTED_MESSAGE = 'Não conseguimos converter esta foto HEIC. Exporte-a como JPEG e tente novamente.';
+
+// O libvips do sharp pré-compilado lê o contêiner HEIF, mas nem sempre decodifica HEVC; a conversão é tentada
+// e, se falhar, o cliente recebe o pedido para enviar JPEG
+const canReadHeif = () => Boolean(sharp.format.heif && sharp.format.heif.input && sharp.format.heif.input.file);
+
+// Marca principal (bytes 8-11) seguida das marcas compatíveis que couberem no cabeçalho lido
+const readFtypBrands = buffer => {
+  const boxEnd = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [buffer.toString('ascii', 8, 12)];
+
+  for (let offset = 16; offset + 4 <= boxEnd; offset += 4) {
+    brands.push(buffer.toString('ascii', offset, offset + 4));
+  }
+
+  return brands;
+};
+
+// Identifica o tipo real pela assinatura do arquivo, sem confiar na extensão ou no mimetype enviados
+const sniffImageType = buffer => {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+
+  // Contêineres HEIF genéricos (mif1) também guardam AVIF; a marca compatível decide o tipo
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+    const brands = readFtypBrands(buffer);
+    if (brands.some(brand => AVIF_BRANDS.includes(brand))) {
+      return 'avif';
+    }
+    if (brands.some(brand => HEIC_BRANDS.includes(brand))) {
+      return 'heic';
+    }
+  }
+
+  return null;
+};
+
+const readHeader = async (filePath, length = 32) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Os envios ficam no diretório temporário do sistema até passarem pela validação; nada é servido antes disso
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, os.tmpdir()),
+    filename: (req, file, cb) => cb(null, `qrlove-upload-${crypto.randomBytes(16).toString('hex')}`)
+  }),
+  limits: {
+    fileSize: MAX_UPLOAD_BYTES,
+    files: MAX_PHOTOS_LIMIT
+  }
+});
+
+const describeMulterError = error => {
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return `Cada foto pode ter no máximo ${Math.round(MAX_UPLOAD_BYTES / (1024 * 1024))} MB.`;
+  }
+
+  if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+    return `Envie no máximo ${MAX_PHOTOS_LIMIT} fotos por vez.`;
+  }
+
+  return 'Não foi possível receber as fotos enviadas.';
+};
+
+// Recebe as fotos do campo "photos" e, em vez de interromper a requisição, guarda o erro em req.uploadError
+const receivePhotos = (req, res, next) => {
+  upload.array('photos', MAX_PHOTOS_LIMIT)(req, res, error => {
+    if (error) {
+      logger.warn('Upload de fotos recusado.', { requestId: req.requestId, code: error.code, error: error.message });
+      req.uploadError = describeMulterError(error);
+      req.files = [];
+    }
+    next();
+  });
+};
+
+// Planilhas de importação do dashboard ficam só em memória: são lidas e descartadas na mesma requisição
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_CSV_BYTES,
+    files: 1
+  }
+});
+
+// Recebe a planilha do campo "file"; como em receivePhotos, o erro fica em req.uploadError
+const receiveCsv = (req, res, next) => {
+  csvUpload.single('file')(req, res, error => {
+    if (error) {
+      logger.warn('Envio de planilha recusado.', { requestId: req.requestId, code: error.code, error: error.message });
+      req.uploadError = error.code === 'LIMIT_FILE_SIZE'
+        ? `A planilha pode ter no máximo ${Math.round(MAX_CSV_BYTES / 1024)} KB.`
+        : 'Não foi possível receber a planilha enviada.';
+      req.file = null;
+    }
+    next();
+  });
+};
+
+// Coluna JSON pode chegar como texto ou já como lista, dependendo do driver
+const parseVariants = value => {
+  if (!value) {
+    return [];
+  }
+
+  if (Array.isArray(value)) {
+    return value;
+  }
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const removeStoredKeys = async (mediaStorage, keys) => {
+  await Promise.all(keys.map(key => mediaStorage.delete(key).catch(error => {
+    logger.warn('Não foi possível remover o arquivo do armazenamento.', { key, error: error.message });
+  })));
+};
+
+// Descarta uploads temporários, inclusive os recusados antes do processamento (ex.: acima do limite do plano)
+const removeFiles = async (filePaths = []) => {
+  await Promise.all(filePaths.map(filePath => fs.promises.unlink(filePath).catch(() => {})));
+};
+
+// Confere o tipo real, a legibilidade e os limites de pixels de uma foto enviada, sem gravar nada
+const inspectUpload = async file => {
+  const header = await readHeader(file.path);
+  const type = sniffImageType(header);
+
+  if (!type) {
+    return { error: SUPPORTED_TYPES_MESSAGE };
+  }
+
+  if (type === 'heic' && !canReadHeif()) {
+    return { error: HEIC_UNSUPPORTED_MESSAGE };
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(file.path, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    logger.warn('Falha ao ler a imagem enviada.', { type, error: error.message });
+    return { error: type === 'heic' ? HEIC_UNSUPPORTED_MESSAGE : 'Não conseguimos ler esta foto. Tente outra imagem.' };
+  }
+
+  if (!metadata.width || !metadata.height || metadata.width * metadata.height > MAX_INPUT_PIXELS) {
+    return { error: `A foto é grande demais (máximo de ${Math.round(MAX_INPUT_PIXELS / 1000000)} megapixels).` };
+  }
+
+  if (Math.min(metadata.width, metadata.height) < MIN_IMAGE_SIDE) {
+    return { error: `A foto é pequena demais (mínimo de ${MIN_IMAGE_SIDE} pixels no menor lado).` };
+  }
+
+  return { data: { type, width: metadata.width, height: metadata.height } };
+};
+
+// Valida e normaliza uma foto: aplica a orientação, converte HEIC para JPEG, descarta EXIF (inclusive GPS)
+// e gera as variantes AVIF/WebP usadas no srcset da página
+const processUpload = async (file, options = {}) => {
+  const mediaStorage = options.storage || storage.media;
+  const inspection = await inspectUpload(file);
+
+  if (inspection.error) {
+    return inspection;
+  }
+
+  const { type } = inspection.data;
+
+  // HEIC vira JPEG antes da normalização; o EXIF segue junto para que rotate() aplique a orientação e o descarte
+  let source = file.path;
+  if (type === 'heic') {
+    try {
+      source = await sharp(file.path, { limitInputPixels: MAX_INPUT_PIXELS }).withMetadata().jpeg({ quality: 95 }).toBuffer();
+    } catch (error) {
+      logger.warn('Falha ao converter foto HEIC.', { error: error.message });
+      return { error: HEIC_UNSUPPORTED_MESSAGE };
+    }
+  }
+
+  // PNG mantém a transparência; os demais formatos (inclusive HEIC) viram JPEG
+  const extension = type === 'png' ? 'png' : 'jpg';
+  const baseName = crypto.randomBytes(16).toString('hex');
+  const filename = `${baseName}.${extension}`;
+  const key = `media/${filename}`;
+  const written = [];
+
+  try {
+    // rotate() aplica a orientação do EXIF; sem withMetadata(), o sharp grava o arquivo sem EXIF/GPS
+    const pipeline = sharp(source, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+    const { data: normalized, info } = await (extension === 'png' ? pipeline.png() : pipeline.jpeg({ quality: 88, mozjpeg: true }))
+      .toBuffer({ resolveWithObject: true });
+    await mediaStorage.put(key, normalized, { contentType: extension === 'png' ? 'image/png' : 'image/jpeg' });
+    written.push(key);
+
+    // Fotos menores que a maior largura ganham uma variante no próprio tamanho, sem ampliar
+    const widths = [...new Set(VARIANT_WIDTHS.map(width => Math.min(width, info.width)))];
+    const variants = [];
+    for (const width of widths) {
+      for (const format of VARIANT_FORMATS) {
+        const variantKey = `media/variants/${baseName}-${width}.${format}`;
+        const resized = sharp(normalized).resize({ width });
+        const variant = await (format === 'avif' ? resized.avif({ quality: 50, effort: 2 }) : resized.webp({ quality: 78 })).toBuffer();
+        await mediaStorage.put(variantKey, variant, { contentType: `image/${format}` });
+        written.push(variantKey);
+        variants.push({ format, width, url: mediaStorage.getUrl(variantKey) });
+      }
+    }
+
+    return {
+      data: {
+        filename,
+        image_url: mediaStorage.getUrl(key),
+        width: info.width,
+        height: info.height,
+        variants
+      }
+    };
+  } catch (error) {
+    logger.error('Erro ao processar a foto enviada.', { type, error: error.message });
+    await removeStoredKeys(mediaStorage, written);
+    return { error: 'Não conseguimos processar esta foto. Tente outra imagem.' };
+  }
+};
+
+// Processa todas as fotos do envio; se uma falhar, nenhuma é mantida. Os arquivos temporários são sempre apagados.
+const processUploads = async (files = [], options = {}) => {
+  const processed = [];
+
+  try {
+    for (const file of files) {
+      const result = await processUpload(file, options);
+
+      if (result.error) {
+        const mediaStorage = options.storage || storage.media;
+        await removeStoredKeys(mediaStorage, processed.flatMap(image => listImageKeys(image, mediaStorage)));
+        return { error: result.error };
+      }
+
+      processed.push(result.data);
+    }
+
+    return { data: processed };
+  } finally {
+    await removeFiles(files.map(file => file.path));
+  }
+};
+
+// Chaves no armazenamento da foto e das suas variantes, a partir das URLs gravadas no banco
+const listImageKeys = (image, mediaStorage = storage.media) => {
+  const urls = [image.image_url, ...parseVariants(image.variants).map(variant => variant.url)];
+  return urls
+    .map(url => mediaStorage.keyFromUrl(url))
+    .filter(key => key && key.startsWith('media/'));
+};
+
+const buildSrcset = (variants, format) => parseVariants(variants)
+  .filter(variant => variant.format === format)
+  .map(variant => `${variant.url} ${variant.width}w`)
+  .join(', ');
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  MAX_INPUT_PIXELS,
+  MAX_CSV_BYTES,
+  VARIANT_WIDTHS,
+  VARIANT_FORMATS,
+  sniffImageType,
+  parseVariants,
+  receivePhotos,
+  receiveCsv,
+  removeFiles,
+  inspectUpload,
+  processUpload,
+  processUploads,
+  listImageKeys,
+  buildSrcset
+};